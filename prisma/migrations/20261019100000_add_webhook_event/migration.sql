@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `WebhookEvent` (
+    `id` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NOT NULL,
+    `eventId` VARCHAR(191) NOT NULL,
+    `eventType` VARCHAR(191) NOT NULL,
+    `payload` JSON NOT NULL,
+    `processedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `WebhookEvent_provider_eventId_key`(`provider`, `eventId`),
+    INDEX `WebhookEvent_eventType_idx`(`eventType`),
+    INDEX `WebhookEvent_processedAt_idx`(`processedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `CreditTransaction` ADD COLUMN `remaining` DECIMAL(10, 2) NULL,
+    ADD COLUMN `expiresAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `CreditTransaction_expiresAt_idx` ON `CreditTransaction`(`expiresAt`);
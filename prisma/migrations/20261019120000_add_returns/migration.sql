@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE `Return` (
+    `id` VARCHAR(191) NOT NULL,
+    `orderId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `status` ENUM('REQUESTED', 'APPROVED', 'PICKED_UP', 'RECEIVED', 'REFUNDED', 'REJECTED') NOT NULL DEFAULT 'REQUESTED',
+    `reason` VARCHAR(191) NOT NULL,
+    `refundMethod` ENUM('ORIGINAL_PAYMENT', 'STORE_CREDIT', 'BANK_TRANSFER') NOT NULL DEFAULT 'ORIGINAL_PAYMENT',
+    `refundAmount` DECIMAL(10, 2) NOT NULL,
+    `refundId` VARCHAR(191) NULL,
+    `adminNotes` VARCHAR(191) NULL,
+    `rejectionReason` VARCHAR(191) NULL,
+    `approvedAt` DATETIME(3) NULL,
+    `pickedUpAt` DATETIME(3) NULL,
+    `receivedAt` DATETIME(3) NULL,
+    `refundedAt` DATETIME(3) NULL,
+    `rejectedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Return_refundId_key`(`refundId`),
+    INDEX `Return_orderId_idx`(`orderId`),
+    INDEX `Return_userId_idx`(`userId`),
+    INDEX `Return_status_idx`(`status`),
+    INDEX `Return_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ReturnItem` (
+    `id` VARCHAR(191) NOT NULL,
+    `returnId` VARCHAR(191) NOT NULL,
+    `orderItemId` VARCHAR(191) NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `restockedQuantity` INTEGER NOT NULL DEFAULT 0,
+    `reason` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `ReturnItem_returnId_orderItemId_key`(`returnId`, `orderItemId`),
+    INDEX `ReturnItem_orderItemId_idx`(`orderItemId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Return` ADD CONSTRAINT `Return_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `Order`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Return` ADD CONSTRAINT `Return_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Return` ADD CONSTRAINT `Return_refundId_fkey` FOREIGN KEY (`refundId`) REFERENCES `Refund`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ReturnItem` ADD CONSTRAINT `ReturnItem_returnId_fkey` FOREIGN KEY (`returnId`) REFERENCES `Return`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ReturnItem` ADD CONSTRAINT `ReturnItem_orderItemId_fkey` FOREIGN KEY (`orderItemId`) REFERENCES `OrderItem`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
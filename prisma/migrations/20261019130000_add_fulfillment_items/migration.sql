@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `FulfillmentItem` (
+    `id` VARCHAR(191) NOT NULL,
+    `fulfillmentId` VARCHAR(191) NOT NULL,
+    `orderItemId` VARCHAR(191) NOT NULL,
+    `quantity` INTEGER NOT NULL,
+
+    UNIQUE INDEX `FulfillmentItem_fulfillmentId_orderItemId_key`(`fulfillmentId`, `orderItemId`),
+    INDEX `FulfillmentItem_orderItemId_idx`(`orderItemId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `FulfillmentItem` ADD CONSTRAINT `FulfillmentItem_fulfillmentId_fkey` FOREIGN KEY (`fulfillmentId`) REFERENCES `Fulfillment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `FulfillmentItem` ADD CONSTRAINT `FulfillmentItem_orderItemId_fkey` FOREIGN KEY (`orderItemId`) REFERENCES `OrderItem`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
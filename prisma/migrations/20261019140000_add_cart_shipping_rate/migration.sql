@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `Cart` ADD COLUMN `shippingAddressId` VARCHAR(191) NULL,
+    ADD COLUMN `shippingRate` JSON NULL;
+
+-- CreateIndex
+CREATE INDEX `Cart_shippingAddressId_idx` ON `Cart`(`shippingAddressId`);
+
+-- AddForeignKey
+ALTER TABLE `Cart` ADD CONSTRAINT `Cart_shippingAddressId_fkey` FOREIGN KEY (`shippingAddressId`) REFERENCES `Address`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
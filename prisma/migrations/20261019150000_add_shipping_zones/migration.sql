@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE `ShippingZone` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `priority` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `ShippingZone_isActive_idx`(`isActive`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ShippingZoneRegion` (
+    `id` VARCHAR(191) NOT NULL,
+    `zoneId` VARCHAR(191) NOT NULL,
+    `country` VARCHAR(191) NOT NULL,
+    `state` VARCHAR(191) NULL,
+    `postalCodePrefix` VARCHAR(191) NULL,
+
+    INDEX `ShippingZoneRegion_zoneId_idx`(`zoneId`),
+    INDEX `ShippingZoneRegion_country_idx`(`country`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ShippingZoneRate` (
+    `id` VARCHAR(191) NOT NULL,
+    `zoneId` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `type` ENUM('FLAT', 'WEIGHT_BASED', 'FREE_OVER_THRESHOLD') NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `baseWeightKg` DECIMAL(8, 3) NULL,
+    `perKgAmount` DECIMAL(10, 2) NULL,
+    `maxWeightKg` DECIMAL(8, 3) NULL,
+    `freeThreshold` DECIMAL(10, 2) NULL,
+    `estimatedDays` INTEGER NULL,
+    `carrier` VARCHAR(191) NULL,
+    `serviceCode` VARCHAR(191) NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `ShippingZoneRate_zoneId_idx`(`zoneId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ShippingZoneRegion` ADD CONSTRAINT `ShippingZoneRegion_zoneId_fkey` FOREIGN KEY (`zoneId`) REFERENCES `ShippingZone`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ShippingZoneRate` ADD CONSTRAINT `ShippingZoneRate_zoneId_fkey` FOREIGN KEY (`zoneId`) REFERENCES `ShippingZone`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
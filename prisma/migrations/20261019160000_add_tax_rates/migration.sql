@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `TaxRate` (
+    `id` VARCHAR(191) NOT NULL,
+    `hsnCode` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `rate` DECIMAL(5, 2) NOT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `TaxRate_hsnCode_key`(`hsnCode`),
+    INDEX `TaxRate_isActive_idx`(`isActive`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
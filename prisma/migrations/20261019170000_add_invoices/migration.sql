@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE `Invoice` (
+    `id` VARCHAR(191) NOT NULL,
+    `type` ENUM('TAX_INVOICE', 'CREDIT_NOTE') NOT NULL,
+    `number` VARCHAR(191) NOT NULL,
+    `financialYear` VARCHAR(191) NOT NULL,
+    `sequence` INTEGER NOT NULL,
+    `orderId` VARCHAR(191) NOT NULL,
+    `refundId` VARCHAR(191) NULL,
+    `taxableAmount` DECIMAL(10, 2) NOT NULL,
+    `taxTotal` DECIMAL(10, 2) NOT NULL,
+    `total` DECIMAL(10, 2) NOT NULL,
+    `metadata` JSON NOT NULL,
+    `issuedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Invoice_number_key`(`number`),
+    UNIQUE INDEX `Invoice_refundId_key`(`refundId`),
+    INDEX `Invoice_orderId_idx`(`orderId`),
+    INDEX `Invoice_issuedAt_idx`(`issuedAt`),
+    UNIQUE INDEX `Invoice_type_financialYear_sequence_key`(`type`, `financialYear`, `sequence`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `InvoiceSequence` (
+    `id` VARCHAR(191) NOT NULL,
+    `type` ENUM('TAX_INVOICE', 'CREDIT_NOTE') NOT NULL,
+    `financialYear` VARCHAR(191) NOT NULL,
+    `lastNumber` INTEGER NOT NULL DEFAULT 0,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `InvoiceSequence_type_financialYear_key`(`type`, `financialYear`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Invoice` ADD CONSTRAINT `Invoice_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `Order`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Invoice` ADD CONSTRAINT `Invoice_refundId_fkey` FOREIGN KEY (`refundId`) REFERENCES `Refund`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
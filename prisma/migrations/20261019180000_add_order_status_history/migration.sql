@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE `OrderStatusHistory` (
+    `id` VARCHAR(191) NOT NULL,
+    `orderId` VARCHAR(191) NOT NULL,
+    `fromStatus` ENUM('PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELED', 'RETURNED', 'REFUNDED', 'ON_HOLD') NULL,
+    `toStatus` ENUM('PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELED', 'RETURNED', 'REFUNDED', 'ON_HOLD') NOT NULL,
+    `actor` ENUM('CUSTOMER', 'ADMIN', 'SYSTEM') NOT NULL,
+    `changedById` VARCHAR(191) NULL,
+    `note` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `OrderStatusHistory_orderId_createdAt_idx`(`orderId`, `createdAt`),
+    INDEX `OrderStatusHistory_changedById_idx`(`changedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `OrderStatusHistory` ADD CONSTRAINT `OrderStatusHistory_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `Order`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `OrderStatusHistory` ADD CONSTRAINT `OrderStatusHistory_changedById_fkey` FOREIGN KEY (`changedById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Start existing orders' timelines at their current status
+INSERT INTO `OrderStatusHistory` (`id`, `orderId`, `fromStatus`, `toStatus`, `actor`, `note`, `createdAt`)
+SELECT UUID(), `id`, NULL, `status`, 'SYSTEM', 'Status when history tracking began', `updatedAt`
+FROM `Order`;
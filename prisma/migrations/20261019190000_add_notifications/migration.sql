@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE `Notification` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NULL,
+    `orderId` VARCHAR(191) NULL,
+    `event` ENUM('ORDER_PLACED', 'PAYMENT_FAILED', 'ORDER_SHIPPED', 'OUT_FOR_DELIVERY', 'ORDER_DELIVERED', 'ORDER_CANCELED', 'REFUND_ISSUED') NOT NULL,
+    `channel` ENUM('EMAIL', 'SMS') NOT NULL,
+    `recipient` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NULL,
+    `body` TEXT NOT NULL,
+    `html` TEXT NULL,
+    `dedupeKey` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'SENDING', 'SENT', 'FAILED', 'SKIPPED') NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `lastError` TEXT NULL,
+    `nextAttemptAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `sentAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Notification_dedupeKey_key`(`dedupeKey`),
+    INDEX `Notification_userId_idx`(`userId`),
+    INDEX `Notification_orderId_idx`(`orderId`),
+    INDEX `Notification_status_nextAttemptAt_idx`(`status`, `nextAttemptAt`),
+    INDEX `Notification_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Notification` ADD CONSTRAINT `Notification_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Notification` ADD CONSTRAINT `Notification_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `Order`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
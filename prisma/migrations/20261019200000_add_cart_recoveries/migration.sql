@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE `CartRecovery` (
+    `id` VARCHAR(191) NOT NULL,
+    `cartId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `abandonedAt` DATETIME(3) NOT NULL,
+    `cartValue` DECIMAL(10, 2) NOT NULL,
+    `itemCount` INTEGER NOT NULL,
+    `status` ENUM('ACTIVE', 'RECOVERED', 'EXPIRED') NOT NULL DEFAULT 'ACTIVE',
+    `remindersSent` INTEGER NOT NULL DEFAULT 0,
+    `lastReminderAt` DATETIME(3) NULL,
+    `nextReminderAt` DATETIME(3) NULL,
+    `couponId` VARCHAR(191) NULL,
+    `orderId` VARCHAR(191) NULL,
+    `revenue` DECIMAL(10, 2) NULL,
+    `recoveredAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `CartRecovery_cartId_abandonedAt_key`(`cartId`, `abandonedAt`),
+    INDEX `CartRecovery_userId_idx`(`userId`),
+    INDEX `CartRecovery_status_nextReminderAt_idx`(`status`, `nextReminderAt`),
+    INDEX `CartRecovery_couponId_idx`(`couponId`),
+    INDEX `CartRecovery_orderId_idx`(`orderId`),
+    INDEX `CartRecovery_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CartRecovery` ADD CONSTRAINT `CartRecovery_cartId_fkey` FOREIGN KEY (`cartId`) REFERENCES `Cart`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CartRecovery` ADD CONSTRAINT `CartRecovery_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CartRecovery` ADD CONSTRAINT `CartRecovery_couponId_fkey` FOREIGN KEY (`couponId`) REFERENCES `Coupon`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CartRecovery` ADD CONSTRAINT `CartRecovery_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `Order`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `Coupon` ADD COLUMN `isStackable` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `rules` JSON NULL,
+    MODIFY `type` ENUM('PERCENTAGE', 'FIXED_AMOUNT', 'FREE_SHIPPING', 'BUY_X_GET_Y', 'TIERED_SPEND', 'BUNDLE_PRICE', 'CHEAPEST_FREE') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `CartItem` ADD COLUMN `discount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `discounts` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `CartCoupon` ADD COLUMN `skippedReason` VARCHAR(191) NULL;
@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE `CouponProduct` (
+    `couponId` VARCHAR(191) NOT NULL,
+    `productId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `CouponProduct_productId_idx`(`productId`),
+    PRIMARY KEY (`couponId`, `productId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `CouponCategory` (
+    `couponId` VARCHAR(191) NOT NULL,
+    `categoryId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `CouponCategory_categoryId_idx`(`categoryId`),
+    PRIMARY KEY (`couponId`, `categoryId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Move the comma-separated lists into the new tables, dropping IDs that no longer exist
+INSERT INTO `CouponProduct` (`couponId`, `productId`)
+SELECT `Coupon`.`id`, `Product`.`id`
+FROM `Coupon`
+JOIN `Product` ON FIND_IN_SET(`Product`.`id`, REPLACE(`Coupon`.`applicableProductIds`, ' ', '')) > 0;
+
+INSERT INTO `CouponCategory` (`couponId`, `categoryId`)
+SELECT `Coupon`.`id`, `Category`.`id`
+FROM `Coupon`
+JOIN `Category` ON FIND_IN_SET(`Category`.`id`, REPLACE(`Coupon`.`applicableCategoryIds`, ' ', '')) > 0;
+
+-- AlterTable
+ALTER TABLE `Coupon` DROP COLUMN `applicableCategoryIds`,
+    DROP COLUMN `applicableProductIds`;
+
+-- AddForeignKey
+ALTER TABLE `CouponProduct` ADD CONSTRAINT `CouponProduct_couponId_fkey` FOREIGN KEY (`couponId`) REFERENCES `Coupon`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CouponProduct` ADD CONSTRAINT `CouponProduct_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CouponCategory` ADD CONSTRAINT `CouponCategory_couponId_fkey` FOREIGN KEY (`couponId`) REFERENCES `Coupon`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CouponCategory` ADD CONSTRAINT `CouponCategory_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `Category`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
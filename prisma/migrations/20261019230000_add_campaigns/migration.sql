@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE `Coupon` ADD COLUMN `campaignId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `Campaign` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `templateCouponId` VARCHAR(191) NOT NULL,
+    `codePrefix` VARCHAR(191) NOT NULL DEFAULT '',
+    `codeLength` INTEGER NOT NULL,
+    `codeAlphabet` VARCHAR(191) NOT NULL,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Campaign_templateCouponId_idx`(`templateCouponId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Coupon_campaignId_idx` ON `Coupon`(`campaignId`);
+
+-- AddForeignKey
+ALTER TABLE `Coupon` ADD CONSTRAINT `Coupon_campaignId_fkey` FOREIGN KEY (`campaignId`) REFERENCES `Campaign`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Campaign` ADD CONSTRAINT `Campaign_templateCouponId_fkey` FOREIGN KEY (`templateCouponId`) REFERENCES `Coupon`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE `Coupon` ADD COLUMN `maxUsageCount` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `OrderCoupon` ADD COLUMN `releasedAt` DATETIME(3) NULL;
+
+-- Give back the uses of orders canceled before cancellations did so
+UPDATE `OrderCoupon`
+JOIN `Order` ON `Order`.`id` = `OrderCoupon`.`orderId`
+SET `OrderCoupon`.`releasedAt` = `Order`.`updatedAt`
+WHERE `Order`.`status` = 'CANCELED';
+
+UPDATE `Coupon`
+SET `usageCount` = (
+    SELECT COUNT(*) FROM `OrderCoupon`
+    WHERE `OrderCoupon`.`couponId` = `Coupon`.`id` AND `OrderCoupon`.`releasedAt` IS NULL
+);
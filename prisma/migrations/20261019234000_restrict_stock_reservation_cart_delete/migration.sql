@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE `StockReservation` DROP FOREIGN KEY `StockReservation_cartId_fkey`;
+
+-- AddForeignKey
+ALTER TABLE `StockReservation` ADD CONSTRAINT `StockReservation_cartId_fkey` FOREIGN KEY (`cartId`) REFERENCES `Cart`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
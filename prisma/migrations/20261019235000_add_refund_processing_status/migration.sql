@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `Order` MODIFY `paymentStatus` ENUM('PENDING', 'PROCESSING', 'AUTHORIZED', 'PAID', 'PARTIALLY_PAID', 'REFUNDED', 'PARTIALLY_REFUNDED', 'FAILED', 'VOIDED') NOT NULL DEFAULT 'PENDING';
+
+-- AlterTable
+ALTER TABLE `Payment` MODIFY `status` ENUM('PENDING', 'PROCESSING', 'AUTHORIZED', 'PAID', 'PARTIALLY_PAID', 'REFUNDED', 'PARTIALLY_REFUNDED', 'FAILED', 'VOIDED') NOT NULL DEFAULT 'PENDING';
+
+-- AlterTable
+ALTER TABLE `Refund` ADD COLUMN `metadata` JSON NULL,
+    MODIFY `status` ENUM('PENDING', 'PROCESSING', 'AUTHORIZED', 'PAID', 'PARTIALLY_PAID', 'REFUNDED', 'PARTIALLY_REFUNDED', 'FAILED', 'VOIDED') NOT NULL;
+
+-- Queued UPI payouts were left PENDING with their payout ID; they are in flight
+UPDATE `Refund` SET `status` = 'PROCESSING' WHERE `status` = 'PENDING' AND `transactionId` IS NOT NULL;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `Coupon` ADD COLUMN `userId` VARCHAR(191) NULL;
+
+-- Recovery coupons belong to the customer they were sent to
+UPDATE `Coupon` c
+JOIN `CartRecovery` r ON r.`couponId` = c.`id`
+SET c.`userId` = r.`userId`;
+
+-- CreateIndex
+CREATE INDEX `Coupon_userId_idx` ON `Coupon`(`userId`);
+
+-- AddForeignKey
+ALTER TABLE `Coupon` ADD CONSTRAINT `Coupon_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `ProductImageUpload` (
+    `id` VARCHAR(191) NOT NULL,
+    `productId` VARCHAR(191) NOT NULL,
+    `fileName` VARCHAR(191) NOT NULL,
+    `mimeType` VARCHAR(191) NOT NULL,
+    `data` LONGBLOB NULL,
+    `altText` VARCHAR(191) NULL,
+    `position` INTEGER NOT NULL DEFAULT 0,
+    `productImageId` VARCHAR(191) NULL,
+    `queuedAt` DATETIME(3) NULL,
+    `uploadedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `ProductImageUpload_productImageId_key`(`productImageId`),
+    INDEX `ProductImageUpload_productId_idx`(`productId`),
+    INDEX `ProductImageUpload_productImageId_queuedAt_idx`(`productImageId`, `queuedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ProductImageUpload` ADD CONSTRAINT `ProductImageUpload_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Notification` ADD COLUMN `claimedAt` DATETIME(3) NULL;
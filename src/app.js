@@ -18,6 +18,17 @@ import cartRouter from "./routes/cart.routes.js";
 import salesRouter from "./routes/sales.routes.js";
 import addressRouter from "./routes/address.routes.js";
 import departmentRouter from "./routes/department.routes.js";
+import paymentRouter from "./routes/payment.routes.js";
+import walletRouter from "./routes/wallet.routes.js";
+import returnRouter from "./routes/return.routes.js";
+import refundRouter from "./routes/refund.routes.js";
+import shippingRouter from "./routes/shipping.routes.js";
+import taxRouter from "./routes/tax.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import smsRouter from "./routes/sms.routes.js";
+import jobRouter from "./routes/job.routes.js";
+import cartRecoveryRouter from "./routes/cartRecovery.routes.js";
+import campaignRouter from "./routes/campaign.routes.js";
 
 // Import rate limiting middleware and configurations
 import { rateLimiter } from "./middlewares/rateLimiter.middleware.js";
@@ -39,7 +50,15 @@ app.use(
         credentials: true,
     })
 );
-app.use(express.json({ limit: "16kb" }));
+app.use(
+    express.json({
+        limit: "16kb",
+        // Keep the raw bytes around for webhook signature verification
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
 app.use(cookieParser());
@@ -74,6 +93,17 @@ app.use("/api/cart", rateLimiter(PUBLIC_API_LIMITS.STANDARD), cartRouter);
 app.use("/api/sales", rateLimiter(PUBLIC_API_LIMITS.STANDARD), salesRouter);
 app.use("/api/addresses", rateLimiter(PUBLIC_API_LIMITS.STANDARD), addressRouter);
 app.use("/api/departments", rateLimiter(PUBLIC_API_LIMITS.HIGH_VOLUME), departmentRouter);
+app.use("/api/payments", rateLimiter(PUBLIC_API_LIMITS.HIGH_VOLUME), paymentRouter);
+app.use("/api/wallet", rateLimiter(PUBLIC_API_LIMITS.STANDARD), walletRouter);
+app.use("/api/returns", rateLimiter(PUBLIC_API_LIMITS.STANDARD), returnRouter);
+app.use("/api/refunds", rateLimiter(PUBLIC_API_LIMITS.STANDARD), refundRouter);
+app.use("/api/shipping", rateLimiter(PUBLIC_API_LIMITS.HIGH_VOLUME), shippingRouter);
+app.use("/api/tax-rates", rateLimiter(PUBLIC_API_LIMITS.STANDARD), taxRouter);
+app.use("/api/notifications", rateLimiter(PUBLIC_API_LIMITS.STANDARD), notificationRouter);
+app.use("/api/sms", rateLimiter(PUBLIC_API_LIMITS.HIGH_VOLUME), smsRouter);
+app.use("/api/jobs", rateLimiter(PUBLIC_API_LIMITS.STANDARD), jobRouter);
+app.use("/api/cart-recovery", rateLimiter(PUBLIC_API_LIMITS.STANDARD), cartRecoveryRouter);
+app.use("/api/campaigns", rateLimiter(PUBLIC_API_LIMITS.STANDARD), campaignRouter);
 
 // Root endpoint
 app.get("/", rateLimiter(PUBLIC_API_LIMITS.RELAXED), (req, res) => {
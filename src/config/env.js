@@ -0,0 +1,8 @@
+import dotenv from "dotenv";
+
+// Load environment variables. Imported first by src/index.js, since some
+// modules (payment gateways, carriers, SMS providers, Razorpay) read them
+// as soon as they are imported.
+dotenv.config({
+    path: process.env.NODE_ENV === "test" ? ".env.test" : ".env",
+});
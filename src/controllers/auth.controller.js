@@ -124,6 +124,29 @@ export const requestOtp = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get the delivery status of the OTP the caller requested
+ * The request ID from request-otp is required, so the status of another
+ * person's OTP can't be looked up by phone number alone.
+ */
+export const getOtpStatus = asyncHandler(async (req, res) => {
+  const { phoneNumber, requestId } = req.body;
+
+  if (!phoneNumber || !requestId) {
+    throw new ApiError(HTTP_BAD_REQUEST, 'Phone number and request ID are required');
+  }
+
+  const delivery = await otpService.getOtpDeliveryStatus(phoneNumber, requestId);
+
+  if (!delivery) {
+    throw new ApiError(HTTP_NOT_FOUND, 'No pending OTP for this request');
+  }
+
+  return res
+    .status(HTTP_OK)
+    .json(new ApiResponse(HTTP_OK, 'OTP delivery status retrieved successfully', delivery));
+});
+
 /**
  * Verify OTP and login
  */
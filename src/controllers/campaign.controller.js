@@ -0,0 +1,122 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { CampaignService } from "../services/campaign.service.js";
+import {
+    HTTP_BAD_REQUEST,
+    HTTP_CREATED,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const campaignService = new CampaignService();
+
+/**
+ * Create a campaign and generate its codes (admin)
+ */
+const createCampaign = asyncHandler(async (req, res) => {
+    const { name, description, templateCouponId, prefix, length, alphabet, count } = req.body;
+
+    if (!name || !templateCouponId || !count) {
+        throw new ApiError(HTTP_BAD_REQUEST, "name, templateCouponId and count are required");
+    }
+
+    try {
+        const campaign = await campaignService.createCampaign({
+            name,
+            description,
+            templateCouponId,
+            prefix,
+            length,
+            alphabet,
+            count: parseInt(count, 10)
+        }, req.user.id);
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Campaign created successfully", campaign));
+    } catch (error) {
+        throw toApiError(error, "Error creating campaign");
+    }
+});
+
+/**
+ * Generate more codes for a campaign (admin)
+ */
+const generateCampaignCodes = asyncHandler(async (req, res) => {
+    const { count } = req.body;
+
+    if (!count) {
+        throw new ApiError(HTTP_BAD_REQUEST, "count is required");
+    }
+
+    try {
+        const result = await campaignService.generateCodes(req.params.id, parseInt(count, 10));
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Campaign codes generated successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error generating campaign codes");
+    }
+});
+
+/**
+ * List campaigns with their redemptions and revenue (admin)
+ */
+const getCampaigns = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    try {
+        const result = await campaignService.listCampaigns({ page, limit });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Campaigns retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving campaigns");
+    }
+});
+
+/**
+ * Get a campaign with its redemptions and revenue (admin)
+ */
+const getCampaign = asyncHandler(async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaign(req.params.id);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Campaign retrieved successfully", campaign));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving campaign");
+    }
+});
+
+/**
+ * Download a campaign's codes as CSV (admin)
+ */
+const exportCampaignCodes = asyncHandler(async (req, res) => {
+    try {
+        const { fileName, csv } = await campaignService.exportCodes(req.params.id);
+
+        return res
+            .status(HTTP_OK)
+            .set({
+                "Content-Type": "text/csv; charset=utf-8",
+                "Content-Disposition": `attachment; filename="${fileName}"`,
+            })
+            .send(csv);
+    } catch (error) {
+        throw toApiError(error, "Error exporting campaign codes");
+    }
+});
+
+export {
+    createCampaign,
+    generateCampaignCodes,
+    getCampaigns,
+    getCampaign,
+    exportCampaignCodes,
+};
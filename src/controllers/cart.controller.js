@@ -122,6 +122,10 @@ const updateCart = asyncHandler(async (req, res) => {
             throw new ApiError(HTTP_NOT_FOUND, error.message);
         }
         
+        if (error.message.includes('stock')) {
+            throw new ApiError(HTTP_BAD_REQUEST, error.message);
+        }
+        
         if (error.message.includes('limit')) {
             throw new ApiError(HTTP_BAD_REQUEST, error.message);
         }
@@ -147,11 +151,11 @@ const removeFromCart = asyncHandler(async (req, res) => {
     }
 
     try {
-        await cartService.removeFromCart(userId, sessionId, productId, variantId || null);
+        const result = await cartService.removeFromCart(userId, sessionId, productId, variantId || null);
         
         return res
             .status(HTTP_OK)
-            .json(new ApiResponse(HTTP_OK, "Item removed from cart successfully"));
+            .json(new ApiResponse(HTTP_OK, "Item removed from cart successfully", result));
     } catch (error) {
         if (error.message === 'Cart not found') {
             throw new ApiError(HTTP_NOT_FOUND, error.message);
@@ -295,6 +299,75 @@ const mergeGuestCart = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Get shipping options for the cart
+ */
+const getShippingRates = asyncHandler(async (req, res) => {
+    const { addressId } = req.query;
+
+    if (!addressId) {
+        throw new ApiError(HTTP_BAD_REQUEST, "Address ID is required");
+    }
+
+    try {
+        const result = await cartService.getShippingRates(req.user.id, addressId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping rates retrieved successfully", result));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        if (error.message === 'Shipping address not found') {
+            throw new ApiError(HTTP_NOT_FOUND, error.message);
+        }
+
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            error.message || "Error retrieving shipping rates"
+        );
+    }
+});
+
+/**
+ * Select the shipping address and shipping option for the cart
+ */
+const selectShippingRate = asyncHandler(async (req, res) => {
+    const { addressId, rateId, carrier, serviceCode } = req.body;
+
+    if (!addressId) {
+        throw new ApiError(HTTP_BAD_REQUEST, "Address ID is required");
+    }
+
+    try {
+        const cart = await cartService.selectShippingRate(req.user.id, {
+            addressId,
+            rateId,
+            carrier,
+            serviceCode,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping rate selected successfully", cart));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        if (error.message === 'Shipping address not found') {
+            throw new ApiError(HTTP_NOT_FOUND, error.message);
+        }
+
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            error.message || "Error selecting shipping rate"
+        );
+    }
+});
+
 export { 
     getCart, 
     addToCart, 
@@ -303,5 +376,7 @@ export {
     clearCart, 
     applyCoupon, 
     removeCoupon,
-    mergeGuestCart
+    mergeGuestCart,
+    getShippingRates,
+    selectShippingRate
 }; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { CartRecoveryService } from "../services/cartRecovery.service.js";
+import { HTTP_BAD_REQUEST, HTTP_OK } from "../httpStatusCode.js";
+
+// Initialize service
+const cartRecoveryService = new CartRecoveryService();
+
+/**
+ * Recovery rate and revenue of abandoned carts (admin)
+ */
+const getRecoveryReport = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+
+    try {
+        const report = await cartRecoveryService.getRecoveryReport({ startDate, endDate });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Cart recovery report retrieved successfully", report));
+    } catch (error) {
+        throw new ApiError(HTTP_BAD_REQUEST, error.message || "Error retrieving cart recovery report");
+    }
+});
+
+/**
+ * List abandoned-cart recoveries (admin)
+ */
+const getRecoveries = asyncHandler(async (req, res) => {
+    const { status, userId, page, limit } = req.query;
+
+    try {
+        const result = await cartRecoveryService.listRecoveries({ status, userId, page, limit });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Cart recoveries retrieved successfully", result));
+    } catch (error) {
+        throw new ApiError(HTTP_BAD_REQUEST, error.message || "Error retrieving cart recoveries");
+    }
+});
+
+export { getRecoveryReport, getRecoveries };
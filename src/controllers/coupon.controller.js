@@ -28,8 +28,11 @@ const createCoupon = asyncHandler(async (req, res) => {
         maximumDiscountAmount,
         isAutomaticallyApplied,
         isOneTimeUse,
+        isStackable,
         customerUsageLimit,
+        maxUsageCount,
         priority,
+        rules,
         startDate,
         endDate,
         status,
@@ -37,8 +40,8 @@ const createCoupon = asyncHandler(async (req, res) => {
         applicableCategoryIds
     } = req.body;
 
-    // Validate required fields
-    if (!code || !name || !type || !value || !startDate) {
+    // Validate required fields; tiered promotions take their amounts from their tiers
+    if (!code || !name || !type || (!value && type !== "TIERED_SPEND") || !startDate) {
         throw new ApiError(
             HTTP_BAD_REQUEST,
             "Required fields are missing. Please provide code, name, type, value, and startDate."
@@ -57,8 +60,11 @@ const createCoupon = asyncHandler(async (req, res) => {
             maximumDiscountAmount,
             isAutomaticallyApplied,
             isOneTimeUse,
+            isStackable,
             customerUsageLimit,
+            maxUsageCount,
             priority,
+            rules,
             startDate,
             endDate,
             status,
@@ -70,6 +76,10 @@ const createCoupon = asyncHandler(async (req, res) => {
             .status(HTTP_CREATED)
             .json(new ApiResponse(HTTP_CREATED, "Coupon created successfully", coupon));
     } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
         if (error.message === 'Coupon code already exists') {
             throw new ApiError(HTTP_BAD_REQUEST, error.message);
         }
@@ -152,8 +162,11 @@ const updateCoupon = asyncHandler(async (req, res) => {
         maximumDiscountAmount,
         isAutomaticallyApplied,
         isOneTimeUse,
+        isStackable,
         customerUsageLimit,
+        maxUsageCount,
         priority,
+        rules,
         startDate,
         endDate,
         status,
@@ -178,8 +191,11 @@ const updateCoupon = asyncHandler(async (req, res) => {
             maximumDiscountAmount,
             isAutomaticallyApplied,
             isOneTimeUse,
+            isStackable,
             customerUsageLimit,
+            maxUsageCount,
             priority,
+            rules,
             startDate,
             endDate,
             status,
@@ -191,6 +207,10 @@ const updateCoupon = asyncHandler(async (req, res) => {
             .status(HTTP_OK)
             .json(new ApiResponse(HTTP_OK, "Coupon updated successfully", updatedCoupon));
     } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
         if (error.message === 'Coupon not found') {
             throw new ApiError(HTTP_NOT_FOUND, error.message);
         }
@@ -267,6 +287,102 @@ const applyCoupon = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Map coupon scope errors to API errors
+ * @param {Error} error - Error thrown by the coupon service
+ * @param {String} fallback - Message when the error has none
+ * @returns {ApiError}
+ */
+const toScopeError = (error, fallback) => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    if (error.message === 'Coupon not found') {
+        return new ApiError(HTTP_NOT_FOUND, error.message);
+    }
+
+    return new ApiError(HTTP_INTERNAL_SERVER_ERROR, error.message || fallback);
+};
+
+/**
+ * Add products to a product-scoped coupon
+ */
+const addCouponProducts = asyncHandler(async (req, res) => {
+    const couponId = req.params?.id;
+    const { productIds } = req.body;
+
+    if (!productIds || productIds.length === 0) {
+        throw new ApiError(HTTP_BAD_REQUEST, "productIds is required");
+    }
+
+    try {
+        const coupon = await couponService.addCouponProducts(couponId, productIds);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Products added to coupon", coupon));
+    } catch (error) {
+        throw toScopeError(error, "Error adding products to coupon");
+    }
+});
+
+/**
+ * Remove a product from a product-scoped coupon
+ */
+const removeCouponProduct = asyncHandler(async (req, res) => {
+    const { id: couponId, productId } = req.params;
+
+    try {
+        const coupon = await couponService.removeCouponProduct(couponId, productId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Product removed from coupon", coupon));
+    } catch (error) {
+        throw toScopeError(error, "Error removing product from coupon");
+    }
+});
+
+/**
+ * Add categories to a category-scoped coupon
+ */
+const addCouponCategories = asyncHandler(async (req, res) => {
+    const couponId = req.params?.id;
+    const { categoryIds } = req.body;
+
+    if (!categoryIds || categoryIds.length === 0) {
+        throw new ApiError(HTTP_BAD_REQUEST, "categoryIds is required");
+    }
+
+    try {
+        const coupon = await couponService.addCouponCategories(couponId, categoryIds);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Categories added to coupon", coupon));
+    } catch (error) {
+        throw toScopeError(error, "Error adding categories to coupon");
+    }
+});
+
+/**
+ * Remove a category from a category-scoped coupon
+ */
+const removeCouponCategory = asyncHandler(async (req, res) => {
+    const { id: couponId, categoryId } = req.params;
+
+    try {
+        const coupon = await couponService.removeCouponCategory(couponId, categoryId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Category removed from coupon", coupon));
+    } catch (error) {
+        throw toScopeError(error, "Error removing category from coupon");
+    }
+});
+
 export {
     createCoupon,
     getCoupons,
@@ -274,4 +390,8 @@ export {
     updateCoupon,
     deleteCoupon,
     applyCoupon,
+    addCouponProducts,
+    removeCouponProduct,
+    addCouponCategories,
+    removeCouponCategory,
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { FulfillmentService } from "../services/fulfillment.service.js";
+import {
+    HTTP_CREATED,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const fulfillmentService = new FulfillmentService();
+
+/**
+ * Get shipment tracking for one of the current user's orders
+ */
+const getOrderTracking = asyncHandler(async (req, res) => {
+    try {
+        const result = await fulfillmentService.getTracking(req.params.orderId, req.user.id);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Tracking retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving tracking");
+    }
+});
+
+/**
+ * Ship some or all items of an order (admin)
+ */
+const createFulfillment = asyncHandler(async (req, res) => {
+    const {
+        items,
+        carrierName,
+        trackingNumber,
+        trackingUrl,
+        estimatedDelivery,
+        buyLabel,
+        carrier,
+        serviceCode,
+    } = req.body;
+
+    try {
+        const result = await fulfillmentService.createFulfillment(req.params.orderId, {
+            items,
+            carrierName,
+            trackingNumber,
+            trackingUrl,
+            estimatedDelivery,
+            buyLabel: buyLabel === true || buyLabel === "true",
+            carrier,
+            serviceCode,
+        });
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Fulfillment created successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error creating fulfillment");
+    }
+});
+
+/**
+ * List an order's fulfillments (admin)
+ */
+const getOrderFulfillments = asyncHandler(async (req, res) => {
+    try {
+        const result = await fulfillmentService.getOrderFulfillments(req.params.orderId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Fulfillments retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving fulfillments");
+    }
+});
+
+/**
+ * Update carrier and tracking details of a fulfillment (admin)
+ */
+const updateFulfillmentTracking = asyncHandler(async (req, res) => {
+    const { orderId, fulfillmentId } = req.params;
+    const { carrierName, trackingNumber, trackingUrl, estimatedDelivery } = req.body;
+
+    try {
+        const result = await fulfillmentService.updateTracking(orderId, fulfillmentId, {
+            carrierName,
+            trackingNumber,
+            trackingUrl,
+            estimatedDelivery,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Fulfillment updated successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error updating fulfillment");
+    }
+});
+
+/**
+ * Buy a carrier label for a fulfillment (admin)
+ */
+const purchaseFulfillmentLabel = asyncHandler(async (req, res) => {
+    const { orderId, fulfillmentId } = req.params;
+    const { carrier, serviceCode } = req.body;
+
+    try {
+        const result = await fulfillmentService.purchaseLabel(orderId, fulfillmentId, {
+            carrier,
+            serviceCode,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping label purchased successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error purchasing shipping label");
+    }
+});
+
+export {
+    getOrderTracking,
+    createFulfillment,
+    getOrderFulfillments,
+    updateFulfillmentTracking,
+    purchaseFulfillmentLabel,
+};
@@ -0,0 +1,59 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import toApiError from "../utils/toApiError.js";
+import { InvoiceService } from "../services/invoice.service.js";
+import {
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const invoiceService = new InvoiceService();
+
+// Send a rendered document as a PDF download
+const sendPdf = (res, { fileName, buffer }) =>
+    res
+        .status(HTTP_OK)
+        .set({
+            "Content-Type": "application/pdf",
+            "Content-Disposition": `attachment; filename="${fileName}"`,
+            "Content-Length": buffer.length,
+        })
+        .send(buffer);
+
+/**
+ * Download the tax invoice of an order (owner or admin)
+ */
+const getOrderInvoice = asyncHandler(async (req, res) => {
+    try {
+        const pdf = await invoiceService.getInvoicePdf(
+            req.params.orderId,
+            req.user.id,
+            req.user.role === "ADMIN"
+        );
+
+        return sendPdf(res, pdf);
+    } catch (error) {
+        throw toApiError(error, "Error generating invoice");
+    }
+});
+
+/**
+ * Download a credit note issued against an order (owner or admin)
+ */
+const getOrderCreditNote = asyncHandler(async (req, res) => {
+    const { orderId, creditNoteId } = req.params;
+
+    try {
+        const pdf = await invoiceService.getCreditNotePdf(
+            orderId,
+            creditNoteId,
+            req.user.id,
+            req.user.role === "ADMIN"
+        );
+
+        return sendPdf(res, pdf);
+    } catch (error) {
+        throw toApiError(error, "Error generating credit note");
+    }
+});
+
+export { getOrderInvoice, getOrderCreditNote };
@@ -0,0 +1,95 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { JobQueueService } from "../services/jobQueue.service.js";
+import {
+    HTTP_NOT_FOUND,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const jobQueue = new JobQueueService();
+
+/**
+ * List background jobs in a state, dead-lettered by default (admin)
+ */
+const getJobs = asyncHandler(async (req, res) => {
+    const { state, page, limit } = req.query;
+
+    try {
+        const result = await jobQueue.listJobs({ state, page, limit });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Jobs retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving jobs");
+    }
+});
+
+/**
+ * Count background jobs by state (admin)
+ */
+const getJobStats = asyncHandler(async (req, res) => {
+    try {
+        const stats = await jobQueue.getStats();
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Job stats retrieved successfully", stats));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving job stats");
+    }
+});
+
+/**
+ * Get a background job (admin)
+ */
+const getJob = asyncHandler(async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.jobId);
+
+        if (!job) {
+            throw new ApiError(HTTP_NOT_FOUND, "Job not found");
+        }
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Job retrieved successfully", job));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving job");
+    }
+});
+
+/**
+ * Requeue a dead job (admin)
+ */
+const retryJob = asyncHandler(async (req, res) => {
+    try {
+        const job = await jobQueue.retryJob(req.params.jobId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Job requeued", job));
+    } catch (error) {
+        throw toApiError(error, "Error retrying job");
+    }
+});
+
+/**
+ * Requeue every dead job (admin)
+ */
+const retryDeadJobs = asyncHandler(async (req, res) => {
+    try {
+        const retried = await jobQueue.retryDeadJobs();
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, `${retried} job(s) requeued`, { retried }));
+    } catch (error) {
+        throw toApiError(error, "Error retrying dead jobs");
+    }
+});
+
+export { getJobs, getJobStats, getJob, retryJob, retryDeadJobs };
@@ -0,0 +1,51 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { NotificationService } from "../services/notification.service.js";
+import {
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const notificationService = new NotificationService();
+
+/**
+ * List sent, pending and failed customer notifications (admin)
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+    const { orderId, userId, status, event, page, limit } = req.query;
+
+    try {
+        const result = await notificationService.listNotifications({
+            orderId,
+            userId,
+            status,
+            event,
+            page,
+            limit,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Notifications retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving notifications");
+    }
+});
+
+/**
+ * Send a failed notification again (admin)
+ */
+const retryNotification = asyncHandler(async (req, res) => {
+    try {
+        const notification = await notificationService.retryNotification(req.params.notificationId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Notification retried", notification));
+    } catch (error) {
+        throw toApiError(error, "Error retrying notification");
+    }
+});
+
+export { getNotifications, retryNotification };
@@ -1,4 +1,3 @@
-import { prisma } from '../database/connect.js';
 import ApiResponse from '../utils/apiResponse.js';
 import ApiError from '../utils/apiError.js';
 import asyncHandler from '../utils/asyncHandler.js';
@@ -34,6 +33,10 @@ const createOrder = asyncHandler(async (req, res) => {
         )
       );
   } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
     throw new ApiError(400, error.message || "Failed to create order");
   }
 });
@@ -92,7 +95,7 @@ const getOrderById = asyncHandler(async (req, res) => {
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { orderId } = req.params;
-  const { status } = req.body;
+  const { status, note } = req.body;
   
   if (!orderId) {
     throw new ApiError(400, "Order ID is required");
@@ -102,11 +105,10 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Status is required");
   }
   
-  // Check if user is admin (add your admin check logic here)
   const isAdmin = req.user.role === "ADMIN";
   
   try {
-    const updatedOrder = await orderService.updateOrderStatus(orderId, status, userId, isAdmin);
+    const updatedOrder = await orderService.updateOrderStatus(orderId, status, userId, isAdmin, note);
     
     return res.status(200).json(
       new ApiResponse(
@@ -130,7 +132,6 @@ const cancelOrder = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Order ID is required");
   }
   
-  // Check if user is admin (add your admin check logic here)
   const isAdmin = req.user.role === "ADMIN";
   
   try {
@@ -150,9 +151,6 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
 // Cancel order items
 const cancelOrderItems = asyncHandler(async (req, res) => {
-  // This functionality can be implemented in the order service
-  // For now, we'll keep the existing implementation
-  
   const { orderId } = req.params;
   const { items, reason } = req.body;
   const userId = req.user.id;
@@ -165,120 +163,35 @@ const cancelOrderItems = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Items array is required");
   }
 
-  // Fetch the order
-  const order = await prisma.order.findUnique({
-    where: { id: orderId },
-    include: {
-      items: true,
-      payments: true
-    }
-  });
-
-  if (!order) {
-    throw new ApiError(404, "Order not found");
-  }
-
-  // Check if user is authorized to cancel this order
   const isAdmin = req.user.role === "ADMIN";
-  if (!isAdmin && order.userId !== userId) {
-    throw new ApiError(403, "You are not authorized to cancel this order");
-  }
 
-  // Check if order is in a state that allows cancellations
-  const cancelableStatuses = ["PENDING", "PROCESSING", "ON_HOLD"];
-  if (!cancelableStatuses.includes(order.status)) {
-    throw new ApiError(400, `Cannot cancel items for an order in ${order.status} status`);
-  }
+  try {
+    const result = await orderService.cancelOrderItems(orderId, items, userId, reason, isAdmin);
 
-  // Verify all items exist in the order
-  const orderItemIds = order.items.map(item => item.id);
-  for (const itemId of items) {
-    if (!orderItemIds.includes(itemId)) {
-      throw new ApiError(400, `Item ${itemId} does not exist in this order`);
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        result,
+        "Order items canceled successfully"
+      )
+    );
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      throw new ApiError(404, error.message);
     }
-  }
 
-  // Get the items to be canceled
-  const itemsToCancel = order.items.filter(item => items.includes(item.id));
-  const totalRefundAmount = itemsToCancel.reduce((sum, item) => sum + parseFloat(item.total), 0);
-
-  let refund = null;
-  const completedPayment = order.payments.find(p => p.status === "PAID");
-
-  // Process refund if payment has been made
-  if (completedPayment && totalRefundAmount > 0) {
-    refund = await prisma.refund.create({
-      data: {
-        orderId: order.id,
-        amount: totalRefundAmount,
-        reason: reason || "Items canceled by user",
-        status: "PENDING",
-        notes: `Refund initiated for canceled items`
-      }
-    });
-  }
-
-  // Update order items
-  const updatedItems = await Promise.all(
-    itemsToCancel.map(item =>
-      prisma.orderItem.update({
-        where: { id: item.id },
-        data: {
-          status: "CANCELED",
-          canceledAt: new Date(),
-          metadata: {
-            ...(item.metadata || {}),
-            cancelReason: reason || "Canceled by user",
-            refundId: refund?.id
-          }
-        }
-      })
-    )
-  );
-
-  // Update the order's total and refunded amount
-  const updatedOrder = await prisma.order.update({
-    where: { id: orderId },
-    data: {
-      refundedAmount: {
-        increment: totalRefundAmount
-      }
-    },
-    include: {
-      items: true
+    if (error.message === 'You are not authorized to cancel this order') {
+      throw new ApiError(403, error.message);
     }
-  });
-
-  // If all items are canceled, update the order status to canceled
-  const allItemsCanceled = updatedOrder.items.every(item => item.status === "CANCELED");
-  if (allItemsCanceled) {
-    await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        status: "CANCELED",
-        cancelReason: reason || "All items canceled",
-        canceledAt: new Date()
-      }
-    });
-  }
 
-  return res.status(200).json(
-    new ApiResponse(
-      200,
-      {
-        updatedItems,
-        refund,
-        totalRefundAmount
-      },
-      "Order items canceled successfully"
-    )
-  );
+    throw new ApiError(400, error.message || "Failed to cancel order items");
+  }
 });
 
-// Process a return for a product
+// Request a return for a product
 const returnProduct = asyncHandler(async (req, res) => {
   const { orderItemId } = req.params;
-  const { reason, refundMethod } = req.body;
+  const { reason, refundMethod, quantity } = req.body;
   const userId = req.user.id;
 
   if (!orderItemId) {
@@ -289,25 +202,90 @@ const returnProduct = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Reason is required");
   }
 
-  if (!refundMethod) {
-    throw new ApiError(400, "Refund method is required");
-  }
-
   try {
     const result = await orderService.processReturn(orderItemId, userId, {
       reason,
-      refundMethod
+      refundMethod,
+      quantity
     });
     
+    return res.status(201).json(
+      new ApiResponse(
+        201,
+        result,
+        "Return requested successfully"
+      )
+    );
+  } catch (error) {
+    throw new ApiError(400, error.message || "Failed to request return");
+  }
+});
+
+// Start the gateway payment for an order again
+const createOrderPayment = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  try {
+    const paymentOrder = await orderService.createOrderPaymentIntent(orderId, userId);
+
     return res.status(200).json(
       new ApiResponse(
         200,
-        result,
-        "Return processed successfully"
+        paymentOrder,
+        "Payment started successfully"
       )
     );
   } catch (error) {
-    throw new ApiError(400, error.message || "Failed to process return");
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    if (error.message === 'Order not found') {
+      throw new ApiError(404, error.message);
+    }
+
+    if (error.message === 'You are not authorized to pay for this order') {
+      throw new ApiError(403, error.message);
+    }
+
+    throw new ApiError(400, error.message || "Failed to start payment");
+  }
+});
+
+// Verify the gateway payment for an order
+const verifyOrderPayment = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  if (!orderId) {
+    throw new ApiError(400, "Order ID is required");
+  }
+
+  try {
+    const payment = await orderService.verifyOrderPayment(orderId, userId, req.body);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        payment,
+        "Payment verified successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    if (error.message === 'Order not found') {
+      throw new ApiError(404, error.message);
+    }
+
+    if (error.message === 'You are not authorized to pay for this order') {
+      throw new ApiError(403, error.message);
+    }
+
+    throw new ApiError(400, error.message || "Failed to verify payment");
   }
 });
 
@@ -318,5 +296,7 @@ export {
   updateOrderStatus,
   cancelOrder,
   cancelOrderItems,
-  returnProduct
+  returnProduct,
+  createOrderPayment,
+  verifyOrderPayment
 };
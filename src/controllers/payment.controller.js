@@ -0,0 +1,34 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { handleGatewayWebhook } from "../services/payment.service.js";
+import { HTTP_INTERNAL_SERVER_ERROR, HTTP_OK } from "../httpStatusCode.js";
+
+/**
+ * Receive payment gateway webhook events
+ */
+const gatewayWebhook = asyncHandler(async (req, res) => {
+    try {
+        const result = await handleGatewayWebhook(
+            req.params.gateway,
+            req.rawBody,
+            req.headers
+        );
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Webhook received", result));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        // Non-2xx makes the gateway retry the delivery later
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error processing webhook"
+        );
+    }
+});
+
+export { gatewayWebhook };
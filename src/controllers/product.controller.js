@@ -206,7 +206,7 @@ const getAllProducts = asyncHandler(async (req, res) => {
  */
 const updateProduct = asyncHandler(async (req, res) => {
     const { productId } = req.params;
-    const { files, user } = req;
+    const { files } = req;
     let updateData = req.body;
 
     if (!productId) {
@@ -222,25 +222,6 @@ const updateProduct = asyncHandler(async (req, res) => {
         }
     }
 
-    // Handle image uploads
-    let uploadedImages = [];
-    if (files?.images) {
-        try {
-            uploadedImages = await cloudinaryService.uploadMultipleImages(files.images);
-
-            // Update product data with new image public_ids
-            if (uploadedImages.length > 0) {
-                updateData.images = [
-                    ...(updateData.images || []),
-                    ...uploadedImages.map(img => ({ public_id: img.public_id }))
-                ];
-            }
-        } catch (error) {
-            console.error("Failed to upload images:", error);
-            throw new ApiError(HTTP_INTERNAL_SERVER_ERROR, "Failed to upload product images");
-        }
-    }
-
     // Handle image deletions
     if (updateData.deleteImages) {
         try {
@@ -256,10 +237,12 @@ const updateProduct = asyncHandler(async (req, res) => {
     }
 
     try {
+        // New image files are uploaded to Cloudinary in the background
+        const imageFiles = files?.images ? (Array.isArray(files.images) ? files.images : [files.images]) : [];
         const product = await productService.updateProduct(
             productId,
             updateData,
-            user.id
+            imageFiles
         );
 
         const transformedProduct = transformProductImages(product);
@@ -272,13 +255,6 @@ const updateProduct = asyncHandler(async (req, res) => {
             )
         );
     } catch (error) {
-        // If update fails, delete newly uploaded images
-        if (uploadedImages.length > 0) {
-            await cloudinaryService.deleteMultipleImages(
-                uploadedImages.map(img => img.public_id)
-            );
-        }
-
         if (error.message === "Product not found") {
             throw new ApiError(HTTP_NOT_FOUND, "Product not found");
         }
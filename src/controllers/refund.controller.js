@@ -0,0 +1,91 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { RefundService } from "../services/refund.service.js";
+import {
+    HTTP_BAD_REQUEST,
+    HTTP_NOT_FOUND,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const refundService = new RefundService();
+
+/**
+ * List refunds, pending ones by default (admin)
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+
+    try {
+        const result = await refundService.listRefunds({
+            page: parseInt(page),
+            limit: parseInt(limit),
+            status,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Refunds retrieved successfully", result));
+    } catch (error) {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            error.message || "Error retrieving refunds"
+        );
+    }
+});
+
+/**
+ * Get a refund (admin)
+ */
+const getRefundById = asyncHandler(async (req, res) => {
+    try {
+        const refund = await refundService.getRefund(req.params.refundId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Refund retrieved successfully", refund));
+    } catch (error) {
+        if (error.message === "Refund not found") {
+            throw new ApiError(HTTP_NOT_FOUND, error.message);
+        }
+
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            error.message || "Error retrieving refund"
+        );
+    }
+});
+
+/**
+ * Approve and pay out a pending refund (admin)
+ */
+const approveRefund = asyncHandler(async (req, res) => {
+    const { refundMethod, upiId } = req.body;
+
+    try {
+        const refund = await refundService.approveRefund(req.params.refundId, {
+            refundMethod,
+            upiId,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Refund processed", refund));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        if (error.message === "Refund not found") {
+            throw new ApiError(HTTP_NOT_FOUND, error.message);
+        }
+
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            error.message || "Error processing refund"
+        );
+    }
+});
+
+export { getRefunds, getRefundById, approveRefund };
@@ -0,0 +1,183 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { ReturnService } from "../services/return.service.js";
+import {
+    HTTP_CREATED,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const returnService = new ReturnService();
+
+/**
+ * Request a return for items of a delivered order
+ */
+const requestReturn = asyncHandler(async (req, res) => {
+    const { orderId, items, reason, refundMethod } = req.body;
+
+    try {
+        const result = await returnService.requestReturn(req.user.id, {
+            orderId,
+            items,
+            reason,
+            refundMethod,
+        });
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Return requested successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error requesting return");
+    }
+});
+
+/**
+ * Get the current user's returns
+ */
+const getMyReturns = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+
+    try {
+        const result = await returnService.getUserReturns(req.user.id, {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            status,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Returns retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving returns");
+    }
+});
+
+/**
+ * Get a return
+ */
+const getReturnById = asyncHandler(async (req, res) => {
+    const { returnId } = req.params;
+    const isAdmin = req.user.role === "ADMIN";
+
+    try {
+        const result = await returnService.getReturnDetails(returnId, req.user.id, isAdmin);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Return retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving return");
+    }
+});
+
+/**
+ * List all returns (admin)
+ */
+const getAllReturns = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status, userId } = req.query;
+
+    try {
+        const result = await returnService.listReturns({
+            page: parseInt(page),
+            limit: parseInt(limit),
+            status,
+            userId,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Returns retrieved successfully", result));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving returns");
+    }
+});
+
+/**
+ * Approve a return (admin)
+ */
+const approveReturn = asyncHandler(async (req, res) => {
+    try {
+        const result = await returnService.approveReturn(req.params.returnId, req.body.adminNotes);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Return approved", result));
+    } catch (error) {
+        throw toApiError(error, "Error approving return");
+    }
+});
+
+/**
+ * Reject a return (admin)
+ */
+const rejectReturn = asyncHandler(async (req, res) => {
+    try {
+        const result = await returnService.rejectReturn(req.params.returnId, req.body.reason);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Return rejected", result));
+    } catch (error) {
+        throw toApiError(error, "Error rejecting return");
+    }
+});
+
+/**
+ * Mark a return as picked up (admin)
+ */
+const markReturnPickedUp = asyncHandler(async (req, res) => {
+    try {
+        const result = await returnService.markPickedUp(req.params.returnId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Return marked as picked up", result));
+    } catch (error) {
+        throw toApiError(error, "Error updating return");
+    }
+});
+
+/**
+ * Receive and restock a return (admin)
+ */
+const receiveReturn = asyncHandler(async (req, res) => {
+    try {
+        const result = await returnService.receiveReturn(req.params.returnId, req.body.restockItems);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Return received", result));
+    } catch (error) {
+        throw toApiError(error, "Error receiving return");
+    }
+});
+
+/**
+ * Refund a received return (admin)
+ */
+const refundReturn = asyncHandler(async (req, res) => {
+    const { refundMethod, upiId } = req.body;
+
+    try {
+        const result = await returnService.refundReturn(req.params.returnId, { refundMethod, upiId });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Return refund processed", result));
+    } catch (error) {
+        throw toApiError(error, "Error refunding return");
+    }
+});
+
+export {
+    requestReturn,
+    getMyReturns,
+    getReturnById,
+    getAllReturns,
+    approveReturn,
+    rejectReturn,
+    markReturnPickedUp,
+    receiveReturn,
+    refundReturn,
+};
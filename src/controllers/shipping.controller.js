@@ -0,0 +1,183 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { ShippingService } from "../services/shipping.service.js";
+import { ShippingZoneService } from "../services/shippingZone.service.js";
+import {
+    HTTP_CREATED,
+    HTTP_INTERNAL_SERVER_ERROR,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize services
+const shippingService = new ShippingService();
+const shippingZoneService = new ShippingZoneService();
+
+/**
+ * Receive carrier tracking webhook events
+ */
+const carrierWebhook = asyncHandler(async (req, res) => {
+    try {
+        const result = await shippingService.handleTrackingWebhook(
+            req.params.carrier,
+            req.rawBody,
+            req.headers
+        );
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Webhook received", result));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        // Non-2xx makes the carrier retry the delivery later
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error processing webhook"
+        );
+    }
+});
+
+/**
+ * List shipping zones (admin)
+ */
+const getZones = asyncHandler(async (req, res) => {
+    try {
+        const zones = await shippingZoneService.listZones();
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping zones retrieved successfully", zones));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving shipping zones");
+    }
+});
+
+/**
+ * Get a shipping zone (admin)
+ */
+const getZoneById = asyncHandler(async (req, res) => {
+    try {
+        const zone = await shippingZoneService.getZone(req.params.zoneId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping zone retrieved successfully", zone));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving shipping zone");
+    }
+});
+
+/**
+ * Create a shipping zone (admin)
+ */
+const createZone = asyncHandler(async (req, res) => {
+    const { name, isActive, priority, regions } = req.body;
+
+    try {
+        const zone = await shippingZoneService.createZone({ name, isActive, priority, regions });
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Shipping zone created successfully", zone));
+    } catch (error) {
+        throw toApiError(error, "Error creating shipping zone");
+    }
+});
+
+/**
+ * Update a shipping zone (admin)
+ */
+const updateZone = asyncHandler(async (req, res) => {
+    const { name, isActive, priority, regions } = req.body;
+
+    try {
+        const zone = await shippingZoneService.updateZone(req.params.zoneId, {
+            name,
+            isActive,
+            priority,
+            regions,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping zone updated successfully", zone));
+    } catch (error) {
+        throw toApiError(error, "Error updating shipping zone");
+    }
+});
+
+/**
+ * Delete a shipping zone (admin)
+ */
+const deleteZone = asyncHandler(async (req, res) => {
+    try {
+        await shippingZoneService.deleteZone(req.params.zoneId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping zone deleted successfully"));
+    } catch (error) {
+        throw toApiError(error, "Error deleting shipping zone");
+    }
+});
+
+/**
+ * Add a rate to a shipping zone (admin)
+ */
+const createZoneRate = asyncHandler(async (req, res) => {
+    try {
+        const rate = await shippingZoneService.createRate(req.params.zoneId, req.body);
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Shipping rate created successfully", rate));
+    } catch (error) {
+        throw toApiError(error, "Error creating shipping rate");
+    }
+});
+
+/**
+ * Update a shipping rate (admin)
+ */
+const updateZoneRate = asyncHandler(async (req, res) => {
+    try {
+        const rate = await shippingZoneService.updateRate(req.params.rateId, req.body);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping rate updated successfully", rate));
+    } catch (error) {
+        throw toApiError(error, "Error updating shipping rate");
+    }
+});
+
+/**
+ * Delete a shipping rate (admin)
+ */
+const deleteZoneRate = asyncHandler(async (req, res) => {
+    try {
+        await shippingZoneService.deleteRate(req.params.rateId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Shipping rate deleted successfully"));
+    } catch (error) {
+        throw toApiError(error, "Error deleting shipping rate");
+    }
+});
+
+export {
+    carrierWebhook,
+    getZones,
+    getZoneById,
+    createZone,
+    updateZone,
+    deleteZone,
+    createZoneRate,
+    updateZoneRate,
+    deleteZoneRate,
+};
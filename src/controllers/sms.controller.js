@@ -0,0 +1,39 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { SmsService } from "../services/sms.service.js";
+import { HTTP_INTERNAL_SERVER_ERROR, HTTP_OK } from "../httpStatusCode.js";
+
+// Initialize service
+const smsService = new SmsService();
+
+/**
+ * Receive SMS provider delivery reports
+ */
+const smsDeliveryWebhook = asyncHandler(async (req, res) => {
+    try {
+        const result = await smsService.handleDeliveryReport(req.params.provider, {
+            rawBody: req.rawBody,
+            body: req.body,
+            headers: req.headers,
+            query: req.query,
+            url: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Delivery report received", result));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        // Non-2xx makes the provider retry the report later
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error processing delivery report"
+        );
+    }
+});
+
+export { smsDeliveryWebhook };
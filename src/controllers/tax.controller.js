@@ -0,0 +1,89 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import toApiError from "../utils/toApiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { TaxService } from "../services/tax.service.js";
+import {
+    HTTP_CREATED,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const taxService = new TaxService();
+
+/**
+ * List GST rates (admin)
+ */
+const getTaxRates = asyncHandler(async (req, res) => {
+    try {
+        const rates = await taxService.listRates({
+            includeInactive: req.query.includeInactive === "true",
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Tax rates retrieved successfully", rates));
+    } catch (error) {
+        throw toApiError(error, "Error retrieving tax rates");
+    }
+});
+
+/**
+ * Create a GST rate for an HSN code (admin)
+ */
+const createTaxRate = asyncHandler(async (req, res) => {
+    const { hsnCode, rate, description, isActive } = req.body;
+
+    try {
+        const taxRate = await taxService.createRate({ hsnCode, rate, description, isActive });
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Tax rate created successfully", taxRate));
+    } catch (error) {
+        throw toApiError(error, "Error creating tax rate");
+    }
+});
+
+/**
+ * Update a GST rate (admin)
+ */
+const updateTaxRate = asyncHandler(async (req, res) => {
+    const { hsnCode, rate, description, isActive } = req.body;
+
+    try {
+        const taxRate = await taxService.updateRate(req.params.rateId, {
+            hsnCode,
+            rate,
+            description,
+            isActive,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Tax rate updated successfully", taxRate));
+    } catch (error) {
+        throw toApiError(error, "Error updating tax rate");
+    }
+});
+
+/**
+ * Delete a GST rate (admin)
+ */
+const deleteTaxRate = asyncHandler(async (req, res) => {
+    try {
+        await taxService.deleteRate(req.params.rateId);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Tax rate deleted successfully"));
+    } catch (error) {
+        throw toApiError(error, "Error deleting tax rate");
+    }
+});
+
+export {
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+};
@@ -165,46 +165,6 @@ const resendVerificationEmail = asyncHandler(async (req, res) => {
     }
 });
 
-const loginUser = asyncHandler(async (req, res) => {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-        throw new ApiError(
-            HTTP_BAD_REQUEST,
-            "Please provide all required fields"
-        );
-    }
-    try {
-        const user = await User.findOne({ email });
-
-        if (!user) {
-            throw new ApiError(HTTP_NOT_FOUND, "User does not exist");
-        }
-
-        const isPasswordCorrect = await user.isPasswordCorrect(password);
-
-        if (!isPasswordCorrect) {
-            throw new ApiError(HTTP_UNAUTHORIZED, "Invalid credentials");
-        }
-
-        const cleanUser = cleanUserObject(user);
-
-        const cacheKey = `user:${user._id}`;
-        await redisClient.set(cacheKey, JSON.stringify(cleanUser));
-
-        return res
-            .status(HTTP_OK)
-            .cookie("authToken", user.authToken, options)
-            .json(
-                new ApiResponse(HTTP_OK, "User logged in successfully", {
-                    cleanUser,
-                })
-            );
-    } catch (error) {
-        throw new ApiError(HTTP_INTERNAL_SERVER_ERROR, error.message);
-    }
-});
-
 const logoutUser = asyncHandler(async (req, res) => {
     try {
         return res
@@ -235,12 +195,12 @@ const resendVerificationCode = asyncHandler(async (req, res) => {
         }
 
         // Generate and send OTP
-        const { otp } = await otpService.generateOTP(user.phoneNumber);
-        await otpService.sendOtpSms(user.phoneNumber, otp);
+        const { otp, expiresAt } = await otpService.generateOTP(user.phoneNumber);
+        const delivery = await otpService.sendOtpSms(user.phoneNumber, otp);
 
         return res
             .status(HTTP_OK)
-            .json(new ApiResponse(HTTP_OK, "Verification code sent successfully", null));
+            .json(new ApiResponse(HTTP_OK, "Verification code sent successfully", { expiresAt, delivery }));
     } catch (error) {
         throw new ApiError(
             HTTP_INTERNAL_SERVER_ERROR,
@@ -532,7 +492,6 @@ const activateUserAccount = asyncHandler(async (req, res) => {
 
 export {
     registerUser,
-    loginUser,
     logoutUser,
     changeCurrentPassword,
     forgotPassword,
@@ -0,0 +1,144 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/apiError.js";
+import ApiResponse from "../utils/apiResponse.js";
+import { WalletService } from "../services/wallet.service.js";
+import {
+    HTTP_BAD_REQUEST,
+    HTTP_CREATED,
+    HTTP_INTERNAL_SERVER_ERROR,
+    HTTP_NOT_FOUND,
+    HTTP_OK,
+} from "../httpStatusCode.js";
+
+// Initialize service
+const walletService = new WalletService();
+
+/**
+ * Get the current user's store credit balance
+ */
+const getWallet = asyncHandler(async (req, res) => {
+    try {
+        const wallet = await walletService.getWallet(req.user.id);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Wallet retrieved successfully", wallet));
+    } catch (error) {
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error retrieving wallet"
+        );
+    }
+});
+
+/**
+ * Get the current user's store credit history
+ */
+const getWalletTransactions = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, type } = req.query;
+
+    try {
+        const result = await walletService.getTransactions(req.user.id, {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            type,
+        });
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Wallet transactions retrieved successfully", result));
+    } catch (error) {
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error retrieving wallet transactions"
+        );
+    }
+});
+
+/**
+ * Get a user's wallet and history (admin)
+ */
+const getUserWallet = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { page = 1, limit = 20, type } = req.query;
+
+    try {
+        const [wallet, history] = await Promise.all([
+            walletService.getWallet(userId),
+            walletService.getTransactions(userId, {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                type,
+            }),
+        ]);
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Wallet retrieved successfully", { ...wallet, ...history }));
+    } catch (error) {
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error retrieving wallet"
+        );
+    }
+});
+
+/**
+ * Manually add or remove store credit (admin)
+ */
+const adjustWalletBalance = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { amount, description, expiresAt } = req.body;
+
+    if (amount === undefined || isNaN(parseFloat(amount))) {
+        throw new ApiError(HTTP_BAD_REQUEST, "Amount is required");
+    }
+
+    try {
+        const transaction = await walletService.adjustBalance(
+            userId,
+            parseFloat(amount),
+            { description, expiresAt },
+            req.user.id
+        );
+
+        return res
+            .status(HTTP_CREATED)
+            .json(new ApiResponse(HTTP_CREATED, "Wallet balance adjusted successfully", transaction));
+    } catch (error) {
+        if (error.message === 'User not found') {
+            throw new ApiError(HTTP_NOT_FOUND, error.message);
+        }
+
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            error.message || "Error adjusting wallet balance"
+        );
+    }
+});
+
+/**
+ * Expire store credit past its expiry date (admin)
+ */
+const expireWalletCredits = asyncHandler(async (req, res) => {
+    try {
+        const expiredCount = await walletService.expireCredits();
+
+        return res
+            .status(HTTP_OK)
+            .json(new ApiResponse(HTTP_OK, "Expired store credit processed", { expiredCount }));
+    } catch (error) {
+        throw new ApiError(
+            HTTP_INTERNAL_SERVER_ERROR,
+            error.message || "Error expiring store credit"
+        );
+    }
+});
+
+export {
+    getWallet,
+    getWalletTransactions,
+    getUserWallet,
+    adjustWalletBalance,
+    expireWalletCredits,
+};
@@ -1,17 +1,19 @@
-import dotenv from "dotenv";
+import "./config/env.js";
 import connect, { disconnect, prisma } from "./database/connect.js";
 import { app } from "./app.js";
 import redisManager from "./utils/redisClient.js";
 import { performance } from "perf_hooks";
-
-// Load environment variables
-dotenv.config({
-    path: process.env.NODE_ENV === "test" ? ".env.test" : ".env",
-});
+import { JobQueueService, JOB_TYPES } from "./services/jobQueue.service.js";
+import { CACHE_WARMERS } from "./jobs/index.js";
+import { scheduler } from "./jobs/schedule.js";
+import { getActiveSmsProvider } from "./services/sms/index.js";
 
 // Server instance
 let server;
 
+// Background job workers (emails, image uploads, cache warm-ups)
+const jobQueue = new JobQueueService();
+
 // Display system information
 const displaySystemInfo = async () => {
     console.log("\n=== CLADILY SERVER INFORMATION ===");
@@ -93,6 +95,9 @@ const displaySystemInfo = async () => {
 const startServer = async () => {
     try {
         const startTime = performance.now();
+
+        // Fail fast on a missing or unknown SMS_PROVIDER rather than on the first OTP
+        getActiveSmsProvider();
         
         // Connect to database
         await connect();
@@ -117,6 +122,12 @@ const startServer = async () => {
             }, 1000);
         });
 
+        // Run recurring maintenance tasks (stock holds, notifications, expiries)
+        scheduler.start();
+
+        // Run queued background jobs
+        await startJobWorkers();
+
         // Handle graceful shutdown
         setupGracefulShutdown();
     } catch (error) {
@@ -125,6 +136,27 @@ const startServer = async () => {
     }
 };
 
+// Start the job workers; JOB_WORKER_CONCURRENCY=0 leaves jobs to other instances
+const startJobWorkers = async () => {
+    const concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY ?? "2", 10);
+
+    if (!(concurrency > 0)) {
+        return;
+    }
+
+    jobQueue.start(concurrency);
+    console.log(`✅ ${concurrency} job worker(s) started`);
+
+    // Fill the caches a fresh deployment starts without
+    for (const target of Object.keys(CACHE_WARMERS)) {
+        try {
+            await jobQueue.enqueue(JOB_TYPES.WARM_CACHE, { target });
+        } catch (error) {
+            console.error(`❌ Failed to queue ${target} cache warm-up: ${error.message}`);
+        }
+    }
+};
+
 // Graceful shutdown handlers
 const setupGracefulShutdown = () => {
     // Handle SIGTERM signal (e.g., from Kubernetes)
@@ -155,6 +187,10 @@ const setupGracefulShutdown = () => {
 // Graceful shutdown function
 const gracefulShutdown = async (exitCode = 0) => {
     try {
+        // Let running tasks and jobs finish before their connections close
+        await scheduler.stop();
+        await jobQueue.stop();
+
         // Close server first to stop accepting new connections
         if (server) {
             await new Promise((resolve) => {
@@ -0,0 +1,39 @@
+import { JOB_TYPES, registerJobHandler } from "../services/jobQueue.service.js";
+import { EmailService } from "../services/email.service.js";
+import { ProductService } from "../services/product.service.js";
+import { CategoryService } from "../services/category.service.js";
+
+/**
+ * Background job handlers.
+ * Imported by the process that runs the job workers; code that only queues
+ * jobs needs nothing from here.
+ */
+const emailService = new EmailService();
+const productService = new ProductService();
+const categoryService = new CategoryService();
+
+// Caches the warm-up job knows how to rebuild, by target
+const CACHE_WARMERS = {
+    categories: () => categoryService.warmCategoryCache(),
+};
+
+registerJobHandler(JOB_TYPES.SEND_EMAIL, async (payload) => {
+    await emailService.sendEmail(payload);
+    return { to: payload.to };
+});
+
+registerJobHandler(JOB_TYPES.PROCESS_PRODUCT_IMAGES, (payload) =>
+    productService.processProductImages(payload)
+);
+
+registerJobHandler(JOB_TYPES.WARM_CACHE, async ({ target }) => {
+    const warm = CACHE_WARMERS[target];
+
+    if (!warm) {
+        throw new Error(`Unknown cache warm-up target: ${target}`);
+    }
+
+    return { target, entries: await warm() };
+});
+
+export { CACHE_WARMERS };
@@ -0,0 +1,70 @@
+import { SchedulerService } from "../services/scheduler.service.js";
+import { InventoryService } from "../services/inventory.service.js";
+import { NotificationService } from "../services/notification.service.js";
+import { CouponService } from "../services/coupon.service.js";
+import { WalletService } from "../services/wallet.service.js";
+import { AuthService } from "../services/auth.service.js";
+import { CartService } from "../services/cart.service.js";
+import { CartRecoveryService } from "../services/cartRecovery.service.js";
+import { ProductService } from "../services/product.service.js";
+
+/**
+ * Recurring maintenance tasks.
+ * Schedules are cron expressions in the server's local time; a sixth,
+ * leading field gives seconds.
+ */
+const scheduler = new SchedulerService();
+
+const inventoryService = new InventoryService();
+const notificationService = new NotificationService();
+const couponService = new CouponService();
+const walletService = new WalletService();
+const authService = new AuthService();
+const cartService = new CartService();
+const cartRecoveryService = new CartRecoveryService();
+const productService = new ProductService();
+
+// Give back stock held by carts whose hold window has passed
+scheduler.schedule("release-stock-holds", "* * * * *", async () => ({
+    released: await inventoryService.releaseExpiredHolds(),
+}));
+
+// Send queued order notifications
+scheduler.schedule("dispatch-notifications", "*/15 * * * * *", () =>
+    notificationService.dispatchPending()
+);
+
+// Start scheduled coupons and expire ended ones
+scheduler.schedule("sync-coupon-statuses", "* * * * *", () =>
+    couponService.syncCouponStatuses()
+);
+
+// Post EXPIRY entries for store credit past its expiry date
+scheduler.schedule("expire-store-credit", "*/10 * * * *", async () => ({
+    expired: await walletService.expireCredits(),
+}));
+
+// Delete login sessions past their expiry
+scheduler.schedule("delete-expired-sessions", "0 * * * *", async () => ({
+    deleted: await authService.deleteExpiredSessions(),
+}));
+
+// Delete guest carts idle for longer than GUEST_CART_RETENTION_DAYS
+scheduler.schedule(
+    "purge-guest-carts",
+    "30 3 * * *",
+    async () => ({ purged: await cartService.purgeAbandonedGuestCarts() }),
+    { lockTtlMs: 60 * 60 * 1000 }
+);
+
+// Find abandoned carts and send their reminder emails
+scheduler.schedule("recover-abandoned-carts", "*/15 * * * *", () =>
+    cartRecoveryService.processAbandonedCarts()
+);
+
+// Queue product image uploads whose job couldn't be queued when they were saved
+scheduler.schedule("queue-product-images", "*/5 * * * *", () =>
+    productService.queuePendingProductImages()
+);
+
+export { scheduler };
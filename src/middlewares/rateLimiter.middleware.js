@@ -74,7 +74,7 @@ export const rateLimiter = (options) => {
             
             // Apply rate limiting based on algorithm
             switch (algorithm) {
-                case RATE_LIMIT_ALGORITHM.FIXED_WINDOW:
+                case RATE_LIMIT_ALGORITHM.FIXED_WINDOW: {
                     // Simple key with expiration - using Redis client methods correctly
                     const countStr = await client.get(key) || '0';
                     const count = parseInt(countStr, 10) + 1;
@@ -84,8 +84,9 @@ export const rateLimiter = (options) => {
                     }
                     currentCount = count;
                     break;
+                }
                     
-                case RATE_LIMIT_ALGORITHM.SLIDING_WINDOW:
+                case RATE_LIMIT_ALGORITHM.SLIDING_WINDOW: {
                     // Simplified sliding window using sorted sets
                     // Add current timestamp to a list with the request time
                     const nowStr = now.toString();
@@ -108,8 +109,9 @@ export const rateLimiter = (options) => {
                     
                     currentCount = validKeys.length;
                     break;
+                }
                     
-                case RATE_LIMIT_ALGORITHM.TOKEN_BUCKET:
+                case RATE_LIMIT_ALGORITHM.TOKEN_BUCKET: {
                     // Implementation of token bucket algorithm using standard Redis operations
                     const lastRefillStr = await client.get(`${key}:lastRefill`) || now.toString();
                     const tokensStr = await client.get(`${key}:tokens`) || max.toString();
@@ -137,8 +139,9 @@ export const rateLimiter = (options) => {
                         currentCount = max + 1; // Exceeds limit
                     }
                     break;
+                }
                     
-                default:
+                default: {
                     // Default to fixed window with simple implementation
                     const defaultCountStr = await client.get(key) || '0';
                     const defaultCount = parseInt(defaultCountStr, 10) + 1;
@@ -148,6 +151,7 @@ export const rateLimiter = (options) => {
                     }
                     currentCount = defaultCount;
                     break;
+                }
             }
             
             // Set rate limit headers
@@ -3,6 +3,7 @@ import {
   register,
   loginWithPassword,
   requestOtp,
+  getOtpStatus,
   verifyOtp,
   logout,
   refreshAccessToken,
@@ -37,6 +38,13 @@ router.post('/login', rateLimiter(AUTH_LIMITS.LOGIN), loginWithPassword);
  */
 router.post('/request-otp', rateLimiter(AUTH_LIMITS.OTP), requestOtp);
 
+/**
+ * @route POST /api/auth/otp-status
+ * @desc Get the delivery status of an OTP, by the request ID request-otp returned
+ * @access Public
+ */
+router.post('/otp-status', rateLimiter(AUTH_LIMITS.OTP), getOtpStatus);
+
 /**
  * @route POST /api/auth/verify-otp
  * @desc Verify OTP and login
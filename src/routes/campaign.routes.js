@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+    createCampaign,
+    generateCampaignCodes,
+    getCampaigns,
+    getCampaign,
+    exportCampaignCodes,
+} from '../controllers/campaign.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// Coupon campaigns are managed by admins
+router.use(authenticate, isAdmin);
+
+router.get('/', rateLimiter(ADMIN_API_LIMITS.STANDARD), getCampaigns);
+router.post('/', rateLimiter(ADMIN_API_LIMITS.WRITE), createCampaign);
+router.get('/:id', rateLimiter(ADMIN_API_LIMITS.STANDARD), getCampaign);
+router.post('/:id/codes', rateLimiter(ADMIN_API_LIMITS.WRITE), generateCampaignCodes);
+router.get('/:id/codes/export', rateLimiter(ADMIN_API_LIMITS.STANDARD), exportCampaignCodes);
+
+export default router;
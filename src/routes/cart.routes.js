@@ -7,7 +7,9 @@ import {
     clearCart,
     applyCoupon,
     removeCoupon,
-    mergeGuestCart
+    mergeGuestCart,
+    getShippingRates,
+    selectShippingRate
 } from '../controllers/cart.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { createGuestId } from '../middlewares/guest.middleware.js';
@@ -31,5 +33,7 @@ router.delete('/coupon/remove', rateLimiter(PUBLIC_API_LIMITS.WRITE), removeCoup
 // Routes that require authentication
 router.use(authenticate);
 router.post('/merge', rateLimiter(AUTHENTICATED_API_LIMITS.WRITE), mergeGuestCart);
+router.get('/shipping/rates', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getShippingRates);
+router.put('/shipping', rateLimiter(AUTHENTICATED_API_LIMITS.WRITE), selectShippingRate);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    getRecoveries,
+    getRecoveryReport,
+} from '../controllers/cartRecovery.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// Abandoned-cart campaign results are for admins
+router.use(authenticate, isAdmin);
+
+router.get('/', rateLimiter(ADMIN_API_LIMITS.STANDARD), getRecoveries);
+router.get('/report', rateLimiter(ADMIN_API_LIMITS.STANDARD), getRecoveryReport);
+
+export default router;
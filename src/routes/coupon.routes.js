@@ -6,6 +6,10 @@ import {
     updateCoupon,
     deleteCoupon,
     applyCoupon,
+    addCouponProducts,
+    removeCouponProduct,
+    addCouponCategories,
+    removeCouponCategory,
 } from '../controllers/coupon.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { isAdmin } from '../middlewares/role.middleware.js';
@@ -30,4 +34,10 @@ router.post('/', rateLimiter(ADMIN_API_LIMITS.WRITE), createCoupon);
 router.put('/:id', rateLimiter(ADMIN_API_LIMITS.WRITE), updateCoupon);
 router.delete('/:id', rateLimiter(ADMIN_API_LIMITS.WRITE), deleteCoupon);
 
+// Products and categories a scoped coupon applies to
+router.post('/:id/products', rateLimiter(ADMIN_API_LIMITS.WRITE), addCouponProducts);
+router.delete('/:id/products/:productId', rateLimiter(ADMIN_API_LIMITS.WRITE), removeCouponProduct);
+router.post('/:id/categories', rateLimiter(ADMIN_API_LIMITS.WRITE), addCouponCategories);
+router.delete('/:id/categories/:categoryId', rateLimiter(ADMIN_API_LIMITS.WRITE), removeCouponCategory);
+
 export default router;
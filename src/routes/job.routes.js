@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+    getJobs,
+    getJobStats,
+    getJob,
+    retryJob,
+    retryDeadJobs,
+} from '../controllers/job.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// The job queue is for operators
+router.use(authenticate, isAdmin);
+
+router.get('/', rateLimiter(ADMIN_API_LIMITS.STANDARD), getJobs);
+router.get('/stats', rateLimiter(ADMIN_API_LIMITS.STANDARD), getJobStats);
+router.post('/dead/retry', rateLimiter(ADMIN_API_LIMITS.WRITE), retryDeadJobs);
+router.get('/:jobId', rateLimiter(ADMIN_API_LIMITS.STANDARD), getJob);
+router.post('/:jobId/retry', rateLimiter(ADMIN_API_LIMITS.WRITE), retryJob);
+
+export default router;
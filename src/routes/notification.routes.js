@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    getNotifications,
+    retryNotification,
+} from '../controllers/notification.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// The notification log is for support staff
+router.use(authenticate, isAdmin);
+
+router.get('/', rateLimiter(ADMIN_API_LIMITS.STANDARD), getNotifications);
+router.post('/:notificationId/retry', rateLimiter(ADMIN_API_LIMITS.WRITE), retryNotification);
+
+export default router;
@@ -6,11 +6,22 @@ import {
     updateOrderStatus,
     cancelOrder,
     cancelOrderItems,
-    returnProduct
+    returnProduct,
+    createOrderPayment,
+    verifyOrderPayment
 } from "../controllers/order.controller.js";
+import {
+    getOrderTracking,
+    createFulfillment,
+    getOrderFulfillments,
+    updateFulfillmentTracking,
+    purchaseFulfillmentLabel
+} from "../controllers/fulfillment.controller.js";
+import { getOrderInvoice, getOrderCreditNote } from "../controllers/invoice.controller.js";
 import { authenticate } from "../middlewares/auth.middleware.js";
+import { isAdmin } from "../middlewares/role.middleware.js";
 import { rateLimiter } from "../middlewares/rateLimiter.middleware.js";
-import { AUTHENTICATED_API_LIMITS } from "../utils/rateLimitWindows.js";
+import { AUTHENTICATED_API_LIMITS, ADMIN_API_LIMITS } from "../utils/rateLimitWindows.js";
 
 const router = express.Router();
 
@@ -26,7 +37,13 @@ router.get('/:orderId', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getOrder
 // Create a new order - write operation
 router.post('/create', rateLimiter(AUTHENTICATED_API_LIMITS.WRITE), createOrder);
 
-// Update order status (admin only) - write operation
+// Start the gateway payment for an order again - sensitive operation
+router.post('/:orderId/payment', rateLimiter(AUTHENTICATED_API_LIMITS.SENSITIVE), createOrderPayment);
+
+// Verify Razorpay payment for an order - sensitive operation
+router.post('/:orderId/payment/verify', rateLimiter(AUTHENTICATED_API_LIMITS.SENSITIVE), verifyOrderPayment);
+
+// Update order status (customers may only cancel) - write operation
 router.patch('/:orderId/status', rateLimiter(AUTHENTICATED_API_LIMITS.WRITE), updateOrderStatus);
 
 // Cancel an order - sensitive operation
@@ -35,6 +52,27 @@ router.post('/:orderId/cancel', rateLimiter(AUTHENTICATED_API_LIMITS.SENSITIVE),
 // Cancel specific items in an order - sensitive operation
 router.post('/:orderId/cancel-items', rateLimiter(AUTHENTICATED_API_LIMITS.SENSITIVE), cancelOrderItems);
 
+// Track shipments of an order - read operation
+router.get('/:orderId/tracking', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getOrderTracking);
+
+// Download the GST tax invoice of an order - read operation
+router.get('/:orderId/invoice', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getOrderInvoice);
+
+// Download a credit note issued for a refund on an order - read operation
+router.get('/:orderId/credit-notes/:creditNoteId', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getOrderCreditNote);
+
+// Ship some or all items of an order (admin only) - write operation
+router.post('/:orderId/fulfillments', isAdmin, rateLimiter(ADMIN_API_LIMITS.WRITE), createFulfillment);
+
+// List shipments of an order (admin only) - read operation
+router.get('/:orderId/fulfillments', isAdmin, rateLimiter(ADMIN_API_LIMITS.STANDARD), getOrderFulfillments);
+
+// Update carrier and tracking details of a shipment (admin only) - write operation
+router.patch('/:orderId/fulfillments/:fulfillmentId', isAdmin, rateLimiter(ADMIN_API_LIMITS.WRITE), updateFulfillmentTracking);
+
+// Buy a carrier label for a shipment (admin only) - write operation
+router.post('/:orderId/fulfillments/:fulfillmentId/label', isAdmin, rateLimiter(ADMIN_API_LIMITS.WRITE), purchaseFulfillmentLabel);
+
 // Return a product - sensitive operation
 router.post('/items/:orderItemId/return', rateLimiter(AUTHENTICATED_API_LIMITS.SENSITIVE), returnProduct);
 
@@ -0,0 +1,9 @@
+import express from 'express';
+import { gatewayWebhook } from '../controllers/payment.controller.js';
+
+const router = express.Router();
+
+// Gateway webhooks are authenticated by signature, not by user session
+router.post('/webhooks/:gateway', gatewayWebhook);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    getRefunds,
+    getRefundById,
+    approveRefund,
+} from '../controllers/refund.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// Refund processing is admin only
+router.use(authenticate, isAdmin);
+
+router.get('/', rateLimiter(ADMIN_API_LIMITS.STANDARD), getRefunds);
+router.get('/:refundId', rateLimiter(ADMIN_API_LIMITS.STANDARD), getRefundById);
+router.post('/:refundId/approve', rateLimiter(ADMIN_API_LIMITS.WRITE), approveRefund);
+
+export default router;
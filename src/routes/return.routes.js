@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+    requestReturn,
+    getMyReturns,
+    getReturnById,
+    getAllReturns,
+    approveReturn,
+    rejectReturn,
+    markReturnPickedUp,
+    receiveReturn,
+    refundReturn,
+} from '../controllers/return.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { AUTHENTICATED_API_LIMITS, ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// All return routes require authentication
+router.use(authenticate);
+
+// Customer routes
+router.post('/', rateLimiter(AUTHENTICATED_API_LIMITS.SENSITIVE), requestReturn);
+router.get('/', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getMyReturns);
+router.get('/:returnId', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getReturnById);
+
+// Admin routes (requires admin role)
+router.use(isAdmin);
+router.get('/admin/all', rateLimiter(ADMIN_API_LIMITS.STANDARD), getAllReturns);
+router.patch('/admin/:returnId/approve', rateLimiter(ADMIN_API_LIMITS.WRITE), approveReturn);
+router.patch('/admin/:returnId/reject', rateLimiter(ADMIN_API_LIMITS.WRITE), rejectReturn);
+router.patch('/admin/:returnId/pickup', rateLimiter(ADMIN_API_LIMITS.WRITE), markReturnPickedUp);
+router.patch('/admin/:returnId/receive', rateLimiter(ADMIN_API_LIMITS.WRITE), receiveReturn);
+router.post('/admin/:returnId/refund', rateLimiter(ADMIN_API_LIMITS.WRITE), refundReturn);
+
+export default router;
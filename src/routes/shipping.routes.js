@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+    carrierWebhook,
+    getZones,
+    getZoneById,
+    createZone,
+    updateZone,
+    deleteZone,
+    createZoneRate,
+    updateZoneRate,
+    deleteZoneRate,
+} from '../controllers/shipping.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// Carrier webhooks are authenticated by signature, not by user session
+router.post('/webhooks/:carrier', carrierWebhook);
+
+// Shipping zones and rate tables (admin only)
+router.use(authenticate, isAdmin);
+router.get('/zones', rateLimiter(ADMIN_API_LIMITS.STANDARD), getZones);
+router.post('/zones', rateLimiter(ADMIN_API_LIMITS.WRITE), createZone);
+router.get('/zones/:zoneId', rateLimiter(ADMIN_API_LIMITS.STANDARD), getZoneById);
+router.put('/zones/:zoneId', rateLimiter(ADMIN_API_LIMITS.WRITE), updateZone);
+router.delete('/zones/:zoneId', rateLimiter(ADMIN_API_LIMITS.WRITE), deleteZone);
+router.post('/zones/:zoneId/rates', rateLimiter(ADMIN_API_LIMITS.WRITE), createZoneRate);
+router.put('/rates/:rateId', rateLimiter(ADMIN_API_LIMITS.WRITE), updateZoneRate);
+router.delete('/rates/:rateId', rateLimiter(ADMIN_API_LIMITS.WRITE), deleteZoneRate);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { smsDeliveryWebhook } from '../controllers/sms.controller.js';
+
+const router = express.Router();
+
+// Delivery reports are authenticated by each provider's signature or token
+router.post('/webhooks/:provider', smsDeliveryWebhook);
+
+export default router;
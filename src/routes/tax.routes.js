@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+} from '../controllers/tax.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// The GST rate table is admin only
+router.use(authenticate, isAdmin);
+
+router.get('/', rateLimiter(ADMIN_API_LIMITS.STANDARD), getTaxRates);
+router.post('/', rateLimiter(ADMIN_API_LIMITS.WRITE), createTaxRate);
+router.put('/:rateId', rateLimiter(ADMIN_API_LIMITS.WRITE), updateTaxRate);
+router.delete('/:rateId', rateLimiter(ADMIN_API_LIMITS.WRITE), deleteTaxRate);
+
+export default router;
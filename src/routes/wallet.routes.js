@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getWallet,
+    getWalletTransactions,
+    getUserWallet,
+    adjustWalletBalance,
+    expireWalletCredits,
+} from '../controllers/wallet.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/role.middleware.js';
+import { rateLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { AUTHENTICATED_API_LIMITS, ADMIN_API_LIMITS } from '../utils/rateLimitWindows.js';
+
+const router = express.Router();
+
+// All wallet routes require authentication
+router.use(authenticate);
+
+router.get('/', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getWallet);
+router.get('/transactions', rateLimiter(AUTHENTICATED_API_LIMITS.STANDARD), getWalletTransactions);
+
+// Admin routes (requires admin role)
+router.use(isAdmin);
+router.get('/admin/users/:userId', rateLimiter(ADMIN_API_LIMITS.STANDARD), getUserWallet);
+router.post('/admin/users/:userId/adjustments', rateLimiter(ADMIN_API_LIMITS.WRITE), adjustWalletBalance);
+router.post('/admin/expire', rateLimiter(ADMIN_API_LIMITS.WRITE), expireWalletCredits);
+
+export default router;
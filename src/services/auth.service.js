@@ -168,6 +168,19 @@ export class AuthService {
     return true;
   }
 
+  /**
+   * Delete sessions past their expiry
+   * @returns {number} - Number of sessions deleted
+   */
+  async deleteExpiredSessions() {
+    const { count } = await prisma.session.deleteMany({
+      where: {
+        expiresAt: { lt: new Date() },
+      },
+    });
+    return count;
+  }
+
   /**
    * Refresh access token using refresh token
    * @param {string} refreshToken - Refresh token
@@ -0,0 +1,398 @@
+import crypto from 'crypto';
+import { prisma } from '../database/connect.js';
+import { DEFAULT_CODE_ALPHABET, generateCouponCode } from '../utils/couponCode.js';
+import { roundAmount } from '../utils/money.js';
+
+// Orders that don't count towards a campaign's results
+const EXCLUDED_ORDER_STATUSES = ['CANCELED', 'RETURNED', 'REFUNDED'];
+
+// Quote a value for a CSV cell when it needs it
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Campaign Service
+ * Campaigns hand out single-use coupon codes in bulk, e.g. one per influencer
+ * follower or email recipient. Every code is a copy of the campaign's template
+ * coupon (discount, scope, dates) under a random code, and the campaign's
+ * results come from the orders its codes were redeemed on.
+ */
+export class CampaignService {
+  constructor() {
+    this.MAX_CODES_PER_REQUEST = 10000;
+    this.BATCH_SIZE = 500;
+    this.DEFAULT_CODE_LENGTH = 8;
+    this.MIN_CODE_LENGTH = 4;
+    this.MAX_CODE_LENGTH = 32;
+    // Possible codes per code generated, so random draws rarely collide
+    this.CODE_SPACE_FACTOR = 100;
+  }
+
+  /**
+   * Create a campaign and generate its first codes (admin)
+   * Keep the template coupon inactive if its own code shouldn't be usable;
+   * generated codes are active from the template's start date either way.
+   * @param {Object} data - { name, description, templateCouponId, prefix, length, alphabet, count }
+   * @param {String} userId - Admin creating the campaign
+   * @returns {Object} - Campaign with { generated } codes
+   */
+  async createCampaign(data, userId) {
+    const { name, description, templateCouponId, count } = data;
+
+    if (!name || !templateCouponId) {
+      throw new Error('Campaign name and template coupon are required');
+    }
+
+    const template = await this.getTemplate(templateCouponId);
+    const codeFormat = this.getCodeFormat(data);
+    this.checkCount(codeFormat, count, 0);
+
+    const campaign = await prisma.campaign.create({
+      data: {
+        name,
+        description,
+        templateCouponId: template.id,
+        codePrefix: codeFormat.prefix,
+        codeLength: codeFormat.length,
+        codeAlphabet: codeFormat.alphabet,
+        createdById: userId
+      }
+    });
+
+    const generated = await this.insertCodes(campaign, template, count);
+
+    return { ...campaign, generated };
+  }
+
+  /**
+   * Generate more codes for a campaign (admin)
+   * @param {String} campaignId - Campaign ID
+   * @param {Number} count - Codes to generate
+   * @returns {Object} - { campaignId, generated, totalCodes }
+   */
+  async generateCodes(campaignId, count) {
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      include: { _count: { select: { coupons: true } } }
+    });
+
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    const template = await this.getTemplate(campaign.templateCouponId);
+    this.checkCount({
+      prefix: campaign.codePrefix,
+      length: campaign.codeLength,
+      alphabet: campaign.codeAlphabet
+    }, count, campaign._count.coupons);
+
+    const generated = await this.insertCodes(campaign, template, count);
+
+    return {
+      campaignId,
+      generated,
+      totalCodes: campaign._count.coupons + generated
+    };
+  }
+
+  /**
+   * List campaigns with their results (admin)
+   * @param {Object} options - { page, limit }
+   * @returns {Object} - { campaigns, pagination }
+   */
+  async listCampaigns(options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    const [campaigns, total] = await Promise.all([
+      prisma.campaign.findMany({
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          templateCoupon: { select: { id: true, code: true, name: true, type: true, value: true } }
+        }
+      }),
+      prisma.campaign.count()
+    ]);
+
+    const reports = await Promise.all(campaigns.map(campaign => this.getResults(campaign.id)));
+
+    return {
+      campaigns: campaigns.map((campaign, index) => ({ ...campaign, results: reports[index] })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a campaign with its template coupon and results (admin)
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} - Campaign
+   */
+  async getCampaign(campaignId) {
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      include: { templateCoupon: true }
+    });
+
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    return { ...campaign, results: await this.getResults(campaignId) };
+  }
+
+  /**
+   * Export a campaign's codes as CSV (admin)
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} - { fileName, csv }
+   */
+  async exportCodes(campaignId) {
+    const campaign = await prisma.campaign.findUnique({ where: { id: campaignId } });
+
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    const coupons = await prisma.coupon.findMany({
+      where: { campaignId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        code: true,
+        status: true,
+        usageCount: true,
+        startDate: true,
+        endDate: true,
+        createdAt: true
+      }
+    });
+
+    const header = ['code', 'status', 'timesUsed', 'startDate', 'endDate', 'createdAt'];
+    const rows = coupons.map(coupon => [
+      coupon.code,
+      coupon.status,
+      coupon.usageCount,
+      coupon.startDate,
+      coupon.endDate,
+      coupon.createdAt
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+    const slug = campaign.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+
+    return { fileName: `${slug}-codes.csv`, csv: `${csv}\r\n` };
+  }
+
+  /**
+   * Redemptions and revenue of a campaign's codes
+   * Orders that were canceled, returned or refunded don't count.
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} - { codes, redeemedCodes, redemptions, orders, revenue, discountTotal,
+   *                     redemptionRate, averageOrderValue }
+   */
+  async getResults(campaignId) {
+    const counted = { status: { notIn: EXCLUDED_ORDER_STATUSES } };
+    const where = { coupon: { campaignId }, order: counted };
+
+    const [codes, redemptions, redeemedCodes, orders] = await Promise.all([
+      prisma.coupon.count({ where: { campaignId } }),
+      prisma.orderCoupon.aggregate({
+        where,
+        _count: { _all: true },
+        _sum: { discountAmount: true }
+      }),
+      prisma.orderCoupon.groupBy({ by: ['couponId'], where }),
+      prisma.order.aggregate({
+        where: { ...counted, coupons: { some: { coupon: { campaignId } } } },
+        _count: { _all: true },
+        _sum: { total: true }
+      })
+    ]);
+
+    const revenue = roundAmount(orders._sum.total || 0);
+    const orderCount = orders._count._all;
+
+    return {
+      codes,
+      redeemedCodes: redeemedCodes.length,
+      redemptions: redemptions._count._all,
+      orders: orderCount,
+      revenue,
+      discountTotal: roundAmount(redemptions._sum.discountAmount || 0),
+      // Share of generated codes used at least once
+      redemptionRate: codes > 0 ? roundAmount((redeemedCodes.length / codes) * 100) : 0,
+      averageOrderValue: orderCount > 0 ? roundAmount(revenue / orderCount) : 0
+    };
+  }
+
+  /**
+   * Get a coupon that codes can be copied from
+   * @private
+   */
+  async getTemplate(couponId) {
+    const template = await prisma.coupon.findUnique({
+      where: { id: couponId },
+      include: {
+        products: { select: { productId: true } },
+        categories: { select: { categoryId: true } }
+      }
+    });
+
+    if (!template || template.deletedAt) {
+      throw new Error('Template coupon not found');
+    }
+
+    if (template.isAutomaticallyApplied) {
+      throw new Error('Automatic promotions have no codes to hand out');
+    }
+
+    if (template.campaignId) {
+      throw new Error('A campaign code can\'t be used as a template');
+    }
+
+    if (template.endDate && template.endDate < new Date()) {
+      throw new Error('The template coupon has ended');
+    }
+
+    return template;
+  }
+
+  /**
+   * Check and fill in the format of generated codes
+   * @private
+   */
+  getCodeFormat({ prefix, length, alphabet }) {
+    const format = {
+      prefix: (prefix || '').toUpperCase(),
+      length: length === undefined ? this.DEFAULT_CODE_LENGTH : parseInt(length, 10),
+      alphabet: [...new Set((alphabet || DEFAULT_CODE_ALPHABET).toUpperCase())].join('')
+    };
+
+    if (!/^[A-Z0-9-]{0,20}$/.test(format.prefix)) {
+      throw new Error('Prefix can have up to 20 letters, digits and dashes');
+    }
+
+    if (!(format.length >= this.MIN_CODE_LENGTH && format.length <= this.MAX_CODE_LENGTH)) {
+      throw new Error(`Length must be between ${this.MIN_CODE_LENGTH} and ${this.MAX_CODE_LENGTH}`);
+    }
+
+    if (!/^[A-Z0-9]+$/.test(format.alphabet) || format.alphabet.length < 2) {
+      throw new Error('Alphabet needs at least 2 different letters or digits');
+    }
+
+    return format;
+  }
+
+  /**
+   * Make sure a number of codes can be generated in a format
+   * @private
+   */
+  checkCount(format, count, existing) {
+    if (!Number.isInteger(count) || count < 1 || count > this.MAX_CODES_PER_REQUEST) {
+      throw new Error(`Count must be between 1 and ${this.MAX_CODES_PER_REQUEST}`);
+    }
+
+    if (format.alphabet.length ** format.length < (existing + count) * this.CODE_SPACE_FACTOR) {
+      throw new Error('Too few possible codes for that many; use longer codes or a larger alphabet');
+    }
+  }
+
+  /**
+   * Insert codes copied from the template, a batch at a time
+   * Codes already taken (by any coupon) are drawn again.
+   * @returns {Number} - Codes inserted
+   * @private
+   */
+  async insertCodes(campaign, template, count) {
+    const format = {
+      prefix: campaign.codePrefix,
+      length: campaign.codeLength,
+      alphabet: campaign.codeAlphabet
+    };
+    const now = new Date();
+    let inserted = 0;
+    let fruitlessBatches = 0;
+
+    while (inserted < count) {
+      const codes = new Set();
+
+      while (codes.size < Math.min(this.BATCH_SIZE, count - inserted)) {
+        codes.add(generateCouponCode(format));
+      }
+
+      const taken = await prisma.coupon.findMany({
+        where: { code: { in: [...codes] } },
+        select: { code: true }
+      });
+      taken.forEach(({ code }) => codes.delete(code));
+
+      const rows = [...codes].map(code => ({
+        id: crypto.randomUUID(),
+        code,
+        name: template.name,
+        description: template.description,
+        type: template.type,
+        value: template.value,
+        applicabilityScope: template.applicabilityScope,
+        minimumOrderAmount: template.minimumOrderAmount,
+        maximumDiscountAmount: template.maximumDiscountAmount,
+        isStackable: template.isStackable,
+        isOneTimeUse: true,
+        customerUsageLimit: 1,
+        maxUsageCount: 1,
+        priority: template.priority,
+        rules: template.rules ?? undefined,
+        startDate: template.startDate,
+        endDate: template.endDate,
+        status: template.startDate > now ? 'SCHEDULED' : 'ACTIVE',
+        campaignId: campaign.id
+      }));
+
+      const added = await prisma.$transaction(async (tx) => {
+        await tx.coupon.createMany({ data: rows, skipDuplicates: true });
+
+        // A code taken in the meantime was skipped
+        const created = await tx.coupon.findMany({
+          where: { id: { in: rows.map(row => row.id) } },
+          select: { id: true }
+        });
+
+        if (template.products.length > 0) {
+          await tx.couponProduct.createMany({
+            data: created.flatMap(({ id }) => template.products.map(({ productId }) => ({ couponId: id, productId })))
+          });
+        }
+
+        if (template.categories.length > 0) {
+          await tx.couponCategory.createMany({
+            data: created.flatMap(({ id }) => template.categories.map(({ categoryId }) => ({ couponId: id, categoryId })))
+          });
+        }
+
+        return created.length;
+      });
+
+      inserted += added;
+      fruitlessBatches = added > 0 ? 0 : fruitlessBatches + 1;
+
+      if (fruitlessBatches >= 3) {
+        throw new Error(`Only ${inserted} unique codes could be generated; use longer codes or a larger alphabet`);
+      }
+    }
+
+    return inserted;
+  }
+}
@@ -0,0 +1,136 @@
+import crypto from "crypto";
+import ApiError from "../../utils/apiError.js";
+import {
+    HTTP_BAD_REQUEST,
+    HTTP_INTERNAL_SERVER_ERROR,
+    HTTP_UNAUTHORIZED,
+} from "../../httpStatusCode.js";
+import { signaturesMatch } from "../gateways/gateway.utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rupees for the first half kilo, then for each further half kilo (or part of one)
+const BASE_RATE = 40;
+const EXTRA_HALF_KG_RATE = 30;
+
+const SERVICES = {
+    STANDARD: { name: "Standard", multiplier: 1, days: { local: 3, national: 5 } },
+    EXPRESS: { name: "Express", multiplier: 2, days: { local: 1, national: 2 } },
+};
+
+/**
+ * In-process carrier for tests and local development.
+ * Rates are a fixed table priced by weight and by whether the parcel stays in
+ * the origin state; labels are issued instantly and tracking webhooks are
+ * signed with FAKE_CARRIER_SECRET. There is no fallback secret: without one,
+ * every webhook is refused.
+ */
+class FakeCarrier {
+    constructor(secret = null) {
+        this.name = "fake";
+        this.secret = secret;
+    }
+
+    /**
+     * Sign a value the way the fake carrier's webhooks are
+     * @param {String|Buffer} value - Value to sign
+     * @returns {String} - Hex HMAC
+     */
+    sign(value) {
+        const secret = this.secret || process.env.FAKE_CARRIER_SECRET;
+
+        if (!secret) {
+            throw new ApiError(HTTP_INTERNAL_SERVER_ERROR, "FAKE_CARRIER_SECRET is not configured");
+        }
+
+        return crypto.createHmac("sha256", secret).update(value).digest("hex");
+    }
+
+    async getRates({ origin, destination, parcel }) {
+        const zone = this.getZone(origin, destination);
+        const extraHalfKilos = Math.max(Math.ceil(parcel.weightKg / 0.5) - 1, 0);
+        const zoneMultiplier = zone === "local" ? 1 : 1.5;
+        const baseAmount = (BASE_RATE + extraHalfKilos * EXTRA_HALF_KG_RATE) * zoneMultiplier;
+
+        return Object.entries(SERVICES).map(([serviceCode, service]) => ({
+            serviceCode,
+            serviceName: service.name,
+            amount: Math.round(baseAmount * service.multiplier),
+            currency: "INR",
+            estimatedDays: service.days[zone],
+        }));
+    }
+
+    async createShipment({ origin, destination, serviceCode }) {
+        const service = SERVICES[serviceCode];
+
+        if (!service) {
+            throw new ApiError(HTTP_BAD_REQUEST, `Unknown fake carrier service: ${serviceCode}`);
+        }
+
+        const shipmentId = `fake_shp_${crypto.randomUUID()}`;
+        const trackingNumber = `FK${crypto.randomInt(1e9, 1e10)}`;
+
+        return {
+            shipmentId,
+            trackingNumber,
+            trackingUrl: `https://track.fake-carrier.test/${trackingNumber}`,
+            labelUrl: `https://track.fake-carrier.test/labels/${shipmentId}.pdf`,
+            estimatedDelivery: new Date(Date.now() + service.days[this.getZone(origin, destination)] * DAY_MS),
+        };
+    }
+
+    /**
+     * Verify a fake carrier webhook delivery
+     * The body is already a normalized event:
+     * { id, trackingNumber, status, description, location, occurredAt }
+     * @param {Buffer} rawBody - Raw request body exactly as received
+     * @param {Object} headers - Request headers (x-fake-carrier-signature)
+     * @returns {Object} - Normalized tracking event
+     */
+    parseWebhook(rawBody, headers) {
+        const signature = headers["x-fake-carrier-signature"];
+
+        if (!rawBody || !signature) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook body and signature are required");
+        }
+
+        if (!signaturesMatch(this.sign(rawBody), signature)) {
+            throw new ApiError(HTTP_UNAUTHORIZED, "Invalid webhook signature");
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString("utf8"));
+        } catch (error) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook body is not valid JSON");
+        }
+
+        if (!body.id || !body.trackingNumber || !body.status) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook event id, trackingNumber and status are required");
+        }
+
+        return {
+            eventId: body.id,
+            trackingNumber: body.trackingNumber,
+            status: body.status,
+            description: body.description || null,
+            location: body.location || null,
+            occurredAt: body.occurredAt ? new Date(body.occurredAt) : new Date(),
+            payload: body,
+        };
+    }
+
+    /**
+     * Parcels staying in the origin state are priced as local
+     * @private
+     */
+    getZone(origin, destination) {
+        const sameState = origin?.state && destination?.state &&
+            origin.state.trim().toLowerCase() === destination.state.trim().toLowerCase();
+
+        return sameState ? "local" : "national";
+    }
+}
+
+export { FakeCarrier };
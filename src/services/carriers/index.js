@@ -0,0 +1,64 @@
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_REQUEST } from "../../httpStatusCode.js";
+import { FakeCarrier } from "./fake.carrier.js";
+
+/**
+ * Shipping carrier registry.
+ *
+ * Every carrier adapter exposes the same interface:
+ *   name                                        - stored in Fulfillment.carrierName
+ *   getRates({ origin, destination, parcel })   -> [{ serviceCode, serviceName, amount, currency, estimatedDays }]
+ *   createShipment({ reference, origin, destination, parcel, serviceCode })
+ *                                               -> { shipmentId, trackingNumber, trackingUrl, labelUrl, estimatedDelivery }
+ *   parseWebhook(rawBody, headers)              -> { eventId, trackingNumber, status, description, location, occurredAt, payload }
+ *
+ * origin and destination are { line1, city, state, postalCode, country };
+ * parcel is { weightKg, declaredValue }.
+ */
+const carriers = new Map();
+
+// Normalized tracking statuses; LABEL_CREATED is set when a label is bought
+const TRACKING_STATUSES = ["LABEL_CREATED", "IN_TRANSIT", "OUT_FOR_DELIVERY", "DELIVERED", "EXCEPTION"];
+
+/**
+ * Register a carrier adapter under its name
+ * @param {Object} carrier - Carrier adapter
+ */
+const registerCarrier = (carrier) => {
+    carriers.set(carrier.name, carrier);
+};
+
+/**
+ * Get a carrier adapter by name
+ * @param {String} name - Carrier name
+ * @returns {Object} - Carrier adapter
+ */
+const getCarrier = (name) => {
+    const carrier = carriers.get(name);
+
+    if (!carrier) {
+        throw new ApiError(HTTP_BAD_REQUEST, `Unknown shipping carrier: ${name}`);
+    }
+
+    return carrier;
+};
+
+/**
+ * Carriers offered at checkout, from SHIPPING_CARRIERS (comma-separated)
+ * Unset means no carrier quotes; only shipping zone rates are offered.
+ * @returns {Array} - Carrier adapters
+ */
+const getEnabledCarriers = () =>
+    (process.env.SHIPPING_CARRIERS || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .map(getCarrier);
+
+// The fake carrier marks orders delivered on its own signed webhooks, so it
+// never exists in production
+if (process.env.NODE_ENV !== "production") {
+    registerCarrier(new FakeCarrier());
+}
+
+export { TRACKING_STATUSES, registerCarrier, getCarrier, getEnabledCarriers };
@@ -1,12 +1,43 @@
 import { prisma } from '../database/connect.js';
+import { Prisma } from '@prisma/client';
+import { InventoryService } from './inventory.service.js';
+import { ShippingService } from './shipping.service.js';
+import { TaxService } from './tax.service.js';
+import { PromotionService, COUPON_SCOPE_INCLUDE, PRODUCT_SCOPE_INCLUDE } from './promotion.service.js';
+
+// What's needed to price a cart and work out its promotions
+const PRICING_CART_INCLUDE = {
+  items: {
+    include: {
+      product: { include: PRODUCT_SCOPE_INCLUDE }
+    }
+  },
+  appliedCoupons: {
+    include: {
+      coupon: { include: COUPON_SCOPE_INCLUDE }
+    },
+    orderBy: { createdAt: 'asc' }
+  },
+  shippingAddress: true
+};
 
 /**
  * Shopping Cart Service
  * Handles all business logic related to shopping cart
  */
 export class CartService {
+  constructor() {
+    this.inventoryService = new InventoryService();
+    this.shippingService = new ShippingService();
+    this.taxService = new TaxService();
+    this.promotionService = new PromotionService();
+    this.GUEST_CART_RETENTION_DAYS = parseInt(process.env.GUEST_CART_RETENTION_DAYS, 10) || 30;
+  }
+
   /**
    * Get or create a cart for a user or guest
+   * Automatic promotions are checked again first, and promotionChanges lists
+   * those attached or dropped (with the reason) by that check.
    * @param {String} userId - User ID (optional)
    * @param {String} sessionId - Session ID for guest (optional)
    * @returns {Object} - Cart with items
@@ -17,13 +48,38 @@ export class CartService {
     }
 
     // Find existing cart or create a new one
-    const cart = await prisma.cart.findFirst({
+    const existingCart = await prisma.cart.findFirst({
       where: {
         OR: [
           { userId: userId || undefined },
           { sessionId: sessionId || undefined }
         ]
       },
+      select: { id: true }
+    });
+
+    if (!existingCart) {
+      // Create new cart
+      const newCart = await prisma.cart.create({
+        data: {
+          userId: userId || undefined,
+          sessionId: sessionId || undefined
+        }
+      });
+      
+      return {
+        ...newCart,
+        items: [],
+        appliedCoupons: [],
+        promotionChanges: { added: [], dropped: [] }
+      };
+    }
+
+    // Attach or detach automatic promotions that changed since the last update
+    const promotionChanges = await this.refreshPromotions(existingCart.id);
+
+    const cart = await prisma.cart.findUnique({
+      where: { id: existingCart.id },
       include: {
         items: {
           include: {
@@ -41,29 +97,16 @@ export class CartService {
           include: {
             coupon: true
           }
-        }
+        },
+        stockReservations: true
       }
     });
 
-    if (!cart) {
-      // Create new cart
-      const newCart = await prisma.cart.create({
-        data: {
-          userId: userId || undefined,
-          sessionId: sessionId || undefined
-        }
-      });
-      
-      return {
-        ...newCart,
-        items: [],
-        appliedCoupons: []
-      };
-    }
-
     // Transform cart items to include necessary display information
+    const now = new Date();
     const transformedItems = cart.items.map(item => {
       const mainImage = item.product.images[0]?.url || null;
+      const hold = cart.stockReservations.find(r => r.variantId === item.variantId);
       
       return {
         id: item.id,
@@ -73,9 +116,12 @@ export class CartService {
         quantity: item.quantity,
         price: parseFloat(item.price),
         totalPrice: parseFloat(item.totalPrice),
-        size: item.variant?.size || null,
-        color: item.variant?.color || null,
-        imageUrl: mainImage
+        discount: parseFloat(item.discount),
+        discounts: item.discounts || [],
+        size: item.variant?.options?.size || null,
+        color: item.variant?.options?.color || null,
+        imageUrl: mainImage,
+        holdExpiresAt: hold && hold.expiresAt > now ? hold.expiresAt : null
       };
     });
 
@@ -93,13 +139,19 @@ export class CartService {
       taxTotal: parseFloat(cart.taxTotal),
       shippingTotal: parseFloat(cart.shippingTotal),
       total: subtotal - discountTotal + parseFloat(cart.taxTotal) + parseFloat(cart.shippingTotal),
+      shippingAddressId: cart.shippingAddressId,
+      shippingRate: cart.shippingRate,
       itemCount: transformedItems.length,
       items: transformedItems,
       appliedCoupons: cart.appliedCoupons.map(coupon => ({
         id: coupon.id,
         code: coupon.coupon.code,
-        discountAmount: parseFloat(coupon.discountAmount)
-      }))
+        type: coupon.coupon.type,
+        isAutomatic: coupon.coupon.isAutomaticallyApplied,
+        discountAmount: parseFloat(coupon.discountAmount),
+        skippedReason: coupon.skippedReason
+      })),
+      promotionChanges
     };
   }
 
@@ -134,20 +186,16 @@ export class CartService {
       throw new Error('Product not found or inactive');
     }
 
-    // Check variant if provided
+    // Check variant if provided (stock is checked when the hold is placed)
+    let variant = null;
     if (variantId) {
-      const variant = await prisma.productVariant.findUnique({
-        where: { id: variantId }
+      variant = await prisma.productVariant.findUnique({
+        where: { id: variantId, productId, deletedAt: null }
       });
 
       if (!variant) {
         throw new Error('Product variant not found');
       }
-
-      // Check stock availability
-      if (variant.stockQuantity < quantity) {
-        throw new Error(`Only ${variant.stockQuantity} units available in stock`);
-      }
     }
 
     // Get or create cart
@@ -165,16 +213,7 @@ export class CartService {
     });
 
     // Get price from variant or product
-    let price;
-    if (variantId) {
-      const variant = await prisma.productVariant.findUnique({
-        where: { id: variantId },
-        select: { price: true }
-      });
-      price = variant.price;
-    } else {
-      price = product.price;
-    }
+    const price = variant?.price ?? product.price;
 
     // Check for existing cart item
     const existingItem = await prisma.cartItem.findFirst({
@@ -185,75 +224,80 @@ export class CartService {
       }
     });
 
-    let cartItem;
-    
-    if (existingItem) {
-      // Update existing item
-      const newQuantity = existingItem.quantity + quantity;
-      
-      // Check max quantity limit (5 per item)
-      if (newQuantity > 5) {
-        throw new Error('Maximum quantity limit of 5 per item reached');
+    const newQuantity = existingItem ? existingItem.quantity + quantity : quantity;
+
+    // Check max quantity limit (5 per item)
+    if (newQuantity > 5) {
+      throw new Error('Maximum quantity limit of 5 per item reached');
+    }
+
+    const cartItemInclude = {
+      product: {
+        select: {
+          name: true
+        }
+      },
+      variant: {
+        select: {
+          options: true
+        }
       }
-      
-      cartItem = await prisma.cartItem.update({
-        where: { id: existingItem.id },
-        data: {
-          quantity: newQuantity,
-          totalPrice: { set: parseFloat(price) * newQuantity }
-        },
-        include: {
-          product: {
-            select: {
-              name: true
-            }
+    };
+
+    const { cartItem, hold } = await prisma.$transaction(async (tx) => {
+      // Hold the stock for this cart before touching the item
+      const hold = variantId
+        ? await this.inventoryService.holdStock(cart.id, {
+            productId,
+            variantId,
+            quantity: newQuantity,
+            name: `${product.name} (${variant.name})`
+          }, tx)
+        : null;
+
+      let cartItem;
+
+      if (existingItem) {
+        // Update existing item
+        cartItem = await tx.cartItem.update({
+          where: { id: existingItem.id },
+          data: {
+            quantity: newQuantity,
+            totalPrice: { set: parseFloat(price) * newQuantity }
           },
-          variant: {
-            select: {
-              size: true,
-              color: true
-            }
-          }
-        }
-      });
-    } else {
-      // Create new cart item
-      cartItem = await prisma.cartItem.create({
-        data: {
-          cartId: cart.id,
-          productId,
-          variantId: variantId || null,
-          quantity,
-          price,
-          totalPrice: parseFloat(price) * quantity
-        },
-        include: {
-          product: {
-            select: {
-              name: true
-            }
+          include: cartItemInclude
+        });
+      } else {
+        // Create new cart item
+        cartItem = await tx.cartItem.create({
+          data: {
+            cartId: cart.id,
+            productId,
+            variantId: variantId || null,
+            quantity,
+            price,
+            totalPrice: parseFloat(price) * quantity
           },
-          variant: {
-            select: {
-              size: true,
-              color: true
-            }
-          }
-        }
-      });
-    }
+          include: cartItemInclude
+        });
+      }
+
+      return { cartItem, hold };
+    });
 
     // Update cart totals
-    await this.recalculateCartTotals(cart.id);
+    const { promotionChanges } = await this.recalculateCartTotals(cart.id);
 
     return {
       id: cartItem.id,
       name: cartItem.product.name,
       quantity: cartItem.quantity,
-      size: cartItem.variant?.size,
-      color: cartItem.variant?.color,
+      size: cartItem.variant?.options?.size,
+      color: cartItem.variant?.options?.color,
       price: parseFloat(cartItem.price),
-      totalPrice: parseFloat(cartItem.totalPrice)
+      totalPrice: parseFloat(cartItem.totalPrice),
+      holdExpiresAt: hold?.expiresAt || null,
+      promotionChanges
     };
   }
 
@@ -296,6 +340,14 @@ export class CartService {
         cartId: cart.id,
         productId,
         variantId: variantId || null
+      },
+      include: {
+        product: {
+          select: { name: true }
+        },
+        variant: {
+          select: { name: true }
+        }
       }
     });
 
@@ -313,16 +365,21 @@ export class CartService {
 
     // Remove item if quantity is 0 or negative
     if (newQuantity <= 0) {
-      await prisma.cartItem.delete({
-        where: { id: cartItem.id }
+      await prisma.$transaction(async (tx) => {
+        await this.releaseItemHold(cart.id, cartItem, tx);
+
+        await tx.cartItem.delete({
+          where: { id: cartItem.id }
+        });
       });
       
       // Update cart totals
-      await this.recalculateCartTotals(cart.id);
+      const { promotionChanges } = await this.recalculateCartTotals(cart.id);
       
       return {
         message: 'Item removed from cart',
-        removed: true
+        removed: true,
+        promotionChanges
       };
     }
 
@@ -331,22 +388,38 @@ export class CartService {
       throw new Error('Maximum quantity limit of 5 per item reached');
     }
 
-    // Update cart item
-    const updatedItem = await prisma.cartItem.update({
-      where: { id: cartItem.id },
-      data: {
-        quantity: newQuantity,
-        totalPrice: { set: parseFloat(cartItem.price) * newQuantity }
-      }
+    const { updatedItem, hold } = await prisma.$transaction(async (tx) => {
+      // Resize the stock hold to the new quantity
+      const hold = cartItem.variantId
+        ? await this.inventoryService.holdStock(cart.id, {
+            productId: cartItem.productId,
+            variantId: cartItem.variantId,
+            quantity: newQuantity,
+            name: `${cartItem.product.name} (${cartItem.variant.name})`
+          }, tx)
+        : null;
+
+      // Update cart item
+      const updatedItem = await tx.cartItem.update({
+        where: { id: cartItem.id },
+        data: {
+          quantity: newQuantity,
+          totalPrice: { set: parseFloat(cartItem.price) * newQuantity }
+        }
+      });
+
+      return { updatedItem, hold };
     });
 
     // Update cart totals
-    await this.recalculateCartTotals(cart.id);
+    const { promotionChanges } = await this.recalculateCartTotals(cart.id);
 
     return {
       id: updatedItem.id,
       quantity: updatedItem.quantity,
-      totalPrice: parseFloat(updatedItem.totalPrice)
+      totalPrice: parseFloat(updatedItem.totalPrice),
+      holdExpiresAt: hold?.expiresAt || null,
+      promotionChanges
     };
   }
 
@@ -356,7 +429,7 @@ export class CartService {
    * @param {String} sessionId - Session ID (optional)
    * @param {String} productId - Product ID
    * @param {String} variantId - Variant ID (optional)
-   * @returns {Boolean} - Success status
+   * @returns {Object} - { removed, promotionChanges }
    */
   async removeFromCart(userId, sessionId, productId, variantId) {
     if (!userId && !sessionId) {
@@ -394,14 +467,37 @@ export class CartService {
       throw new Error('Product not found in cart');
     }
 
-    await prisma.cartItem.delete({
-      where: { id: cartItem.id }
+    await prisma.$transaction(async (tx) => {
+      await this.releaseItemHold(cart.id, cartItem, tx);
+
+      await tx.cartItem.delete({
+        where: { id: cartItem.id }
+      });
     });
 
     // Update cart totals
-    await this.recalculateCartTotals(cart.id);
+    const { promotionChanges } = await this.recalculateCartTotals(cart.id);
 
-    return true;
+    return { removed: true, promotionChanges };
+  }
+
+  /**
+   * Give back the stock held for a cart item
+   * @param {String} cartId - Cart ID
+   * @param {Object} cartItem - Cart item
+   * @param {Object} tx - Prisma transaction client
+   * @private
+   */
+  async releaseItemHold(cartId, cartItem, tx) {
+    if (!cartItem.variantId) {
+      return;
+    }
+
+    await this.inventoryService.holdStock(cartId, {
+      productId: cartItem.productId,
+      variantId: cartItem.variantId,
+      quantity: 0
+    }, tx);
   }
 
   /**
@@ -429,9 +525,13 @@ export class CartService {
       throw new Error('Cart not found');
     }
 
-    // Delete all items
-    await prisma.cartItem.deleteMany({
-      where: { cartId: cart.id }
+    // Release holds and delete all items
+    await prisma.$transaction(async (tx) => {
+      await this.inventoryService.releaseCartHolds(cart.id, tx);
+
+      await tx.cartItem.deleteMany({
+        where: { cartId: cart.id }
+      });
     });
 
     // Update cart totals
@@ -489,12 +589,13 @@ export class CartService {
         code: couponCode,
         status: 'ACTIVE',
         startDate: { lte: new Date() },
-        endDate: { gte: new Date() } || null,
+        endDate: { gte: new Date() },
         deletedAt: null
       }
     });
 
-    if (!coupon) {
+    // Someone else's personal coupon is treated as unknown; guests own none
+    if (!coupon || this.promotionService.isIssuedToAnother(coupon, userId || null)) {
       throw new Error('Invalid or expired coupon');
     }
 
@@ -512,37 +613,17 @@ export class CartService {
       throw new Error(`This coupon requires a minimum order of ${coupon.minimumOrderAmount}`);
     }
 
-    // Calculate discount
-    let discountAmount = 0;
-    switch (coupon.type) {
-      case 'PERCENTAGE':
-        discountAmount = (subtotal * parseFloat(coupon.value)) / 100;
-        // Apply maximum discount if set
-        if (coupon.maximumDiscountAmount && 
-            discountAmount > parseFloat(coupon.maximumDiscountAmount)) {
-          discountAmount = parseFloat(coupon.maximumDiscountAmount);
-        }
-        break;
-      case 'FIXED_AMOUNT':
-        discountAmount = parseFloat(coupon.value);
-        if (discountAmount > subtotal) {
-          discountAmount = subtotal;
-        }
-        break;
-      // For free shipping coupons, we'll apply it differently
-      case 'FREE_SHIPPING':
-        discountAmount = 0; // Handle shipping discount separately
-        break;
-      default:
-        throw new Error('Invalid coupon type');
+    // Automatic promotions are worked out on every cart without a code
+    if (coupon.isAutomaticallyApplied) {
+      throw new Error('This promotion is applied automatically');
     }
 
-    // Add coupon to cart
+    // Add coupon to cart; its discount is worked out with the cart's other promotions
     const cartCoupon = await prisma.cartCoupon.create({
       data: {
         cartId: cart.id,
         couponId: coupon.id,
-        discountAmount
+        discountAmount: 0
       },
       include: {
         coupon: true
@@ -552,11 +633,26 @@ export class CartService {
     // Update cart totals
     const updatedCart = await this.recalculateCartTotals(cart.id);
 
+    const { discountAmount, skippedReason } = await prisma.cartCoupon.findUnique({
+      where: { id: cartCoupon.id }
+    });
+
+    // A coupon that gives nothing on this cart isn't kept
+    if (skippedReason) {
+      await prisma.cartCoupon.delete({
+        where: { id: cartCoupon.id }
+      });
+      await this.recalculateCartTotals(cart.id);
+
+      throw new Error(skippedReason);
+    }
+
     return {
       code: cartCoupon.coupon.code,
       type: cartCoupon.coupon.type,
-      discountAmount,
-      cartTotal: parseFloat(updatedCart.total)
+      discountAmount: parseFloat(discountAmount),
+      cartTotal: parseFloat(updatedCart.total),
+      promotionChanges: updatedCart.promotionChanges
     };
   }
 
@@ -603,6 +699,11 @@ export class CartService {
       throw new Error('Coupon not applied to this cart');
     }
 
+    // It would be applied again with the next change to the cart
+    if (appliedCoupon.coupon.isAutomaticallyApplied) {
+      throw new Error('Automatic promotions can\'t be removed');
+    }
+
     // Remove coupon
     await prisma.cartCoupon.delete({
       where: { id: appliedCoupon.id }
@@ -614,20 +715,104 @@ export class CartService {
     return true;
   }
 
+  /**
+   * Get the shipping options for sending the user's cart to one of their addresses
+   * @param {String} userId - User ID
+   * @param {String} addressId - Destination address ID
+   * @returns {Object} - { addressId, rates }
+   */
+  async getShippingRates(userId, addressId) {
+    const address = await this.shippingService.getShippingAddress(userId, addressId);
+
+    const cart = await prisma.cart.findUnique({
+      where: { userId },
+      include: {
+        items: {
+          include: { product: true }
+        },
+        appliedCoupons: true
+      }
+    });
+
+    if (!cart || cart.items.length === 0) {
+      throw new Error('Cart is empty');
+    }
+
+    return {
+      addressId: address.id,
+      rates: await this.shippingService.getRates(cart.items, address, this.getOrderValue(cart))
+    };
+  }
+
+  /**
+   * Set the shipping address and, optionally, the shipping option for the user's cart
+   * Without a rate the cheapest option for the address is used.
+   * @param {String} userId - User ID
+   * @param {Object} selection - { addressId, rateId } for zone rates, or
+   *                             { addressId, carrier, serviceCode } for carrier quotes
+   * @returns {Object} - Updated cart
+   */
+  async selectShippingRate(userId, selection) {
+    const { addressId, rateId, carrier, serviceCode } = selection;
+
+    if (!rateId && (carrier || serviceCode) && !(carrier && serviceCode)) {
+      throw new Error('Carrier and service code are required together');
+    }
+
+    const address = await this.shippingService.getShippingAddress(userId, addressId);
+
+    const cart = await prisma.cart.findUnique({
+      where: { userId },
+      include: {
+        items: {
+          include: { product: true }
+        },
+        appliedCoupons: true
+      }
+    });
+
+    if (!cart || cart.items.length === 0) {
+      throw new Error('Cart is empty');
+    }
+
+    let rate = null;
+    if (rateId || carrier) {
+      const rates = await this.shippingService.getRates(cart.items, address, this.getOrderValue(cart));
+      rate = this.shippingService.findRate(rates, { rateId, carrier, serviceCode });
+
+      if (!rate) {
+        throw new Error('The selected shipping option is not available for this address');
+      }
+    }
+
+    await prisma.cart.update({
+      where: { id: cart.id },
+      data: {
+        shippingAddressId: address.id,
+        shippingRate: rate || Prisma.DbNull
+      }
+    });
+
+    await this.recalculateCartTotals(cart.id);
+
+    return await this.getCart(userId);
+  }
+
   /**
    * Recalculate cart totals
+   * Discounts are worked out again from the coupons entered on the cart and
+   * the automatic promotions, line by line. Shipping is re-quoted and GST
+   * recalculated for the cart's address so both follow the cart's contents.
    * @param {String} cartId - Cart ID
-   * @returns {Object} - Updated cart with totals
+   * @returns {Object} - Updated cart with totals, and promotionChanges listing
+   *                     the automatic promotions attached or dropped
    * @private
    */
   async recalculateCartTotals(cartId) {
-    // Get cart with items and coupons
+    // Get cart with items, coupons and shipping destination
     const cart = await prisma.cart.findUnique({
       where: { id: cartId },
-      include: {
-        items: true,
-        appliedCoupons: true
-      }
+      include: PRICING_CART_INCLUDE
     });
 
     if (!cart) {
@@ -637,25 +822,209 @@ export class CartService {
     // Calculate subtotal
     const subtotal = cart.items.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0);
     
-    // Calculate discount total
-    const discountTotal = cart.appliedCoupons.reduce((sum, coupon) => 
-      sum + parseFloat(coupon.discountAmount), 0);
-    
+    const { entered, promotions } = await this.evaluatePromotions(cart);
+    const { discountTotal } = promotions;
+
+    // Price shipping for the cart's address
+    const { shippingTotal, shippingRate } = await this.shippingService.getCartShipping(
+      { ...cart, appliedCoupons: promotions.applied },
+      subtotal - discountTotal
+    );
+
+    // GST on the discounted lines, split by the destination state
+    const { taxTotal } = await this.taxService.calculateTax(
+      cart.items.map((item, index) => ({
+        product: item.product,
+        amount: item.totalPrice,
+        discount: promotions.lines[index].discount
+      })),
+      { destinationState: cart.shippingAddress?.state }
+    );
+
     // Calculate total
-    const total = subtotal - discountTotal + parseFloat(cart.taxTotal) + parseFloat(cart.shippingTotal);
+    const total = subtotal - discountTotal + taxTotal + shippingTotal;
     
     // Update cart
-    const updatedCart = await prisma.cart.update({
+    let promotionChanges;
+    const updatedCart = await prisma.$transaction(async (tx) => {
+      promotionChanges = await this.savePromotions(cart, entered, promotions, tx);
+
+      return await tx.cart.update({
+        where: { id: cartId },
+        data: {
+          subtotal,
+          discountTotal,
+          taxTotal,
+          shippingTotal,
+          shippingRate: shippingRate || Prisma.DbNull,
+          total,
+          itemCount: cart.items.length
+        }
+      });
+    });
+
+    return { ...updatedCart, promotionChanges };
+  }
+
+  /**
+   * Bring a cart's promotions up to date when its contents haven't changed
+   * Automatic promotions start, end and get used up on their own, so the
+   * cart is recalculated once what's stored no longer matches.
+   * @param {String} cartId - Cart ID
+   * @returns {Object} - Promotion changes ({ added, dropped })
+   * @private
+   */
+  async refreshPromotions(cartId) {
+    const cart = await prisma.cart.findUnique({
       where: { id: cartId },
-      data: {
-        subtotal,
-        discountTotal,
-        total,
-        itemCount: cart.items.length
+      include: PRICING_CART_INCLUDE
+    });
+
+    const { entered, promotions } = await this.evaluatePromotions(cart);
+    const stored = cart.appliedCoupons.map(cp => [cp.couponId, parseFloat(cp.discountAmount), cp.skippedReason]);
+    const expected = this.getCouponRows(entered, promotions)
+      .map(row => [row.couponId, row.discountAmount, row.skippedReason]);
+    const sameLines = cart.items.every((item, index) => parseFloat(item.discount) === promotions.lines[index].discount);
+
+    if (sameLines && JSON.stringify(stored.sort()) === JSON.stringify(expected.sort())) {
+      return { added: [], dropped: [] };
+    }
+
+    const { promotionChanges } = await this.recalculateCartTotals(cartId);
+
+    return promotionChanges;
+  }
+
+  /**
+   * Evaluate the coupons entered on a cart together with the automatic promotions
+   * @param {Object} cart - Cart with PRICING_CART_INCLUDE
+   * @returns {Object} - { entered, promotions }
+   * @private
+   */
+  async evaluatePromotions(cart) {
+    // Coupons entered on the cart, then the promotions that apply on their own
+    const entered = cart.appliedCoupons.filter(cp => !cp.coupon.isAutomaticallyApplied);
+    const automatic = cart.items.length > 0
+      ? await this.promotionService.getAutomaticPromotions(cart.userId)
+      : [];
+
+    const promotions = this.promotionService.evaluate(
+      cart.items,
+      [...entered.map(cp => cp.coupon), ...automatic]
+    );
+
+    return { entered, promotions };
+  }
+
+  /**
+   * The cart coupon rows an evaluation calls for
+   * Entered coupons stay, with the reason when they give nothing; automatic
+   * promotions are there only while they apply.
+   * @private
+   */
+  getCouponRows(entered, promotions) {
+    const rows = entered.map(cartCoupon => {
+      const applied = promotions.applied.find(({ coupon }) => coupon.id === cartCoupon.couponId);
+      const skipped = promotions.skipped.find(({ coupon }) => coupon.id === cartCoupon.couponId);
+
+      return {
+        id: cartCoupon.id,
+        couponId: cartCoupon.couponId,
+        discountAmount: applied?.discountAmount || 0,
+        skippedReason: applied ? null : skipped?.reason || null
+      };
+    });
+
+    for (const { coupon, discountAmount } of promotions.applied) {
+      if (coupon.isAutomaticallyApplied) {
+        rows.push({ couponId: coupon.id, discountAmount, skippedReason: null });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Store the outcome of a promotion evaluation on the cart's lines and coupons
+   * @param {Object} cart - Cart with items and appliedCoupons
+   * @param {Array} entered - The cart's entered (not automatic) coupons
+   * @param {Object} promotions - Result of PromotionService.evaluate
+   * @param {Object} tx - Transaction client
+   * @returns {Object} - Automatic promotions { added: [{ code, name, discountAmount }],
+   *                     dropped: [{ code, name, reason }] }
+   * @private
+   */
+  async savePromotions(cart, entered, promotions, tx) {
+    for (const [index, item] of cart.items.entries()) {
+      const line = promotions.lines[index];
+
+      if (parseFloat(item.discount) !== line.discount ||
+          JSON.stringify(item.discounts || []) !== JSON.stringify(line.discounts)) {
+        await tx.cartItem.update({
+          where: { id: item.id },
+          data: {
+            discount: line.discount,
+            discounts: line.discounts.length > 0 ? line.discounts : Prisma.DbNull
+          }
+        });
+      }
+    }
+
+    const rows = this.getCouponRows(entered, promotions);
+
+    for (const { id, discountAmount, skippedReason } of rows.slice(0, entered.length)) {
+      await tx.cartCoupon.update({
+        where: { id },
+        data: { discountAmount, skippedReason }
+      });
+    }
+
+    const automatic = promotions.applied.filter(({ coupon }) => coupon.isAutomaticallyApplied);
+    const previous = cart.appliedCoupons.filter(cp => cp.coupon.isAutomaticallyApplied);
+
+    await tx.cartCoupon.deleteMany({
+      where: {
+        cartId: cart.id,
+        coupon: { isAutomaticallyApplied: true },
+        couponId: { notIn: automatic.map(({ coupon }) => coupon.id) }
       }
     });
 
-    return updatedCart;
+    for (const { coupon, discountAmount } of automatic) {
+      await tx.cartCoupon.upsert({
+        where: { cartId_couponId: { cartId: cart.id, couponId: coupon.id } },
+        create: { cartId: cart.id, couponId: coupon.id, discountAmount },
+        update: { discountAmount, skippedReason: null }
+      });
+    }
+
+    const added = automatic
+      .filter(({ coupon }) => !previous.some(cp => cp.couponId === coupon.id))
+      .map(({ coupon, discountAmount }) => ({ code: coupon.code, name: coupon.name, discountAmount }));
+
+    // Say why each promotion that was on the cart came off
+    const dropped = previous
+      .filter(cp => !automatic.some(({ coupon }) => coupon.id === cp.couponId))
+      .map(({ coupon }) => ({
+        code: coupon.code,
+        name: coupon.name,
+        reason: promotions.skipped.find(skipped => skipped.coupon.id === coupon.id)?.reason ||
+          this.promotionService.getUnavailableReason(coupon) ||
+          (cart.items.length === 0 ? 'The cart is empty' : 'The promotion is no longer available')
+      }));
+
+    return { added, dropped };
+  }
+
+  /**
+   * Merchandise value after coupon discounts
+   * @private
+   */
+  getOrderValue(cart) {
+    const subtotal = cart.items.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0);
+    const discountTotal = cart.appliedCoupons.reduce((sum, coupon) => sum + parseFloat(coupon.discountAmount), 0);
+
+    return subtotal - discountTotal;
   }
 
   /**
@@ -754,9 +1123,26 @@ export class CartService {
       }
     }
 
-    // Delete guest cart
-    await prisma.cart.delete({
-      where: { id: guestCart.id }
+    // Move stock holds from the guest cart to the user cart
+    await prisma.$transaction((tx) => this.inventoryService.releaseCartHolds(guestCart.id, tx));
+
+    const mergedItems = await prisma.cartItem.findMany({
+      where: { cartId: userCart.id, variantId: { not: null } }
+    });
+
+    for (const item of mergedItems) {
+      try {
+        await prisma.$transaction((tx) => this.inventoryService.holdStock(userCart.id, item, tx));
+      } catch (error) {
+        // Not enough stock to hold the merged quantity; it is re-checked at checkout
+        console.error(`Could not hold stock for cart item ${item.id}:`, error.message);
+      }
+    }
+
+    // Delete guest cart; holds are released explicitly, including any taken since
+    await prisma.$transaction(async (tx) => {
+      await this.inventoryService.releaseCartHolds(guestCart.id, tx);
+      await tx.cart.delete({ where: { id: guestCart.id } });
     });
 
     // Update user cart totals
@@ -765,4 +1151,51 @@ export class CartService {
     // Return updated user cart
     return this.getCart(userId, null);
   }
-}
\ No newline at end of file
+
+  /**
+   * Delete guest carts nobody has touched within the retention period
+   * Their stock holds are given back first.
+   * @param {Number} batchSize - Maximum number of carts to delete
+   * @returns {Number} - Number of carts deleted
+   */
+  async purgeAbandonedGuestCarts(batchSize = 500) {
+    const cutoff = new Date(Date.now() - this.GUEST_CART_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const carts = await prisma.cart.findMany({
+      where: {
+        userId: null,
+        updatedAt: { lt: cutoff }
+      },
+      select: { id: true },
+      orderBy: { updatedAt: 'asc' },
+      take: batchSize
+    });
+
+    let purged = 0;
+
+    for (const { id } of carts) {
+      const deleted = await prisma.$transaction(async (tx) => {
+        // Lock the cart and skip it if it was used or claimed in the meantime
+        const [cart] = await tx.$queryRaw`
+          SELECT id FROM \`Cart\`
+          WHERE id = ${id} AND userId IS NULL AND updatedAt < ${cutoff}
+          FOR UPDATE`;
+
+        if (!cart) {
+          return false;
+        }
+
+        await this.inventoryService.releaseCartHolds(id, tx);
+        await tx.cart.delete({ where: { id } });
+
+        return true;
+      });
+
+      if (deleted) {
+        purged += 1;
+      }
+    }
+
+    return purged;
+  }
+}
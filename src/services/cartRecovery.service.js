@@ -0,0 +1,441 @@
+import { prisma } from '../database/connect.js';
+import { generateCouponCode } from '../utils/couponCode.js';
+import { EmailService } from './email.service.js';
+import { roundAmount } from '../utils/money.js';
+
+const RECOVERY_STATUSES = ['ACTIVE', 'RECOVERED', 'EXPIRED'];
+
+/**
+ * Cart Recovery Service
+ * Finds logged-in customers' carts left idle for CART_RECOVERY_IDLE_HOURS,
+ * emails up to CART_RECOVERY_MAX_REMINDERS reminders about them to customers
+ * who accept marketing email, and credits the recovery when the cart is
+ * ordered. The last reminder can carry a single-use discount coupon.
+ * Each idle period of a cart is tracked as one CartRecovery.
+ */
+export class CartRecoveryService {
+  constructor() {
+    this.emailService = new EmailService();
+    this.IDLE_HOURS = parseFloat(process.env.CART_RECOVERY_IDLE_HOURS) || 4;
+    this.MAX_REMINDERS = parseInt(process.env.CART_RECOVERY_MAX_REMINDERS, 10) || 3;
+    this.REMINDER_INTERVAL_HOURS = parseFloat(process.env.CART_RECOVERY_REMINDER_INTERVAL_HOURS) || 24;
+    this.ATTRIBUTION_DAYS = parseInt(process.env.CART_RECOVERY_ATTRIBUTION_DAYS, 10) || 7;
+    // 0 sends no coupon
+    this.COUPON_PERCENT = parseFloat(process.env.CART_RECOVERY_COUPON_PERCENT) || 0;
+    this.COUPON_VALID_DAYS = parseInt(process.env.CART_RECOVERY_COUPON_VALID_DAYS, 10) || 7;
+    this.MAX_IDLE_DAYS = 14; // older carts aren't worth a first reminder
+  }
+
+  /**
+   * Find newly abandoned carts, send due reminders and close finished recoveries
+   * @returns {Object} - { detected, reminded, expired }
+   */
+  async processAbandonedCarts() {
+    const detected = await this.detectAbandonedCarts();
+    const reminded = await this.sendDueReminders();
+    const expired = await this.expireRecoveries();
+
+    return { detected, reminded, expired };
+  }
+
+  /**
+   * Start a recovery for every cart idle past the threshold
+   * A cart gets one recovery per idle period: it's found again only after
+   * the customer changes it and leaves it idle once more.
+   * @param {Number} batchSize - Maximum carts to check
+   * @returns {Number} - Recoveries started
+   */
+  async detectAbandonedCarts(batchSize = 200) {
+    const now = Date.now();
+
+    const carts = await prisma.cart.findMany({
+      where: {
+        userId: { not: null },
+        itemCount: { gt: 0 },
+        updatedAt: {
+          lt: new Date(now - this.IDLE_HOURS * 60 * 60 * 1000),
+          gt: new Date(now - this.MAX_IDLE_DAYS * 24 * 60 * 60 * 1000)
+        },
+        user: {
+          email: { not: null },
+          deletedAt: null,
+          // Marketing email is on unless the customer has turned it off
+          OR: [
+            { communicationSettings: { is: null } },
+            { communicationSettings: { is: { emailMarketing: true } } }
+          ]
+        },
+        recoveries: { none: { status: 'ACTIVE' } }
+      },
+      orderBy: { updatedAt: 'asc' },
+      take: batchSize,
+      select: {
+        id: true,
+        userId: true,
+        total: true,
+        itemCount: true,
+        updatedAt: true,
+        recoveries: {
+          orderBy: { abandonedAt: 'desc' },
+          take: 1,
+          select: { abandonedAt: true }
+        }
+      }
+    });
+
+    // Skip carts whose current idle period already had its recovery
+    const abandoned = carts.filter(cart =>
+      !cart.recoveries[0] || cart.recoveries[0].abandonedAt < cart.updatedAt);
+
+    if (abandoned.length === 0) {
+      return 0;
+    }
+
+    const { count } = await prisma.cartRecovery.createMany({
+      data: abandoned.map(cart => ({
+        cartId: cart.id,
+        userId: cart.userId,
+        abandonedAt: cart.updatedAt,
+        cartValue: cart.total,
+        itemCount: cart.itemCount,
+        nextReminderAt: new Date(now)
+      })),
+      skipDuplicates: true
+    });
+
+    return count;
+  }
+
+  /**
+   * Send the reminders that are due
+   * @param {Number} batchSize - Maximum reminders to send
+   * @returns {Number} - Reminders sent
+   */
+  async sendDueReminders(batchSize = 50) {
+    const due = await prisma.cartRecovery.findMany({
+      where: {
+        status: 'ACTIVE',
+        nextReminderAt: { lte: new Date() }
+      },
+      orderBy: { nextReminderAt: 'asc' },
+      take: batchSize,
+      select: { id: true }
+    });
+
+    let sent = 0;
+
+    for (const { id } of due) {
+      try {
+        if (await this.sendReminder(id)) {
+          sent += 1;
+        }
+      } catch (error) {
+        // Left due, so the next run tries again
+        console.error(`Cart reminder for recovery ${id} failed:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Close recoveries whose last reminder went unanswered for the attribution window
+   * @returns {Number} - Recoveries expired
+   */
+  async expireRecoveries() {
+    const { count } = await prisma.cartRecovery.updateMany({
+      where: {
+        status: 'ACTIVE',
+        remindersSent: { gte: this.MAX_REMINDERS },
+        lastReminderAt: { lt: new Date(Date.now() - this.ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000) }
+      },
+      data: { status: 'EXPIRED', nextReminderAt: null }
+    });
+
+    return count;
+  }
+
+  /**
+   * Credit an order to the recovery of the cart it was placed from
+   * Only carts that were sent a reminder count as recovered.
+   * @param {String} cartId - Cart the order was placed from
+   * @param {Object} order - Created order
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Boolean} - Whether a recovery was credited
+   */
+  async markRecovered(cartId, order, tx = prisma) {
+    const { count } = await tx.cartRecovery.updateMany({
+      where: {
+        cartId,
+        status: 'ACTIVE',
+        remindersSent: { gt: 0 }
+      },
+      data: {
+        status: 'RECOVERED',
+        orderId: order.id,
+        revenue: order.total,
+        recoveredAt: new Date(),
+        nextReminderAt: null
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * List recoveries (admin)
+   * @param {Object} options - { status, userId, page, limit }
+   * @returns {Object} - { recoveries, pagination }
+   */
+  async listRecoveries(options = {}) {
+    const { status, userId } = options;
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    if (status && !RECOVERY_STATUSES.includes(status)) {
+      throw new Error(`Status must be one of ${RECOVERY_STATUSES.join(', ')}`);
+    }
+
+    const where = {
+      ...(status && { status }),
+      ...(userId && { userId })
+    };
+
+    const [recoveries, total] = await Promise.all([
+      prisma.cartRecovery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          user: { select: { id: true, firstName: true, lastName: true, email: true } },
+          coupon: { select: { id: true, code: true, value: true, usageCount: true } },
+          order: { select: { id: true, orderNumber: true, status: true, total: true } }
+        }
+      }),
+      prisma.cartRecovery.count({ where })
+    ]);
+
+    return {
+      recoveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Recovery rate and revenue of carts abandoned in a period (admin)
+   * Revenue leaves out recovered orders that were later canceled.
+   * @param {Object} options - { startDate, endDate } bounds on when carts were found idle
+   * @returns {Object} - Report
+   */
+  async getRecoveryReport(options = {}) {
+    const { startDate, endDate } = options;
+    const createdAt = {
+      ...(startDate && { gte: new Date(startDate) }),
+      ...(endDate && { lte: new Date(endDate) })
+    };
+
+    if (Object.values(createdAt).some(date => Number.isNaN(date.getTime()))) {
+      throw new Error('Invalid date range');
+    }
+
+    const where = Object.keys(createdAt).length > 0 ? { createdAt } : {};
+
+    const [byStatus, reminded, couponsIssued, couponsRedeemed, revenue] = await Promise.all([
+      prisma.cartRecovery.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true },
+        _sum: { cartValue: true, remindersSent: true }
+      }),
+      prisma.cartRecovery.count({ where: { ...where, remindersSent: { gt: 0 } } }),
+      prisma.cartRecovery.count({ where: { ...where, couponId: { not: null } } }),
+      prisma.cartRecovery.count({ where: { ...where, coupon: { orders: { some: {} } } } }),
+      prisma.cartRecovery.aggregate({
+        where: { ...where, status: 'RECOVERED', order: { status: { not: 'CANCELED' } } },
+        _sum: { revenue: true }
+      })
+    ]);
+
+    const totals = Object.fromEntries(RECOVERY_STATUSES.map(status => {
+      const group = byStatus.find(row => row.status === status);
+      return [status, {
+        carts: group?._count._all || 0,
+        value: roundAmount(group?._sum.cartValue || 0),
+        remindersSent: group?._sum.remindersSent || 0
+      }];
+    }));
+
+    const abandonedCarts = RECOVERY_STATUSES.reduce((sum, status) => sum + totals[status].carts, 0);
+    const recoveredCarts = totals.RECOVERED.carts;
+
+    return {
+      period: { startDate: startDate || null, endDate: endDate || null },
+      abandonedCarts,
+      abandonedValue: roundAmount(RECOVERY_STATUSES.reduce((sum, status) => sum + totals[status].value, 0)),
+      remindedCarts: reminded,
+      remindersSent: RECOVERY_STATUSES.reduce((sum, status) => sum + totals[status].remindersSent, 0),
+      inProgress: totals.ACTIVE.carts,
+      recoveredCarts,
+      expiredCarts: totals.EXPIRED.carts,
+      // Share of reminded carts that turned into orders
+      recoveryRate: reminded > 0 ? roundAmount((recoveredCarts / reminded) * 100) : 0,
+      recoveredRevenue: roundAmount(revenue._sum.revenue || 0),
+      couponsIssued,
+      couponsRedeemed
+    };
+  }
+
+  /**
+   * Send the next reminder for a recovery, or close it if the cart no longer needs one
+   * @param {String} recoveryId - Cart recovery ID
+   * @returns {Boolean} - Whether a reminder was queued
+   * @private
+   */
+  async sendReminder(recoveryId) {
+    const recovery = await prisma.cartRecovery.findUnique({
+      where: { id: recoveryId },
+      include: {
+        cart: {
+          include: {
+            items: {
+              include: {
+                product: { select: { name: true } },
+                variant: { select: { name: true } }
+              }
+            }
+          }
+        },
+        user: {
+          select: {
+            firstName: true,
+            email: true,
+            deletedAt: true,
+            communicationSettings: { select: { emailMarketing: true } }
+          }
+        },
+        coupon: true
+      }
+    });
+
+    if (!recovery || recovery.status !== 'ACTIVE') {
+      return false;
+    }
+
+    const { cart, user } = recovery;
+    const optedOut = user.communicationSettings?.emailMarketing === false;
+
+    // Emptied carts and customers who can't or don't want to be emailed end the recovery
+    if (cart.items.length === 0 || optedOut || !user.email || user.deletedAt) {
+      await prisma.cartRecovery.updateMany({
+        where: { id: recoveryId, status: 'ACTIVE' },
+        data: { status: 'EXPIRED', nextReminderAt: null }
+      });
+      return false;
+    }
+
+    // A customer shopping again gets reminded only once the cart is idle again
+    const idleSince = cart.updatedAt.getTime() + this.IDLE_HOURS * 60 * 60 * 1000;
+
+    if (idleSince > Date.now()) {
+      await prisma.cartRecovery.updateMany({
+        where: { id: recoveryId, status: 'ACTIVE' },
+        data: { nextReminderAt: new Date(idleSince) }
+      });
+      return false;
+    }
+
+    const reminderNumber = recovery.remindersSent + 1;
+    const isLastReminder = reminderNumber >= this.MAX_REMINDERS;
+    const now = new Date();
+
+    const claim = await prisma.$transaction(async (tx) => {
+      // Claim the reminder so two runs never send it twice
+      const { count } = await tx.cartRecovery.updateMany({
+        where: { id: recoveryId, status: 'ACTIVE', remindersSent: recovery.remindersSent },
+        data: {
+          remindersSent: reminderNumber,
+          lastReminderAt: now,
+          nextReminderAt: isLastReminder
+            ? null
+            : new Date(now.getTime() + this.REMINDER_INTERVAL_HOURS * 60 * 60 * 1000)
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      // A last reminder that couldn't be queued before keeps the coupon made for it
+      let coupon = isLastReminder ? recovery.coupon : null;
+
+      if (isLastReminder && this.COUPON_PERCENT > 0 && !coupon) {
+        coupon = await this.createRecoveryCoupon(recovery.userId, tx);
+
+        await tx.cartRecovery.update({
+          where: { id: recoveryId },
+          data: { couponId: coupon.id }
+        });
+      }
+
+      return { coupon };
+    });
+
+    if (!claim) {
+      return false;
+    }
+
+    const { coupon } = claim;
+
+    // Queued once the claim is committed; if that fails the reminder is due again
+    try {
+      await this.emailService.sendCartReminderEmail(user, cart, { coupon, isLastReminder });
+    } catch (error) {
+      await prisma.cartRecovery.updateMany({
+        where: { id: recoveryId, status: 'ACTIVE', remindersSent: reminderNumber },
+        data: {
+          remindersSent: recovery.remindersSent,
+          lastReminderAt: recovery.lastReminderAt,
+          nextReminderAt: now
+        }
+      });
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Create the single-use coupon offered with a last reminder
+   * Only the customer it is sent to can use it.
+   * @param {String} userId - Customer the reminder goes to
+   * @param {Object} tx - Transaction client
+   * @returns {Object} - Coupon
+   * @private
+   */
+  async createRecoveryCoupon(userId, tx) {
+    const now = new Date();
+
+    return await tx.coupon.create({
+      data: {
+        code: generateCouponCode({ prefix: 'CART-' }),
+        name: 'Cart recovery',
+        description: `${this.COUPON_PERCENT}% off to complete an abandoned cart`,
+        type: 'PERCENTAGE',
+        value: this.COUPON_PERCENT,
+        isOneTimeUse: true,
+        customerUsageLimit: 1,
+        maxUsageCount: 1,
+        startDate: now,
+        endDate: new Date(now.getTime() + this.COUPON_VALID_DAYS * 24 * 60 * 60 * 1000),
+        status: 'ACTIVE',
+        userId
+      }
+    });
+  }
+}
@@ -1,11 +1,19 @@
 import { prisma } from '../database/connect.js';
 import slugify from 'slugify';
+import redisManager from '../utils/redisClient.js';
+import { categoryKeys } from '../utils/redisKeys.js';
+import { JobQueueService, JOB_TYPES } from './jobQueue.service.js';
 
 /**
  * Category Service
  * Handles all business logic related to categories
  */
 export class CategoryService {
+  constructor() {
+    this.HIERARCHY_CACHE_TTL = 60 * 60; // 1 hour in seconds
+    this.jobQueue = new JobQueueService();
+  }
+
   /**
    * Create a new category
    * @param {Object} categoryData - The category data
@@ -79,6 +87,8 @@ export class CategoryService {
       }
     });
 
+    await this.refreshCategoryCache();
+
     return category;
   }
 
@@ -142,10 +152,20 @@ export class CategoryService {
    * @param {Object} options - Query options
    * @param {Boolean} options.includeInactive - Whether to include inactive categories
    * @param {Boolean} options.includeDeleted - Whether to include soft deleted categories
+   * @param {Boolean} options.skipCache - Rebuild the storefront tree instead of reading the cache
    * @returns {Array} - Hierarchical array of categories
    */
   async getCategoryHierarchy(options = {}) {
-    const { includeInactive = false, includeDeleted = false } = options;
+    const { includeInactive = false, includeDeleted = false, skipCache = false } = options;
+
+    // The storefront tree is cached; admin views with hidden categories are not
+    const cacheable = !includeInactive && !includeDeleted;
+    if (cacheable && !skipCache) {
+      const cached = await redisManager.get(categoryKeys.hierarchy());
+      if (cached) {
+        return cached;
+      }
+    }
 
     // Get all categories first
     const allCategories = await this.getCategories({
@@ -181,9 +201,22 @@ export class CategoryService {
       }
     }
 
+    if (cacheable) {
+      await redisManager.set(categoryKeys.hierarchy(), rootCategories, this.HIERARCHY_CACHE_TTL);
+    }
+
     return rootCategories;
   }
 
+  /**
+   * Rebuild the cached storefront category tree
+   * @returns {Number} - Root categories cached
+   */
+  async warmCategoryCache() {
+    const hierarchy = await this.getCategoryHierarchy({ skipCache: true });
+    return hierarchy.length;
+  }
+
   /**
    * Get only root categories (categories without parents)
    * @param {Object} options - Query options
@@ -574,6 +607,8 @@ export class CategoryService {
       _count: undefined
     };
 
+    await this.refreshCategoryCache();
+
     return result;
   }
 
@@ -654,6 +689,8 @@ export class CategoryService {
       });
     }
 
+    await this.refreshCategoryCache();
+
     return true;
   }
 
@@ -687,4 +724,19 @@ export class CategoryService {
 
     return false;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Drop the cached category tree and queue a rebuild
+   * A queue outage only costs a cache miss, so it doesn't fail the change.
+   * @private
+   */
+  async refreshCategoryCache() {
+    await redisManager.del(categoryKeys.hierarchy());
+
+    try {
+      await this.jobQueue.enqueue(JOB_TYPES.WARM_CACHE, { target: 'categories' });
+    } catch (error) {
+      console.error('Error queueing category cache warm-up:', error);
+    }
+  }
+}
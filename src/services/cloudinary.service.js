@@ -55,6 +55,36 @@ class CloudinaryService {
     }
   }
 
+  /**
+   * Upload image file contents to Cloudinary
+   * @param {Buffer} data - File contents
+   * @param {string} mimeType - File type, e.g. image/png
+   * @returns {Promise<{public_id: string, url: string}>}
+   */
+  async uploadImageData(data, mimeType) {
+    try {
+      const result = await cloudinary.uploader.upload(
+        `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`,
+        {
+          folder: 'products',
+          resource_type: 'auto',
+          unique_filename: true
+        }
+      );
+
+      return {
+        public_id: result.public_id,
+        url: result.secure_url
+      };
+    } catch (error) {
+      console.error('Error uploading to Cloudinary:', error);
+      throw new ApiError(
+        HTTP_INTERNAL_SERVER_ERROR,
+        `Failed to upload image to Cloudinary: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Upload multiple images to Cloudinary
    * @param {Array<string>} imagePaths - Array of image file paths
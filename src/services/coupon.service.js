@@ -1,10 +1,51 @@
 import { prisma } from '../database/connect.js';
+import ApiError from '../utils/apiError.js';
+import { HTTP_BAD_REQUEST } from '../httpStatusCode.js';
+import { PromotionService } from './promotion.service.js';
+
+// Types whose discount depends on which items are in the cart
+const RULE_BASED_TYPES = ['BUY_X_GET_Y', 'TIERED_SPEND', 'BUNDLE_PRICE', 'CHEAPEST_FREE'];
+
+// The lists a coupon's applicability scope is made of
+const SCOPE_LISTS = {
+  products: { scope: 'SPECIFIC_PRODUCTS', model: 'product', key: 'productId', label: 'product' },
+  categories: { scope: 'SPECIFIC_CATEGORIES', model: 'category', key: 'categoryId', label: 'category' }
+};
+
+// Coupon scope lists with the names admins see
+const COUPON_DETAILS_INCLUDE = {
+  products: {
+    include: { product: { select: { id: true, name: true, slug: true } } }
+  },
+  categories: {
+    include: { category: { select: { id: true, name: true, slug: true, path: true } } }
+  }
+};
+
+/**
+ * Read a list of IDs given as an array or comma-separated text
+ * @param {Array|String} ids - IDs
+ * @returns {Array|undefined} - Unique IDs, or undefined when not given
+ */
+const toIdList = (ids) => {
+  if (ids === undefined || ids === null) {
+    return undefined;
+  }
+
+  const list = Array.isArray(ids) ? ids : String(ids).split(',');
+
+  return [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+};
 
 /**
  * Coupon Service
  * Handles all business logic related to coupons
  */
 export class CouponService {
+  constructor() {
+    this.promotionService = new PromotionService();
+  }
+
   /**
    * Create a new coupon
    * @param {Object} couponData - The coupon data
@@ -23,8 +64,11 @@ export class CouponService {
       maximumDiscountAmount,
       isAutomaticallyApplied,
       isOneTimeUse,
+      isStackable,
       customerUsageLimit,
+      maxUsageCount,
       priority,
+      rules,
       startDate,
       endDate,
       status,
@@ -32,6 +76,15 @@ export class CouponService {
       applicableCategoryIds
     } = couponData;
 
+    this.promotionService.validatePromotion({ type, value: value ?? 0, rules });
+    this.validateMaxUsageCount(maxUsageCount);
+
+    const scope = await this.resolveScope(
+      applicabilityScope || 'ALL_PRODUCTS',
+      toIdList(applicableProductIds) || [],
+      toIdList(applicableCategoryIds) || []
+    );
+
     // Validate that code is unique
     const existingCoupon = await prisma.coupon.findUnique({
       where: { code }
@@ -48,20 +101,28 @@ export class CouponService {
         name,
         description,
         type,
-        value,
+        value: value ?? 0,
         applicabilityScope,
         minimumOrderAmount: minimumOrderAmount || null,
         maximumDiscountAmount: maximumDiscountAmount || null,
         isAutomaticallyApplied: isAutomaticallyApplied || false,
         isOneTimeUse: isOneTimeUse || false,
+        isStackable: isStackable ?? true,
         customerUsageLimit: customerUsageLimit || null,
+        maxUsageCount: maxUsageCount || null,
         priority: priority || 1,
+        rules: rules || undefined,
         startDate: startDate ? new Date(startDate) : new Date(),
         endDate: endDate ? new Date(endDate) : null,
         status,
-        applicableProductIds,
-        applicableCategoryIds
-      }
+        products: {
+          create: scope.productIds.map(productId => ({ productId }))
+        },
+        categories: {
+          create: scope.categoryIds.map(categoryId => ({ categoryId }))
+        }
+      },
+      include: COUPON_DETAILS_INCLUDE
     });
 
     return coupon;
@@ -77,9 +138,12 @@ export class CouponService {
   async getCoupons(page = 1, limit = 10, includeInactive = false) {
     const skip = (page - 1) * limit;
     
-    // Filter conditions
+    // Filter conditions; campaign codes are listed under their campaign and
+    // personal coupons are only shown to the customer they were issued to
     const where = {
       deletedAt: null,
+      campaignId: null,
+      userId: null,
     };
     
     // Only show active coupons if includeInactive is false
@@ -94,6 +158,7 @@ export class CouponService {
         orderBy: {
           createdAt: 'desc'
         },
+        include: COUPON_DETAILS_INCLUDE,
         skip,
         take: limit,
       }),
@@ -115,7 +180,8 @@ export class CouponService {
    */
   async getCouponById(couponId) {
     const coupon = await prisma.coupon.findUnique({
-      where: { id: couponId }
+      where: { id: couponId },
+      include: COUPON_DETAILS_INCLUDE
     });
 
     if (!coupon) {
@@ -132,7 +198,8 @@ export class CouponService {
    */
   async getCouponByCode(code) {
     const coupon = await prisma.coupon.findUnique({
-      where: { code }
+      where: { code },
+      include: COUPON_DETAILS_INCLUDE
     });
 
     if (!coupon) {
@@ -149,9 +216,12 @@ export class CouponService {
    * @returns {Object} - The updated coupon
    */
   async updateCoupon(couponId, couponData) {
+    const { applicableProductIds, applicableCategoryIds, ...data } = couponData;
+
     // Verify the coupon exists
     const existingCoupon = await prisma.coupon.findUnique({
-      where: { id: couponId }
+      where: { id: couponId },
+      include: COUPON_DETAILS_INCLUDE
     });
 
     if (!existingCoupon) {
@@ -159,9 +229,9 @@ export class CouponService {
     }
 
     // Check if code is being changed and ensure it's unique
-    if (couponData.code && couponData.code !== existingCoupon.code) {
+    if (data.code && data.code !== existingCoupon.code) {
       const codeExists = await prisma.coupon.findUnique({
-        where: { code: couponData.code }
+        where: { code: data.code }
       });
 
       if (codeExists) {
@@ -169,19 +239,54 @@ export class CouponService {
       }
     }
 
+    // The type, value and rules have to make sense together
+    if (data.type !== undefined || data.value !== undefined || data.rules !== undefined) {
+      this.promotionService.validatePromotion({
+        type: data.type ?? existingCoupon.type,
+        value: data.value ?? existingCoupon.value,
+        rules: data.rules ?? existingCoupon.rules
+      });
+    }
+
+    if (data.maxUsageCount !== undefined) {
+      this.validateMaxUsageCount(data.maxUsageCount);
+    }
+
+    // Replace the scope lists when the scope or either list changes
+    const productIds = toIdList(applicableProductIds);
+    const categoryIds = toIdList(applicableCategoryIds);
+
+    if (data.applicabilityScope !== undefined || productIds !== undefined || categoryIds !== undefined) {
+      const scope = await this.resolveScope(
+        data.applicabilityScope ?? existingCoupon.applicabilityScope,
+        productIds ?? existingCoupon.products.map(({ productId }) => productId),
+        categoryIds ?? existingCoupon.categories.map(({ categoryId }) => categoryId)
+      );
+
+      data.products = {
+        deleteMany: {},
+        create: scope.productIds.map(productId => ({ productId }))
+      };
+      data.categories = {
+        deleteMany: {},
+        create: scope.categoryIds.map(categoryId => ({ categoryId }))
+      };
+    }
+
     // Update dates if provided
-    if (couponData.startDate) {
-      couponData.startDate = new Date(couponData.startDate);
+    if (data.startDate) {
+      data.startDate = new Date(data.startDate);
     }
     
-    if (couponData.endDate) {
-      couponData.endDate = new Date(couponData.endDate);
+    if (data.endDate) {
+      data.endDate = new Date(data.endDate);
     }
 
     // Update the coupon
     const updatedCoupon = await prisma.coupon.update({
       where: { id: couponId },
-      data: couponData
+      data,
+      include: COUPON_DETAILS_INCLUDE
     });
 
     return updatedCoupon;
@@ -214,6 +319,164 @@ export class CouponService {
     return true;
   }
 
+  /**
+   * Add products to a SPECIFIC_PRODUCTS coupon
+   * @param {String} couponId - The coupon ID
+   * @param {Array|String} productIds - Product IDs
+   * @returns {Object} - The coupon with its scope lists
+   */
+  async addCouponProducts(couponId, productIds) {
+    return await this.addScopeItems(couponId, 'products', productIds);
+  }
+
+  /**
+   * Remove a product from a SPECIFIC_PRODUCTS coupon
+   * @param {String} couponId - The coupon ID
+   * @param {String} productId - The product ID
+   * @returns {Object} - The coupon with its scope lists
+   */
+  async removeCouponProduct(couponId, productId) {
+    return await this.removeScopeItem(couponId, 'products', productId);
+  }
+
+  /**
+   * Add categories to a SPECIFIC_CATEGORIES coupon
+   * @param {String} couponId - The coupon ID
+   * @param {Array|String} categoryIds - Category IDs
+   * @returns {Object} - The coupon with its scope lists
+   */
+  async addCouponCategories(couponId, categoryIds) {
+    return await this.addScopeItems(couponId, 'categories', categoryIds);
+  }
+
+  /**
+   * Remove a category from a SPECIFIC_CATEGORIES coupon
+   * @param {String} couponId - The coupon ID
+   * @param {String} categoryId - The category ID
+   * @returns {Object} - The coupon with its scope lists
+   */
+  async removeCouponCategory(couponId, categoryId) {
+    return await this.removeScopeItem(couponId, 'categories', categoryId);
+  }
+
+  /**
+   * Take one use of each of an order's coupons, inside the order's transaction
+   * The coupon rows stay locked until the transaction ends, so checkouts with
+   * the same coupon go one at a time and each sees the uses of those before
+   * it. The locks have to come before anything else the transaction reads.
+   * @param {Array} coupons - The order's coupons
+   * @param {String} userId - Customer placing the order
+   * @param {Object} tx - Transaction client
+   * @throws {Error} - When a coupon can no longer be used or a limit is reached
+   */
+  async reserveRedemptions(coupons, userId, tx) {
+    // Always lock in the same order so two checkouts can't deadlock
+    const couponIds = [...new Set(coupons.map(coupon => coupon.id))].sort();
+
+    for (const couponId of couponIds) {
+      await tx.$queryRaw`SELECT id FROM \`Coupon\` WHERE id = ${couponId} FOR UPDATE`;
+    }
+
+    for (const couponId of couponIds) {
+      const coupon = await tx.coupon.findUnique({ where: { id: couponId } });
+      const unavailable = this.promotionService.getUnavailableReason(coupon);
+
+      if (unavailable) {
+        throw new Error(`${unavailable}: ${coupon.code}`);
+      }
+
+      if (this.promotionService.isIssuedToAnother(coupon, userId)) {
+        throw new Error(`Coupon ${coupon.code} is not available to you`);
+      }
+
+      if (coupon.isOneTimeUse || coupon.customerUsageLimit) {
+        const usageCount = await tx.orderCoupon.count({
+          where: {
+            couponId,
+            releasedAt: null,
+            order: { userId }
+          }
+        });
+
+        if (coupon.isOneTimeUse && usageCount > 0) {
+          throw new Error(`Coupon ${coupon.code} can only be used once per customer`);
+        }
+
+        if (coupon.customerUsageLimit && usageCount >= coupon.customerUsageLimit) {
+          throw new Error(`You have reached the usage limit (${coupon.customerUsageLimit}) for coupon ${coupon.code}`);
+        }
+      }
+
+      await tx.coupon.update({
+        where: { id: couponId },
+        data: { usageCount: { increment: 1 } }
+      });
+    }
+  }
+
+  /**
+   * Give back the coupon uses of a canceled order
+   * Each use is given back once, however often this runs for the order.
+   * @param {String} orderId - Order ID
+   * @param {Object} tx - Transaction client
+   * @returns {Number} - Uses given back
+   */
+  async releaseRedemptions(orderId, tx) {
+    const redemptions = await tx.orderCoupon.findMany({
+      where: { orderId, releasedAt: null }
+    });
+
+    let released = 0;
+
+    for (const redemption of redemptions) {
+      const { count } = await tx.orderCoupon.updateMany({
+        where: { id: redemption.id, releasedAt: null },
+        data: { releasedAt: new Date() }
+      });
+
+      if (count > 0) {
+        await tx.coupon.updateMany({
+          where: { id: redemption.couponId, usageCount: { gt: 0 } },
+          data: { usageCount: { decrement: 1 } }
+        });
+        released += 1;
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Move coupons between statuses as their dates pass
+   * SCHEDULED coupons whose start date has come become ACTIVE, and ACTIVE or
+   * SCHEDULED coupons past their end date become EXPIRED.
+   * @returns {Object} - { activated, expired }
+   */
+  async syncCouponStatuses() {
+    const now = new Date();
+
+    const { count: expired } = await prisma.coupon.updateMany({
+      where: {
+        status: { in: ['ACTIVE', 'SCHEDULED'] },
+        endDate: { lt: now },
+        deletedAt: null
+      },
+      data: { status: 'EXPIRED' }
+    });
+
+    const { count: activated } = await prisma.coupon.updateMany({
+      where: {
+        status: 'SCHEDULED',
+        startDate: { lte: now },
+        OR: [{ endDate: null }, { endDate: { gte: now } }],
+        deletedAt: null
+      },
+      data: { status: 'ACTIVE' }
+    });
+
+    return { activated, expired };
+  }
+
   /**
    * Apply a coupon to a cart
    * @param {String} code - The coupon code
@@ -227,7 +490,8 @@ export class CouponService {
       where: { code }
     });
 
-    if (!coupon) {
+    // Someone else's personal coupon is treated as unknown
+    if (!coupon || this.promotionService.isIssuedToAnother(coupon, userId)) {
       throw new Error('Coupon not found');
     }
 
@@ -246,6 +510,11 @@ export class CouponService {
       throw new Error('Coupon has expired');
     }
 
+    // Check the limit on uses by all customers
+    if (coupon.maxUsageCount !== null && coupon.usageCount >= coupon.maxUsageCount) {
+      throw new Error('Coupon has reached its usage limit');
+    }
+
     // Check minimum order amount
     if (coupon.minimumOrderAmount && parseFloat(coupon.minimumOrderAmount) > cartTotal) {
       throw new Error(`Minimum order amount of ${coupon.minimumOrderAmount} not met`);
@@ -257,6 +526,7 @@ export class CouponService {
       const usageCount = await prisma.orderCoupon.count({
         where: {
           couponId: coupon.id,
+          releasedAt: null,
           order: {
             userId
           }
@@ -272,6 +542,11 @@ export class CouponService {
       }
     }
 
+    // Without the cart's items there's nothing to work these out on
+    if (RULE_BASED_TYPES.includes(coupon.type) || coupon.applicabilityScope !== 'ALL_PRODUCTS') {
+      throw new Error('This promotion depends on the items in your cart; apply it to your cart instead');
+    }
+
     // Calculate discount amount based on coupon type
     let discountAmount = 0;
 
@@ -306,4 +581,139 @@ export class CouponService {
       type: coupon.type
     };
   }
-} 
\ No newline at end of file
+
+  /**
+   * Check a limit on uses by all customers
+   * @throws {ApiError} - 400 unless it's empty or a positive whole number
+   * @private
+   */
+  validateMaxUsageCount(maxUsageCount) {
+    if (maxUsageCount !== undefined && maxUsageCount !== null &&
+        !(Number.isInteger(maxUsageCount) && maxUsageCount > 0)) {
+      throw new ApiError(HTTP_BAD_REQUEST, 'maxUsageCount must be a positive whole number');
+    }
+  }
+
+  /**
+   * Check the lists that go with an applicability scope
+   * Only the list the scope uses is kept; the other one is emptied.
+   * @param {String} applicabilityScope - The scope
+   * @param {Array} productIds - Product IDs
+   * @param {Array} categoryIds - Category IDs
+   * @returns {Object} - { productIds, categoryIds } to store
+   * @throws {ApiError} - 400 when the scope's list is empty or names unknown IDs
+   * @private
+   */
+  async resolveScope(applicabilityScope, productIds, categoryIds) {
+    if (applicabilityScope === 'SPECIFIC_COLLECTIONS') {
+      throw new ApiError(HTTP_BAD_REQUEST, 'Collection-scoped coupons aren\'t supported; there are no collections to match');
+    }
+
+    const ids = { products: productIds, categories: categoryIds };
+    const resolved = { productIds: [], categoryIds: [] };
+
+    for (const [list, { scope, label }] of Object.entries(SCOPE_LISTS)) {
+      if (applicabilityScope !== scope) {
+        continue;
+      }
+
+      if (ids[list].length === 0) {
+        throw new ApiError(HTTP_BAD_REQUEST, `A ${scope} coupon needs at least one ${label}`);
+      }
+
+      await this.assertExists(list, ids[list]);
+      resolved[`${label}Ids`] = ids[list];
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Make sure every ID in a scope list exists
+   * @private
+   */
+  async assertExists(list, ids) {
+    const { model, label } = SCOPE_LISTS[list];
+    const found = await prisma[model].findMany({
+      where: { id: { in: ids } },
+      select: { id: true }
+    });
+
+    const missing = ids.filter(id => !found.some(record => record.id === id));
+
+    if (missing.length > 0) {
+      throw new ApiError(HTTP_BAD_REQUEST, `Unknown ${label} IDs: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Add IDs to one of a coupon's scope lists
+   * @private
+   */
+  async addScopeItems(couponId, list, ids) {
+    const { scope, key, label } = SCOPE_LISTS[list];
+    const coupon = await prisma.coupon.findUnique({ where: { id: couponId } });
+
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    if (coupon.applicabilityScope !== scope) {
+      throw new ApiError(HTTP_BAD_REQUEST, `Only ${scope} coupons have a ${label} list`);
+    }
+
+    const idList = toIdList(ids) || [];
+
+    if (idList.length === 0) {
+      throw new ApiError(HTTP_BAD_REQUEST, `At least one ${label} ID is required`);
+    }
+
+    await this.assertExists(list, idList);
+
+    return await prisma.coupon.update({
+      where: { id: couponId },
+      data: {
+        [list]: {
+          createMany: {
+            data: idList.map(id => ({ [key]: id })),
+            skipDuplicates: true
+          }
+        }
+      },
+      include: COUPON_DETAILS_INCLUDE
+    });
+  }
+
+  /**
+   * Remove an ID from one of a coupon's scope lists
+   * @private
+   */
+  async removeScopeItem(couponId, list, id) {
+    const { scope, key, label } = SCOPE_LISTS[list];
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: couponId },
+      include: COUPON_DETAILS_INCLUDE
+    });
+
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    if (!coupon[list].some(item => item[key] === id)) {
+      throw new ApiError(HTTP_BAD_REQUEST, `The coupon doesn't cover this ${label}`);
+    }
+
+    // An empty list would leave the coupon matching nothing
+    if (coupon.applicabilityScope === scope && coupon[list].length === 1) {
+      throw new ApiError(HTTP_BAD_REQUEST, `A ${scope} coupon needs at least one ${label}; change its scope instead`);
+    }
+
+    return await prisma.coupon.update({
+      where: { id: couponId },
+      data: {
+        [list]: { deleteMany: { [key]: id } }
+      },
+      include: COUPON_DETAILS_INCLUDE
+    });
+  }
+}
\ No newline at end of file
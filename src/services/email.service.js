@@ -1,4 +1,6 @@
 import nodemailer from 'nodemailer';
+import { JobQueueService, JOB_TYPES } from './jobQueue.service.js';
+import { formatCurrency } from '../utils/orderUtils.js';
 
 /**
  * Email Service
@@ -16,6 +18,7 @@ export class EmailService {
         pass: process.env.EMAIL_PASSWORD,
       },
     });
+    this.jobQueue = new JobQueueService();
   }
 
   /**
@@ -43,11 +46,27 @@ export class EmailService {
     }
   }
 
+  /**
+   * Queue an email to be sent by a background worker
+   * Requests don't wait on the mail server, and failed sends are retried.
+   * @param {Object} options - Email options (to, subject, text, html)
+   * @returns {Object} - Queued job
+   */
+  async queueEmail(options) {
+    const { to, subject, text, html } = options;
+
+    if (!to || !subject) {
+      throw new Error('Email recipient and subject are required');
+    }
+
+    return await this.jobQueue.enqueue(JOB_TYPES.SEND_EMAIL, { to, subject, text, html });
+  }
+
   /**
    * Send verification email
    * @param {Object} user - User object
    * @param {string} verificationToken - Verification token
-   * @returns {boolean} - Success status
+   * @returns {Object} - Queued job
    */
   async sendVerificationEmail(user, verificationToken) {
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
@@ -82,7 +101,7 @@ export class EmailService {
       </div>
     `;
 
-    return await this.sendEmail({
+    return await this.queueEmail({
       to: user.email,
       subject,
       text,
@@ -93,7 +112,7 @@ export class EmailService {
   /**
    * Send welcome email after verification
    * @param {Object} user - User object
-   * @returns {boolean} - Success status
+   * @returns {Object} - Queued job
    */
   async sendWelcomeEmail(user) {
     const subject = 'Welcome to Cladily!';
@@ -121,7 +140,7 @@ export class EmailService {
       </div>
     `;
 
-    return await this.sendEmail({
+    return await this.queueEmail({
       to: user.email,
       subject,
       text,
@@ -133,7 +152,7 @@ export class EmailService {
    * Send password reset email
    * @param {Object} user - User object
    * @param {string} resetToken - Reset token
-   * @returns {boolean} - Success status
+   * @returns {Object} - Queued job
    */
   async sendResetPasswordEmail(user, resetToken) {
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
@@ -168,7 +187,7 @@ export class EmailService {
       </div>
     `;
 
-    return await this.sendEmail({
+    return await this.queueEmail({
       to: user.email,
       subject,
       text,
@@ -180,7 +199,7 @@ export class EmailService {
    * Send order confirmation email
    * @param {Object} user - User object
    * @param {Object} order - Order object
-   * @returns {boolean} - Success status
+   * @returns {Object} - Queued job
    */
   async sendOrderConfirmationEmail(user, order) {
     const orderUrl = `${process.env.FRONTEND_URL}/orders/${order.id}`;
@@ -313,11 +332,87 @@ export class EmailService {
       </div>
     `;
 
-    return await this.sendEmail({
+    return await this.queueEmail({
+      to: user.email,
+      subject,
+      text,
+      html,
+    });
+  }
+
+  /**
+   * Send a reminder about items left in the cart
+   * @param {Object} user - User object
+   * @param {Object} cart - Cart with items (product and variant included)
+   * @param {Object} options - { coupon, isLastReminder }; coupon is a discount
+   *                           offered to finish the order
+   * @returns {Object} - Queued job
+   */
+  async sendCartReminderEmail(user, cart, options = {}) {
+    const { coupon = null, isLastReminder = false } = options;
+    const cartUrl = `${process.env.FRONTEND_URL}/cart`;
+
+    const subject = coupon
+      ? `${parseFloat(coupon.value)}% off the items in your cart`
+      : isLastReminder
+        ? 'Last chance: your cart is about to be forgotten'
+        : 'You left something in your cart';
+
+    const itemName = (item) => `${item.product.name}${item.variant ? ` (${item.variant.name})` : ''}`;
+
+    const itemsText = cart.items
+      .map(item => `${itemName(item)} x ${item.quantity}: ${formatCurrency(item.totalPrice)}`)
+      .join('\n');
+
+    const itemsHtml = cart.items.map(item => `
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${itemName(item)}</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">${formatCurrency(item.totalPrice)}</td>
+          </tr>`).join('');
+
+    const couponText = coupon
+      ? `Use code ${coupon.code} at checkout for ${parseFloat(coupon.value)}% off. It can be used once${coupon.endDate ? ` and is valid until ${new Date(coupon.endDate).toLocaleDateString('en-IN')}` : ''}.`
+      : '';
+
+    const text = `
+      Hello ${user.firstName},
+      
+      You left these items in your cart:
+      
+      ${itemsText}
+      
+      ${couponText}
+      
+      Pick up where you left off: ${cartUrl}
+      
+      Best regards,
+      The Cladily Team
+      
+      You are receiving this because marketing emails are turned on in your account settings.
+    `;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your cart is waiting</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>You left these items in your cart:</p>
+        <table style="width: 100%; border-collapse: collapse;">${itemsHtml}
+        </table>
+        ${couponText ? `<p style="margin-top: 20px;"><strong>${couponText}</strong></p>` : ''}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${cartUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">Return to Cart</a>
+        </div>
+        <p>Best regards,<br>The Cladily Team</p>
+        <p style="color: #999; font-size: 12px;">You are receiving this because marketing emails are turned on in your account settings.</p>
+      </div>
+    `;
+
+    return await this.queueEmail({
       to: user.email,
       subject,
       text,
       html,
     });
   }
-} 
\ No newline at end of file
+}
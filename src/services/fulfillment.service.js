@@ -0,0 +1,326 @@
+import { prisma } from '../database/connect.js';
+import { ShippingService } from './shipping.service.js';
+import { OrderStatusService, ORDER_ACTORS } from './orderStatus.service.js';
+import { NotificationService } from './notification.service.js';
+import { isItemCanceled } from '../utils/orderUtils.js';
+
+/**
+ * Fulfillment Service
+ * Shipments of some or all units of an order, and the order's fulfillment status
+ */
+export class FulfillmentService {
+  constructor() {
+    this.shippingService = new ShippingService();
+    this.orderStatusService = new OrderStatusService();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Ship units of an order (admin)
+   * @param {String} orderId - Order ID
+   * @param {Object} fulfillmentData - { items: [{ orderItemId, quantity }], carrierName,
+   *                                   trackingNumber, trackingUrl, estimatedDelivery,
+   *                                   buyLabel, carrier, serviceCode };
+   *                                   every unshipped unit is included when items is omitted
+   * @returns {Object} - Created fulfillment with items
+   */
+  async createFulfillment(orderId, fulfillmentData) {
+    const { items, carrierName, trackingNumber, trackingUrl, estimatedDelivery, metadata, buyLabel } = fulfillmentData;
+
+    if (buyLabel && trackingNumber) {
+      throw new Error('Provide either a tracking number or buyLabel, not both');
+    }
+
+    const fulfillment = await prisma.$transaction(async (tx) => {
+      // Lock the order so concurrent shipments can't both take the same units
+      await tx.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${orderId} FOR UPDATE`;
+
+      const order = await this.getOrderWithShipments(orderId, tx);
+
+      if (order.status !== 'PROCESSING') {
+        throw new Error(`Cannot ship an order in ${order.status} status`);
+      }
+
+      const unshipped = this.getUnshippedQuantities(order);
+      let shipItems;
+
+      if (items) {
+        if (!Array.isArray(items) || items.length === 0) {
+          throw new Error('At least one item is required');
+        }
+
+        shipItems = items.map(({ orderItemId, quantity }) => {
+          const orderItem = order.items.find(item => item.id === orderItemId);
+
+          if (!orderItem) {
+            throw new Error('Order item not found in this order');
+          }
+
+          const available = unshipped.get(orderItemId) || 0;
+          const shipQuantity = quantity === undefined ? available : parseInt(quantity, 10);
+
+          if (!(shipQuantity > 0) || shipQuantity > available) {
+            throw new Error(`Only ${available} unit(s) of ${orderItem.name} are left to ship`);
+          }
+
+          return { orderItemId, quantity: shipQuantity };
+        });
+      } else {
+        shipItems = [...unshipped]
+          .filter(([, quantity]) => quantity > 0)
+          .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+        if (shipItems.length === 0) {
+          throw new Error('All items of this order have already been shipped');
+        }
+      }
+
+      const fulfillment = await tx.fulfillment.create({
+        data: {
+          orderId,
+          carrierName: carrierName || null,
+          trackingNumber: trackingNumber || null,
+          trackingUrl: trackingUrl || null,
+          estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
+          metadata: metadata || undefined,
+          items: {
+            create: shipItems
+          }
+        },
+        include: { items: true }
+      });
+
+      await this.syncFulfillmentStatus(orderId, tx);
+
+      // Shipments getting a label tell the customer once the tracking number exists
+      if (!buyLabel) {
+        await this.notificationService.notifyOrder('ORDER_SHIPPED', orderId, {
+          referenceId: fulfillment.id,
+          fulfillment
+        }, tx);
+      }
+
+      return fulfillment;
+    });
+
+    if (!buyLabel) {
+      return fulfillment;
+    }
+
+    // The carrier is only called once the shipment is committed
+    try {
+      return await this.shippingService.purchaseLabel(orderId, fulfillment.id, {
+        carrier: fulfillmentData.carrier,
+        serviceCode: fulfillmentData.serviceCode
+      });
+    } catch (error) {
+      throw new Error(`Fulfillment ${fulfillment.id} was created but buying its label failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buy a carrier label for an existing shipment (admin)
+   * @param {String} orderId - Order ID
+   * @param {String} fulfillmentId - Fulfillment ID
+   * @param {Object} options - { carrier, serviceCode }
+   * @returns {Object} - Updated fulfillment
+   */
+  async purchaseLabel(orderId, fulfillmentId, options = {}) {
+    return await this.shippingService.purchaseLabel(orderId, fulfillmentId, options);
+  }
+
+  /**
+   * Attach or correct carrier and tracking details on a shipment (admin)
+   * @param {String} orderId - Order ID
+   * @param {String} fulfillmentId - Fulfillment ID
+   * @param {Object} trackingData - { carrierName, trackingNumber, trackingUrl, estimatedDelivery }
+   * @returns {Object} - Updated fulfillment
+   */
+  async updateTracking(orderId, fulfillmentId, trackingData) {
+    const fulfillment = await prisma.fulfillment.findUnique({
+      where: { id: fulfillmentId }
+    });
+
+    if (!fulfillment || fulfillment.orderId !== orderId) {
+      throw new Error('Fulfillment not found');
+    }
+
+    const data = {};
+    for (const field of ['carrierName', 'trackingNumber', 'trackingUrl']) {
+      if (trackingData[field] !== undefined) {
+        data[field] = trackingData[field];
+      }
+    }
+    if (trackingData.estimatedDelivery !== undefined) {
+      data.estimatedDelivery = trackingData.estimatedDelivery ? new Date(trackingData.estimatedDelivery) : null;
+    }
+
+    return await prisma.fulfillment.update({
+      where: { id: fulfillmentId },
+      data,
+      include: { items: true }
+    });
+  }
+
+  /**
+   * List an order's shipments (admin)
+   * @param {String} orderId - Order ID
+   * @returns {Array} - Fulfillments with items
+   */
+  async getOrderFulfillments(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return await prisma.fulfillment.findMany({
+      where: { orderId },
+      orderBy: { shippedAt: 'asc' },
+      include: {
+        items: {
+          include: { orderItem: { select: { name: true, sku: true } } }
+        }
+      }
+    });
+  }
+
+  /**
+   * Customer-facing shipment tracking for an order
+   * @param {String} orderId - Order ID
+   * @param {String} userId - User ID (for authorization)
+   * @returns {Object} - Order status, shipments and items not yet shipped
+   */
+  async getTracking(orderId, userId) {
+    const order = await this.getOrderWithShipments(orderId);
+
+    if (order.userId !== userId) {
+      throw new Error('You are not authorized to view this order');
+    }
+
+    const itemNames = new Map(order.items.map(item => [item.id, item.name]));
+    const unshipped = this.getUnshippedQuantities(order);
+
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      fulfillmentStatus: order.fulfillmentStatus,
+      estimatedDelivery: order.estimatedDelivery,
+      shipments: order.fulfillments.map(fulfillment => ({
+        id: fulfillment.id,
+        carrierName: fulfillment.carrierName,
+        trackingNumber: fulfillment.trackingNumber,
+        trackingUrl: fulfillment.trackingUrl,
+        shippedAt: fulfillment.shippedAt,
+        estimatedDelivery: fulfillment.estimatedDelivery,
+        trackingStatus: fulfillment.metadata?.trackingStatus || null,
+        trackingEvents: fulfillment.metadata?.trackingEvents || [],
+        items: fulfillment.items.map(item => ({
+          orderItemId: item.orderItemId,
+          name: itemNames.get(item.orderItemId),
+          quantity: item.quantity
+        }))
+      })),
+      unshippedItems: [...unshipped]
+        .filter(([, quantity]) => quantity > 0)
+        .map(([orderItemId, quantity]) => ({
+          orderItemId,
+          name: itemNames.get(orderItemId),
+          quantity
+        }))
+    };
+  }
+
+  /**
+   * Derive the order's fulfillment status from its shipments
+   * A fully shipped PROCESSING order moves to SHIPPED. Returned orders keep
+   * their RETURNED/RESTOCKED status.
+   * @param {String} orderId - Order ID
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {String} - Fulfillment status
+   */
+  async syncFulfillmentStatus(orderId, tx = prisma) {
+    const order = await this.getOrderWithShipments(orderId, tx);
+
+    if (['RETURNED', 'RESTOCKED'].includes(order.fulfillmentStatus)) {
+      return order.fulfillmentStatus;
+    }
+
+    const unshipped = this.getUnshippedQuantities(order);
+    const ordered = order.items
+      .filter(item => !isItemCanceled(item))
+      .reduce((sum, item) => sum + item.quantity, 0);
+    const remaining = [...unshipped.values()].reduce((sum, quantity) => sum + quantity, 0);
+
+    let fulfillmentStatus = 'PARTIALLY_FULFILLED';
+    if (remaining === ordered) {
+      fulfillmentStatus = 'UNFULFILLED';
+    } else if (remaining === 0) {
+      fulfillmentStatus = 'FULFILLED';
+    }
+
+    if (fulfillmentStatus !== order.fulfillmentStatus) {
+      await tx.order.update({
+        where: { id: orderId },
+        data: { fulfillmentStatus }
+      });
+    }
+
+    if (fulfillmentStatus === 'FULFILLED' && order.status === 'PROCESSING') {
+      await this.orderStatusService.transition(orderId, 'SHIPPED', {
+        actor: ORDER_ACTORS.SYSTEM,
+        note: 'All items shipped'
+      }, tx);
+    }
+
+    return fulfillmentStatus;
+  }
+
+  /**
+   * Load an order with its items and shipments
+   * @private
+   */
+  async getOrderWithShipments(orderId, tx = prisma) {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: {
+          include: { fulfillmentItems: true }
+        },
+        fulfillments: {
+          orderBy: { shippedAt: 'asc' },
+          include: { items: true }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Units of each live order item not yet in a shipment
+   * @private
+   */
+  getUnshippedQuantities(order) {
+    const unshipped = new Map();
+
+    for (const item of order.items) {
+      if (isItemCanceled(item)) {
+        continue;
+      }
+
+      const shipped = item.fulfillmentItems.reduce((sum, fulfillmentItem) => sum + fulfillmentItem.quantity, 0);
+      unshipped.set(item.id, Math.max(item.quantity - shipped, 0));
+    }
+
+    return unshipped;
+  }
+}
@@ -0,0 +1,12 @@
+import crypto from "crypto";
+
+// Gateways expect amounts in the currency's minor unit (paise)
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) =>
+    typeof received === "string" &&
+    expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+
+export { toMinorUnits, signaturesMatch };
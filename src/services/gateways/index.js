@@ -0,0 +1,91 @@
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_REQUEST } from "../../httpStatusCode.js";
+import { RazorpayGateway } from "./razorpay.gateway.js";
+import { MockGateway } from "./mock.gateway.js";
+
+/**
+ * Payment gateway registry.
+ *
+ * Every gateway adapter exposes the same interface:
+ *   name                                   - stored in Payment.paymentGateway
+ *   createIntent({ amount, currency, receipt, notes }) -> { intentId, amount, currency, clientData }
+ *   parseCheckoutResponse(data)            -> { intentId, transactionId, signature } | null
+ *   verifyCheckoutSignature(checkout)      -> Boolean
+ *   capture(transactionId, amount, currency) -> { transactionId, status }
+ *   void(transactionId)                    -> { transactionId, status }
+ *   refund(transactionId, amount, notes)   -> { refundId, status }
+ *   parseWebhook(rawBody, headers)         -> { eventId, type, payment, refund, payload }
+ *
+ * Normalized webhook types are payment.captured, payment.failed and refund.processed.
+ */
+const gateways = new Map();
+
+// Online payment methods and the gateway that handles each by default.
+// COD and STORE_CREDIT are settled without a gateway.
+const METHOD_GATEWAYS = {
+    CREDIT_CARD: "razorpay",
+    DEBIT_CARD: "razorpay",
+    BANK_TRANSFER: "razorpay",
+    WALLET: "razorpay",
+};
+
+const OFFLINE_METHODS = ["COD", "STORE_CREDIT"];
+
+/**
+ * Register a gateway adapter under its name
+ * @param {Object} gateway - Gateway adapter
+ */
+const registerGateway = (gateway) => {
+    gateways.set(gateway.name, gateway);
+};
+
+/**
+ * Get a gateway adapter by name
+ * @param {String} name - Gateway name
+ * @returns {Object} - Gateway adapter
+ */
+const getGateway = (name) => {
+    const gateway = gateways.get(name);
+
+    if (!gateway) {
+        throw new ApiError(HTTP_BAD_REQUEST, `Unknown payment gateway: ${name}`);
+    }
+
+    return gateway;
+};
+
+/**
+ * Whether a payment method is settled through a gateway
+ * @param {String} method - PaymentMethod
+ * @returns {Boolean}
+ */
+const requiresGateway = (method) => !OFFLINE_METHODS.includes(method);
+
+/**
+ * Pick the gateway that handles a payment method
+ * PAYMENT_GATEWAY_OVERRIDE (e.g. "mock") routes every online method to one gateway.
+ * @param {String} method - PaymentMethod
+ * @returns {Object} - Gateway adapter
+ */
+const getGatewayForMethod = (method) => {
+    const name = process.env.PAYMENT_GATEWAY_OVERRIDE || METHOD_GATEWAYS[method];
+
+    if (!name || !requiresGateway(method)) {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            `${method} payments are not supported online`
+        );
+    }
+
+    return getGateway(name);
+};
+
+registerGateway(new RazorpayGateway());
+
+// The mock gateway marks payments captured on its own signed webhooks, so it
+// only exists where nothing real is being sold
+if (["test", "development"].includes(process.env.NODE_ENV)) {
+    registerGateway(new MockGateway());
+}
+
+export { registerGateway, getGateway, getGatewayForMethod, requiresGateway };
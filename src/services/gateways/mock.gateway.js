@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import ApiError from "../../utils/apiError.js";
+import {
+    HTTP_BAD_REQUEST,
+    HTTP_INTERNAL_SERVER_ERROR,
+    HTTP_UNAUTHORIZED,
+} from "../../httpStatusCode.js";
+import { signaturesMatch } from "./gateway.utils.js";
+
+/**
+ * In-process gateway for tests and local development.
+ * Nothing leaves the process: intents, captures and refunds succeed immediately,
+ * and checkout responses / webhooks are signed with MOCK_GATEWAY_SECRET.
+ * There is no fallback secret: without one, nothing can be marked paid.
+ */
+class MockGateway {
+    constructor(secret = null) {
+        this.name = "mock";
+        this.secret = secret;
+    }
+
+    /**
+     * Sign a value the way the mock checkout and webhooks do
+     * @param {String|Buffer} value - Value to sign
+     * @returns {String} - Hex HMAC
+     */
+    sign(value) {
+        const secret = this.secret || process.env.MOCK_GATEWAY_SECRET;
+
+        if (!secret) {
+            throw new ApiError(HTTP_INTERNAL_SERVER_ERROR, "MOCK_GATEWAY_SECRET is not configured");
+        }
+
+        return crypto.createHmac("sha256", secret).update(value).digest("hex");
+    }
+
+    async createIntent({ amount, currency }) {
+        const intentId = `mock_order_${crypto.randomUUID()}`;
+
+        return {
+            intentId,
+            amount,
+            currency,
+            clientData: { intentId },
+        };
+    }
+
+    /**
+     * Read a mock checkout response
+     * @param {Object} data - { intentId, transactionId, signature }
+     * @returns {Object|null} - { intentId, transactionId, signature }, or null if incomplete
+     */
+    parseCheckoutResponse(data = {}) {
+        const { intentId, transactionId, signature } = data;
+
+        if (!intentId || !transactionId || !signature) {
+            return null;
+        }
+
+        return { intentId, transactionId, signature };
+    }
+
+    verifyCheckoutSignature({ intentId, transactionId, signature }) {
+        return signaturesMatch(this.sign(`${intentId}|${transactionId}`), signature);
+    }
+
+    async capture(transactionId) {
+        return { transactionId, status: "captured" };
+    }
+
+    async void(transactionId) {
+        return { transactionId, status: "voided" };
+    }
+
+    async refund() {
+        return { refundId: `mock_rfnd_${crypto.randomUUID()}`, status: "processed" };
+    }
+
+    /**
+     * Verify a mock webhook delivery
+     * The body is already a normalized event: { id, type, payment, refund }
+     * @param {Buffer} rawBody - Raw request body exactly as received
+     * @param {Object} headers - Request headers (x-mock-signature)
+     * @returns {Object} - Normalized event
+     */
+    parseWebhook(rawBody, headers) {
+        const signature = headers["x-mock-signature"];
+
+        if (!rawBody || !signature) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook body and signature are required");
+        }
+
+        if (!signaturesMatch(this.sign(rawBody), signature)) {
+            throw new ApiError(HTTP_UNAUTHORIZED, "Invalid webhook signature");
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString("utf8"));
+        } catch (error) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook body is not valid JSON");
+        }
+
+        return {
+            eventId: body.id,
+            type: body.type,
+            payment: body.payment,
+            refund: body.refund,
+            payload: body,
+        };
+    }
+}
+
+export { MockGateway };
@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import ApiError from "../../utils/apiError.js";
+import razorpayInstance from "../../config/razorpay.js";
+import { HTTP_BAD_REQUEST, HTTP_UNAUTHORIZED } from "../../httpStatusCode.js";
+import { signaturesMatch, toMinorUnits } from "./gateway.utils.js";
+
+// Razorpay event names mapped onto the normalized webhook event types
+const EVENT_TYPES = {
+    "payment.captured": "payment.captured",
+    "order.paid": "payment.captured",
+    "payment.failed": "payment.failed",
+    "refund.processed": "refund.processed",
+};
+
+class RazorpayGateway {
+    constructor(client = razorpayInstance) {
+        this.name = "razorpay";
+        this.client = client;
+    }
+
+    /**
+     * Create a Razorpay order for the customer to pay against
+     * @param {Object} intent - { amount, currency, receipt, notes }
+     * @returns {Object} - { intentId, amount, currency, clientData }
+     */
+    async createIntent({ amount, currency, receipt, notes }) {
+        const order = await this.client.orders.create({
+            amount: toMinorUnits(amount),
+            currency,
+            receipt,
+            payment_capture: 1,
+            notes,
+        });
+
+        return {
+            intentId: order.id,
+            amount: order.amount,
+            currency: order.currency,
+            clientData: {
+                razorpayOrderId: order.id,
+                keyId: process.env.RAZORPAY_KEY_ID,
+            },
+        };
+    }
+
+    /**
+     * Read the fields Razorpay checkout posts back after payment
+     * @param {Object} data - razorpay_order_id, razorpay_payment_id, razorpay_signature
+     * @returns {Object|null} - { intentId, transactionId, signature }, or null if incomplete
+     */
+    parseCheckoutResponse(data = {}) {
+        const {
+            razorpay_order_id: intentId,
+            razorpay_payment_id: transactionId,
+            razorpay_signature: signature,
+        } = data;
+
+        if (!intentId || !transactionId || !signature) {
+            return null;
+        }
+
+        return { intentId, transactionId, signature };
+    }
+
+    /**
+     * Check the checkout signature Razorpay computed with our key secret
+     * @param {Object} checkout - Result of parseCheckoutResponse
+     * @returns {Boolean}
+     */
+    verifyCheckoutSignature({ intentId, transactionId, signature }) {
+        const expectedSignature = crypto
+            .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+            .update(`${intentId}|${transactionId}`)
+            .digest("hex");
+
+        return signaturesMatch(expectedSignature, signature);
+    }
+
+    /**
+     * Capture an authorized payment
+     * @param {String} transactionId - Razorpay payment ID
+     * @param {Number} amount - Amount in rupees
+     * @param {String} currency - Currency code
+     * @returns {Object} - { transactionId, status }
+     */
+    async capture(transactionId, amount, currency = "INR") {
+        const payment = await this.client.payments.capture(
+            transactionId,
+            toMinorUnits(amount),
+            currency
+        );
+
+        return { transactionId: payment.id, status: payment.status };
+    }
+
+    /**
+     * Void an authorized payment
+     * Razorpay has no void call; uncaptured payments are released back to the
+     * customer automatically, so this only confirms nothing was captured.
+     * @param {String} transactionId - Razorpay payment ID
+     * @returns {Object} - { transactionId, status }
+     */
+    async void(transactionId) {
+        const payment = await this.client.payments.fetch(transactionId);
+
+        if (payment.status === "captured") {
+            throw new ApiError(
+                HTTP_BAD_REQUEST,
+                "Captured payments must be refunded instead of voided"
+            );
+        }
+
+        return { transactionId: payment.id, status: "voided" };
+    }
+
+    /**
+     * Refund a captured payment back to its source
+     * @param {String} transactionId - Razorpay payment ID
+     * @param {Number} amount - Amount in rupees
+     * @param {Object} notes - Reference data stored on the refund
+     * @returns {Object} - { refundId, status }
+     */
+    async refund(transactionId, amount, notes = {}) {
+        const refund = await this.client.payments.refund(transactionId, {
+            amount: toMinorUnits(amount),
+            speed: "normal",
+            notes,
+        });
+
+        return { refundId: refund.id, status: refund.status };
+    }
+
+    /**
+     * Verify a webhook delivery and normalize its event
+     * @param {Buffer} rawBody - Raw request body exactly as received
+     * @param {Object} headers - Request headers
+     * @returns {Object} - Normalized event { eventId, type, payment, refund, payload }
+     */
+    parseWebhook(rawBody, headers) {
+        const signature = headers["x-razorpay-signature"];
+
+        if (!rawBody || !signature) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook body and signature are required");
+        }
+
+        const expectedSignature = crypto
+            .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET)
+            .update(rawBody)
+            .digest("hex");
+
+        if (!signaturesMatch(expectedSignature, signature)) {
+            throw new ApiError(HTTP_UNAUTHORIZED, "Invalid webhook signature");
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString("utf8"));
+        } catch (error) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Webhook body is not valid JSON");
+        }
+
+        const payment = body.payload?.payment?.entity;
+        const refund = body.payload?.refund?.entity;
+
+        return {
+            // Razorpay always sends an event ID; fall back to the body hash just in case
+            eventId:
+                headers["x-razorpay-event-id"] ||
+                crypto.createHash("sha256").update(rawBody).digest("hex"),
+            type: EVENT_TYPES[body.event] || body.event,
+            payment: payment && {
+                transactionId: payment.id,
+                intentId: payment.order_id,
+                amount: payment.amount / 100,
+                currency: payment.currency,
+                method: payment.method,
+                errorMessage: payment.error_description,
+            },
+            refund: refund && {
+                refundId: refund.notes?.refundId,
+                transactionId: refund.id,
+                paymentTransactionId: refund.payment_id,
+                amount: refund.amount / 100,
+            },
+            payload: body,
+        };
+    }
+}
+
+export { RazorpayGateway };
@@ -0,0 +1,261 @@
+import { prisma } from '../database/connect.js';
+import { ProductService } from './product.service.js';
+
+/**
+ * Inventory Service
+ * Handles stock reservation and release for product variants
+ */
+export class InventoryService {
+  constructor() {
+    this.productService = new ProductService();
+    this.HOLD_DURATION = (parseInt(process.env.CART_HOLD_MINUTES, 10) || 15) * 60 * 1000; // milliseconds
+  }
+
+  /**
+   * Reserve (decrement) stock for a set of line items
+   * Uses a conditional update so concurrent checkouts cannot take a
+   * variant below zero unless the variant allows backorders.
+   * @param {Array} items - Line items ({ productId, variantId, quantity, name })
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Array} - IDs of products whose inventory changed
+   */
+  async reserveStock(items, tx = prisma) {
+    const productIds = new Set();
+
+    for (const item of items) {
+      // Stock is tracked on variants only
+      if (!item.variantId) {
+        continue;
+      }
+
+      const { count } = await tx.productVariant.updateMany({
+        where: {
+          id: item.variantId,
+          deletedAt: null,
+          inventoryQuantity: { gte: item.quantity }
+        },
+        data: {
+          inventoryQuantity: { decrement: item.quantity }
+        }
+      });
+
+      if (count === 0) {
+        const variant = await tx.productVariant.findUnique({
+          where: { id: item.variantId },
+          select: {
+            inventoryQuantity: true,
+            backorder: true,
+            deletedAt: true
+          }
+        });
+
+        if (!variant || variant.deletedAt) {
+          throw new Error(`${item.name || 'Product variant'} is no longer available`);
+        }
+
+        if (!variant.backorder) {
+          const available = Math.max(variant.inventoryQuantity, 0);
+          throw new Error(`Insufficient stock for ${item.name || 'product'}: only ${available} units available`);
+        }
+
+        // Backorder allowed - let inventory go negative
+        await tx.productVariant.update({
+          where: { id: item.variantId },
+          data: {
+            inventoryQuantity: { decrement: item.quantity }
+          }
+        });
+      }
+
+      productIds.add(item.productId);
+    }
+
+    await this.syncProductStatuses([...productIds], tx);
+
+    return [...productIds];
+  }
+
+  /**
+   * Release (increment) previously reserved stock
+   * @param {Array} items - Line items ({ productId, variantId, quantity })
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Array} - IDs of products whose inventory changed
+   */
+  async releaseStock(items, tx = prisma) {
+    const productIds = new Set();
+
+    for (const item of items) {
+      if (!item.variantId || item.quantity <= 0) {
+        continue;
+      }
+
+      await tx.productVariant.update({
+        where: { id: item.variantId },
+        data: {
+          inventoryQuantity: { increment: item.quantity }
+        }
+      });
+
+      productIds.add(item.productId);
+    }
+
+    await this.syncProductStatuses([...productIds], tx);
+
+    return [...productIds];
+  }
+
+  /**
+   * Place or resize a cart hold on a variant
+   * The existing hold (if any) is claimed first so a concurrent sweep can't
+   * release the same quantity twice; only the difference is reserved or released.
+   * @param {String} cartId - Cart ID
+   * @param {Object} item - Line item ({ productId, variantId, quantity, name })
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Object|null} - The hold, or null when the quantity is 0
+   */
+  async holdStock(cartId, item, tx = prisma) {
+    const { productId, variantId, quantity, name } = item;
+
+    const heldQuantity = await this.claimHold(cartId, variantId, tx);
+    const delta = quantity - heldQuantity;
+
+    if (delta > 0) {
+      await this.reserveStock([{ productId, variantId, quantity: delta, name }], tx);
+    } else if (delta < 0) {
+      await this.releaseStock([{ productId, variantId, quantity: -delta }], tx);
+    }
+
+    if (quantity <= 0) {
+      return null;
+    }
+
+    return await tx.stockReservation.create({
+      data: {
+        cartId,
+        productId,
+        variantId,
+        quantity,
+        expiresAt: new Date(Date.now() + this.HOLD_DURATION)
+      }
+    });
+  }
+
+  /**
+   * Release every hold belonging to a cart
+   * @param {String} cartId - Cart ID
+   * @param {Object} tx - Prisma client or transaction client
+   */
+  async releaseCartHolds(cartId, tx = prisma) {
+    const holds = await tx.stockReservation.findMany({
+      where: { cartId }
+    });
+
+    for (const hold of holds) {
+      await this.holdStock(cartId, { ...hold, quantity: 0 }, tx);
+    }
+  }
+
+  /**
+   * Turn a cart's holds into committed stock decrements at checkout
+   * Held quantities are already deducted, so only lines without a hold
+   * (or whose quantity changed) touch inventory again.
+   * @param {String} cartId - Cart ID
+   * @param {Array} items - Line items being ordered ({ productId, variantId, quantity, name })
+   * @param {Object} tx - Prisma transaction client
+   */
+  async commitCartHolds(cartId, items, tx = prisma) {
+    const toReserve = [];
+    const toRelease = [];
+
+    for (const item of items) {
+      if (!item.variantId) {
+        continue;
+      }
+
+      const heldQuantity = await this.claimHold(cartId, item.variantId, tx);
+      const delta = item.quantity - heldQuantity;
+
+      if (delta > 0) {
+        toReserve.push({ ...item, quantity: delta });
+      } else if (delta < 0) {
+        toRelease.push({ ...item, quantity: -delta });
+      }
+    }
+
+    await this.reserveStock(toReserve, tx);
+    await this.releaseStock(toRelease, tx);
+
+    // Any holds left over belong to variants no longer in the cart
+    await this.releaseCartHolds(cartId, tx);
+  }
+
+  /**
+   * Release holds whose time window has passed
+   * @param {Number} batchSize - Maximum number of holds to process
+   * @returns {Number} - Number of holds released
+   */
+  async releaseExpiredHolds(batchSize = 100) {
+    const expiredHolds = await prisma.stockReservation.findMany({
+      where: { expiresAt: { lte: new Date() } },
+      orderBy: { expiresAt: 'asc' },
+      take: batchSize
+    });
+
+    let released = 0;
+
+    for (const hold of expiredHolds) {
+      await prisma.$transaction(async (tx) => {
+        // Only release if the hold is still expired and nobody claimed it meanwhile
+        const { count } = await tx.stockReservation.deleteMany({
+          where: { id: hold.id, expiresAt: { lte: new Date() } }
+        });
+
+        if (count === 1) {
+          await this.releaseStock([hold], tx);
+          released += 1;
+        }
+      });
+    }
+
+    return released;
+  }
+
+  /**
+   * Delete a cart's hold on a variant and report the quantity it covered
+   * @param {String} cartId - Cart ID
+   * @param {String} variantId - Variant ID
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Number} - Quantity still deducted for this hold (0 if none)
+   * @private
+   */
+  async claimHold(cartId, variantId, tx = prisma) {
+    const hold = await tx.stockReservation.findUnique({
+      where: {
+        cartId_variantId: { cartId, variantId }
+      }
+    });
+
+    if (!hold) {
+      return 0;
+    }
+
+    // Whoever deletes the row owns its quantity
+    const { count } = await tx.stockReservation.deleteMany({
+      where: { id: hold.id }
+    });
+
+    return count === 1 ? hold.quantity : 0;
+  }
+
+  /**
+   * Re-evaluate product status (ACTIVE/OUT_OF_STOCK) after inventory changes
+   * @param {Array} productIds - Product IDs
+   * @param {Object} tx - Prisma client or transaction client
+   * @private
+   */
+  async syncProductStatuses(productIds, tx = prisma) {
+    for (const productId of productIds) {
+      await this.productService.updateProductStatusBasedOnInventory(productId, tx);
+    }
+  }
+}
@@ -0,0 +1,382 @@
+import crypto from 'crypto';
+import { prisma } from '../database/connect.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { roundAmount } from '../utils/money.js';
+
+// Indian Standard Time is UTC+05:30; financial years turn over on 1 April IST
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// An invoice is issued once the customer has paid or the goods have left
+const INVOICEABLE_PAYMENT_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+const INVOICEABLE_ORDER_STATUSES = ['SHIPPED', 'DELIVERED'];
+
+// Line amounts scaled when a refund is credited pro rata
+const LINE_AMOUNT_FIELDS = ['grossAmount', 'discount', 'taxableAmount', 'cgst', 'sgst', 'igst', 'totalTax', 'total'];
+
+/**
+ * Invoice Service
+ * GST tax invoices for orders and credit notes for their refunds, numbered
+ * sequentially per document type and financial year
+ */
+export class InvoiceService {
+  constructor() {
+    this.INVOICE_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+    this.CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN';
+    this.SELLER = {
+      name: process.env.SELLER_NAME || null,
+      gstin: process.env.SELLER_GSTIN || null,
+      address: process.env.SELLER_ADDRESS || null,
+      state: process.env.GST_SELLER_STATE || process.env.SHIPPING_ORIGIN_STATE || null
+    };
+  }
+
+  /**
+   * Get an order's tax invoice, issuing it on first use
+   * @param {String} orderId - Order ID
+   * @param {Object} tx - Prisma transaction client; a transaction is opened when omitted
+   * @returns {Object} - Invoice
+   */
+  async getOrCreateInvoice(orderId, tx = null) {
+    if (!tx) {
+      return await prisma.$transaction(async (tx) => await this.getOrCreateInvoice(orderId, tx));
+    }
+
+    // Lock the order so concurrent requests can't both issue an invoice
+    await tx.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${orderId} FOR UPDATE`;
+
+    const existing = await tx.invoice.findFirst({
+      where: { orderId, type: 'TAX_INVOICE' }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: {
+          include: {
+            product: { select: { taxCode: true } }
+          }
+        },
+        coupons: true,
+        shippingAddress: true,
+        billingAddress: true,
+        user: {
+          select: { firstName: true, lastName: true }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus) &&
+        !INVOICEABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new Error('An invoice is only issued once the order has been paid or shipped');
+    }
+
+    // Items canceled without a refund were never paid for
+    const lines = order.items
+      .filter(item => item.metadata?.status !== 'CANCELED' || item.metadata?.refundId)
+      .map(item => this.buildLine(item));
+
+    const shipping = roundAmount(order.shippingTotal);
+    const totals = this.sumLines(lines, shipping);
+
+    return await this.issue(tx, {
+      type: 'TAX_INVOICE',
+      orderId,
+      ...totals,
+      metadata: {
+        seller: this.SELLER,
+        customer: {
+          name: [order.user?.firstName, order.user?.lastName].filter(Boolean).join(' ') || null,
+          email: order.email,
+          phone: order.phone
+        },
+        orderNumber: order.orderNumber,
+        orderDate: order.createdAt,
+        currency: order.currency,
+        billingAddress: this.snapshotAddress(order.billingAddress),
+        shippingAddress: this.snapshotAddress(order.shippingAddress),
+        supplyType: order.metadata?.tax?.supplyType || 'INTRA_STATE',
+        placeOfSupply: order.metadata?.tax?.placeOfSupply || order.shippingAddress.state,
+        lines,
+        coupons: order.coupons.map(coupon => ({
+          code: coupon.code,
+          discountAmount: roundAmount(coupon.discountAmount)
+        })),
+        shipping
+      }
+    });
+  }
+
+  /**
+   * Issue the credit note for a completed refund
+   * Canceled and returned items are credited line by line; any other refund
+   * is credited across the whole invoice in proportion to its amount.
+   * @param {String} refundId - Refund ID
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Object} - Credit note
+   */
+  async createCreditNote(refundId, tx) {
+    const refund = await tx.refund.findUnique({
+      where: { id: refundId },
+      include: {
+        creditNote: true,
+        return: {
+          include: { items: true }
+        }
+      }
+    });
+
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    if (refund.creditNote) {
+      return refund.creditNote;
+    }
+
+    const invoice = await this.getOrCreateInvoice(refund.orderId, tx);
+    const invoiceLines = invoice.metadata.lines;
+    let lines;
+    let shipping = 0;
+
+    if (refund.return) {
+      lines = refund.return.items
+        .map(returnItem => {
+          const line = invoiceLines.find(invoiceLine => invoiceLine.orderItemId === returnItem.orderItemId);
+          return line && this.scaleLine(line, returnItem.quantity / line.quantity, returnItem.quantity);
+        })
+        .filter(Boolean);
+    } else {
+      const canceledItems = await tx.orderItem.findMany({
+        where: { orderId: refund.orderId },
+        select: { id: true, metadata: true }
+      });
+      const canceledIds = canceledItems
+        .filter(item => item.metadata?.refundId === refundId)
+        .map(item => item.id);
+
+      lines = invoiceLines.filter(line => canceledIds.includes(line.orderItemId));
+
+      if (lines.length === 0) {
+        const factor = Math.min(parseFloat(refund.amount) / parseFloat(invoice.total), 1);
+        lines = invoiceLines.map(line => this.scaleLine(line, factor, line.quantity));
+        shipping = roundAmount(invoice.metadata.shipping * factor);
+      }
+    }
+
+    const totals = this.sumLines(lines, shipping);
+
+    return await this.issue(tx, {
+      type: 'CREDIT_NOTE',
+      orderId: refund.orderId,
+      refundId,
+      ...totals,
+      metadata: {
+        ...invoice.metadata,
+        invoiceNumber: invoice.number,
+        invoiceDate: invoice.issuedAt,
+        reason: refund.reason,
+        refundAmount: roundAmount(refund.amount),
+        lines,
+        coupons: [],
+        shipping
+      }
+    });
+  }
+
+  /**
+   * Render an order's tax invoice as a PDF
+   * @param {String} orderId - Order ID
+   * @param {String} userId - Requesting user ID
+   * @param {Boolean} isAdmin - Whether the user is an admin
+   * @returns {Object} - { fileName, buffer }
+   */
+  async getInvoicePdf(orderId, userId, isAdmin = false) {
+    await this.assertCanView(orderId, userId, isAdmin);
+
+    const invoice = await this.getOrCreateInvoice(orderId);
+
+    return {
+      fileName: `${invoice.number.replace(/\//g, '-')}.pdf`,
+      buffer: await renderInvoicePdf(invoice)
+    };
+  }
+
+  /**
+   * Render one of an order's credit notes as a PDF
+   * @param {String} orderId - Order ID
+   * @param {String} creditNoteId - Credit note (invoice) ID
+   * @param {String} userId - Requesting user ID
+   * @param {Boolean} isAdmin - Whether the user is an admin
+   * @returns {Object} - { fileName, buffer }
+   */
+  async getCreditNotePdf(orderId, creditNoteId, userId, isAdmin = false) {
+    await this.assertCanView(orderId, userId, isAdmin);
+
+    const creditNote = await prisma.invoice.findFirst({
+      where: { id: creditNoteId, orderId, type: 'CREDIT_NOTE' }
+    });
+
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    return {
+      fileName: `${creditNote.number.replace(/\//g, '-')}.pdf`,
+      buffer: await renderInvoicePdf(creditNote)
+    };
+  }
+
+  /**
+   * Financial year (April to March, IST) a date falls in, e.g. 2026-27
+   * @param {Date} date - Date
+   * @returns {String} - Financial year
+   */
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Take the next number in the document's series and store the document
+   * @private
+   */
+  async issue(tx, data) {
+    const issuedAt = new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+
+    // Insert-or-increment keeps the series gapless; the row stays locked until commit
+    await tx.$executeRaw`
+      INSERT INTO \`InvoiceSequence\` (id, type, financialYear, lastNumber, updatedAt)
+      VALUES (${crypto.randomUUID()}, ${data.type}, ${financialYear}, 1, NOW(3))
+      ON DUPLICATE KEY UPDATE lastNumber = lastNumber + 1, updatedAt = NOW(3)`;
+
+    const { lastNumber: sequence } = await tx.invoiceSequence.findUnique({
+      where: { type_financialYear: { type: data.type, financialYear } }
+    });
+
+    const prefix = data.type === 'CREDIT_NOTE' ? this.CREDIT_NOTE_PREFIX : this.INVOICE_PREFIX;
+
+    return await tx.invoice.create({
+      data: {
+        ...data,
+        number: `${prefix}/${financialYear.slice(2)}/${String(sequence).padStart(5, '0')}`,
+        financialYear,
+        sequence,
+        issuedAt
+      }
+    });
+  }
+
+  /**
+   * Invoice line for an order item, from the GST breakdown stored at checkout
+   * @private
+   */
+  buildLine(item) {
+    const grossAmount = roundAmount(item.total);
+    const tax = item.metadata?.tax || {
+      hsnCode: item.product?.taxCode || null,
+      taxableAmount: roundAmount(grossAmount - parseFloat(item.discount || 0)),
+      rate: 0,
+      cgstRate: 0,
+      cgst: 0,
+      sgstRate: 0,
+      sgst: 0,
+      igstRate: 0,
+      igst: 0,
+      totalTax: 0
+    };
+
+    return {
+      orderItemId: item.id,
+      name: item.name,
+      sku: item.sku,
+      hsnCode: tax.hsnCode,
+      quantity: item.quantity,
+      unitPrice: roundAmount(item.price),
+      grossAmount,
+      // Item and coupon discounts both come off before tax
+      discount: roundAmount(grossAmount - tax.taxableAmount),
+      taxableAmount: tax.taxableAmount,
+      rate: tax.rate,
+      cgstRate: tax.cgstRate,
+      cgst: tax.cgst,
+      sgstRate: tax.sgstRate,
+      sgst: tax.sgst,
+      igstRate: tax.igstRate,
+      igst: tax.igst,
+      totalTax: tax.totalTax,
+      total: roundAmount(tax.taxableAmount + tax.totalTax)
+    };
+  }
+
+  /**
+   * A share of an invoice line
+   * @private
+   */
+  scaleLine(line, factor, quantity) {
+    const scaled = { ...line, quantity };
+
+    for (const field of LINE_AMOUNT_FIELDS) {
+      scaled[field] = roundAmount(line[field] * factor);
+    }
+
+    return scaled;
+  }
+
+  /**
+   * @private
+   */
+  sumLines(lines, shipping) {
+    const taxableAmount = roundAmount(lines.reduce((sum, line) => sum + line.taxableAmount, 0));
+    const taxTotal = roundAmount(lines.reduce((sum, line) => sum + line.totalTax, 0));
+
+    return {
+      taxableAmount,
+      taxTotal,
+      total: roundAmount(taxableAmount + taxTotal + shipping)
+    };
+  }
+
+  /**
+   * @private
+   */
+  snapshotAddress(address) {
+    return {
+      line1: address.line1,
+      line2: address.line2,
+      city: address.city,
+      state: address.state,
+      postalCode: address.postalCode,
+      country: address.country,
+      phoneNumber: address.phoneNumber
+    };
+  }
+
+  /**
+   * @private
+   */
+  async assertCanView(orderId, userId, isAdmin) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { userId: true }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!isAdmin && order.userId !== userId) {
+      throw new Error('You are not authorized to view this order');
+    }
+  }
+}
@@ -0,0 +1,384 @@
+import crypto from 'crypto';
+import redisManager from '../utils/redisClient.js';
+import { jobKeys } from '../utils/redisKeys.js';
+
+export const JOB_TYPES = {
+  SEND_EMAIL: 'email.send',
+  PROCESS_PRODUCT_IMAGES: 'image.processProduct',
+  WARM_CACHE: 'cache.warm'
+};
+
+// States a job can be listed in; completed jobs are kept (for a day) but not indexed
+const LISTABLE_STATES = ['waiting', 'delayed', 'active', 'dead'];
+
+// Pop the oldest waiting job and lease it to the caller in one step
+const CLAIM_SCRIPT = `
+local jobId = redis.call('RPOP', KEYS[1])
+if jobId then
+  redis.call('ZADD', KEYS[2], ARGV[1], jobId)
+end
+return jobId
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Job handlers by type, so registering a type again replaces its handler
+const handlers = new Map();
+
+/**
+ * Register the handler that runs jobs of a type
+ * A handler that throws fails the attempt; the job is retried with backoff
+ * until it runs out of attempts and moves to the dead-letter list.
+ * @param {String} type - Job type (see JOB_TYPES)
+ * @param {Function} handler - async (payload, job) => result
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Job Queue Service
+ * Background jobs kept in Redis: waiting jobs in a list, retries in a sorted
+ * set by due time, running jobs in a sorted set by lease expiry (so jobs of a
+ * worker that died are picked up again) and failed jobs in a dead-letter list.
+ * Unlike the cache helpers, queue operations throw when Redis is unavailable
+ * so callers know the work wasn't queued.
+ */
+export class JobQueueService {
+  constructor() {
+    this.MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+    this.RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000; // doubled after each failed attempt
+    this.LEASE_MS = 5 * 60 * 1000; // a job running longer than this is assumed lost
+    this.POLL_INTERVAL_MS = 1000;
+    this.COMPLETED_TTL = 24 * 60 * 60; // 1 day in seconds
+    this.running = false;
+    this.workers = [];
+    this.maintenance = null;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {String} type - Job type (see JOB_TYPES)
+   * @param {Object} payload - JSON-serializable job data
+   * @param {Object} options - { delayMs, maxAttempts }
+   * @returns {Object} - Job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const client = await redisManager.getClient();
+    const now = Date.now();
+    const delayMs = options.delayMs || 0;
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      state: delayMs > 0 ? 'delayed' : 'waiting',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.MAX_ATTEMPTS,
+      lastError: null,
+      result: null,
+      createdAt: new Date(now).toISOString(),
+      runAt: new Date(now + delayMs).toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    const multi = client.multi().set(jobKeys.data(job.id), JSON.stringify(job));
+
+    if (delayMs > 0) {
+      multi.zAdd(jobKeys.delayed(), { score: now + delayMs, value: job.id });
+    } else {
+      multi.lPush(jobKeys.waiting(), job.id);
+    }
+
+    await multi.exec();
+
+    return job;
+  }
+
+  /**
+   * Start processing jobs in this process
+   * @param {Number} concurrency - Jobs run at the same time
+   */
+  start(concurrency = 1) {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    for (let i = 0; i < concurrency; i++) {
+      this.workers.push(this.runWorker());
+    }
+
+    // Move due retries back into the queue and recover jobs of dead workers
+    this.maintenance = setInterval(async () => {
+      try {
+        await this.promoteDueJobs();
+        await this.reclaimExpiredLeases();
+      } catch (error) {
+        console.error(`❌ Job queue maintenance failed: ${error.message}`);
+      }
+    }, this.POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Stop taking new jobs and wait for running ones to finish
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.maintenance);
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  /**
+   * Run the next waiting job, if there is one
+   * @returns {Object|null} - Job after the attempt, or null if the queue was empty
+   */
+  async processNext() {
+    const client = await redisManager.getClient();
+    const jobId = await client.eval(CLAIM_SCRIPT, {
+      keys: [jobKeys.waiting(), jobKeys.active()],
+      arguments: [String(Date.now() + this.LEASE_MS)]
+    });
+
+    if (!jobId) {
+      return null;
+    }
+
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      await client.zRem(jobKeys.active(), jobId);
+      return null;
+    }
+
+    job.state = 'active';
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    await client.set(jobKeys.data(job.id), JSON.stringify(job));
+
+    try {
+      const handler = handlers.get(job.type);
+
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      job.result = (await handler(job.payload, job)) ?? null;
+      job.state = 'completed';
+      job.lastError = null;
+      job.finishedAt = new Date().toISOString();
+
+      await client.multi()
+        .zRem(jobKeys.active(), job.id)
+        .set(jobKeys.data(job.id), JSON.stringify(job), { EX: this.COMPLETED_TTL })
+        .exec();
+    } catch (error) {
+      job.lastError = error.message;
+      job.finishedAt = new Date().toISOString();
+      const multi = client.multi().zRem(jobKeys.active(), job.id);
+
+      if (job.attempts >= job.maxAttempts) {
+        console.error(`❌ Job ${job.type} (${job.id}) failed for good: ${error.message}`);
+        job.state = 'dead';
+        multi.lPush(jobKeys.dead(), job.id);
+      } else {
+        const runAt = Date.now() + this.RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+        job.state = 'delayed';
+        job.runAt = new Date(runAt).toISOString();
+        multi.zAdd(jobKeys.delayed(), { score: runAt, value: job.id });
+      }
+
+      await multi.set(jobKeys.data(job.id), JSON.stringify(job)).exec();
+    }
+
+    return job;
+  }
+
+  /**
+   * Move retries whose backoff has passed back into the waiting list
+   * @returns {Number} - Jobs moved
+   */
+  async promoteDueJobs() {
+    const client = await redisManager.getClient();
+    const due = await client.zRangeByScore(jobKeys.delayed(), 0, Date.now(), {
+      LIMIT: { offset: 0, count: 100 }
+    });
+    let moved = 0;
+
+    for (const jobId of due) {
+      // Only the instance that removes the entry requeues it
+      if (await client.zRem(jobKeys.delayed(), jobId)) {
+        await client.lPush(jobKeys.waiting(), jobId);
+        moved += 1;
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Requeue jobs whose worker stopped before finishing them
+   * The interrupted run counts as an attempt.
+   * @returns {Number} - Jobs requeued
+   */
+  async reclaimExpiredLeases() {
+    const client = await redisManager.getClient();
+    const expired = await client.zRangeByScore(jobKeys.active(), 0, Date.now(), {
+      LIMIT: { offset: 0, count: 100 }
+    });
+    let reclaimed = 0;
+
+    for (const jobId of expired) {
+      if (await client.zRem(jobKeys.active(), jobId)) {
+        await client.lPush(jobKeys.waiting(), jobId);
+        reclaimed += 1;
+      }
+    }
+
+    return reclaimed;
+  }
+
+  /**
+   * Get a job
+   * @param {String} jobId - Job ID
+   * @returns {Object|null} - Job, or null once a completed job has expired
+   */
+  async getJob(jobId) {
+    const client = await redisManager.getClient();
+    const data = await client.get(jobKeys.data(jobId));
+
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * List jobs in a state (admin)
+   * @param {Object} options - { state, page, limit }; state defaults to dead
+   * @returns {Object} - { jobs, pagination }
+   */
+  async listJobs(options = {}) {
+    const state = options.state || 'dead';
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    if (!LISTABLE_STATES.includes(state)) {
+      throw new Error(`State must be one of ${LISTABLE_STATES.join(', ')}`);
+    }
+
+    const client = await redisManager.getClient();
+    const key = jobKeys[state]();
+    const start = (page - 1) * limit;
+    const stop = start + limit - 1;
+    const isList = state === 'waiting' || state === 'dead';
+
+    const [jobIds, total] = await Promise.all([
+      isList ? client.lRange(key, start, stop) : client.zRange(key, start, stop),
+      isList ? client.lLen(key) : client.zCard(key)
+    ]);
+
+    const data = jobIds.length > 0
+      ? await client.mGet(jobIds.map(jobId => jobKeys.data(jobId)))
+      : [];
+
+    return {
+      jobs: data.filter(Boolean).map(value => JSON.parse(value)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Number of jobs in each state (admin)
+   * @returns {Object} - { waiting, delayed, active, dead }
+   */
+  async getStats() {
+    const client = await redisManager.getClient();
+    const [waiting, delayed, active, dead] = await Promise.all([
+      client.lLen(jobKeys.waiting()),
+      client.zCard(jobKeys.delayed()),
+      client.zCard(jobKeys.active()),
+      client.lLen(jobKeys.dead())
+    ]);
+
+    return { waiting, delayed, active, dead };
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts (admin)
+   * @param {String} jobId - Job ID
+   * @returns {Object} - Job
+   */
+  async retryJob(jobId) {
+    const client = await redisManager.getClient();
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    // Removing it from the dead-letter list is the claim
+    const removed = await client.lRem(jobKeys.dead(), 0, jobId);
+
+    if (removed === 0) {
+      throw new Error(`Only dead jobs can be retried; this one is ${job.state}`);
+    }
+
+    job.state = 'waiting';
+    job.attempts = 0;
+    job.runAt = new Date().toISOString();
+
+    await client.multi()
+      .set(jobKeys.data(job.id), JSON.stringify(job))
+      .lPush(jobKeys.waiting(), job.id)
+      .exec();
+
+    return job;
+  }
+
+  /**
+   * Retry every dead job (admin)
+   * @returns {Number} - Jobs requeued
+   */
+  async retryDeadJobs() {
+    const client = await redisManager.getClient();
+    const jobIds = await client.lRange(jobKeys.dead(), 0, -1);
+    let retried = 0;
+
+    for (const jobId of jobIds) {
+      try {
+        await this.retryJob(jobId);
+        retried += 1;
+      } catch (error) {
+        // Retried by someone else in the meantime, or its data is gone
+        await client.lRem(jobKeys.dead(), 0, jobId);
+      }
+    }
+
+    return retried;
+  }
+
+  /**
+   * Take jobs one after another until the queue is stopped
+   * @private
+   */
+  async runWorker() {
+    while (this.running) {
+      try {
+        const job = await this.processNext();
+
+        if (!job) {
+          await sleep(this.POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        console.error(`❌ Job worker error: ${error.message}`);
+        await sleep(this.POLL_INTERVAL_MS);
+      }
+    }
+  }
+}
@@ -0,0 +1,293 @@
+import { prisma } from '../database/connect.js';
+import { EmailService } from './email.service.js';
+import { SmsService } from './sms.service.js';
+import { renderOrderNotification } from '../utils/notificationTemplates.js';
+
+const NOTIFICATION_STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED', 'SKIPPED'];
+
+/**
+ * Notification Service
+ * Order timeline messages to customers over email and SMS.
+ * Messages are queued as Notification rows (inside the caller's transaction,
+ * so nothing is sent for changes that roll back) and delivered by
+ * dispatchPending, which records every attempt.
+ */
+export class NotificationService {
+  constructor() {
+    this.emailService = new EmailService();
+    this.smsService = new SmsService();
+    this.MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+    this.RETRY_DELAY_MS = 60 * 1000; // doubled after each failed attempt
+    this.SEND_LEASE_MS = 10 * 60 * 1000; // a SENDING row older than this was abandoned by its worker
+  }
+
+  /**
+   * Queue an order notification on every channel the customer can be reached on
+   * Customers who turned off order updates get SKIPPED records instead.
+   * @param {String} event - NotificationEvent
+   * @param {String} orderId - Order ID
+   * @param {Object} details - Template details (fulfillment, reason, amount) and
+   *                           referenceId, what makes this message unique for the
+   *                           order (defaults to the order ID)
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Number} - Notifications queued
+   */
+  async notifyOrder(event, orderId, details = {}, tx = prisma) {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        user: {
+          select: {
+            firstName: true,
+            communicationSettings: { select: { orderUpdates: true } }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const { referenceId = orderId, ...templateData } = details;
+    const message = renderOrderNotification(event, {
+      ...templateData,
+      order,
+      firstName: order.user?.firstName
+    });
+
+    // Order updates are on unless the customer has turned them off
+    const optedOut = order.user?.communicationSettings?.orderUpdates === false;
+
+    const base = {
+      userId: order.userId,
+      orderId,
+      event,
+      ...(optedOut && { status: 'SKIPPED', lastError: 'Customer has turned off order updates' })
+    };
+
+    const notifications = [{
+      ...base,
+      channel: 'EMAIL',
+      recipient: order.email,
+      subject: message.subject,
+      body: message.text,
+      html: message.html,
+      dedupeKey: `${event}:${referenceId}:EMAIL`
+    }];
+
+    if (order.phone && message.sms) {
+      notifications.push({
+        ...base,
+        channel: 'SMS',
+        recipient: order.phone,
+        body: message.sms,
+        dedupeKey: `${event}:${referenceId}:SMS`
+      });
+    }
+
+    // A trigger that fires twice (e.g. a retried webhook) queues nothing new
+    const { count } = await tx.notification.createMany({
+      data: notifications,
+      skipDuplicates: true
+    });
+
+    return count;
+  }
+
+  /**
+   * Send queued notifications that are due
+   * Notifications left SENDING by a worker that died mid-attempt are queued again first.
+   * @param {Number} batchSize - Maximum notifications to send
+   * @returns {Object} - { sent, failed }
+   */
+  async dispatchPending(batchSize = 50) {
+    await prisma.notification.updateMany({
+      where: {
+        status: 'SENDING',
+        OR: [
+          { claimedAt: null },
+          { claimedAt: { lt: new Date(Date.now() - this.SEND_LEASE_MS) } }
+        ]
+      },
+      data: {
+        status: 'PENDING',
+        claimedAt: null,
+        lastError: 'Delivery attempt did not finish',
+        nextAttemptAt: new Date()
+      }
+    });
+
+    const due = await prisma.notification.findMany({
+      where: {
+        status: 'PENDING',
+        nextAttemptAt: { lte: new Date() }
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: batchSize,
+      select: { id: true }
+    });
+
+    const result = { sent: 0, failed: 0 };
+
+    for (const { id } of due) {
+      const notification = await this.deliver(id);
+
+      if (notification?.status === 'SENT') {
+        result.sent += 1;
+      } else if (notification) {
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * List notifications for support (admin)
+   * @param {Object} options - { orderId, userId, status, event, page, limit }
+   * @returns {Object} - { notifications, pagination }
+   */
+  async listNotifications(options = {}) {
+    const { orderId, userId, status, event } = options;
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      throw new Error(`Status must be one of ${NOTIFICATION_STATUSES.join(', ')}`);
+    }
+
+    const where = {
+      ...(orderId && { orderId }),
+      ...(userId && { userId }),
+      ...(status && { status }),
+      ...(event && { event })
+    };
+
+    const [notifications, total] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        select: {
+          id: true,
+          userId: true,
+          orderId: true,
+          event: true,
+          channel: true,
+          recipient: true,
+          subject: true,
+          body: true,
+          status: true,
+          attempts: true,
+          lastError: true,
+          nextAttemptAt: true,
+          sentAt: true,
+          createdAt: true
+        }
+      }),
+      prisma.notification.count({ where })
+    ]);
+
+    return {
+      notifications,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Send a failed notification again right away (admin)
+   * @param {String} notificationId - Notification ID
+   * @returns {Object} - Notification after the attempt
+   */
+  async retryNotification(notificationId) {
+    const notification = await prisma.notification.findUnique({
+      where: { id: notificationId }
+    });
+
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+
+    const { count } = await prisma.notification.updateMany({
+      where: { id: notificationId, status: 'FAILED' },
+      data: { status: 'PENDING', nextAttemptAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new Error(`Only failed notifications can be retried; this one is ${notification.status}`);
+    }
+
+    return await this.deliver(notificationId);
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * @param {String} notificationId - Notification ID
+   * @returns {Object|null} - Updated notification, or null if another worker claimed it
+   * @private
+   */
+  async deliver(notificationId) {
+    // Claim the row so two dispatchers never send the same message
+    const { count } = await prisma.notification.updateMany({
+      where: { id: notificationId, status: 'PENDING' },
+      data: { status: 'SENDING', claimedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const notification = await prisma.notification.findUnique({
+      where: { id: notificationId }
+    });
+    const attempts = notification.attempts + 1;
+
+    try {
+      if (notification.channel === 'SMS') {
+        // One try per attempt; the retry schedule is kept on the notification
+        await this.smsService.sendSms(notification.recipient, notification.body, {
+          template: notification.event,
+          maxAttempts: 1
+        });
+      } else {
+        await this.emailService.sendEmail({
+          to: notification.recipient,
+          subject: notification.subject,
+          text: notification.body,
+          html: notification.html
+        });
+      }
+
+      return await prisma.notification.update({
+        where: { id: notificationId },
+        data: {
+          status: 'SENT',
+          attempts,
+          claimedAt: null,
+          lastError: null,
+          sentAt: new Date()
+        }
+      });
+    } catch (error) {
+      const exhausted = attempts >= this.MAX_ATTEMPTS;
+
+      return await prisma.notification.update({
+        where: { id: notificationId },
+        data: {
+          status: exhausted ? 'FAILED' : 'PENDING',
+          attempts,
+          claimedAt: null,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + this.RETRY_DELAY_MS * 2 ** (attempts - 1))
+        }
+      });
+    }
+  }
+}
@@ -1,23 +1,53 @@
 import { prisma } from '../database/connect.js';
 import { v4 as uuidv4 } from 'uuid';
-import { generateOrderNumber } from '../utils/orderUtils.js';
+import { generateOrderNumber, getOrderItemPaidAmount, isItemCanceled } from '../utils/orderUtils.js';
+import { InventoryService } from './inventory.service.js';
+import { WalletService } from './wallet.service.js';
+import { ReturnService } from './return.service.js';
+import { FulfillmentService } from './fulfillment.service.js';
+import { TaxService } from './tax.service.js';
+import { OrderStatusService, ORDER_ACTORS, registerOrderStatusHook } from './orderStatus.service.js';
+import { NotificationService } from './notification.service.js';
+import { CartRecoveryService } from './cartRecovery.service.js';
+import { CouponService } from './coupon.service.js';
+import { CartService } from './cart.service.js';
+import { createPaymentOrder, verifyPayment, syncOrderPaymentStatus } from './payment.service.js';
+import { getGatewayForMethod, requiresGateway } from './gateways/index.js';
+import { roundAmount } from '../utils/money.js';
+
+const PAYMENT_METHODS = ['CREDIT_CARD', 'DEBIT_CARD', 'PAYPAL', 'BANK_TRANSFER', 'COD', 'STORE_CREDIT', 'WALLET'];
+
+// Refunds that have not failed count against what can still be refunded
+const SETTLED_REFUND_STATUSES = ['FAILED', 'VOIDED'];
 
 /**
  * Order Service
  * Handles all business logic related to orders
  */
 export class OrderService {
+  constructor() {
+    this.inventoryService = new InventoryService();
+    this.walletService = new WalletService();
+    this.returnService = new ReturnService();
+    this.fulfillmentService = new FulfillmentService();
+    this.taxService = new TaxService();
+    this.orderStatusService = new OrderStatusService();
+    this.notificationService = new NotificationService();
+    this.cartRecoveryService = new CartRecoveryService();
+    this.couponService = new CouponService();
+    this.cartService = new CartService();
+  }
+
   /**
    * Create a new order from cart
    * @param {String} userId - User ID
    * @param {Object} orderData - Order data
-   * @returns {Object} - Created order with payment info
+   * @returns {Object} - Created order with payment info (and gateway payment order for online payments)
    */
   async createOrder(userId, orderData) {
     const {
       shippingAddressId,
       billingAddressId,
-      paymentMethod,
       notes,
       customerNotes
     } = orderData;
@@ -30,9 +60,7 @@ export class OrderService {
       throw new Error('Shipping address is required');
     }
 
-    if (!paymentMethod) {
-      throw new Error('Payment method is required');
-    }
+    const tenders = this.normalizeTenders(orderData);
 
     // Get user info for order
     const user = await prisma.user.findUnique({
@@ -40,7 +68,7 @@ export class OrderService {
       select: {
         id: true,
         email: true,
-        phone: true,
+        phoneNumber: true,
         emailVerified: true,
         phoneVerified: true
       }
@@ -60,6 +88,18 @@ export class OrderService {
       }
     }
 
+    const pricedCart = await prisma.cart.findUnique({
+      where: { userId },
+      select: { id: true, total: true }
+    });
+
+    if (!pricedCart) {
+      throw new Error('Cart is empty');
+    }
+
+    // Promotions may have started, ended or run out since the cart was priced
+    const promotionChanges = await this.cartService.refreshPromotions(pricedCart.id);
+
     // Get user's cart
     const cart = await prisma.cart.findUnique({
       where: { userId },
@@ -82,6 +122,15 @@ export class OrderService {
       throw new Error('Cart is empty');
     }
 
+    // Never charge a total the customer hasn't seen
+    if (
+      promotionChanges.added.length > 0 ||
+      promotionChanges.dropped.length > 0 ||
+      parseFloat(cart.total) !== parseFloat(pricedCart.total)
+    ) {
+      throw new Error('Your cart\'s discounts have changed; please review the updated total before placing your order');
+    }
+
     // Get shipping and billing addresses
     const shippingAddress = await prisma.address.findUnique({
       where: { id: shippingAddressId, userId }
@@ -91,6 +140,19 @@ export class OrderService {
       throw new Error('Shipping address not found');
     }
 
+    // Shipping is charged at the rate priced for the cart's destination
+    if (!cart.shippingAddressId) {
+      throw new Error('Please choose a shipping address for your cart before placing an order');
+    }
+
+    if (cart.shippingAddressId !== shippingAddressId) {
+      throw new Error('Shipping was priced for a different address; update the cart\'s shipping address');
+    }
+
+    if (!cart.shippingRate) {
+      throw new Error('No shipping option is available for this address');
+    }
+
     let finalBillingAddressId = billingAddressId;
     if (!finalBillingAddressId) {
       // If billing address not provided, use shipping address
@@ -106,38 +168,80 @@ export class OrderService {
       }
     }
 
+    // GST is worked out again for the address actually shipped to
+    const tax = await this.taxService.calculateTax(
+      cart.items.map(item => ({ product: item.product, amount: item.totalPrice, discount: item.discount })),
+      { destinationState: shippingAddress.state }
+    );
+    const total = roundAmount(
+      parseFloat(cart.subtotal) - parseFloat(cart.discountTotal) + tax.taxTotal + parseFloat(cart.shippingTotal)
+    );
+
+    // Coupons on the cart that give nothing right now aren't part of the order
+    const appliedCoupons = cart.appliedCoupons.filter(couponItem => !couponItem.skippedReason);
+
     // Generate a unique order number
     const orderNumber = generateOrderNumber();
 
     // Create order in transaction
-    return await prisma.$transaction(async (prisma) => {
+    const result = await prisma.$transaction(async (prisma) => {
+      // Take the coupons' uses first: their limits are checked again under a
+      // lock, so concurrent checkouts can't go past them
+      await this.couponService.reserveRedemptions(
+        appliedCoupons.map(couponItem => couponItem.coupon),
+        userId,
+        prisma
+      );
+
+      // Commit the cart's stock holds; lines without a live hold are reserved now
+      // and the whole order rolls back if any of them is short
+      await this.inventoryService.commitCartHolds(
+        cart.id,
+        cart.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          name: item.variant ? `${item.product.name} (${item.variant.name})` : item.product.name
+        })),
+        prisma
+      );
+
       // Create order
       const order = await prisma.order.create({
         data: {
           orderNumber,
           userId,
           email: user.email,
-          phone: user.phone,
+          phone: user.phoneNumber,
           status: 'PENDING',
-          paymentStatus: paymentMethod === 'COD' ? 'PENDING' : 'PENDING',
+          paymentStatus: 'PENDING',
           fulfillmentStatus: 'UNFULFILLED',
           currency: 'INR',
           subtotal: cart.subtotal,
           shippingTotal: cart.shippingTotal,
-          taxTotal: cart.taxTotal,
+          taxTotal: tax.taxTotal,
           discountTotal: cart.discountTotal,
-          total: cart.total,
+          total,
           notes,
           customerNotes,
           shippingAddressId,
           billingAddressId: finalBillingAddressId,
           ipAddress: orderData.ipAddress || null,
           userAgent: orderData.userAgent || null,
-          estimatedDelivery: orderData.estimatedDelivery || null,
+          estimatedDelivery: orderData.estimatedDelivery ||
+            new Date(Date.now() + (cart.shippingRate.estimatedDays || 0) * 24 * 60 * 60 * 1000),
+          metadata: {
+            shipping: cart.shippingRate,
+            tax: {
+              supplyType: tax.supplyType,
+              sellerState: tax.sellerState,
+              placeOfSupply: tax.placeOfSupply
+            }
+          },
           // Create order items
           items: {
             createMany: {
-              data: cart.items.map(item => ({
+              data: cart.items.map((item, index) => ({
                 productId: item.productId,
                 variantId: item.variantId || null,
                 name: item.product.name,
@@ -145,14 +249,18 @@ export class OrderService {
                 price: item.price,
                 quantity: item.quantity,
                 total: item.totalPrice,
-                discount: 0
+                discount: item.discount,
+                metadata: {
+                  tax: tax.lines[index],
+                  ...(item.discounts && { discounts: item.discounts })
+                }
               }))
             }
           },
           // Create coupon records
           coupons: {
             createMany: {
-              data: cart.appliedCoupons.map(couponItem => ({
+              data: appliedCoupons.map(couponItem => ({
                 couponId: couponItem.couponId,
                 code: couponItem.coupon.code,
                 discountAmount: couponItem.discountAmount
@@ -166,15 +274,22 @@ export class OrderService {
         }
       });
 
-      // Create a payment record
-      const payment = await prisma.payment.create({
-        data: {
-          orderId: order.id,
-          amount: order.total,
-          method: paymentMethod,
-          status: paymentMethod === 'COD' ? 'PENDING' : 'PENDING'
-        }
-      });
+      await this.orderStatusService.recordHistory({
+        orderId: order.id,
+        toStatus: 'PENDING',
+        actor: ORDER_ACTORS.CUSTOMER,
+        userId,
+        note: 'Order placed'
+      }, prisma);
+
+      // One payment per tender; the order's status follows what is captured
+      const payments = await this.createTenderPayments(order, tenders, prisma);
+      order.paymentStatus = await syncOrderPaymentStatus(order.id, prisma);
+
+      await this.notificationService.notifyOrder('ORDER_PLACED', order.id, {}, prisma);
+
+      // Credit the order to an abandoned-cart reminder, if one was sent
+      await this.cartRecoveryService.markRecovered(cart.id, order, prisma);
 
       // Clear the cart after successful order creation
       await prisma.cartItem.deleteMany({
@@ -197,21 +312,222 @@ export class OrderService {
         }
       });
 
-      // Increment the coupon usage count
-      for (const couponItem of cart.appliedCoupons) {
-        await prisma.coupon.update({
-          where: { id: couponItem.couponId },
-          data: {
-            usageCount: { increment: 1 }
-          }
-        });
+      return {
+        order,
+        // The payment still to be completed, if any
+        payment: payments.find(p => p.status === 'PENDING') || payments[payments.length - 1] || null,
+        payments
+      };
+    });
+
+    // The online tender goes through the gateway once the order is committed.
+    // The order stands if the gateway is unreachable; the client retries the
+    // payment with createOrderPaymentIntent.
+    const gatewayPayment = result.payments.find(p => requiresGateway(p.method));
+    if (gatewayPayment) {
+      try {
+        result.paymentOrder = await createPaymentOrder(gatewayPayment.id);
+      } catch (error) {
+        console.error(`Could not start payment for order ${result.order.orderNumber}:`, error.message);
+        result.paymentOrder = null;
+        result.paymentError = error.message;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Start (again) the gateway payment for an order's online tender
+   * Used when the payment could not be started at checkout, or the customer's
+   * attempt failed and they want to try again.
+   * @param {String} orderId - Order ID
+   * @param {String} userId - User ID (for authorization)
+   * @returns {Object} - Details the client needs to open the gateway's checkout
+   */
+  async createOrderPaymentIntent(orderId, userId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { payments: true }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (order.userId !== userId) {
+      throw new Error('You are not authorized to pay for this order');
+    }
+
+    if (order.status === 'CANCELED') {
+      throw new Error('Cannot pay for a canceled order');
+    }
+
+    const payment = order.payments.find(p =>
+      requiresGateway(p.method) && ['PENDING', 'FAILED'].includes(p.status));
+
+    if (!payment) {
+      throw new Error('This order has no online payment awaiting completion');
+    }
+
+    if (payment.status === 'FAILED') {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { status: 'PENDING', errorMessage: null }
+      });
+    }
+
+    return await createPaymentOrder(payment.id);
+  }
+
+  /**
+   * Build the ordered tender list for checkout
+   * `tenders` is [{ method, amount? }, ...]. A tender without an amount takes
+   * whatever is still due; store credit that is not the last tender takes as
+   * much of the balance as it can. `paymentMethod` plus an optional
+   * `storeCreditAmount` is shorthand for a store credit tender followed by
+   * one for `paymentMethod`.
+   * @private
+   */
+  normalizeTenders({ tenders, paymentMethod, storeCreditAmount }) {
+    let tenderList = tenders;
+
+    if (!tenderList) {
+      if (!paymentMethod) {
+        throw new Error('Payment method is required');
+      }
+
+      tenderList = [];
+      if (storeCreditAmount !== undefined && paymentMethod !== 'STORE_CREDIT') {
+        tenderList.push({ method: 'STORE_CREDIT', amount: storeCreditAmount });
+      }
+      tenderList.push({ method: paymentMethod });
+    }
+
+    if (!Array.isArray(tenderList) || tenderList.length === 0) {
+      throw new Error('At least one payment tender is required');
+    }
+
+    const methods = new Set();
+
+    const normalized = tenderList.map(({ method, amount }) => {
+      if (!PAYMENT_METHODS.includes(method)) {
+        throw new Error(`Invalid payment method: ${method}`);
+      }
+
+      if (methods.has(method)) {
+        throw new Error(`Payment method ${method} can only be used once per order`);
+      }
+      methods.add(method);
+
+      if (amount !== undefined && amount !== null && !(parseFloat(amount) > 0)) {
+        throw new Error(`${method} amount must be greater than 0`);
+      }
+
+      // Fail before creating the order if no gateway handles this method
+      if (requiresGateway(method)) {
+        getGatewayForMethod(method);
       }
 
       return {
-        order,
-        payment
+        method,
+        amount: amount !== undefined && amount !== null ? roundAmount(amount) : null
       };
     });
+
+    if (normalized.filter(tender => requiresGateway(tender.method)).length > 1) {
+      throw new Error('Only one online payment method can be used per order');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Create a Payment for each tender, in order, until the order total is covered
+   * Store credit is debited immediately and recorded as PAID; other tenders
+   * start PENDING.
+   * @private
+   */
+  async createTenderPayments(order, tenders, tx) {
+    let amountDue = roundAmount(order.total);
+    const payments = [];
+
+    for (const [index, tender] of tenders.entries()) {
+      const isLastTender = index === tenders.length - 1;
+      let amount = tender.amount ?? amountDue;
+
+      if (tender.method === 'STORE_CREDIT' && tender.amount === null && !isLastTender) {
+        amount = await this.walletService.getBalance(order.userId, tx);
+      }
+
+      amount = Math.min(amount, amountDue);
+      if (amount <= 0) {
+        continue;
+      }
+
+      if (tender.method === 'STORE_CREDIT') {
+        // Throws (and rolls back the order) if the balance does not cover it
+        const creditEntry = await this.walletService.debit(order.userId, amount, {
+          type: 'PURCHASE',
+          description: `Payment for order ${order.orderNumber}`,
+          referenceId: order.id
+        }, tx);
+
+        payments.push(await tx.payment.create({
+          data: {
+            orderId: order.id,
+            amount,
+            method: 'STORE_CREDIT',
+            status: 'PAID',
+            transactionId: creditEntry.id
+          }
+        }));
+      } else {
+        payments.push(await tx.payment.create({
+          data: {
+            orderId: order.id,
+            amount,
+            method: tender.method,
+            status: 'PENDING'
+          }
+        }));
+      }
+
+      amountDue = roundAmount(amountDue - amount);
+    }
+
+    if (amountDue > 0) {
+      throw new Error(`Payment tenders leave ₹${amountDue.toFixed(2)} of the order total unpaid`);
+    }
+
+    return payments;
+  }
+
+  /**
+   * Verify the payment gateway's checkout response for an order
+   * @param {String} orderId - Order ID
+   * @param {String} userId - User ID (for authorization)
+   * @param {Object} verificationData - Fields the gateway's checkout posted back
+   * @returns {Object} - Updated payment
+   */
+  async verifyOrderPayment(orderId, userId, verificationData) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (order.userId !== userId) {
+      throw new Error('You are not authorized to pay for this order');
+    }
+
+    if (order.status === 'CANCELED') {
+      throw new Error('Cannot pay for a canceled order');
+    }
+
+    return await verifyPayment(orderId, verificationData);
   }
 
   /**
@@ -308,12 +624,37 @@ export class OrderService {
         billingAddress: true,
         fulfillments: true,
         refunds: true,
+        returns: {
+          include: { items: true }
+        },
+        statusHistory: {
+          select: {
+            fromStatus: true,
+            toStatus: true,
+            actor: true,
+            note: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        invoices: {
+          select: {
+            id: true,
+            type: true,
+            number: true,
+            refundId: true,
+            total: true,
+            issuedAt: true
+          },
+          orderBy: { issuedAt: 'asc' }
+        },
         user: {
           select: {
             id: true,
-            name: true,
+            firstName: true,
+            lastName: true,
             email: true,
-            phone: true
+            phoneNumber: true
           }
         }
       }
@@ -334,13 +675,15 @@ export class OrderService {
 
   /**
    * Update order status
+   * Customers may only cancel their own orders; see ORDER_TRANSITIONS for the rest.
    * @param {String} orderId - Order ID
    * @param {String} status - New status
    * @param {String} userId - User ID (for authorization)
    * @param {Boolean} isAdmin - Whether user is admin
+   * @param {String} note - Optional note for the status history
    * @returns {Object} - Updated order
    */
-  async updateOrderStatus(orderId, status, userId, isAdmin = false) {
+  async updateOrderStatus(orderId, status, userId, isAdmin = false, note = null) {
     const order = await prisma.order.findUnique({
       where: { id: orderId }
     });
@@ -354,64 +697,26 @@ export class OrderService {
       throw new Error('You are not authorized to update this order');
     }
 
-    // Validate status transition
-    this.validateStatusTransition(order.status, status);
-
-    // Update related fields based on status
-    const updateData = { status };
-
-    if (status === 'DELIVERED') {
-      updateData.completedAt = new Date();
-    } else if (status === 'CANCELED') {
-      updateData.canceledAt = new Date();
-    }
-
-    const updatedOrder = await prisma.order.update({
-      where: { id: orderId },
-      data: updateData
+    const { order: updatedOrder } = await this.orderStatusService.transition(orderId, status, {
+      actor: isAdmin ? ORDER_ACTORS.ADMIN : ORDER_ACTORS.CUSTOMER,
+      userId,
+      note
     });
 
     return updatedOrder;
   }
 
-  /**
-   * Validate order status transition
-   * @param {String} currentStatus - Current order status
-   * @param {String} newStatus - New order status
-   */
-  validateStatusTransition(currentStatus, newStatus) {
-    // Define valid status transitions
-    const validTransitions = {
-      'PENDING': ['PROCESSING', 'CANCELED'],
-      'PROCESSING': ['SHIPPED', 'CANCELED', 'ON_HOLD'],
-      'SHIPPED': ['DELIVERED', 'RETURNED', 'CANCELED'],
-      'DELIVERED': ['RETURNED', 'REFUNDED'],
-      'ON_HOLD': ['PROCESSING', 'CANCELED'],
-      'CANCELED': [],
-      'RETURNED': ['REFUNDED'],
-      'REFUNDED': []
-    };
-
-    if (!validTransitions[currentStatus]?.includes(newStatus)) {
-      throw new Error(`Invalid status transition from ${currentStatus} to ${newStatus}`);
-    }
-  }
-
   /**
    * Cancel order
    * @param {String} orderId - Order ID
    * @param {String} userId - User ID
    * @param {String} reason - Cancellation reason
    * @param {Boolean} isAdmin - Whether user is admin
-   * @returns {Object} - Canceled order
+   * @returns {Object} - { order, refund, storeCreditRefund }
    */
   async cancelOrder(orderId, userId, reason, isAdmin = false) {
     const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: {
-        payments: true,
-        items: true
-      }
+      where: { id: orderId }
     });
 
     if (!order) {
@@ -423,135 +728,251 @@ export class OrderService {
       throw new Error('You are not authorized to cancel this order');
     }
 
-    // Check if order can be canceled
-    const cancelableStatuses = ['PENDING', 'PROCESSING', 'ON_HOLD'];
-    if (!cancelableStatuses.includes(order.status)) {
-      throw new Error(`Cannot cancel order in ${order.status} status`);
+    // Stock and refunds are handled by the settleCanceledOrder hook
+    const { effects } = await this.orderStatusService.transition(orderId, 'CANCELED', {
+      actor: isAdmin ? ORDER_ACTORS.ADMIN : ORDER_ACTORS.CUSTOMER,
+      userId,
+      note: reason || (isAdmin ? 'Order canceled by admin' : 'Order canceled by user')
+    });
+
+    return {
+      order: await prisma.order.findUnique({ where: { id: orderId } }),
+      refund: effects.settleCanceledOrder.refund,
+      storeCreditRefund: effects.settleCanceledOrder.storeCreditRefund
+    };
+  }
+
+  /**
+   * Order status hook for CANCELED: put back stock for items still active,
+   * give back the coupons' uses and refund whatever was paid and not yet
+   * refunded. Store credit goes straight back to the wallet; gateway payments
+   * get a pending refund.
+   * @param {Object} transition - { order, note, tx }
+   * @returns {Object} - { refund, storeCreditRefund }
+   * @private
+   */
+  async settleCanceledOrder({ order, note, tx }) {
+    const fullOrder = await tx.order.findUnique({
+      where: { id: order.id },
+      include: { items: true, payments: true, refunds: true }
+    });
+
+    const paidAmount = (storeCredit) => fullOrder.payments
+      .filter(p => p.status === 'PAID' && (p.method === 'STORE_CREDIT') === storeCredit)
+      .reduce((sum, p) => sum + parseFloat(p.amount), 0);
+    const refundedAmount = fullOrder.refunds
+      .filter(r => !SETTLED_REFUND_STATUSES.includes(r.status))
+      .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+
+    // Items canceled earlier were refunded then; only the rest is owed now
+    const outstanding = Math.max(paidAmount(true) + paidAmount(false) - refundedAmount, 0);
+    const gatewayAmount = roundAmount(Math.min(paidAmount(false), outstanding));
+    const storeCreditAmount = roundAmount(outstanding - gatewayAmount);
+    const reason = note || 'Order canceled';
+
+    let storeCreditRefund = null;
+    if (storeCreditAmount > 0) {
+      storeCreditRefund = await this.walletService.refundOrder(fullOrder, storeCreditAmount, reason, tx);
     }
 
-    // Handle refund if payment has been made
     let refund = null;
-    const completedPayment = order.payments.find(p => p.status === 'PAID');
-    
-    if (completedPayment) {
-      // Create refund record
-      refund = await prisma.refund.create({
+    if (gatewayAmount > 0) {
+      refund = await tx.refund.create({
         data: {
-          orderId: order.id,
-          amount: order.total,
-          reason: reason || 'Order canceled',
+          orderId: fullOrder.id,
+          amount: gatewayAmount,
+          reason,
           status: 'PENDING',
-          notes: `Refund initiated for canceled order`
+          notes: 'Refund initiated for canceled order'
         }
       });
     }
 
-    // Update order
-    const updatedOrder = await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        status: 'CANCELED',
-        cancelReason: reason || 'Order canceled by user',
-        canceledAt: new Date()
+    // Put back stock for items that were not already canceled individually
+    await this.inventoryService.releaseStock(
+      fullOrder.items.filter(item => !isItemCanceled(item)),
+      tx
+    );
+
+    await this.couponService.releaseRedemptions(fullOrder.id, tx);
+
+    return { refund, storeCreditRefund };
+  }
+
+  /**
+   * Cancel specific items in an order
+   * @param {String} orderId - Order ID
+   * @param {Array} itemIds - Order item IDs to cancel
+   * @param {String} userId - User ID
+   * @param {String} reason - Cancellation reason
+   * @param {Boolean} isAdmin - Whether user is admin
+   * @returns {Object} - Canceled items, refund and refund amount
+   */
+  async cancelOrderItems(orderId, itemIds, userId, reason, isAdmin = false) {
+    return await prisma.$transaction(async (prisma) => {
+      // Lock the order so concurrent cancellations see each other's items and refunds
+      await prisma.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${orderId} FOR UPDATE`;
+
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: {
+          items: {
+            include: { fulfillmentItems: true }
+          },
+          payments: true,
+          refunds: true
+        }
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
       }
-    });
 
-    return {
-      order: updatedOrder,
-      refund
-    };
+      // Check if user is authorized to cancel this order
+      if (!isAdmin && order.userId !== userId) {
+        throw new Error('You are not authorized to cancel this order');
+      }
+
+      // Check if order is in a state that allows cancellations
+      const cancelableStatuses = ['PENDING', 'PROCESSING', 'ON_HOLD'];
+      if (!cancelableStatuses.includes(order.status)) {
+        throw new Error(`Cannot cancel items for an order in ${order.status} status`);
+      }
+
+      // Verify all items exist in the order and are still active
+      for (const itemId of itemIds) {
+        const item = order.items.find(orderItem => orderItem.id === itemId);
+
+        if (!item) {
+          throw new Error(`Item ${itemId} does not exist in this order`);
+        }
+
+        if (isItemCanceled(item)) {
+          throw new Error(`Item ${itemId} is already canceled`);
+        }
+
+        if (item.fulfillmentItems.length > 0) {
+          throw new Error(`Item ${itemId} has already been shipped`);
+        }
+      }
+
+      const itemsToCancel = order.items.filter(item => itemIds.includes(item.id));
+
+      // Refund the items' share, but never more than was captured and not yet refunded
+      const capturedAmount = order.payments
+        .filter(p => p.status === 'PAID')
+        .reduce((sum, p) => sum + parseFloat(p.amount), 0);
+      const refundedAmount = order.refunds
+        .filter(r => !SETTLED_REFUND_STATUSES.includes(r.status))
+        .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+      const totalRefundAmount = roundAmount(Math.max(Math.min(
+        itemsToCancel.reduce((sum, item) => sum + getOrderItemPaidAmount(item), 0),
+        capturedAmount - refundedAmount
+      ), 0));
+
+      let refund = null;
+      if (totalRefundAmount > 0) {
+        refund = await prisma.refund.create({
+          data: {
+            orderId: order.id,
+            amount: totalRefundAmount,
+            reason: reason || 'Items canceled by user',
+            status: 'PENDING',
+            notes: `Refund initiated for canceled items`
+          }
+        });
+      }
+
+      // Mark items as canceled (order items have no status column)
+      const canceledAt = new Date();
+      const updatedItems = [];
+      for (const item of itemsToCancel) {
+        updatedItems.push(await prisma.orderItem.update({
+          where: { id: item.id },
+          data: {
+            metadata: {
+              ...(item.metadata || {}),
+              status: 'CANCELED',
+              canceledAt,
+              cancelReason: reason || 'Canceled by user',
+              refundId: refund?.id
+            }
+          }
+        }));
+      }
+
+      // Put the canceled quantities back into stock
+      await this.inventoryService.releaseStock(itemsToCancel, prisma);
+
+      // Order.refundedAmount is updated when the refund is paid out
+
+      // If all items are canceled, cancel the whole order
+      const remainingItems = order.items.filter(item =>
+        !itemIds.includes(item.id) && !isItemCanceled(item)
+      );
+      if (remainingItems.length === 0) {
+        await this.orderStatusService.transition(orderId, 'CANCELED', {
+          actor: isAdmin ? ORDER_ACTORS.ADMIN : ORDER_ACTORS.CUSTOMER,
+          userId,
+          note: reason || 'All items canceled',
+          data: { canceledAt }
+        }, prisma);
+      } else {
+        // Canceling the last unshipped items can complete a partly shipped order
+        await this.fulfillmentService.syncFulfillmentStatus(orderId, prisma);
+      }
+
+      return {
+        updatedItems,
+        refund,
+        totalRefundAmount
+      };
+    });
   }
 
   /**
-   * Process a return/refund request
+   * Request a return for a single order item
+   * Shorthand for a one-item return request; see ReturnService.requestReturn
    * @param {String} orderItemId - Order item ID
    * @param {String} userId - User ID
-   * @param {Object} returnData - Return data
-   * @returns {Object} - Return/refund status
+   * @param {Object} returnData - { reason, refundMethod, quantity }
+   * @returns {Object} - Created return
    */
   async processReturn(orderItemId, userId, returnData) {
-    const { reason, refundMethod } = returnData;
+    const { reason, refundMethod, quantity } = returnData;
 
-    if (!orderItemId || !reason || !refundMethod) {
-      throw new Error('Order item ID, reason, and refund method are required');
+    if (!orderItemId || !reason) {
+      throw new Error('Order item ID and reason are required');
     }
 
-    // Get the order item
     const orderItem = await prisma.orderItem.findUnique({
       where: { id: orderItemId },
-      include: {
-        order: {
-          include: {
-            payments: true
-          }
-        }
-      }
+      select: { orderId: true }
     });
 
     if (!orderItem) {
       throw new Error('Order item not found');
     }
 
-    // Check if user is authorized
-    if (orderItem.order.userId !== userId) {
-      throw new Error('You are not authorized to return this item');
-    }
-
-    // Check if item is eligible for return
-    if (orderItem.order.status !== 'DELIVERED') {
-      throw new Error('Only delivered items can be returned');
-    }
-
-    // Check if return is within allowed timeframe (e.g., 7 days)
-    const deliveredDate = orderItem.order.completedAt || orderItem.order.updatedAt;
-    const returnWindow = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-    
-    if (Date.now() - deliveredDate.getTime() > returnWindow) {
-      throw new Error('Return window has expired');
-    }
-
-    // Create refund record
-    const refund = await prisma.refund.create({
-      data: {
-        orderId: orderItem.order.id,
-        amount: parseFloat(orderItem.total),
-        reason,
-        status: 'PENDING',
-        notes: `Refund for returned item: ${orderItem.name}`
-      }
+    return await this.returnService.requestReturn(userId, {
+      orderId: orderItem.orderId,
+      items: [{ orderItemId, quantity }],
+      reason,
+      refundMethod
     });
+  }
+}
 
-    // Update order item
-    await prisma.$transaction([
-      // Mark the order item as returned
-      prisma.orderItem.update({
-        where: { id: orderItemId },
-        data: {
-          metadata: {
-            ...(orderItem.metadata || {}),
-            returnReason: reason,
-            returnDate: new Date(),
-            refundId: refund.id
-          }
-        }
-      }),
-      
-      // Update order refunded amount
-      prisma.order.update({
-        where: { id: orderItem.order.id },
-        data: {
-          refundedAmount: {
-            increment: parseFloat(orderItem.total)
-          }
-        }
-      })
-    ]);
+// Order status hooks are registered once, when this module loads, by an
+// instance of their own rather than by whichever OrderService was created last
+const hookOrderService = new OrderService();
 
-    return {
-      orderItemId,
-      refundId: refund.id,
-      refundStatus: 'PENDING',
-      refundAmount: parseFloat(orderItem.total)
-    };
-  }
-} 
\ No newline at end of file
+// However an order ends up canceled, its stock and money go back
+registerOrderStatusHook('settleCanceledOrder', { to: 'CANCELED' }, (transition) =>
+  hookOrderService.settleCanceledOrder(transition));
+
+// Customer notifications for the end of an order's timeline
+registerOrderStatusHook('notifyDelivered', { to: 'DELIVERED' }, ({ order, tx }) =>
+  hookOrderService.notificationService.notifyOrder('ORDER_DELIVERED', order.id, {}, tx));
+registerOrderStatusHook('notifyCanceled', { to: 'CANCELED' }, ({ order, note, tx }) =>
+  hookOrderService.notificationService.notifyOrder('ORDER_CANCELED', order.id, { reason: note }, tx));
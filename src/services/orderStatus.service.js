@@ -0,0 +1,202 @@
+import { prisma } from '../database/connect.js';
+
+export const ORDER_ACTORS = {
+  CUSTOMER: 'CUSTOMER',
+  ADMIN: 'ADMIN',
+  SYSTEM: 'SYSTEM'
+};
+
+const { CUSTOMER, ADMIN, SYSTEM } = ORDER_ACTORS;
+
+// Guards: return a reason the transition can't happen, or null
+const nothingShipped = (order) => (order.fulfillmentStatus !== 'UNFULFILLED'
+  ? 'Cannot cancel an order that has already been partly shipped; cancel the unshipped items instead'
+  : null);
+
+// Shipping goes through fulfillments so every unit has a shipment record
+const everythingShipped = (order) => (order.fulfillmentStatus !== 'FULFILLED'
+  ? 'Create fulfillments for all items before marking the order as shipped'
+  : null);
+
+/**
+ * Allowed order status transitions: from -> to -> { actors, guard }
+ * SYSTEM is the app itself (carrier webhooks, fulfillment sync, scheduled jobs).
+ */
+export const ORDER_TRANSITIONS = {
+  PENDING: {
+    PROCESSING: { actors: [ADMIN, SYSTEM] },
+    CANCELED: { actors: [CUSTOMER, ADMIN, SYSTEM], guard: nothingShipped }
+  },
+  PROCESSING: {
+    SHIPPED: { actors: [ADMIN, SYSTEM], guard: everythingShipped },
+    ON_HOLD: { actors: [ADMIN] },
+    CANCELED: { actors: [CUSTOMER, ADMIN, SYSTEM], guard: nothingShipped }
+  },
+  ON_HOLD: {
+    PROCESSING: { actors: [ADMIN] },
+    CANCELED: { actors: [CUSTOMER, ADMIN, SYSTEM], guard: nothingShipped }
+  },
+  SHIPPED: {
+    DELIVERED: { actors: [ADMIN, SYSTEM] },
+    RETURNED: { actors: [ADMIN, SYSTEM] }
+  },
+  DELIVERED: {
+    RETURNED: { actors: [ADMIN, SYSTEM] },
+    REFUNDED: { actors: [ADMIN, SYSTEM] }
+  },
+  RETURNED: {
+    REFUNDED: { actors: [ADMIN, SYSTEM] }
+  },
+  CANCELED: {},
+  REFUNDED: {}
+};
+
+// Transition hooks by name, so registering a hook again replaces it
+const hooks = new Map();
+
+/**
+ * Register a hook run inside the transaction of every matching transition
+ * Hooks run in registration order after the status and history are written;
+ * a hook that throws rolls the transition back. Whatever a hook returns is
+ * passed back to the caller under its name.
+ * @param {String} name - Unique hook name
+ * @param {Object} match - { from, to }; omitted fields match any status
+ * @param {Function} handler - async ({ order, from, to, actor, note, tx }) => result
+ */
+export const registerOrderStatusHook = (name, match, handler) => {
+  hooks.set(name, { from: match.from || null, to: match.to || null, handler });
+};
+
+/**
+ * Order Status Service
+ * Moves orders between statuses, recording who moved them and running the
+ * registered side-effect hooks
+ */
+export class OrderStatusService {
+  /**
+   * Statuses an actor may move an order to from its current status
+   * @param {String} status - Current order status
+   * @param {String} actor - CUSTOMER, ADMIN or SYSTEM
+   * @returns {Array} - Target statuses
+   */
+  getAllowedTransitions(status, actor) {
+    return Object.entries(ORDER_TRANSITIONS[status] || {})
+      .filter(([, rule]) => rule.actors.includes(actor))
+      .map(([toStatus]) => toStatus);
+  }
+
+  /**
+   * Check a transition against the state machine
+   * @param {Object} order - Order (status, fulfillmentStatus)
+   * @param {String} toStatus - Target status
+   * @param {String} actor - CUSTOMER, ADMIN or SYSTEM
+   */
+  assertTransition(order, toStatus, actor) {
+    const rule = ORDER_TRANSITIONS[order.status]?.[toStatus];
+
+    if (!rule) {
+      throw new Error(`Invalid status transition from ${order.status} to ${toStatus}`);
+    }
+
+    if (!rule.actors.includes(actor)) {
+      throw new Error(`You are not authorized to move an order from ${order.status} to ${toStatus}`);
+    }
+
+    const reason = rule.guard?.(order);
+    if (reason) {
+      throw new Error(reason);
+    }
+  }
+
+  /**
+   * Move an order to a new status
+   * @param {String} orderId - Order ID
+   * @param {String} toStatus - Target status
+   * @param {Object} options - { actor, userId, note, data }; data holds extra order
+   *                           fields to write with the status
+   * @param {Object} tx - Prisma transaction client; a transaction is opened when omitted
+   * @returns {Object} - { order, history, effects } where effects maps hook names to their results
+   */
+  async transition(orderId, toStatus, options = {}, tx = null) {
+    if (!tx) {
+      return await prisma.$transaction(async (tx) => await this.transition(orderId, toStatus, options, tx));
+    }
+
+    const { actor = SYSTEM, userId = null, note = null, data = {} } = options;
+
+    // Lock the order so two transitions can't both start from the same status
+    await tx.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${orderId} FOR UPDATE`;
+
+    const current = await tx.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!current) {
+      throw new Error('Order not found');
+    }
+
+    this.assertTransition(current, toStatus, actor);
+
+    const updateData = { ...data, status: toStatus };
+
+    if (toStatus === 'DELIVERED') {
+      updateData.completedAt = updateData.completedAt || new Date();
+    } else if (toStatus === 'CANCELED') {
+      updateData.canceledAt = updateData.canceledAt || new Date();
+      updateData.cancelReason = updateData.cancelReason || note;
+    }
+
+    const order = await tx.order.update({
+      where: { id: orderId },
+      data: updateData
+    });
+
+    const history = await this.recordHistory({
+      orderId,
+      fromStatus: current.status,
+      toStatus,
+      actor,
+      userId,
+      note
+    }, tx);
+
+    const effects = {};
+
+    for (const [name, hook] of hooks) {
+      if ((hook.from && hook.from !== current.status) || (hook.to && hook.to !== toStatus)) {
+        continue;
+      }
+
+      effects[name] = await hook.handler({
+        order,
+        from: current.status,
+        to: toStatus,
+        actor,
+        userId,
+        note,
+        tx
+      });
+    }
+
+    return { order, history, effects };
+  }
+
+  /**
+   * Write a history entry without a transition (e.g. when an order is placed)
+   * @param {Object} entry - { orderId, fromStatus, toStatus, actor, userId, note }
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Object} - History entry
+   */
+  async recordHistory(entry, tx = prisma) {
+    return await tx.orderStatusHistory.create({
+      data: {
+        orderId: entry.orderId,
+        fromStatus: entry.fromStatus || null,
+        toStatus: entry.toStatus,
+        actor: entry.actor || SYSTEM,
+        changedById: entry.userId || null,
+        note: entry.note || null
+      }
+    });
+  }
+}
@@ -1,7 +1,9 @@
+import crypto from 'crypto';
 import { prisma } from '../database/connect.js';
 import redisManager from '../utils/redisClient.js';
 import { otpKeys } from '../utils/redisKeys.js';
 import { AuthService } from './auth.service.js';
+import { SmsService } from './sms.service.js';
 import { generateTokens } from '../utils/tokenGenerator.js';
 
 /**
@@ -13,6 +15,7 @@ export class OtpService {
     this.OTP_EXPIRY = 10 * 60; // 10 minutes in seconds
     this.MAX_ATTEMPTS = 3;
     this.authService = new AuthService();
+    this.smsService = new SmsService();
   }
 
   /**
@@ -28,12 +31,15 @@ export class OtpService {
     // Generate a 6-digit OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
     const expiresAt = new Date(Date.now() + this.OTP_EXPIRY * 1000);
+    // Handed only to whoever asked for the OTP, to look up its delivery
+    const requestId = crypto.randomBytes(16).toString('hex');
 
     try {
       // Store OTP in Redis with expiry
       const otpData = {
         otp,
         phoneNumber,
+        requestId,
         attempts: 0,
         expiresAt: expiresAt.toISOString()
       };
@@ -43,6 +49,7 @@ export class OtpService {
 
       return {
         otp,
+        requestId,
         expiresAt
       };
     } catch (error) {
@@ -55,20 +62,67 @@ export class OtpService {
    * Send OTP via SMS
    * @param {string} phoneNumber - User's phone number
    * @param {string} otp - OTP to send
-   * @returns {boolean} - Success status
+   * @returns {Object} - Delivery { provider, messageId, status, attempts }
    */
   async sendOtpSms(phoneNumber, otp) {
+    let delivery;
+
     try {
-      // In a real implementation, this would integrate with an SMS provider
-      // For demonstration purposes, we'll just log the OTP
-      console.log(`[SMS WOULD BE SENT] Phone: ${phoneNumber}, OTP: ${otp}`);
-      
-      // Return true to simulate successful sending
-      return true;
+      // The text must match the OTP template registered on DLT
+      delivery = await this.smsService.sendSms(
+        phoneNumber,
+        `${otp} is your Cladily verification code. It is valid for 10 minutes. Do not share it with anyone.`,
+        { template: 'OTP' }
+      );
     } catch (error) {
       console.error('Error sending OTP via SMS:', error);
-      throw new Error('Failed to send OTP via SMS');
+      const sendError = new Error(`Failed to send OTP via SMS after ${error.delivery?.attempts || 1} attempt(s)`);
+      sendError.delivery = error.delivery;
+      throw sendError;
+    }
+
+    // Remember the message so the OTP's requester can look up its delivery status
+    const cacheKey = otpKeys.phone(phoneNumber);
+    const otpData = await redisManager.get(cacheKey);
+
+    if (otpData) {
+      const ttl = Math.ceil((new Date(otpData.expiresAt) - Date.now()) / 1000);
+      if (ttl > 0) {
+        otpData.messageId = delivery.messageId;
+        await redisManager.set(cacheKey, otpData, ttl);
+      }
+    }
+
+    return this.formatDelivery(delivery);
+  }
+
+  /**
+   * Delivery status of the OTP most recently sent to a phone number
+   * Only the caller holding the OTP's request ID gets an answer, so the
+   * lookup can't be used to tell which numbers are in the middle of a login.
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} requestId - Request ID returned when the OTP was sent
+   * @returns {Object|null} - Delivery, or null if no OTP with that request ID is pending
+   */
+  async getOtpDeliveryStatus(phoneNumber, requestId) {
+    if (!phoneNumber || !requestId) {
+      throw new Error('Phone number and request ID are required');
+    }
+
+    const otpData = await redisManager.get(otpKeys.phone(phoneNumber));
+
+    if (!otpData?.messageId || !otpData.requestId ||
+        otpData.requestId.length !== String(requestId).length ||
+        !crypto.timingSafeEqual(Buffer.from(otpData.requestId), Buffer.from(String(requestId)))) {
+      return null;
     }
+
+    const delivery = await this.smsService.getDeliveryStatus(otpData.messageId);
+
+    return delivery && {
+      ...this.formatDelivery(delivery),
+      expiresAt: otpData.expiresAt
+    };
   }
 
   /**
@@ -246,14 +300,16 @@ export class OtpService {
     }
     
     // Generate OTP
-    const { otp, expiresAt } = await this.generateOTP(phoneNumber);
+    const { otp, requestId, expiresAt } = await this.generateOTP(phoneNumber);
     
     // Send OTP via SMS
-    await this.sendOtpSms(phoneNumber, otp);
+    const delivery = await this.sendOtpSms(phoneNumber, otp);
     
     return {
       phoneNumber,
+      requestId,
       expiresAt,
+      delivery,
       message: 'OTP sent successfully',
     };
   }
@@ -299,4 +355,17 @@ export class OtpService {
       refreshToken,
     };
   }
-} 
\ No newline at end of file
+
+  /**
+   * Delivery details safe to show the customer
+   * @private
+   */
+  formatDelivery(delivery) {
+    return {
+      messageId: delivery.messageId,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      updatedAt: delivery.updatedAt
+    };
+  }
+}
@@ -1,101 +1,488 @@
 import ApiError from "../utils/apiError.js";
-import { Payment } from "../models/payment.model.js";
+import { prisma } from "../database/connect.js";
 import razorpayInstance from "../config/razorpay.js";
+import { getGateway, getGatewayForMethod } from "./gateways/index.js";
+import { toMinorUnits } from "./gateways/gateway.utils.js";
+import { InvoiceService } from "./invoice.service.js";
+import { NotificationService } from "./notification.service.js";
 import {
-    HTTP_BAD_GATEWAY,
     HTTP_BAD_REQUEST,
+    HTTP_CONFLICT,
     HTTP_INTERNAL_SERVER_ERROR,
     HTTP_NOT_FOUND,
 } from "../httpStatusCode.js";
+import { roundAmount } from "../utils/money.js";
 
-const createPaymentOrder = async (orderId, totalAmount) => {
-    if (!orderId || !totalAmount) {
-        throw new ApiError(
-            HTTP_BAD_REQUEST,
-            "Order ID and total amount are required"
-        );
+const invoiceService = new InvoiceService();
+const notificationService = new NotificationService();
+
+// Gateway SDKs put the readable reason in different places
+const gatewayErrorMessage = (error) =>
+    error.error?.description || error.message;
+
+/**
+ * Derive an order's payment status from its captured payments and completed refunds
+ * @param {String} orderId - Order ID
+ * @param {Object} tx - Prisma client or transaction client
+ * @returns {String} - The order's payment status
+ */
+const syncOrderPaymentStatus = async (orderId, tx = prisma) => {
+    const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { payments: true, refunds: true },
+    });
+
+    if (!order) {
+        throw new ApiError(HTTP_NOT_FOUND, "Order not found");
     }
 
-    // Convert total amount to paise (Razorpay requires the amount in paise)
-    const amountInPaise = totalAmount * 100;
+    const paidAmount = order.payments
+        .filter((p) => p.status === "PAID")
+        .reduce((sum, p) => sum + parseFloat(p.amount), 0);
+    const refundedAmount = order.refunds
+        .filter((r) => r.status === "REFUNDED")
+        .reduce((sum, r) => sum + parseFloat(r.amount), 0);
 
-    try {
-        // Create the payment order using Razorpay
-        const paymentOrder = razorpayInstance.orders.create({
-            amount: amountInPaise,
-            currency: "INR",
-            receipt: orderId.toString(),
-            payment_capture: 1,
+    let paymentStatus;
+    if (refundedAmount > 0) {
+        paymentStatus =
+            refundedAmount >= paidAmount ? "REFUNDED" : "PARTIALLY_REFUNDED";
+    } else if (paidAmount >= parseFloat(order.total)) {
+        paymentStatus = "PAID";
+    } else if (paidAmount > 0) {
+        paymentStatus = "PARTIALLY_PAID";
+    } else if (
+        order.payments.length > 0 &&
+        order.payments.every((p) => p.status === "FAILED")
+    ) {
+        paymentStatus = "FAILED";
+    } else {
+        paymentStatus = "PENDING";
+    }
+
+    if (paymentStatus !== order.paymentStatus) {
+        await tx.order.update({
+            where: { id: orderId },
+            data: { paymentStatus },
         });
 
-        // Save payment details to the database
-        const payment = new Payment({
-            orderId,
-            amount: totalAmount,
-            status: "Pending",
-            razorpayOrderId: paymentOrder.id,
+        // The tax invoice is issued as soon as the order is fully paid
+        if (paymentStatus === "PAID") {
+            await invoiceService.getOrCreateInvoice(orderId, tx);
+        }
+
+        if (paymentStatus === "FAILED") {
+            const failedPayments = order.payments.filter((p) => p.status === "FAILED");
+
+            await notificationService.notifyOrder("PAYMENT_FAILED", orderId, {
+                referenceId: `${orderId}:${failedPayments.length}`,
+                reason: failedPayments[failedPayments.length - 1].errorMessage,
+            }, tx);
+        }
+    }
+
+    return paymentStatus;
+};
+
+/**
+ * Mark a refund as paid out and roll it up to its order (and return, if any),
+ * issuing its credit note and telling the customer
+ * @param {String} refundId - Refund ID
+ * @param {String} transactionId - Gateway refund / payout / ledger entry ID
+ * @param {Object} tx - Prisma client or transaction client
+ * @returns {Object|null} - Updated refund, or null if it was already completed
+ */
+const markRefundCompleted = async (refundId, transactionId, tx = prisma) => {
+    const { count } = await tx.refund.updateMany({
+        where: { id: refundId, status: { not: "REFUNDED" } },
+        data: {
+            status: "REFUNDED",
+            ...(transactionId && { transactionId }),
+        },
+    });
+
+    if (count === 0) {
+        return null;
+    }
+
+    const refund = await tx.refund.findUnique({ where: { id: refundId } });
+
+    await tx.order.update({
+        where: { id: refund.orderId },
+        data: {
+            refundedAmount: { increment: parseFloat(refund.amount) },
+        },
+    });
+
+    // A received return is done once its refund is paid out
+    await tx.return.updateMany({
+        where: { refundId, status: "RECEIVED" },
+        data: { status: "REFUNDED", refundedAt: new Date() },
+    });
+
+    await syncOrderPaymentStatus(refund.orderId, tx);
+
+    await invoiceService.createCreditNote(refund.id, tx);
+
+    await notificationService.notifyOrder("REFUND_ISSUED", refund.orderId, {
+        referenceId: refund.id,
+        amount: parseFloat(refund.amount),
+    }, tx);
+
+    return refund;
+};
+
+/**
+ * Create a gateway payment intent for a pending Payment record
+ * The gateway is picked from the payment's method.
+ * @param {String} paymentId - Payment ID
+ * @returns {Object} - Details the client needs to open the gateway's checkout
+ */
+const createPaymentOrder = async (paymentId) => {
+    if (!paymentId) {
+        throw new ApiError(HTTP_BAD_REQUEST, "Payment ID is required");
+    }
+
+    const payment = await prisma.payment.findUnique({
+        where: { id: paymentId },
+        include: { order: true },
+    });
+
+    if (!payment) {
+        throw new ApiError(HTTP_NOT_FOUND, "Payment record not found");
+    }
+
+    const gateway = getGatewayForMethod(payment.method);
+
+    try {
+        const intent = await gateway.createIntent({
+            amount: payment.amount,
+            currency: payment.order.currency,
+            receipt: payment.order.orderNumber,
+            notes: {
+                orderId: payment.orderId,
+                paymentId: payment.id,
+            },
         });
 
-        await payment.save();
+        // Save gateway details on the payment record
+        await prisma.payment.update({
+            where: { id: payment.id },
+            data: {
+                paymentGateway: gateway.name,
+                metadata: {
+                    ...(payment.metadata || {}),
+                    intentId: intent.intentId,
+                },
+            },
+        });
 
-        // Return payment order details to the calling function
-        return paymentOrder;
+        return {
+            gateway: gateway.name,
+            intentId: intent.intentId,
+            amount: intent.amount,
+            currency: intent.currency,
+            ...intent.clientData,
+        };
     } catch (error) {
+        await prisma.payment.update({
+            where: { id: payment.id },
+            data: {
+                status: "FAILED",
+                paymentGateway: gateway.name,
+                errorMessage: gatewayErrorMessage(error),
+            },
+        });
+
         throw new ApiError(
             error?.statusCode || HTTP_INTERNAL_SERVER_ERROR,
-            `Payment order creation failed: ${error.message}`
+            `Payment order creation failed: ${gatewayErrorMessage(error)}`
         );
     }
 };
 
-const capturePayment = async (paymentId, amount) => {
-    if (!paymentId || !amount) {
+/**
+ * Verify a gateway checkout response and mark the payment as paid
+ * @param {String} orderId - Order ID
+ * @param {Object} verificationData - Fields the gateway's checkout posted back
+ * @returns {Object} - Updated payment
+ */
+const verifyPayment = async (orderId, verificationData) => {
+    const payments = await prisma.payment.findMany({
+        where: { orderId, paymentGateway: { not: null } },
+    });
+
+    // Match the response to the payment whose intent it answers
+    let payment;
+    let checkout;
+    for (const candidate of payments) {
+        const parsed = getGateway(candidate.paymentGateway).parseCheckoutResponse(
+            verificationData
+        );
+
+        if (parsed && parsed.intentId === candidate.metadata?.intentId) {
+            payment = candidate;
+            checkout = parsed;
+            break;
+        }
+    }
+
+    if (!payment) {
+        throw new ApiError(HTTP_NOT_FOUND, "Payment record not found");
+    }
+
+    if (payment.status === "PAID") {
+        return payment;
+    }
+
+    if (!getGateway(payment.paymentGateway).verifyCheckoutSignature(checkout)) {
+        await prisma.payment.update({
+            where: { id: payment.id },
+            data: {
+                status: "FAILED",
+                errorMessage: "Payment signature verification failed",
+            },
+        });
+
+        throw new ApiError(HTTP_BAD_REQUEST, "Invalid payment signature");
+    }
+
+    return await prisma.$transaction(async (tx) => {
+        const updatedPayment = await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+                status: "PAID",
+                transactionId: checkout.transactionId,
+                errorMessage: null,
+            },
+        });
+
+        await syncOrderPaymentStatus(orderId, tx);
+
+        return updatedPayment;
+    });
+};
+
+/**
+ * Manually capture an authorized payment
+ * @param {String} transactionId - Gateway transaction ID
+ * @param {Number} amount - Amount in rupees
+ * @returns {Object} - Captured payment details from the gateway
+ */
+const capturePayment = async (transactionId, amount) => {
+    if (!transactionId || !amount) {
         throw new ApiError(
             HTTP_BAD_REQUEST,
             "Payment ID and amount are required"
         );
     }
 
+    const payment = await prisma.payment.findFirst({
+        where: { transactionId },
+        include: { order: { select: { currency: true } } },
+    });
+
+    if (!payment || !payment.paymentGateway) {
+        throw new ApiError(HTTP_NOT_FOUND, "Payment record not found");
+    }
+
     try {
-        // Capture the payment with Razorpay
-        const capturedPayment = await razorpayInstance.payments.capture(
-            paymentId,
-            amount * 100, // Convert to paise
-            "INR"
+        const capturedPayment = await getGateway(payment.paymentGateway).capture(
+            transactionId,
+            amount,
+            payment.order.currency
         );
 
-        if (!capturedPayment) {
-            throw new ApiError(
-                HTTP_BAD_GATEWAY,
-                "Payment capture failed: No response from Razorpay"
-            );
-        }
-
         // Update payment status in the database
-        const payment = await Payment.findOneAndUpdate(
-            { razorpayPaymentId: paymentId },
-            {
-                status: "Completed",
-                capturedAmount: amount,
-            },
-            { new: true }
-        );
+        await prisma.$transaction(async (tx) => {
+            await tx.payment.update({
+                where: { id: payment.id },
+                data: { status: "PAID" },
+            });
 
-        if (!payment) {
-            throw new ApiError(HTTP_NOT_FOUND, "Payment record not found");
-        }
+            await syncOrderPaymentStatus(payment.orderId, tx);
+        });
 
         // Return captured payment details to the calling function
         return capturedPayment;
     } catch (error) {
         throw new ApiError(
             error?.statusCode || HTTP_INTERNAL_SERVER_ERROR,
-            `Payment capture failed: ${error.message}`
+            `Payment capture failed: ${gatewayErrorMessage(error)}`
+        );
+    }
+};
+
+/**
+ * Void an authorized payment that will not be captured
+ * @param {String} paymentId - Payment ID
+ * @returns {Object} - Updated payment
+ */
+const voidPayment = async (paymentId) => {
+    const payment = await prisma.payment.findUnique({
+        where: { id: paymentId },
+    });
+
+    if (!payment) {
+        throw new ApiError(HTTP_NOT_FOUND, "Payment record not found");
+    }
+
+    if (payment.status !== "AUTHORIZED" || !payment.transactionId) {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            "Only authorized payments can be voided"
+        );
+    }
+
+    try {
+        await getGateway(payment.paymentGateway).void(payment.transactionId);
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || HTTP_INTERNAL_SERVER_ERROR,
+            `Payment void failed: ${gatewayErrorMessage(error)}`
+        );
+    }
+
+    return await prisma.$transaction(async (tx) => {
+        const updatedPayment = await tx.payment.update({
+            where: { id: payment.id },
+            data: { status: "VOIDED" },
+        });
+
+        await syncOrderPaymentStatus(payment.orderId, tx);
+
+        return updatedPayment;
+    });
+};
+
+/**
+ * Load a refund with the order details needed to execute it
+ * @param {String} refundId - Refund ID
+ * @returns {Object} - Refund with order, payments, refunds and user
+ */
+const getRefundForProcessing = async (refundId) => {
+    const refund = await prisma.refund.findUnique({
+        where: { id: refundId },
+        include: {
+            order: {
+                include: {
+                    payments: true,
+                    refunds: true,
+                    user: {
+                        select: {
+                            firstName: true,
+                            lastName: true,
+                            email: true,
+                            phoneNumber: true,
+                        },
+                    },
+                },
+            },
+        },
+    });
+
+    if (!refund) {
+        throw new ApiError(HTTP_NOT_FOUND, "Refund record not found");
+    }
+
+    if (refund.status !== "PENDING") {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            `Refund is already ${refund.status.toLowerCase()}`
         );
     }
+
+    return refund;
+};
+
+/**
+ * What is still refundable on an order: its captured payments less the
+ * refunds being paid out or already paid
+ * @param {Array} payments - The order's payments
+ * @param {Array} refunds - The order's other refunds
+ * @returns {Number} - Amount
+ */
+const getRefundableAmount = (payments, refunds) => {
+    const captured = payments
+        .filter((p) => p.status === "PAID")
+        .reduce((sum, p) => sum + parseFloat(p.amount), 0);
+    const refunded = refunds
+        .filter((r) => ["PROCESSING", "REFUNDED"].includes(r.status))
+        .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+
+    return roundAmount(captured - refunded);
+};
+
+/**
+ * Claim a pending refund for payout by moving it to PROCESSING
+ * Only one caller can win the claim, so a refund approved twice at the same
+ * time is paid out once. The order row stays locked until the transaction
+ * ends, so claims of different refunds on one order go one at a time and
+ * together never pay out more than was captured.
+ * @param {String} refundId - Refund ID
+ * @param {Object} tx - Transaction client
+ */
+const claimRefund = async (refundId, tx) => {
+    const refund = await tx.refund.findUnique({
+        where: { id: refundId },
+        select: { id: true, orderId: true, amount: true },
+    });
+
+    if (!refund) {
+        throw new ApiError(HTTP_NOT_FOUND, "Refund record not found");
+    }
+
+    await tx.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${refund.orderId} FOR UPDATE`;
+
+    const [payments, refunds] = await Promise.all([
+        tx.payment.findMany({ where: { orderId: refund.orderId, status: "PAID" } }),
+        tx.refund.findMany({
+            where: {
+                orderId: refund.orderId,
+                id: { not: refundId },
+                status: { in: ["PROCESSING", "REFUNDED"] },
+            },
+        }),
+    ]);
+    const refundable = getRefundableAmount(payments, refunds);
+
+    if (parseFloat(refund.amount) > refundable) {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            `Refund of ₹${parseFloat(refund.amount).toFixed(2)} exceeds the ₹${refundable.toFixed(2)} still refundable on this order`
+        );
+    }
+
+    const { count } = await tx.refund.updateMany({
+        where: { id: refundId, status: "PENDING" },
+        data: { status: "PROCESSING" },
+    });
+
+    if (count !== 1) {
+        throw new ApiError(HTTP_CONFLICT, "Refund is already being processed");
+    }
 };
 
-const processBankRefund = async (userId, orderItem, bankDetails) => {
+/**
+ * Hand a claimed refund back for another attempt after its payout was refused
+ * @param {String} refundId - Refund ID
+ * @private
+ */
+const releaseRefundClaim = async (refundId) => {
+    await prisma.refund.updateMany({
+        where: { id: refundId, status: "PROCESSING" },
+        data: { status: "PENDING" },
+    });
+};
+
+/**
+ * Pay out a refund to the customer's UPI ID (RazorpayX)
+ * Queued payouts (e.g. on low balance) stay PROCESSING with the payout ID recorded.
+ * @param {String} refundId - Refund ID
+ * @param {Object} bankDetails - { upiId }
+ * @returns {Object} - Updated refund
+ */
+const processBankRefund = async (refundId, bankDetails) => {
     if (!bankDetails || !bankDetails.upiId) {
         throw new ApiError(
             HTTP_BAD_REQUEST,
@@ -103,10 +490,16 @@ const processBankRefund = async (userId, orderItem, bankDetails) => {
         );
     }
 
+    const refund = await getRefundForProcessing(refundId);
+    const { user } = refund.order;
+
+    await prisma.$transaction((tx) => claimRefund(refund.id, tx));
+
+    let payout;
     try {
-        const payout = await razorpayInstance.payouts.create({
+        payout = await razorpayInstance.payouts.create({
             account_number: process.env.RAZORPAY_ACCOUNT_NUMBER,
-            amount: orderItem.price * 100,
+            amount: toMinorUnits(refund.amount),
             currency: "INR",
             mode: "UPI",
             purpose: "refund",
@@ -116,53 +509,563 @@ const processBankRefund = async (userId, orderItem, bankDetails) => {
                     address: bankDetails.upiId,
                 },
                 contact: {
-                    name: orderItem.userName,
-                    contact: orderItem.userPhone,
-                    email: orderItem.userEmail,
+                    name: `${user.firstName} ${user.lastName}`,
+                    contact: user.phoneNumber,
+                    email: user.email,
                 },
             },
             queue_if_low_balance: true,
+            reference_id: refund.id,
         });
-        return payout;
     } catch (error) {
+        await releaseRefundClaim(refund.id);
+
         throw new ApiError(
             error?.statusCode || HTTP_INTERNAL_SERVER_ERROR,
-            `Bank transfer (UPI) failed: ${error.message}`
+            `Bank transfer (UPI) failed: ${gatewayErrorMessage(error)}`
         );
     }
+
+    if (payout.status !== "processed") {
+        return await prisma.refund.update({
+            where: { id: refund.id },
+            data: { transactionId: payout.id },
+        });
+    }
+
+    return await prisma.$transaction((tx) =>
+        markRefundCompleted(refund.id, payout.id, tx)
+    );
 };
 
-const processWalletRefund = async (userId, orderItem) => {
-    try {
-        const refund = await razorpayInstance.refunds.create({
-            payment_id: orderItem.paymentId,
-            amount: orderItem.price * 100,
-            speed: "normal",
+/**
+ * Refund a payment made with a wallet through its gateway
+ * Wallet payments are refunded to the source the same way as cards
+ * @param {String} refundId - Refund ID
+ * @returns {Object} - Updated refund
+ */
+const processWalletRefund = async (refundId) => {
+    return await processGatewayRefund(refundId);
+};
+
+/**
+ * Refund a captured Razorpay payment back to its source
+ * @param {String} refundId - Refund ID
+ * @returns {Object} - Updated refund
+ */
+const processRazorpayRefund = async (refundId) => {
+    return await processGatewayRefund(refundId, "razorpay");
+};
+
+/**
+ * Gateway refunds already sent against each payment of an order
+ * @param {Array} refunds - The order's refunds
+ * @returns {Map} - Payment ID -> amount refunded through the gateway
+ * @private
+ */
+const getGatewayRefundedByPayment = (refunds) => {
+    const refunded = new Map();
+
+    for (const refund of refunds) {
+        for (const part of refund.metadata?.gatewayRefunds || []) {
+            refunded.set(part.paymentId, (refunded.get(part.paymentId) || 0) + parseFloat(part.amount));
+        }
+    }
+
+    return refunded;
+};
+
+/**
+ * An order's captured gateway payments, oldest first, with what is still
+ * refundable on each
+ * @param {Object} order - Order with payments and refunds
+ * @param {String} refundId - Refund being paid out, left out of the refunded amounts
+ * @param {String} gatewayName - Restrict to payments taken by this gateway
+ * @returns {Array} - [{ payment, refundable }]
+ * @private
+ */
+const getRefundableGatewayPayments = (order, refundId, gatewayName) => {
+    const refunded = getGatewayRefundedByPayment(
+        order.refunds.filter((r) => r.id !== refundId)
+    );
+
+    return order.payments
+        .filter(
+            (p) =>
+                p.paymentGateway &&
+                (!gatewayName || p.paymentGateway === gatewayName) &&
+                p.status === "PAID" &&
+                p.transactionId
+        )
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((payment) => ({
+            payment,
+            refundable: roundAmount(
+                parseFloat(payment.amount) - (refunded.get(payment.id) || 0)
+            ),
+        }));
+};
+
+/**
+ * What can still be refunded through the gateway on an order
+ * @param {Object} order - Order with payments and refunds
+ * @param {String} refundId - Refund being paid out, left out of the refunded amounts
+ * @returns {Number} - Amount
+ */
+const getGatewayRefundableAmount = (order, refundId) =>
+    roundAmount(
+        getRefundableGatewayPayments(order, refundId).reduce(
+            (sum, { refundable }) => sum + Math.max(refundable, 0),
+            0
+        )
+    );
+
+/**
+ * Split an amount across an order's captured gateway payments, oldest first,
+ * never taking more from a payment than is still refundable on it
+ * @param {Object} refund - Refund with order payments and refunds
+ * @param {Number} total - Amount to send through the gateway
+ * @param {String} gatewayName - Restrict to payments taken by this gateway
+ * @returns {Array} - [{ payment, amount }]
+ * @private
+ */
+const allocateGatewayRefund = (refund, total, gatewayName) => {
+    const capturedPayments = getRefundableGatewayPayments(refund.order, refund.id, gatewayName);
+
+    if (capturedPayments.length === 0) {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            "No captured gateway payment found for this order"
+        );
+    }
+
+    const allocations = [];
+    let remaining = roundAmount(total);
+
+    for (const { payment, refundable } of capturedPayments) {
+        const amount = Math.min(refundable, remaining);
+
+        if (amount > 0) {
+            allocations.push({ payment, amount });
+            remaining = roundAmount(remaining - amount);
+        }
+
+        if (remaining <= 0) {
+            break;
+        }
+    }
+
+    if (remaining > 0) {
+        throw new ApiError(
+            HTTP_BAD_REQUEST,
+            `Only ₹${roundAmount(total - remaining).toFixed(2)} is still refundable on this order's gateway payments`
+        );
+    }
+
+    return allocations;
+};
+
+/**
+ * Refund captured gateway payments back to their source
+ * The refund is split across the order's captured payments and the planned
+ * gateway refunds are recorded on it when it is claimed. It is completed once
+ * every gateway refund is confirmed processed; until then it stays PROCESSING
+ * and the gateway's refund.processed webhooks settle it.
+ * On an order paid partly with store credit, storeCredit gives the part that
+ * goes back to the wallet instead; it is credited once any of the gateway
+ * part has been sent, so a refund handed back for another attempt hasn't
+ * credited anything.
+ * @param {String} refundId - Refund ID
+ * @param {String} gatewayName - Restrict to payments taken by this gateway
+ * @param {Object} storeCredit - { amount, credit(amount, tx) returning the ledger entry }
+ * @returns {Object} - Updated refund
+ */
+const processGatewayRefund = async (refundId, gatewayName, storeCredit = null) => {
+    const refund = await getRefundForProcessing(refundId);
+    const creditAmount = storeCredit ? roundAmount(storeCredit.amount) : 0;
+    const allocations = allocateGatewayRefund(
+        refund,
+        roundAmount(refund.amount - creditAmount),
+        gatewayName
+    );
+
+    await prisma.$transaction(async (tx) => {
+        await claimRefund(refund.id, tx);
+
+        await tx.refund.update({
+            where: { id: refund.id },
+            data: {
+                metadata: {
+                    ...(refund.metadata || {}),
+                    ...(creditAmount > 0 && {
+                        storeCredit: { amount: creditAmount, transactionId: null },
+                    }),
+                    gatewayRefunds: allocations.map(({ payment, amount }) => ({
+                        paymentId: payment.id,
+                        paymentTransactionId: payment.transactionId,
+                        gateway: payment.paymentGateway,
+                        transactionId: null,
+                        amount,
+                        status: "PENDING",
+                    })),
+                },
+            },
         });
-        return refund;
-    } catch (error) {
+    });
+
+    // Gateway refunds sent, by payment ID
+    const sent = new Map();
+    let failure = null;
+
+    for (const { payment, amount } of allocations) {
+        try {
+            sent.set(
+                payment.id,
+                await getGateway(payment.paymentGateway).refund(
+                    payment.transactionId,
+                    amount,
+                    { orderId: refund.orderId, refundId: refund.id }
+                )
+            );
+        } catch (error) {
+            failure = error;
+            break;
+        }
+    }
+
+    await prisma.$transaction(async (tx) => {
+        // A refund.processed webhook may be settling one of the parts right now
+        await tx.$queryRaw`SELECT id FROM \`Refund\` WHERE id = ${refund.id} FOR UPDATE`;
+
+        const current = await tx.refund.findUnique({ where: { id: refund.id } });
+        const gatewayRefunds = current.metadata.gatewayRefunds
+            .filter((part) => sent.has(part.paymentId))
+            .map((part) => {
+                const gatewayRefund = sent.get(part.paymentId);
+
+                return {
+                    ...part,
+                    transactionId: gatewayRefund.refundId,
+                    status:
+                        part.status === "PROCESSED" || gatewayRefund.status === "processed"
+                            ? "PROCESSED"
+                            : "PENDING",
+                };
+            });
+
+        const metadata = { ...current.metadata, gatewayRefunds };
+
+        // Nothing goes back to the wallet unless the gateway part went out
+        if (creditAmount > 0 && gatewayRefunds.length > 0) {
+            const creditEntry = await storeCredit.credit(creditAmount, tx);
+            metadata.storeCredit = { amount: creditAmount, transactionId: creditEntry.id };
+        } else {
+            delete metadata.storeCredit;
+        }
+
+        await tx.refund.update({
+            where: { id: refund.id },
+            data: {
+                // Nothing was sent, so the refund can be approved again
+                ...(gatewayRefunds.length === 0 && { status: "PENDING" }),
+                metadata,
+                transactionId: gatewayRefunds.map((part) => part.transactionId).join(",") || null,
+            },
+        });
+
+        // A partly sent refund stays PROCESSING for an admin to follow up
+        if (
+            !failure &&
+            gatewayRefunds.every((part) => part.status === "PROCESSED")
+        ) {
+            await markRefundCompleted(refund.id, null, tx);
+        }
+    });
+
+    if (failure) {
         throw new ApiError(
-            error?.statusCode || HTTP_INTERNAL_SERVER_ERROR,
-            `Wallet refund failed: ${error.message}`
+            failure?.statusCode || HTTP_INTERNAL_SERVER_ERROR,
+            sent.size === 0
+                ? `Gateway refund failed: ${gatewayErrorMessage(failure)}`
+                : `Gateway refund partly sent; the rest failed: ${gatewayErrorMessage(failure)}`
         );
     }
+
+    return await prisma.refund.findUnique({ where: { id: refund.id } });
+};
+
+/**
+ * Find the Payment row a normalized webhook payment belongs to
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} eventPayment - { transactionId, intentId }
+ * @param {Object} tx - Prisma client or transaction client
+ * @returns {Object|null} - Payment
+ */
+const findGatewayPayment = async (gatewayName, eventPayment, tx = prisma) => {
+    const byTransaction = await tx.payment.findFirst({
+        where: {
+            paymentGateway: gatewayName,
+            transactionId: eventPayment.transactionId,
+        },
+    });
+
+    if (byTransaction || !eventPayment.intentId) {
+        return byTransaction;
+    }
+
+    return await tx.payment.findFirst({
+        where: {
+            paymentGateway: gatewayName,
+            metadata: { path: "$.intentId", equals: eventPayment.intentId },
+        },
+    });
+};
+
+/**
+ * Apply a payment.captured event
+ * A capture for a different amount than the payment was raised for is not
+ * accepted as payment; the mismatch is recorded on the payment for review.
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} eventPayment - Normalized event payment
+ * @param {Object} tx - Prisma transaction client
+ * @returns {String} - 'processed', 'mismatch' or 'ignored' if no payment matched
+ */
+const applyPaymentCaptured = async (gatewayName, eventPayment, tx) => {
+    const payment = await findGatewayPayment(gatewayName, eventPayment, tx);
+
+    if (!payment) {
+        return "ignored";
+    }
+
+    if (
+        eventPayment.amount === undefined ||
+        toMinorUnits(eventPayment.amount) !== toMinorUnits(payment.amount)
+    ) {
+        if (payment.status !== "PAID") {
+            await tx.payment.update({
+                where: { id: payment.id },
+                data: {
+                    transactionId: eventPayment.transactionId,
+                    errorMessage: `Captured amount ${eventPayment.amount} does not match payment amount ${payment.amount}`,
+                },
+            });
+        }
+
+        return "mismatch";
+    }
+
+    if (payment.status !== "PAID") {
+        await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+                status: "PAID",
+                transactionId: eventPayment.transactionId,
+                paymentMethod: eventPayment.method || payment.paymentMethod,
+                errorMessage: null,
+            },
+        });
+    }
+
+    await syncOrderPaymentStatus(payment.orderId, tx);
+    return "processed";
+};
+
+/**
+ * Apply a payment.failed event
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} eventPayment - Normalized event payment
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Boolean} - Whether a matching payment was found
+ */
+const applyPaymentFailed = async (gatewayName, eventPayment, tx) => {
+    const payment = await findGatewayPayment(gatewayName, eventPayment, tx);
+
+    if (!payment) {
+        return false;
+    }
+
+    // A later successful attempt on the same intent wins
+    if (payment.status !== "PAID") {
+        await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+                status: "FAILED",
+                transactionId: eventPayment.transactionId,
+                errorMessage: eventPayment.errorMessage || "Payment failed",
+            },
+        });
+    }
+
+    await syncOrderPaymentStatus(payment.orderId, tx);
+    return true;
+};
+
+/**
+ * Record one gateway refund of a refund as processed, completing the refund
+ * once all of its gateway refunds are
+ * @param {String} refundId - Refund ID
+ * @param {Object} eventRefund - Normalized event refund
+ * @param {Object} tx - Prisma transaction client
+ * @private
+ */
+const settleGatewayRefund = async (refundId, eventRefund, tx) => {
+    await tx.$queryRaw`SELECT id FROM \`Refund\` WHERE id = ${refundId} FOR UPDATE`;
+
+    const refund = await tx.refund.findUnique({ where: { id: refundId } });
+    const gatewayRefunds = refund.metadata?.gatewayRefunds;
+
+    // Refunds paid out in one piece before gateway refunds were recorded
+    if (!gatewayRefunds) {
+        await markRefundCompleted(refund.id, eventRefund.transactionId, tx);
+        return;
+    }
+
+    // The event can arrive before the gateway's response to the refund call
+    const settled = gatewayRefunds.map((part) =>
+        part.transactionId === eventRefund.transactionId ||
+        (!part.transactionId && part.paymentTransactionId === eventRefund.paymentTransactionId)
+            ? { ...part, transactionId: eventRefund.transactionId, status: "PROCESSED" }
+            : part
+    );
+
+    await tx.refund.update({
+        where: { id: refund.id },
+        data: { metadata: { ...refund.metadata, gatewayRefunds: settled } },
+    });
+
+    if (
+        refund.status === "PROCESSING" &&
+        settled.every((part) => part.transactionId && part.status === "PROCESSED")
+    ) {
+        await markRefundCompleted(refund.id, null, tx);
+    }
 };
 
-const processRazorpayRefund = async (paymentId, amount) => {
+/**
+ * Apply a refund.processed event
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} eventRefund - Normalized event refund
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Boolean} - Whether a matching refund or payment was found
+ */
+const applyRefundProcessed = async (gatewayName, eventRefund, tx) => {
+    let refund = await tx.refund.findFirst({
+        where: { transactionId: eventRefund.transactionId },
+    });
+
+    if (!refund && eventRefund.refundId) {
+        refund = await tx.refund.findUnique({
+            where: { id: eventRefund.refundId },
+        });
+    }
+
+    if (refund) {
+        await settleGatewayRefund(refund.id, eventRefund, tx);
+        return true;
+    }
+
+    // Refund issued outside the app (e.g., from the gateway dashboard)
+    const payment = await tx.payment.findFirst({
+        where: {
+            paymentGateway: gatewayName,
+            transactionId: eventRefund.paymentTransactionId,
+        },
+    });
+
+    if (!payment) {
+        return false;
+    }
+
+    const dashboardRefund = await tx.refund.create({
+        data: {
+            orderId: payment.orderId,
+            amount: eventRefund.amount,
+            reason: `Refunded via ${gatewayName}`,
+            status: "PENDING",
+            metadata: {
+                gatewayRefunds: [{
+                    paymentId: payment.id,
+                    gateway: gatewayName,
+                    transactionId: eventRefund.transactionId,
+                    amount: eventRefund.amount,
+                    status: "PROCESSED",
+                }],
+            },
+        },
+    });
+
+    await markRefundCompleted(dashboardRefund.id, eventRefund.transactionId, tx);
+    return true;
+};
+
+/**
+ * Verify and apply a payment gateway webhook delivery
+ * Each event ID is recorded in the same transaction as its updates, so a
+ * retried delivery of an already-applied event is a no-op.
+ * @param {String} gatewayName - Gateway the webhook is addressed to
+ * @param {Buffer} rawBody - Raw request body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Object} - { status: 'processed' | 'mismatch' | 'duplicate' | 'ignored', event }
+ */
+const handleGatewayWebhook = async (gatewayName, rawBody, headers) => {
+    const gateway = getGateway(gatewayName);
+    const event = gateway.parseWebhook(rawBody, headers);
+
     try {
-        const refund = await razorpayInstance.payments.refund(paymentId, {
-            amount: amount * 100,
+        return await prisma.$transaction(async (tx) => {
+            await tx.webhookEvent.create({
+                data: {
+                    provider: gateway.name,
+                    eventId: event.eventId,
+                    eventType: event.type,
+                    payload: event.payload,
+                },
+            });
+
+            let status;
+            switch (event.type) {
+                case "payment.captured":
+                    status = await applyPaymentCaptured(gateway.name, event.payment, tx);
+                    break;
+                case "payment.failed":
+                    status = (await applyPaymentFailed(gateway.name, event.payment, tx))
+                        ? "processed"
+                        : "ignored";
+                    break;
+                case "refund.processed":
+                    status = (await applyRefundProcessed(gateway.name, event.refund, tx))
+                        ? "processed"
+                        : "ignored";
+                    break;
+                default:
+                    status = "ignored";
+            }
+
+            return { status, event: event.type };
         });
-        return refund;
     } catch (error) {
-        throw new ApiError(500, `Razorpay refund failed: ${error.message}`);
+        // Unique (provider, eventId) violation - this delivery was already applied
+        if (error.code === "P2002") {
+            return { status: "duplicate", event: event.type };
+        }
+
+        throw error;
     }
 };
 
 export {
     createPaymentOrder,
+    verifyPayment,
     capturePayment,
+    voidPayment,
     processBankRefund,
     processWalletRefund,
     processRazorpayRefund,
+    processGatewayRefund,
+    syncOrderPaymentStatus,
+    getRefundableAmount,
+    getGatewayRefundableAmount,
+    claimRefund,
+    markRefundCompleted,
+    handleGatewayWebhook,
 };
@@ -1,12 +1,19 @@
 import { prisma } from '../database/connect.js';
 import slugify from 'slugify';
+import fs from 'fs';
 import cloudinaryService from './cloudinary.service.js';
+import { JobQueueService, JOB_TYPES } from './jobQueue.service.js';
 import ApiError from '../utils/apiError.js';
 import { HTTP_BAD_REQUEST, HTTP_INTERNAL_SERVER_ERROR } from '../httpStatusCode.js';
 /**
  * Service for product management
  */
 export class ProductService {
+  constructor() {
+    this.jobQueue = new JobQueueService();
+    this.PENDING_UPLOAD_GRACE_MS = 5 * 60 * 1000; // 5 minutes
+  }
+
   /**
    * Create a new product
    * @param {Object} productData - Product data
@@ -63,7 +70,11 @@ export class ProductService {
     console.log("Creating product with data:", JSON.stringify(productCreateData, null, 2));
 
     try {
-        // Create product with images in a transaction
+        const imageFiles = await this.readImageFiles(images || []);
+        let uploadIds = [];
+
+        // Create the product with its image files; the files are sent to
+        // Cloudinary in the background
         const product = await prisma.$transaction(async (tx) => {
             // Create the product first
             const newProduct = await tx.product.create({
@@ -71,39 +82,7 @@ export class ProductService {
             });
             console.log("Product created with ID:", newProduct.id);
 
-            // Upload images to Cloudinary and create ProductImage records
-            if (images && images.length > 0) {
-                // Extract file paths from the image objects
-                const imagePaths = images.map(img => img.path);
-                console.log("Image paths to upload:", imagePaths);
-
-                const uploadedImages = await cloudinaryService.uploadMultipleImages(imagePaths);
-                console.log("Images uploaded to Cloudinary:", uploadedImages);
-
-                // Create ProductImage records for each uploaded image
-                const productImages = await Promise.all(
-                    uploadedImages.map(async (image, index) => {
-                        return tx.productImage.create({
-                            data: {
-                                productId: newProduct.id,
-                                url: image.url,
-                                altText: productData.name,
-                                position: index,
-                                publicId: image.public_id
-                            }
-                        });
-                    })
-                );
-                console.log("ProductImage records created:", productImages);
-
-                // Set the first image as featured
-                if (productImages.length > 0) {
-                    await tx.product.update({
-                        where: { id: newProduct.id },
-                        data: { featuredImageUrl: productImages[0].url }
-                    });
-                }
-            }
+            uploadIds = await this.saveImageUploads(tx, newProduct.id, imageFiles, productData.name);
 
             // Return the complete product with images
             return tx.product.findUnique({
@@ -115,6 +94,10 @@ export class ProductService {
             });
         });
 
+        if (uploadIds.length > 0) {
+            await this.queueProductImages(product.id, uploadIds);
+        }
+
         return product;
     } catch (error) {
         console.error("Error in createProduct:", error);
@@ -477,7 +460,10 @@ export class ProductService {
       slugUpdate = { slug: newSlug };
     }
 
-    return await prisma.$transaction(async (prisma) => {
+    const imageFiles = await this.readImageFiles(newImages);
+    let uploadIds = [];
+
+    const result = await prisma.$transaction(async (prisma) => {
       // Update product
       const updatedProduct = await prisma.product.update({
         where: { id: productId },
@@ -621,42 +607,14 @@ export class ProductService {
         }
       }
 
-      // Handle new images
-      if (newImages.length > 0) {
-        let updatedFeaturedImage = false;
-        const currentPosition = product.images.length - deleteImageIds.length;
-
-        for (let i = 0; i < newImages.length; i++) {
-          try {
-            const result = await cloudinaryService.uploadImage(newImages[i].path);
-
-            if (result && result.secure_url) {
-              const imageData = {
-                productId,
-                url: result.secure_url,
-                altText: newImages[i].originalname || updatedProduct.name,
-                position: currentPosition + i
-              };
-
-              await prisma.productImage.create({
-                data: imageData
-              });
-
-              // Update featured image if needed
-              if (!updatedProduct.featuredImageUrl && !updatedFeaturedImage) {
-                await prisma.product.update({
-                  where: { id: productId },
-                  data: { featuredImageUrl: result.secure_url }
-                });
-                updatedFeaturedImage = true;
-              }
-            }
-          } catch (error) {
-            console.error(`Error uploading image ${i}:`, error);
-            // Continue with other images
-          }
-        }
-      }
+      // New image files are sent to Cloudinary in the background
+      uploadIds = await this.saveImageUploads(
+        prisma,
+        productId,
+        imageFiles,
+        null,
+        product.images.length - deleteImageIds.length
+      );
 
       // Return the updated product with all relationships
       return await prisma.product.findUnique({
@@ -674,6 +632,221 @@ export class ProductService {
         }
       });
     });
+
+    if (uploadIds.length > 0) {
+      await this.queueProductImages(productId, uploadIds);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read multer's temporary image files into memory and remove them
+   * @param {Array} files - Multer files (path, originalname, mimetype)
+   * @returns {Array} - [{ fileName, mimeType, data }]
+   * @private
+   */
+  async readImageFiles(files) {
+    const imageFiles = [];
+
+    try {
+      for (const file of files) {
+        imageFiles.push({
+          fileName: file.originalname,
+          mimeType: file.mimetype,
+          data: await fs.promises.readFile(file.path)
+        });
+      }
+    } finally {
+      for (const file of files) {
+        await fs.promises.rm(file.path, { force: true });
+      }
+    }
+
+    return imageFiles;
+  }
+
+  /**
+   * Store image files for a product until a job sends them to Cloudinary
+   * The files are kept in the database rather than on this server's disk so
+   * any worker can process them.
+   * @param {Object} tx - Transaction client
+   * @param {String} productId - Product ID
+   * @param {Array} imageFiles - Files from readImageFiles
+   * @param {String} altText - Alt text for every image; each file's name when omitted
+   * @param {Number} startPosition - Position of the first new image
+   * @returns {Array} - Upload IDs
+   * @private
+   */
+  async saveImageUploads(tx, productId, imageFiles, altText, startPosition = 0) {
+    const uploadIds = [];
+
+    for (const [index, file] of imageFiles.entries()) {
+      const upload = await tx.productImageUpload.create({
+        data: {
+          productId,
+          fileName: file.fileName,
+          mimeType: file.mimeType,
+          data: file.data,
+          altText: altText || file.fileName,
+          position: startPosition + index
+        },
+        select: { id: true }
+      });
+
+      uploadIds.push(upload.id);
+    }
+
+    return uploadIds;
+  }
+
+  /**
+   * Queue a job to send a product's stored image uploads to Cloudinary
+   * The product is already saved, so a failure to queue is logged rather than
+   * thrown; queuePendingProductImages queues the uploads later.
+   * @param {String} productId - Product ID
+   * @param {Array} uploadIds - ProductImageUpload IDs
+   * @returns {Object|null} - Queued job, or null when it couldn't be queued
+   */
+  async queueProductImages(productId, uploadIds) {
+    try {
+      const job = await this.jobQueue.enqueue(JOB_TYPES.PROCESS_PRODUCT_IMAGES, {
+        productId,
+        uploadIds
+      });
+
+      await prisma.productImageUpload.updateMany({
+        where: { id: { in: uploadIds } },
+        data: { queuedAt: new Date() }
+      });
+
+      return job;
+    } catch (error) {
+      console.error(`❌ Failed to queue images of product ${productId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Queue the image uploads whose job couldn't be queued when they were saved
+   * Uploads younger than PENDING_UPLOAD_GRACE_MS are left to the request that
+   * saved them.
+   * @returns {Object} - { queued } uploads
+   */
+  async queuePendingProductImages() {
+    const pending = await prisma.productImageUpload.findMany({
+      where: {
+        productImageId: null,
+        queuedAt: null,
+        createdAt: { lt: new Date(Date.now() - this.PENDING_UPLOAD_GRACE_MS) }
+      },
+      select: { id: true, productId: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const uploadIdsByProduct = new Map();
+
+    for (const { id, productId } of pending) {
+      uploadIdsByProduct.set(productId, [...(uploadIdsByProduct.get(productId) || []), id]);
+    }
+
+    let queued = 0;
+
+    for (const [productId, uploadIds] of uploadIdsByProduct) {
+      if (await this.queueProductImages(productId, uploadIds)) {
+        queued += uploadIds.length;
+      }
+    }
+
+    return { queued };
+  }
+
+  /**
+   * Send stored image uploads to Cloudinary and create their ProductImage records
+   * An upload already turned into an image (by an earlier attempt, or a job
+   * queued twice) is skipped, so retries only upload what's left.
+   * @param {Object} payload - { productId, uploadIds }
+   * @returns {Object} - { uploaded }
+   */
+  async processProductImages({ productId, uploadIds }) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, featuredImageUrl: true }
+    });
+
+    if (!product) {
+      // The product, and its uploads with it, were deleted before the job ran
+      return { uploaded: 0 };
+    }
+
+    let featuredImageUrl = product.featuredImageUrl;
+    let uploaded = 0;
+
+    for (const uploadId of uploadIds) {
+      const upload = await prisma.productImageUpload.findUnique({
+        where: { id: uploadId }
+      });
+
+      if (!upload) {
+        throw new Error(`Image upload ${uploadId} not found`);
+      }
+
+      if (upload.productImageId) {
+        continue;
+      }
+
+      const result = await cloudinaryService.uploadImageData(upload.data, upload.mimeType);
+
+      const productImage = await prisma.$transaction(async (tx) => {
+        // Another run of the same upload may have finished in the meantime
+        await tx.$queryRaw`SELECT id FROM \`ProductImageUpload\` WHERE id = ${uploadId} FOR UPDATE`;
+
+        const current = await tx.productImageUpload.findUnique({
+          where: { id: uploadId },
+          select: { productImageId: true }
+        });
+
+        if (current.productImageId) {
+          return null;
+        }
+
+        const image = await tx.productImage.create({
+          data: {
+            productId,
+            url: result.url,
+            altText: upload.altText,
+            position: upload.position,
+            publicId: result.public_id
+          }
+        });
+
+        // The file isn't needed once it is on Cloudinary
+        await tx.productImageUpload.update({
+          where: { id: uploadId },
+          data: { productImageId: image.id, data: null, uploadedAt: new Date() }
+        });
+
+        return image;
+      });
+
+      if (!productImage) {
+        await cloudinaryService.deleteImage(result.public_id);
+        continue;
+      }
+
+      // The first image becomes the featured one
+      if (!featuredImageUrl) {
+        await prisma.product.update({
+          where: { id: productId },
+          data: { featuredImageUrl: productImage.url }
+        });
+        featuredImageUrl = productImage.url;
+      }
+
+      uploaded += 1;
+    }
+
+    return { uploaded };
   }
 
   /**
@@ -856,10 +1029,11 @@ export class ProductService {
   /**
    * Update product status based on inventory
    * @param {String} productId - Product ID
+   * @param {Object} tx - Prisma client or transaction client (optional)
    * @private
    */
-  async updateProductStatusBasedOnInventory(productId) {
-    const product = await prisma.product.findUnique({
+  async updateProductStatusBasedOnInventory(productId, tx = prisma) {
+    const product = await tx.product.findUnique({
       where: { id: productId },
       include: {
         variants: true
@@ -880,12 +1054,12 @@ export class ProductService {
 
     // Update status if needed
     if (allOutOfStock && product.status !== 'OUT_OF_STOCK') {
-      await prisma.product.update({
+      await tx.product.update({
         where: { id: productId },
         data: { status: 'OUT_OF_STOCK' }
       });
     } else if (!allOutOfStock && product.status === 'OUT_OF_STOCK') {
-      await prisma.product.update({
+      await tx.product.update({
         where: { id: productId },
         data: { status: 'ACTIVE' }
       });
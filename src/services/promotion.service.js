@@ -0,0 +1,481 @@
+import { prisma } from '../database/connect.js';
+import ApiError from '../utils/apiError.js';
+import { HTTP_BAD_REQUEST } from '../httpStatusCode.js';
+import { roundAmount, allocate } from '../utils/money.js';
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isPercent = (value) => value > 0 && value <= 100;
+
+// What to load with a coupon to know which cart lines it covers
+export const COUPON_SCOPE_INCLUDE = {
+  products: { select: { productId: true } },
+  categories: { select: { categoryId: true } }
+};
+
+// What to load with a cart item's product for the same
+export const PRODUCT_SCOPE_INCLUDE = {
+  categories: {
+    select: { category: { select: { id: true, path: true } } }
+  }
+};
+
+// Every unit on the lines with what is left of its price, cheapest last
+const expandUnits = (lines) => lines
+  .flatMap((line, index) => Array.from({ length: line.quantity }, () => ({
+    index,
+    productId: line.productId,
+    price: line.amount / line.quantity
+  })))
+  .sort((a, b) => b.price - a.price);
+
+// Per-line totals of a percentage off some of the units
+const discountUnits = (lines, units, percent) => {
+  const amounts = lines.map(() => 0);
+
+  for (const unit of units) {
+    amounts[unit.index] += unit.price * percent / 100;
+  }
+
+  return amounts.map((amount, index) => Math.min(roundAmount(amount), lines[index].amount));
+};
+
+// How each coupon type validates its settings and discounts cart lines
+const promotionTypes = new Map();
+
+/**
+ * Register how a coupon type discounts a cart
+ * calculate gets the coupon and the cart lines ({ productId, variantId,
+ * quantity, amount }, amount being what earlier coupons left of the line)
+ * and returns the discount on each line, or null when the cart doesn't
+ * qualify. validate throws when a coupon's value or rules don't make sense.
+ * @param {String} type - CouponType
+ * @param {Object} definition - { validate(coupon), calculate(coupon, lines), freeShipping }
+ */
+export const registerPromotionType = (type, definition) => {
+  promotionTypes.set(type, definition);
+};
+
+const getPromotionType = (type) => {
+  const definition = promotionTypes.get(type);
+
+  if (!definition) {
+    throw new Error(`Unknown coupon type: ${type}`);
+  }
+
+  return definition;
+};
+
+/**
+ * Promotion Service
+ * Works out cart discounts from the coupons entered on a cart and the
+ * promotions applied automatically. Coupons are tried highest priority
+ * first, each on what earlier ones left of every line, so stacked
+ * discounts never take a line below zero. A coupon that isn't stackable
+ * applies only when nothing else has, and nothing is applied after it.
+ */
+export class PromotionService {
+  /**
+   * Check a coupon's value and rules for its type
+   * @param {Object} coupon - { type, value, rules }
+   * @throws {ApiError} - 400 when they don't fit the type
+   */
+  validatePromotion(coupon) {
+    try {
+      getPromotionType(coupon.type).validate({
+        ...coupon,
+        value: parseFloat(coupon.value),
+        rules: coupon.rules || {}
+      });
+    } catch (error) {
+      throw new ApiError(HTTP_BAD_REQUEST, error.message);
+    }
+  }
+
+  /**
+   * Automatic promotions running now that the customer can still use
+   * @param {String} userId - User ID (null for guests)
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Array} - Coupons
+   */
+  async getAutomaticPromotions(userId, tx = prisma) {
+    const now = new Date();
+
+    const promotions = await tx.coupon.findMany({
+      where: {
+        isAutomaticallyApplied: true,
+        status: 'ACTIVE',
+        deletedAt: null,
+        startDate: { lte: now },
+        OR: [{ endDate: null }, { endDate: { gte: now } }]
+      },
+      include: COUPON_SCOPE_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const limited = promotions.filter(coupon => coupon.isOneTimeUse || coupon.customerUsageLimit);
+
+    if (!userId || limited.length === 0) {
+      return promotions;
+    }
+
+    // Leave out promotions the customer has used up
+    const usage = await tx.orderCoupon.groupBy({
+      by: ['couponId'],
+      where: {
+        couponId: { in: limited.map(coupon => coupon.id) },
+        releasedAt: null,
+        order: { userId }
+      },
+      _count: { _all: true }
+    });
+
+    return promotions.filter(coupon => {
+      const used = usage.find(row => row.couponId === coupon.id)?._count._all || 0;
+
+      return !(coupon.isOneTimeUse && used > 0) &&
+        !(coupon.customerUsageLimit && used >= coupon.customerUsageLimit);
+    });
+  }
+
+  /**
+   * Why a coupon can't be used right now
+   * @param {Object} coupon - Coupon
+   * @returns {String|null} - Reason, or null when it can be used
+   */
+  getUnavailableReason(coupon) {
+    const now = new Date();
+
+    if (coupon.deletedAt || coupon.status !== 'ACTIVE') {
+      return 'Coupon is not active';
+    }
+
+    if (coupon.startDate > now) {
+      return 'Coupon is not yet active';
+    }
+
+    if (coupon.endDate && coupon.endDate < now) {
+      return 'Coupon has expired';
+    }
+
+    if (coupon.maxUsageCount !== null && coupon.maxUsageCount !== undefined &&
+        coupon.usageCount >= coupon.maxUsageCount) {
+      return 'Coupon has reached its usage limit';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a coupon issued to one customer is being used by someone else
+   * @param {Object} coupon - Coupon
+   * @param {String|null} userId - Customer using it; null for guests
+   * @returns {Boolean}
+   */
+  isIssuedToAnother(coupon, userId) {
+    return Boolean(coupon.userId) && coupon.userId !== userId;
+  }
+
+  /**
+   * Whether a cart line is within a coupon's applicability scope
+   * A category covers its subcategories at any depth.
+   * @param {Object} coupon - Coupon with products and categories (COUPON_SCOPE_INCLUDE)
+   * @param {Object} line - { productId, categories: [{ id, path }] }
+   * @returns {Boolean}
+   */
+  isEligible(coupon, line) {
+    switch (coupon.applicabilityScope || 'ALL_PRODUCTS') {
+      case 'ALL_PRODUCTS':
+        return true;
+      case 'SPECIFIC_PRODUCTS':
+        return (coupon.products || []).some(product => product.productId === line.productId);
+      case 'SPECIFIC_CATEGORIES':
+        return (coupon.categories || []).some(({ categoryId }) =>
+          line.categories.some(category =>
+            category.id === categoryId || category.path.includes(`/${categoryId}/`)));
+      // There are no collections to match against yet
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Work out the discounts of a set of coupons on cart items
+   * Each coupon only discounts the lines within its applicability scope.
+   * Coupons are tried by priority; among equal priorities the one worth more
+   * on its own goes first, so a non-stackable coupon only shuts out the
+   * others when it gives more than they would.
+   * @param {Array} items - Cart items [{ id, productId, variantId, quantity, totalPrice }],
+   *                        with product categories (PRODUCT_SCOPE_INCLUDE) for category scopes
+   * @param {Array} coupons - Coupons to try, with COUPON_SCOPE_INCLUDE; on equal
+   *                          priority and value, earlier ones go first
+   * @returns {Object} - { lines: [{ itemId, discount, discounts }], applied: [{ coupon,
+   *                     discountAmount }], skipped: [{ coupon, reason }], discountTotal, freeShipping }
+   */
+  evaluate(items, coupons) {
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0));
+    const lines = items.map(item => ({
+      itemId: item.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      categories: (item.product?.categories || []).map(({ category }) => category),
+      amount: roundAmount(item.totalPrice),
+      discounts: []
+    }));
+
+    const worth = (coupon) => coupons.length > 1 ? this.evaluate(items, [coupon]).discountTotal : 0;
+
+    const ordered = coupons
+      .map((coupon, index) => ({ coupon, index, worth: worth(coupon) }))
+      .sort((a, b) => (b.coupon.priority - a.coupon.priority) || (b.worth - a.worth) || (a.index - b.index))
+      .map(({ coupon }) => coupon);
+
+    const applied = [];
+    const skipped = [];
+    let exclusive = null;
+
+    for (const coupon of ordered) {
+      const reason = this.getSkipReason(coupon, { subtotal, applied, exclusive });
+
+      if (reason) {
+        skipped.push({ coupon, reason });
+        continue;
+      }
+
+      const eligible = lines.filter(line => this.isEligible(coupon, line));
+
+      if (eligible.length === 0) {
+        skipped.push({ coupon, reason: 'None of the items in the cart are eligible' });
+        continue;
+      }
+
+      const definition = getPromotionType(coupon.type);
+      const eligibleAmounts = definition.calculate({
+        ...coupon,
+        value: parseFloat(coupon.value),
+        rules: coupon.rules || {}
+      }, eligible);
+
+      const discountAmount = eligibleAmounts
+        ? roundAmount(eligibleAmounts.reduce((sum, amount) => sum + amount, 0))
+        : 0;
+
+      if (!eligibleAmounts || (discountAmount <= 0 && !definition.freeShipping)) {
+        skipped.push({ coupon, reason: 'The items in the cart don\'t qualify' });
+        continue;
+      }
+
+      let amounts = lines.map(line => {
+        const index = eligible.indexOf(line);
+        return index === -1 ? 0 : eligibleAmounts[index];
+      });
+
+      // The cap is shared across lines like the discount itself
+      if (coupon.maximumDiscountAmount && discountAmount > parseFloat(coupon.maximumDiscountAmount)) {
+        amounts = allocate(parseFloat(coupon.maximumDiscountAmount), amounts);
+      }
+
+      amounts.forEach((amount, index) => {
+        if (amount > 0) {
+          lines[index].amount = roundAmount(lines[index].amount - amount);
+          lines[index].discounts.push({ couponId: coupon.id, code: coupon.code, amount });
+        }
+      });
+
+      applied.push({
+        coupon,
+        discountAmount: roundAmount(amounts.reduce((sum, amount) => sum + amount, 0))
+      });
+
+      if (!coupon.isStackable) {
+        exclusive = coupon;
+      }
+    }
+
+    const result = lines.map(line => ({
+      itemId: line.itemId,
+      discount: roundAmount(line.discounts.reduce((sum, discount) => sum + discount.amount, 0)),
+      discounts: line.discounts
+    }));
+
+    return {
+      lines: result,
+      applied,
+      skipped,
+      discountTotal: roundAmount(result.reduce((sum, line) => sum + line.discount, 0)),
+      freeShipping: applied.some(({ coupon }) => getPromotionType(coupon.type).freeShipping)
+    };
+  }
+
+  /**
+   * Why a coupon is passed over before its discount is worked out
+   * @private
+   */
+  getSkipReason(coupon, { subtotal, applied, exclusive }) {
+    const unavailable = this.getUnavailableReason(coupon);
+
+    if (unavailable) {
+      return unavailable;
+    }
+
+    if (exclusive) {
+      return `Can't be combined with ${exclusive.code}`;
+    }
+
+    if (!coupon.isStackable && applied.length > 0) {
+      return `Can't be combined with ${applied.map(({ coupon: other }) => other.code).join(', ')}`;
+    }
+
+    if (coupon.minimumOrderAmount && parseFloat(coupon.minimumOrderAmount) > subtotal) {
+      return `Requires a minimum order of ${coupon.minimumOrderAmount}`;
+    }
+
+    return null;
+  }
+}
+
+registerPromotionType('PERCENTAGE', {
+  validate: ({ value }) => {
+    if (!isPercent(value)) {
+      throw new Error('Percentage coupons need a value between 0 and 100');
+    }
+  },
+  calculate: ({ value }, lines) => lines.map(line => roundAmount(line.amount * value / 100))
+});
+
+registerPromotionType('FIXED_AMOUNT', {
+  validate: ({ value }) => {
+    if (!(value > 0)) {
+      throw new Error('Fixed amount coupons need a value above 0');
+    }
+  },
+  calculate: ({ value }, lines) => allocate(value, lines.map(line => line.amount))
+});
+
+// Waives the shipping charge; nothing comes off the lines
+registerPromotionType('FREE_SHIPPING', {
+  freeShipping: true,
+  validate: () => {},
+  calculate: (coupon, lines) => lines.map(() => 0)
+});
+
+// For every buyQuantity + getQuantity units, the cheapest getQuantity are value% off
+registerPromotionType('BUY_X_GET_Y', {
+  validate: ({ value, rules }) => {
+    if (!isPositiveInteger(rules.buyQuantity) || !isPositiveInteger(rules.getQuantity)) {
+      throw new Error('Buy X get Y promotions need whole-number rules.buyQuantity and rules.getQuantity');
+    }
+
+    if (!isPercent(value)) {
+      throw new Error('Buy X get Y promotions need a value between 0 and 100 (100 makes the Y items free)');
+    }
+  },
+  calculate: ({ value, rules }, lines) => {
+    const units = expandUnits(lines);
+    const groups = Math.floor(units.length / (rules.buyQuantity + rules.getQuantity));
+
+    if (groups === 0) {
+      return null;
+    }
+
+    return discountUnits(lines, units.slice(units.length - groups * rules.getQuantity), value);
+  }
+});
+
+// Once the cart has minQuantity units, the cheapest one is value% off
+registerPromotionType('CHEAPEST_FREE', {
+  validate: ({ value, rules }) => {
+    if (rules.minQuantity !== undefined && !(isPositiveInteger(rules.minQuantity) && rules.minQuantity >= 2)) {
+      throw new Error('rules.minQuantity must be a whole number of at least 2');
+    }
+
+    if (!isPercent(value)) {
+      throw new Error('Cheapest item promotions need a value between 0 and 100 (100 makes it free)');
+    }
+  },
+  calculate: ({ value, rules }, lines) => {
+    const units = expandUnits(lines);
+
+    if (units.length < (rules.minQuantity || 2)) {
+      return null;
+    }
+
+    return discountUnits(lines, units.slice(-1), value);
+  }
+});
+
+// The highest tier the cart reaches gives a percentage or an amount off
+registerPromotionType('TIERED_SPEND', {
+  validate: ({ rules }) => {
+    const valid = Array.isArray(rules.tiers) && rules.tiers.length > 0 && rules.tiers.every(tier =>
+      tier.minAmount >= 0 &&
+      (tier.percent === undefined) !== (tier.amount === undefined) &&
+      (tier.percent === undefined ? tier.amount > 0 : isPercent(tier.percent)));
+
+    if (!valid) {
+      throw new Error('Tiered promotions need rules.tiers: [{ minAmount, percent }] or [{ minAmount, amount }]');
+    }
+  },
+  calculate: ({ rules }, lines) => {
+    const spend = lines.reduce((sum, line) => sum + line.amount, 0);
+    const tier = [...rules.tiers]
+      .sort((a, b) => b.minAmount - a.minAmount)
+      .find(candidate => spend >= candidate.minAmount);
+
+    if (!tier) {
+      return null;
+    }
+
+    return tier.percent !== undefined
+      ? lines.map(line => roundAmount(line.amount * tier.percent / 100))
+      : allocate(tier.amount, lines.map(line => line.amount));
+  }
+});
+
+// Every complete set of the listed products costs value instead of its regular price
+registerPromotionType('BUNDLE_PRICE', {
+  validate: ({ value, rules }) => {
+    const valid = Array.isArray(rules.items) && rules.items.length > 0 && rules.items.every(item =>
+      item.productId && (item.quantity === undefined || isPositiveInteger(item.quantity)));
+
+    if (!valid) {
+      throw new Error('Bundle promotions need rules.items: [{ productId, quantity }]');
+    }
+
+    if (!(value >= 0)) {
+      throw new Error('Bundle promotions need the bundle price as their value');
+    }
+  },
+  calculate: ({ value, rules }, lines) => {
+    const units = expandUnits(lines);
+    const unitsByProduct = rules.items.map(item => ({
+      quantity: item.quantity || 1,
+      // The cheapest units make up the bundles
+      units: units.filter(unit => unit.productId === item.productId).reverse()
+    }));
+
+    const sets = Math.min(...unitsByProduct.map(item => Math.floor(item.units.length / item.quantity)));
+
+    if (sets === 0) {
+      return null;
+    }
+
+    const amounts = lines.map(() => 0);
+
+    for (let set = 0; set < sets; set++) {
+      const setUnits = unitsByProduct.flatMap(item =>
+        item.units.slice(set * item.quantity, (set + 1) * item.quantity));
+      const shares = allocate(
+        setUnits.reduce((sum, unit) => sum + unit.price, 0) - value,
+        setUnits.map(unit => unit.price)
+      );
+
+      setUnits.forEach((unit, index) => {
+        amounts[unit.index] += shares[index];
+      });
+    }
+
+    return amounts.map((amount, index) => Math.min(roundAmount(amount), lines[index].amount));
+  }
+});
@@ -0,0 +1,199 @@
+import { prisma } from '../database/connect.js';
+import { WalletService } from './wallet.service.js';
+import {
+  processBankRefund,
+  processGatewayRefund,
+  getRefundableAmount,
+  getGatewayRefundableAmount
+} from './payment.service.js';
+import { roundAmount } from '../utils/money.js';
+
+export const REFUND_METHODS = ['ORIGINAL_PAYMENT', 'STORE_CREDIT', 'BANK_TRANSFER'];
+
+/**
+ * Refund Service
+ * Admin review and payout of Refund records created by cancellations and returns
+ */
+export class RefundService {
+  constructor() {
+    this.walletService = new WalletService();
+  }
+
+  /**
+   * List refunds, pending ones by default (admin)
+   * @param {Object} options - { page, limit, status }
+   * @returns {Object} - Refunds with pagination info
+   */
+  async listRefunds(options = {}) {
+    const { page = 1, limit = 10, status = 'PENDING' } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { status };
+
+    const [refunds, totalCount] = await Promise.all([
+      prisma.refund.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'asc' },
+        include: {
+          order: {
+            select: {
+              id: true,
+              orderNumber: true,
+              userId: true,
+              total: true,
+              paymentStatus: true
+            }
+          },
+          return: {
+            select: { id: true, status: true, refundMethod: true }
+          }
+        }
+      }),
+      prisma.refund.count({ where })
+    ]);
+
+    return {
+      refunds,
+      pagination: {
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Get a refund with its order's payments and refunds
+   * @param {String} refundId - Refund ID
+   * @returns {Object} - Refund
+   */
+  async getRefund(refundId) {
+    const refund = await prisma.refund.findUnique({
+      where: { id: refundId },
+      include: {
+        order: {
+          include: {
+            payments: true,
+            refunds: true
+          }
+        },
+        return: true
+      }
+    });
+
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    return refund;
+  }
+
+  /**
+   * Approve a pending refund and pay it out (admin)
+   * @param {String} refundId - Refund ID
+   * @param {Object} options - { refundMethod, upiId }; refundMethod defaults to the
+   *                           return's choice, or the original payment
+   * @returns {Object} - Updated refund
+   */
+  async approveRefund(refundId, options = {}) {
+    const refund = await this.getRefund(refundId);
+    const { order } = refund;
+
+    if (refund.status !== 'PENDING') {
+      throw new Error(`Refund is already ${refund.status.toLowerCase()}`);
+    }
+
+    // Never pay out more than was actually captured on the order; refunds
+    // still being paid out count as refunded. Claiming the refund checks
+    // this again with the order locked.
+    const refundable = getRefundableAmount(
+      order.payments,
+      order.refunds.filter(r => r.id !== refund.id)
+    );
+
+    if (parseFloat(refund.amount) > refundable) {
+      throw new Error(`Refund of ₹${parseFloat(refund.amount).toFixed(2)} exceeds the ₹${refundable.toFixed(2)} still refundable on this order`);
+    }
+
+    const method = this.resolveRefundMethod(
+      order,
+      options.refundMethod || refund.return?.refundMethod || 'ORIGINAL_PAYMENT'
+    );
+
+    // The store-credit share of an original-payment refund on a mixed order
+    const creditAmount = method === 'ORIGINAL_PAYMENT' ? this.getStoreCreditShare(refund, order) : 0;
+
+    if (method === 'STORE_CREDIT' || creditAmount >= roundAmount(refund.amount)) {
+      await prisma.$transaction((tx) => this.walletService.creditRefund(refund, order, tx));
+    } else if (method === 'BANK_TRANSFER') {
+      if (!options.upiId) {
+        throw new Error('UPI ID is required for bank transfer refunds');
+      }
+
+      await processBankRefund(refund.id, { upiId: options.upiId });
+    } else {
+      await processGatewayRefund(refund.id, undefined, creditAmount > 0 ? {
+        amount: creditAmount,
+        credit: (amount, tx) => this.walletService.credit(order.userId, amount, {
+          type: 'REFUND',
+          description: `Refund for order ${order.orderNumber}`,
+          referenceId: refund.id
+        }, tx)
+      } : null);
+    }
+
+    return await this.getRefund(refundId);
+  }
+
+  /**
+   * The part of an original-payment refund that goes back as store credit
+   * On an order paid partly with store credit, that tender's share of the
+   * refund goes back to the wallet, as does whatever the gateway payments
+   * can no longer take; only the rest is sent to the gateway.
+   * @private
+   */
+  getStoreCreditShare(refund, order) {
+    const paid = order.payments.filter(p => p.status === 'PAID');
+    const captured = paid.reduce((sum, p) => sum + parseFloat(p.amount), 0);
+    const paidWithCredit = paid
+      .filter(p => p.method === 'STORE_CREDIT')
+      .reduce((sum, p) => sum + parseFloat(p.amount), 0);
+
+    if (!(paidWithCredit > 0)) {
+      return 0;
+    }
+
+    const amount = roundAmount(refund.amount);
+    const share = roundAmount(amount * paidWithCredit / captured);
+
+    return Math.min(amount, Math.max(share, roundAmount(amount - getGatewayRefundableAmount(order, refund.id))));
+  }
+
+  /**
+   * Work out how a refund is paid out
+   * ORIGINAL_PAYMENT falls back to store credit for orders paid only that
+   * way; cash on delivery has no online source to refund to. On orders paid
+   * with both, approveRefund splits the refund between them.
+   * @private
+   */
+  resolveRefundMethod(order, refundMethod) {
+    if (!REFUND_METHODS.includes(refundMethod)) {
+      throw new Error(`Refund method must be one of ${REFUND_METHODS.join(', ')}`);
+    }
+
+    const paidWith = (predicate) => order.payments.some(p => p.status === 'PAID' && predicate(p));
+
+    if (refundMethod === 'ORIGINAL_PAYMENT' && !paidWith(p => p.paymentGateway)) {
+      if (!paidWith(p => p.method === 'STORE_CREDIT')) {
+        throw new Error('This order was not paid online; refund it by store credit or bank transfer');
+      }
+
+      return 'STORE_CREDIT';
+    }
+
+    return refundMethod;
+  }
+}
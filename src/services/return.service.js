@@ -0,0 +1,453 @@
+import { prisma } from '../database/connect.js';
+import { InventoryService } from './inventory.service.js';
+import { RefundService, REFUND_METHODS } from './refund.service.js';
+import { getOrderItemPaidAmount, isItemCanceled } from '../utils/orderUtils.js';
+import { roundAmount } from '../utils/money.js';
+
+// Returns whose items are back in the warehouse
+const RECEIVED_STATUSES = ['RECEIVED', 'REFUNDED'];
+
+/**
+ * Return Service
+ * Return merchandise authorizations:
+ * REQUESTED -> APPROVED -> PICKED_UP -> RECEIVED -> REFUNDED, or REJECTED before pickup
+ */
+export class ReturnService {
+  constructor() {
+    this.inventoryService = new InventoryService();
+    this.refundService = new RefundService();
+    this.RETURN_WINDOW = (parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 7) * 24 * 60 * 60 * 1000; // milliseconds
+
+    // Allowed status transitions
+    this.TRANSITIONS = {
+      REQUESTED: ['APPROVED', 'REJECTED'],
+      APPROVED: ['PICKED_UP', 'RECEIVED', 'REJECTED'], // RECEIVED directly when the customer drops it off
+      PICKED_UP: ['RECEIVED'],
+      RECEIVED: ['REFUNDED'],
+      REFUNDED: [],
+      REJECTED: []
+    };
+  }
+
+  /**
+   * Request a return for items of a delivered order
+   * @param {String} userId - User ID
+   * @param {Object} returnData - { orderId, items: [{ orderItemId, quantity, reason }], reason, refundMethod }
+   * @returns {Object} - Created return
+   */
+  async requestReturn(userId, returnData) {
+    const { orderId, items, reason, refundMethod = 'ORIGINAL_PAYMENT' } = returnData;
+
+    if (!orderId || !reason) {
+      throw new Error('Order ID and reason are required');
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one item is required');
+    }
+
+    if (!REFUND_METHODS.includes(refundMethod)) {
+      throw new Error(`Refund method must be one of ${REFUND_METHODS.join(', ')}`);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      // Lock the order so concurrent requests can't return the same units twice
+      await tx.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${orderId} FOR UPDATE`;
+
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: {
+          items: {
+            include: {
+              returnItems: {
+                include: { return: { select: { status: true } } }
+              }
+            }
+          },
+          statusHistory: {
+            where: { toStatus: 'DELIVERED' },
+            orderBy: { createdAt: 'desc' },
+            take: 1
+          }
+        }
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.userId !== userId) {
+        throw new Error('You are not authorized to return items from this order');
+      }
+
+      if (order.status !== 'DELIVERED') {
+        throw new Error('Only delivered items can be returned');
+      }
+
+      // The window runs from when the order was marked delivered
+      const deliveredDate = order.statusHistory[0]?.createdAt || order.completedAt;
+      if (!deliveredDate || Date.now() - deliveredDate.getTime() > this.RETURN_WINDOW) {
+        throw new Error('Return window has expired');
+      }
+
+      const seen = new Set();
+      let refundAmount = 0;
+
+      const returnItems = items.map(({ orderItemId, quantity, reason: itemReason }) => {
+        const orderItem = order.items.find(item => item.id === orderItemId);
+
+        if (!orderItem || seen.has(orderItemId)) {
+          throw new Error('Invalid or duplicate order item');
+        }
+        seen.add(orderItemId);
+
+        if (isItemCanceled(orderItem)) {
+          throw new Error(`${orderItem.name} was canceled and cannot be returned`);
+        }
+
+        // Units already covered by other returns that were not rejected
+        const alreadyReturned = orderItem.returnItems
+          .filter(returnItem => returnItem.return.status !== 'REJECTED')
+          .reduce((sum, returnItem) => sum + returnItem.quantity, 0);
+        const returnable = orderItem.quantity - alreadyReturned;
+        const returnQuantity = quantity === undefined ? returnable : parseInt(quantity, 10);
+
+        if (!(returnQuantity > 0) || returnQuantity > returnable) {
+          throw new Error(`Only ${returnable} unit(s) of ${orderItem.name} can be returned`);
+        }
+
+        refundAmount += getOrderItemPaidAmount(orderItem) * returnQuantity / orderItem.quantity;
+
+        return {
+          orderItemId,
+          quantity: returnQuantity,
+          reason: itemReason || null
+        };
+      });
+
+      return await tx.return.create({
+        data: {
+          orderId,
+          userId,
+          reason,
+          refundMethod,
+          refundAmount: roundAmount(refundAmount),
+          items: {
+            create: returnItems
+          }
+        },
+        include: { items: true }
+      });
+    });
+  }
+
+  /**
+   * Get a user's returns
+   * @param {String} userId - User ID
+   * @param {Object} options - Pagination and status filter
+   * @returns {Object} - Returns with pagination info
+   */
+  async getUserReturns(userId, options = {}) {
+    return await this.listReturns({ ...options, userId });
+  }
+
+  /**
+   * List returns (admin)
+   * @param {Object} options - { page, limit, status, userId }
+   * @returns {Object} - Returns with pagination info
+   */
+  async listReturns(options = {}) {
+    const { page = 1, limit = 10, status, userId } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (userId) {
+      where.userId = userId;
+    }
+
+    const [returns, totalCount] = await Promise.all([
+      prisma.return.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          items: { include: { orderItem: true } },
+          order: { select: { id: true, orderNumber: true } }
+        }
+      }),
+      prisma.return.count({ where })
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Get return details
+   * @param {String} returnId - Return ID
+   * @param {String} userId - User ID (for authorization)
+   * @param {Boolean} isAdmin - Whether user is admin
+   * @returns {Object} - Return with items, order and refund
+   */
+  async getReturnDetails(returnId, userId, isAdmin = false) {
+    const returnRequest = await prisma.return.findUnique({
+      where: { id: returnId },
+      include: {
+        items: { include: { orderItem: true } },
+        order: { select: { id: true, orderNumber: true, status: true } },
+        refund: true
+      }
+    });
+
+    if (!returnRequest) {
+      throw new Error('Return not found');
+    }
+
+    if (!isAdmin && returnRequest.userId !== userId) {
+      throw new Error('You are not authorized to view this return');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Approve a requested return (admin)
+   * @param {String} returnId - Return ID
+   * @param {String} adminNotes - Optional notes
+   * @returns {Object} - Updated return
+   */
+  async approveReturn(returnId, adminNotes) {
+    return await this.transition(returnId, 'APPROVED', {
+      approvedAt: new Date(),
+      ...(adminNotes && { adminNotes })
+    });
+  }
+
+  /**
+   * Reject a return before it is picked up (admin)
+   * @param {String} returnId - Return ID
+   * @param {String} rejectionReason - Why the return was rejected
+   * @returns {Object} - Updated return
+   */
+  async rejectReturn(returnId, rejectionReason) {
+    if (!rejectionReason) {
+      throw new Error('Rejection reason is required');
+    }
+
+    return await this.transition(returnId, 'REJECTED', {
+      rejectedAt: new Date(),
+      rejectionReason
+    });
+  }
+
+  /**
+   * Mark an approved return as picked up from the customer (admin)
+   * @param {String} returnId - Return ID
+   * @returns {Object} - Updated return
+   */
+  async markPickedUp(returnId) {
+    return await this.transition(returnId, 'PICKED_UP', { pickedUpAt: new Date() });
+  }
+
+  /**
+   * Receive returned items into the warehouse and restock them (admin)
+   * @param {String} returnId - Return ID
+   * @param {Array} restockItems - Optional [{ orderItemId, quantity }] for units fit to resell;
+   *                               every returned unit is restocked when omitted
+   * @returns {Object} - Updated return
+   */
+  async receiveReturn(returnId, restockItems) {
+    return await prisma.$transaction(async (tx) => {
+      const returnRequest = await this.transition(returnId, 'RECEIVED', { receivedAt: new Date() }, tx);
+
+      for (const returnItem of returnRequest.items) {
+        let restockQuantity = returnItem.quantity;
+
+        if (restockItems) {
+          const requested = restockItems.find(item => item.orderItemId === returnItem.orderItemId);
+          restockQuantity = Math.min(Math.max(parseInt(requested?.quantity, 10) || 0, 0), returnItem.quantity);
+        }
+
+        if (restockQuantity === 0) {
+          continue;
+        }
+
+        await this.inventoryService.releaseStock([{
+          productId: returnItem.orderItem.productId,
+          variantId: returnItem.orderItem.variantId,
+          quantity: restockQuantity
+        }], tx);
+
+        await tx.returnItem.update({
+          where: { id: returnItem.id },
+          data: { restockedQuantity: restockQuantity }
+        });
+      }
+
+      await this.syncOrderFulfillmentStatus(returnRequest.orderId, tx);
+
+      return await tx.return.findUnique({
+        where: { id: returnId },
+        include: { items: true }
+      });
+    });
+  }
+
+  /**
+   * Refund a received return (admin)
+   * The return moves to REFUNDED once its refund is paid out.
+   * @param {String} returnId - Return ID
+   * @param {Object} refundDetails - { refundMethod } to override the customer's choice, { upiId } for bank transfers
+   * @returns {Object} - Updated return with refund
+   */
+  async refundReturn(returnId, refundDetails = {}) {
+    const returnRequest = await prisma.return.findUnique({
+      where: { id: returnId }
+    });
+
+    if (!returnRequest) {
+      throw new Error('Return not found');
+    }
+
+    this.assertTransition(returnRequest.status, 'REFUNDED');
+
+    // Reuse the pending refund if an earlier attempt failed part-way
+    let { refundId } = returnRequest;
+
+    if (!refundId) {
+      refundId = await prisma.$transaction(async (tx) => {
+        const refund = await tx.refund.create({
+          data: {
+            orderId: returnRequest.orderId,
+            amount: returnRequest.refundAmount,
+            reason: `Return: ${returnRequest.reason}`,
+            status: 'PENDING',
+            notes: `Refund for return ${returnRequest.id}`
+          }
+        });
+
+        await tx.return.update({
+          where: { id: returnId },
+          data: { refundId: refund.id }
+        });
+
+        return refund.id;
+      });
+    }
+
+    await this.refundService.approveRefund(refundId, {
+      refundMethod: refundDetails.refundMethod || returnRequest.refundMethod,
+      upiId: refundDetails.upiId
+    });
+
+    // Queued payouts finish later; the return stays RECEIVED until then
+    return await this.getReturnDetails(returnId, null, true);
+  }
+
+  /**
+   * Move a return to a new status if the transition is allowed
+   * The status is checked again in the update so concurrent admins can't both apply it.
+   * @private
+   */
+  async transition(returnId, toStatus, data, tx = prisma) {
+    const returnRequest = await tx.return.findUnique({
+      where: { id: returnId },
+      select: { status: true }
+    });
+
+    if (!returnRequest) {
+      throw new Error('Return not found');
+    }
+
+    this.assertTransition(returnRequest.status, toStatus);
+
+    const { count } = await tx.return.updateMany({
+      where: { id: returnId, status: returnRequest.status },
+      data: { ...data, status: toStatus }
+    });
+
+    if (count === 0) {
+      throw new Error('Return was updated by someone else, please retry');
+    }
+
+    return await tx.return.findUnique({
+      where: { id: returnId },
+      include: { items: { include: { orderItem: true } } }
+    });
+  }
+
+  /**
+   * @private
+   */
+  assertTransition(fromStatus, toStatus) {
+    if (!this.TRANSITIONS[fromStatus].includes(toStatus)) {
+      throw new Error(`Cannot move a ${fromStatus} return to ${toStatus}`);
+    }
+  }
+
+  /**
+   * Set the order's fulfillment status once every unit has come back:
+   * RETURNED when all units are received, RESTOCKED when all were also restocked.
+   * Partial returns leave the fulfillment status alone.
+   * @private
+   */
+  async syncOrderFulfillmentStatus(orderId, tx) {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: {
+          include: {
+            returnItems: {
+              include: { return: { select: { status: true } } }
+            }
+          }
+        }
+      }
+    });
+
+    let ordered = 0;
+    let received = 0;
+    let restocked = 0;
+
+    for (const item of order.items) {
+      if (isItemCanceled(item)) {
+        continue;
+      }
+
+      ordered += item.quantity;
+
+      for (const returnItem of item.returnItems) {
+        if (RECEIVED_STATUSES.includes(returnItem.return.status)) {
+          received += returnItem.quantity;
+          restocked += returnItem.restockedQuantity;
+        }
+      }
+    }
+
+    if (ordered === 0 || received < ordered) {
+      return order.fulfillmentStatus;
+    }
+
+    const fulfillmentStatus = restocked >= ordered ? 'RESTOCKED' : 'RETURNED';
+
+    if (fulfillmentStatus !== order.fulfillmentStatus) {
+      await tx.order.update({
+        where: { id: orderId },
+        data: { fulfillmentStatus }
+      });
+    }
+
+    return fulfillmentStatus;
+  }
+}
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import redisManager from '../utils/redisClient.js';
+import { schedulerKeys } from '../utils/redisKeys.js';
+import { parseCron } from '../utils/cron.js';
+
+// Delete a lock only if it still holds this run's token
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Seconds checked after a stalled tick, so a busy event loop doesn't skip runs
+const MAX_CATCH_UP_SECONDS = 60;
+
+/**
+ * Scheduler Service
+ * Runs recurring tasks on cron schedules. Every instance of the app runs the
+ * scheduler, so each run is claimed in Redis: one instance takes each
+ * scheduled time, and a task still running from an earlier time holds a lock
+ * that makes later runs skip until it finishes. Without Redis nothing runs.
+ */
+export class SchedulerService {
+  constructor() {
+    this.TICK_MS = 1000;
+    this.RUN_CLAIM_TTL = 10 * 60; // 10 minutes in seconds; covers clock drift between instances
+    this.tasks = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.lastSecond = null;
+  }
+
+  /**
+   * Add a recurring task
+   * @param {String} name - Unique task name
+   * @param {String} schedule - Cron expression (see utils/cron.js)
+   * @param {Function} task - async () => result; a result with non-zero
+   *                          counts is logged
+   * @param {Object} options - { lockTtlMs } longest a run may hold the lock
+   *                           before another instance may start one (default 10 minutes)
+   */
+  schedule(name, schedule, task, options = {}) {
+    this.tasks.set(name, {
+      name,
+      cron: parseCron(schedule),
+      task,
+      lockTtlMs: options.lockTtlMs || 10 * 60 * 1000
+    });
+  }
+
+  /**
+   * Start checking schedules
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.lastSecond = Math.floor(Date.now() / 1000);
+    this.timer = setInterval(() => this.tick(), this.TICK_MS);
+  }
+
+  /**
+   * Stop starting runs and wait for the ones in progress
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all([...this.running]);
+  }
+
+  /**
+   * Run a task now, unless another run of it holds the lock
+   * @param {String} name - Task name
+   * @param {Number} scheduledAt - Scheduled time (epoch seconds); when given,
+   *                               only the first instance to claim it runs
+   * @returns {Object|null} - Task result, or null if the run was skipped
+   */
+  async runTask(name, scheduledAt = null) {
+    const task = this.tasks.get(name);
+
+    if (!task) {
+      throw new Error(`Unknown scheduled task: ${name}`);
+    }
+
+    const client = await redisManager.getClient();
+
+    if (scheduledAt !== null) {
+      const claimed = await client.set(schedulerKeys.run(name, scheduledAt), '1', {
+        NX: true,
+        EX: this.RUN_CLAIM_TTL
+      });
+
+      if (!claimed) {
+        return null;
+      }
+    }
+
+    const lockKey = schedulerKeys.lock(name);
+    const token = crypto.randomUUID();
+    const locked = await client.set(lockKey, token, { NX: true, PX: task.lockTtlMs });
+
+    if (!locked) {
+      return null;
+    }
+
+    try {
+      return await task.task();
+    } finally {
+      await client.eval(RELEASE_SCRIPT, { keys: [lockKey], arguments: [token] });
+    }
+  }
+
+  /**
+   * Start the tasks due in every second since the last tick
+   * @private
+   */
+  tick() {
+    const now = Math.floor(Date.now() / 1000);
+    const from = Math.max(this.lastSecond + 1, now - MAX_CATCH_UP_SECONDS + 1);
+    this.lastSecond = now;
+
+    for (let second = from; second <= now; second++) {
+      const date = new Date(second * 1000);
+
+      for (const task of this.tasks.values()) {
+        if (task.cron.matches(date)) {
+          this.startRun(task.name, second);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run a task in the background, logging its outcome
+   * @private
+   */
+  startRun(name, scheduledAt) {
+    const run = this.runTask(name, scheduledAt)
+      .then((result) => {
+        if (result && Object.values(result).some(Boolean)) {
+          console.log(`🕒 ${name}: ${JSON.stringify(result)}`);
+        }
+      })
+      .catch((error) => {
+        console.error(`❌ Scheduled task ${name} failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.running.delete(run);
+      });
+
+    this.running.add(run);
+  }
+}
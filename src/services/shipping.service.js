@@ -0,0 +1,391 @@
+import { prisma } from '../database/connect.js';
+import { ShippingZoneService } from './shippingZone.service.js';
+import { OrderStatusService, ORDER_ACTORS } from './orderStatus.service.js';
+import { NotificationService } from './notification.service.js';
+import { getCarrier, getEnabledCarriers, TRACKING_STATUSES } from './carriers/index.js';
+
+// Kilograms in one unit of each WeightUnit
+const KG_PER_UNIT = {
+  GRAMS: 0.001,
+  KILOGRAMS: 1,
+  POUNDS: 0.45359237,
+  OUNCES: 0.0283495
+};
+
+/**
+ * Shipping Service
+ * Shipping rates for carts, label purchase for fulfillments and
+ * carrier tracking updates.
+ * Destinations covered by a shipping zone are priced from the zone's rate
+ * table; anywhere else is quoted live by the enabled carriers.
+ */
+export class ShippingService {
+  constructor() {
+    this.zoneService = new ShippingZoneService();
+    this.orderStatusService = new OrderStatusService();
+    this.notificationService = new NotificationService();
+    this.DEFAULT_ITEM_WEIGHT_KG = parseFloat(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_KG) || 0.5;
+    this.origin = {
+      city: process.env.SHIPPING_ORIGIN_CITY || null,
+      state: process.env.SHIPPING_ORIGIN_STATE || null,
+      postalCode: process.env.SHIPPING_ORIGIN_POSTAL_CODE || null,
+      country: process.env.SHIPPING_ORIGIN_COUNTRY || 'India'
+    };
+  }
+
+  /**
+   * Get an address the user can ship to
+   * @param {String} userId - User ID
+   * @param {String} addressId - Address ID
+   * @returns {Object} - Address
+   */
+  async getShippingAddress(userId, addressId) {
+    if (!addressId) {
+      throw new Error('Shipping address is required');
+    }
+
+    const address = await prisma.address.findFirst({
+      where: { id: addressId, userId, deletedAt: null }
+    });
+
+    if (!address) {
+      throw new Error('Shipping address not found');
+    }
+
+    return address;
+  }
+
+  /**
+   * Shipping options for items going to an address
+   * @param {Array} items - Cart items with product (weight, weightUnit)
+   * @param {Object} address - Destination address
+   * @param {Number} orderValue - Order value after discounts (defaults to the items' total)
+   * @returns {Array} - Rates, cheapest first
+   */
+  async getRates(items, address, orderValue) {
+    const parcel = this.getParcel(items);
+    const zone = await this.zoneService.findZone(address);
+
+    if (zone) {
+      const value = orderValue !== undefined ? orderValue : parcel.declaredValue;
+      return this.zoneService.quoteZone(zone, parcel, value).sort((a, b) => a.amount - b.amount);
+    }
+
+    return await this.getCarrierRates(parcel, address);
+  }
+
+  /**
+   * Quote every enabled carrier for a parcel
+   * A carrier that fails to quote is left out rather than failing the request.
+   * @param {Object} parcel - { weightKg, declaredValue }
+   * @param {Object} address - Destination address
+   * @returns {Array} - Rates, cheapest first
+   */
+  async getCarrierRates(parcel, address) {
+    const carriers = getEnabledCarriers();
+
+    const results = await Promise.allSettled(
+      carriers.map(async (carrier) => {
+        const rates = await carrier.getRates({ origin: this.origin, destination: address, parcel });
+        return rates.map(rate => ({ carrier: carrier.name, ...rate }));
+      })
+    );
+
+    const rates = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        rates.push(...result.value);
+      } else {
+        console.error(`Shipping rate quote failed for ${carriers[index].name}:`, result.reason);
+      }
+    });
+
+    return rates.sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * Find the rate matching a selection among quoted rates
+   * @param {Array} rates - Quoted rates
+   * @param {Object} selection - { rateId } for zone rates, or { carrier, serviceCode }
+   * @returns {Object|null} - Matching rate
+   */
+  findRate(rates, selection) {
+    if (!selection) {
+      return null;
+    }
+
+    if (selection.rateId) {
+      return rates.find(r => r.rateId === selection.rateId) || null;
+    }
+
+    return rates.find(r =>
+      !r.rateId && r.carrier === selection.carrier && r.serviceCode === selection.serviceCode
+    ) || null;
+  }
+
+  /**
+   * Work out a cart's shipping charge
+   * The selected rate is re-quoted against the cart's current contents; without
+   * a selection, or when it no longer applies, the cheapest rate is used.
+   * FREE_SHIPPING coupons waive the charge but keep the selected service.
+   * @param {Object} cart - Cart with items (and product), appliedCoupons (and coupon),
+   *                        shippingAddress and shippingRate
+   * @param {Number} orderValue - Order value after discounts
+   * @returns {Object} - { shippingTotal, shippingRate }
+   */
+  async getCartShipping(cart, orderValue) {
+    if (!cart.shippingAddress || cart.shippingAddress.deletedAt || cart.items.length === 0) {
+      return { shippingTotal: 0, shippingRate: cart.items.length === 0 ? cart.shippingRate : null };
+    }
+
+    let rate = null;
+    try {
+      const rates = await this.getRates(cart.items, cart.shippingAddress, orderValue);
+      rate = this.findRate(rates, cart.shippingRate) || rates[0] || null;
+    } catch (error) {
+      console.error(`Shipping quote failed for cart ${cart.id}:`, error);
+    }
+
+    if (!rate) {
+      return { shippingTotal: 0, shippingRate: null };
+    }
+
+    const freeShipping = cart.appliedCoupons.some(cp => cp.coupon?.type === 'FREE_SHIPPING');
+
+    return {
+      shippingTotal: freeShipping ? 0 : rate.amount,
+      shippingRate: rate
+    };
+  }
+
+  /**
+   * Buy a carrier label for a shipment and record its tracking details (admin)
+   * @param {String} orderId - Order ID
+   * @param {String} fulfillmentId - Fulfillment ID
+   * @param {Object} options - { carrier, serviceCode }; default to the customer's choice at checkout
+   * @returns {Object} - Updated fulfillment
+   */
+  async purchaseLabel(orderId, fulfillmentId, options = {}) {
+    const fulfillment = await prisma.fulfillment.findUnique({
+      where: { id: fulfillmentId },
+      include: {
+        order: {
+          include: { shippingAddress: true }
+        },
+        items: {
+          include: {
+            orderItem: {
+              include: { product: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!fulfillment || fulfillment.orderId !== orderId) {
+      throw new Error('Fulfillment not found');
+    }
+
+    if (fulfillment.trackingNumber) {
+      throw new Error('This shipment already has a tracking number');
+    }
+
+    const { order } = fulfillment;
+    const chosen = order.metadata?.shipping || {};
+    const carrier = getCarrier(options.carrier || chosen.carrier || getEnabledCarriers()[0]?.name);
+    const serviceCode = options.serviceCode || (carrier.name === chosen.carrier ? chosen.serviceCode : null);
+
+    if (!serviceCode) {
+      throw new Error('Carrier service code is required');
+    }
+
+    const label = await carrier.createShipment({
+      reference: `${order.orderNumber}-${fulfillment.id.slice(0, 8)}`,
+      origin: this.origin,
+      destination: order.shippingAddress,
+      parcel: this.getParcel(fulfillment.items.map(item => ({
+        product: item.orderItem.product,
+        quantity: item.quantity,
+        totalPrice: parseFloat(item.orderItem.price) * item.quantity
+      }))),
+      serviceCode
+    });
+
+    // Only the first of two concurrent purchases gets to record its label
+    const { count } = await prisma.fulfillment.updateMany({
+      where: { id: fulfillmentId, trackingNumber: null },
+      data: {
+        carrierName: carrier.name,
+        trackingNumber: label.trackingNumber,
+        trackingUrl: label.trackingUrl || null,
+        estimatedDelivery: label.estimatedDelivery || fulfillment.estimatedDelivery,
+        metadata: {
+          ...(fulfillment.metadata || {}),
+          serviceCode,
+          shipmentId: label.shipmentId,
+          labelUrl: label.labelUrl || null,
+          trackingStatus: 'LABEL_CREATED',
+          trackingEvents: fulfillment.metadata?.trackingEvents || []
+        }
+      }
+    });
+
+    if (count === 0) {
+      throw new Error('This shipment already has a tracking number');
+    }
+
+    const updated = await prisma.fulfillment.findUnique({
+      where: { id: fulfillmentId },
+      include: { items: true }
+    });
+
+    await this.notificationService.notifyOrder('ORDER_SHIPPED', orderId, {
+      referenceId: fulfillmentId,
+      fulfillment: updated
+    });
+
+    return updated;
+  }
+
+  /**
+   * Apply a carrier tracking webhook
+   * Each delivery is recorded in WebhookEvent so retries are applied once.
+   * When every shipment of a shipped order is delivered the order becomes DELIVERED.
+   * @param {String} carrierName - Carrier name from the webhook URL
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} - { status: processed | ignored | duplicate, trackingStatus }
+   */
+  async handleTrackingWebhook(carrierName, rawBody, headers) {
+    const carrier = getCarrier(carrierName);
+    const event = carrier.parseWebhook(rawBody, headers);
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.webhookEvent.create({
+          data: {
+            provider: `carrier:${carrier.name}`,
+            eventId: event.eventId,
+            eventType: `tracking.${event.status}`,
+            payload: event.payload
+          }
+        });
+
+        const shipment = event.trackingNumber && await tx.fulfillment.findFirst({
+          where: { trackingNumber: event.trackingNumber, carrierName: carrier.name },
+          select: { id: true, orderId: true }
+        });
+
+        if (!shipment || !TRACKING_STATUSES.includes(event.status)) {
+          return { status: 'ignored', trackingStatus: event.status };
+        }
+
+        // Tracking events for one order are applied one at a time
+        await tx.$queryRaw`SELECT id FROM \`Order\` WHERE id = ${shipment.orderId} FOR UPDATE`;
+
+        const fulfillment = await tx.fulfillment.findUnique({ where: { id: shipment.id } });
+        const metadata = fulfillment.metadata || {};
+        const trackingEvents = [
+          ...(metadata.trackingEvents || []),
+          {
+            status: event.status,
+            description: event.description,
+            location: event.location,
+            occurredAt: event.occurredAt
+          }
+        ].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+        // Carriers don't always deliver webhooks in order; the latest event wins
+        const latest = trackingEvents[trackingEvents.length - 1];
+
+        await tx.fulfillment.update({
+          where: { id: fulfillment.id },
+          data: {
+            metadata: {
+              ...metadata,
+              trackingStatus: latest.status,
+              trackingEvents,
+              deliveredAt: latest.status === 'DELIVERED' ? latest.occurredAt : metadata.deliveredAt || null
+            }
+          }
+        });
+
+        if (latest.status === 'OUT_FOR_DELIVERY') {
+          await this.notificationService.notifyOrder('OUT_FOR_DELIVERY', shipment.orderId, {
+            referenceId: fulfillment.id,
+            fulfillment
+          }, tx);
+        }
+
+        if (latest.status === 'DELIVERED') {
+          await this.completeDeliveredOrder(shipment.orderId, tx);
+        }
+
+        return { status: 'processed', trackingStatus: latest.status };
+      });
+    } catch (error) {
+      // Unique (provider, eventId) violation - this delivery was already applied
+      if (error.code === 'P2002') {
+        return { status: 'duplicate', trackingStatus: event.status };
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Move a fully shipped order to DELIVERED once all its shipments are delivered
+   * @private
+   */
+  async completeDeliveredOrder(orderId, tx) {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { fulfillments: true }
+    });
+
+    const allDelivered = order.fulfillments.every(f => f.metadata?.trackingStatus === 'DELIVERED');
+
+    if (order.status !== 'SHIPPED' || order.fulfillmentStatus !== 'FULFILLED' || !allDelivered) {
+      return false;
+    }
+
+    await this.orderStatusService.transition(orderId, 'DELIVERED', {
+      actor: ORDER_ACTORS.SYSTEM,
+      note: 'All shipments delivered'
+    }, tx);
+
+    return true;
+  }
+
+  /**
+   * Parcel weight and declared value of a set of items
+   * Products without a weight count as SHIPPING_DEFAULT_ITEM_WEIGHT_KG per unit.
+   * @param {Array} items - Items with product, quantity and totalPrice
+   * @returns {Object} - { weightKg, declaredValue }
+   */
+  getParcel(items) {
+    let weightKg = 0;
+    let declaredValue = 0;
+
+    for (const item of items) {
+      weightKg += this.toKilograms(item.product?.weight, item.product?.weightUnit) * item.quantity;
+      declaredValue += parseFloat(item.totalPrice || 0);
+    }
+
+    return {
+      weightKg: Math.round(weightKg * 1000) / 1000,
+      declaredValue: Math.round(declaredValue * 100) / 100
+    };
+  }
+
+  /**
+   * @private
+   */
+  toKilograms(weight, weightUnit) {
+    if (weight === null || weight === undefined) {
+      return this.DEFAULT_ITEM_WEIGHT_KG;
+    }
+
+    return parseFloat(weight) * (KG_PER_UNIT[weightUnit] || 1);
+  }
+}
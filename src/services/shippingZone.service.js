@@ -0,0 +1,360 @@
+import { prisma } from '../database/connect.js';
+import { roundAmount } from '../utils/money.js';
+
+const RATE_TYPES = ['FLAT', 'WEIGHT_BASED', 'FREE_OVER_THRESHOLD'];
+
+// Case- and whitespace-insensitive comparison for address parts
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Shipping Zone Service
+ * Admin-managed shipping zones and the rate tables priced for them
+ */
+export class ShippingZoneService {
+  /**
+   * List shipping zones with their regions and rates (admin)
+   * @returns {Array} - Zones
+   */
+  async listZones() {
+    return await prisma.shippingZone.findMany({
+      orderBy: [{ priority: 'desc' }, { name: 'asc' }],
+      include: {
+        regions: true,
+        rates: { orderBy: { amount: 'asc' } }
+      }
+    });
+  }
+
+  /**
+   * Get a shipping zone (admin)
+   * @param {String} zoneId - Zone ID
+   * @returns {Object} - Zone with regions and rates
+   */
+  async getZone(zoneId) {
+    const zone = await prisma.shippingZone.findUnique({
+      where: { id: zoneId },
+      include: {
+        regions: true,
+        rates: { orderBy: { amount: 'asc' } }
+      }
+    });
+
+    if (!zone) {
+      throw new Error('Shipping zone not found');
+    }
+
+    return zone;
+  }
+
+  /**
+   * Create a shipping zone (admin)
+   * @param {Object} zoneData - { name, isActive, priority, regions: [{ country, state, postalCodePrefix }] }
+   * @returns {Object} - Created zone
+   */
+  async createZone(zoneData) {
+    const { name, isActive, priority, regions } = zoneData;
+
+    if (!name) {
+      throw new Error('Zone name is required');
+    }
+
+    return await prisma.shippingZone.create({
+      data: {
+        name,
+        isActive: isActive !== undefined ? Boolean(isActive) : true,
+        priority: priority !== undefined ? parseInt(priority, 10) || 0 : 0,
+        regions: {
+          create: this.validateRegions(regions)
+        }
+      },
+      include: {
+        regions: true,
+        rates: true
+      }
+    });
+  }
+
+  /**
+   * Update a shipping zone (admin)
+   * Regions, when given, replace the zone's current regions.
+   * @param {String} zoneId - Zone ID
+   * @param {Object} zoneData - { name, isActive, priority, regions }
+   * @returns {Object} - Updated zone
+   */
+  async updateZone(zoneId, zoneData) {
+    await this.getZone(zoneId);
+
+    const data = {};
+    if (zoneData.name !== undefined) {
+      if (!zoneData.name) {
+        throw new Error('Zone name is required');
+      }
+      data.name = zoneData.name;
+    }
+    if (zoneData.isActive !== undefined) {
+      data.isActive = Boolean(zoneData.isActive);
+    }
+    if (zoneData.priority !== undefined) {
+      data.priority = parseInt(zoneData.priority, 10) || 0;
+    }
+
+    const regions = zoneData.regions !== undefined ? this.validateRegions(zoneData.regions) : null;
+
+    return await prisma.$transaction(async (tx) => {
+      if (regions) {
+        await tx.shippingZoneRegion.deleteMany({ where: { zoneId } });
+        data.regions = { create: regions };
+      }
+
+      return await tx.shippingZone.update({
+        where: { id: zoneId },
+        data,
+        include: {
+          regions: true,
+          rates: { orderBy: { amount: 'asc' } }
+        }
+      });
+    });
+  }
+
+  /**
+   * Delete a shipping zone and its regions and rates (admin)
+   * @param {String} zoneId - Zone ID
+   */
+  async deleteZone(zoneId) {
+    await this.getZone(zoneId);
+
+    await prisma.shippingZone.delete({
+      where: { id: zoneId }
+    });
+  }
+
+  /**
+   * Add a rate to a shipping zone (admin)
+   * @param {String} zoneId - Zone ID
+   * @param {Object} rateData - { name, type, amount, baseWeightKg, perKgAmount, maxWeightKg,
+   *                            freeThreshold, estimatedDays, carrier, serviceCode, isActive }
+   * @returns {Object} - Created rate
+   */
+  async createRate(zoneId, rateData) {
+    await this.getZone(zoneId);
+
+    return await prisma.shippingZoneRate.create({
+      data: {
+        zoneId,
+        ...this.buildRateData(rateData)
+      }
+    });
+  }
+
+  /**
+   * Update a shipping rate (admin)
+   * @param {String} rateId - Rate ID
+   * @param {Object} rateData - Fields to change
+   * @returns {Object} - Updated rate
+   */
+  async updateRate(rateId, rateData) {
+    const rate = await prisma.shippingZoneRate.findUnique({
+      where: { id: rateId }
+    });
+
+    if (!rate) {
+      throw new Error('Shipping rate not found');
+    }
+
+    return await prisma.shippingZoneRate.update({
+      where: { id: rateId },
+      data: this.buildRateData({ ...rate, ...rateData })
+    });
+  }
+
+  /**
+   * Delete a shipping rate (admin)
+   * @param {String} rateId - Rate ID
+   */
+  async deleteRate(rateId) {
+    const rate = await prisma.shippingZoneRate.findUnique({
+      where: { id: rateId }
+    });
+
+    if (!rate) {
+      throw new Error('Shipping rate not found');
+    }
+
+    await prisma.shippingZoneRate.delete({
+      where: { id: rateId }
+    });
+  }
+
+  /**
+   * Find the active zone for a destination
+   * A postal-code prefix match beats a state match, which beats a country
+   * match; longer prefixes win, then the zone's priority.
+   * @param {Object} address - { country, state, postalCode }
+   * @returns {Object|null} - Zone with active rates, or null if none matches
+   */
+  async findZone(address) {
+    const zones = await prisma.shippingZone.findMany({
+      where: { isActive: true },
+      include: {
+        regions: true,
+        rates: { where: { isActive: true } }
+      }
+    });
+
+    let best = null;
+
+    for (const zone of zones) {
+      for (const region of zone.regions) {
+        const score = this.matchRegion(region, address);
+
+        if (score === null) {
+          continue;
+        }
+
+        if (!best || score > best.score || (score === best.score && zone.priority > best.zone.priority)) {
+          best = { zone, score };
+        }
+      }
+    }
+
+    return best ? best.zone : null;
+  }
+
+  /**
+   * Price a parcel with a zone's rates
+   * @param {Object} zone - Zone with rates
+   * @param {Object} parcel - { weightKg }
+   * @param {Number} orderValue - Order value after discounts, for free-shipping thresholds
+   * @returns {Array} - Rates offered for this parcel
+   */
+  quoteZone(zone, parcel, orderValue) {
+    const quotes = [];
+
+    for (const rate of zone.rates) {
+      if (rate.maxWeightKg !== null && parcel.weightKg > parseFloat(rate.maxWeightKg)) {
+        continue;
+      }
+
+      let amount = parseFloat(rate.amount);
+
+      if (rate.type === 'WEIGHT_BASED') {
+        const extraKg = Math.max(parcel.weightKg - parseFloat(rate.baseWeightKg || 0), 0);
+        amount += Math.ceil(extraKg) * parseFloat(rate.perKgAmount || 0);
+      } else if (rate.type === 'FREE_OVER_THRESHOLD' && orderValue >= parseFloat(rate.freeThreshold)) {
+        amount = 0;
+      }
+
+      quotes.push({
+        rateId: rate.id,
+        carrier: rate.carrier,
+        serviceCode: rate.serviceCode,
+        serviceName: rate.name,
+        amount: roundAmount(amount),
+        currency: 'INR',
+        estimatedDays: rate.estimatedDays
+      });
+    }
+
+    return quotes;
+  }
+
+  /**
+   * How specifically a region matches an address, or null if it doesn't
+   * @private
+   */
+  matchRegion(region, address) {
+    if (normalize(region.country) !== normalize(address.country)) {
+      return null;
+    }
+
+    let score = 0;
+
+    if (region.state) {
+      if (normalize(region.state) !== normalize(address.state)) {
+        return null;
+      }
+      score += 1;
+    }
+
+    if (region.postalCodePrefix) {
+      const postalCode = (address.postalCode || '').replace(/\s/g, '');
+      if (!postalCode.startsWith(region.postalCodePrefix.replace(/\s/g, ''))) {
+        return null;
+      }
+      score += 10 + region.postalCodePrefix.length;
+    }
+
+    return score;
+  }
+
+  /**
+   * @private
+   */
+  validateRegions(regions) {
+    if (!Array.isArray(regions) || regions.length === 0) {
+      throw new Error('At least one region is required');
+    }
+
+    return regions.map(({ country, state, postalCodePrefix }) => {
+      if (!country) {
+        throw new Error('Region country is required');
+      }
+
+      return {
+        country: country.trim(),
+        state: state ? state.trim() : null,
+        postalCodePrefix: postalCodePrefix ? String(postalCodePrefix).trim() : null
+      };
+    });
+  }
+
+  /**
+   * Validate rate fields for the rate's type
+   * @private
+   */
+  buildRateData(rateData) {
+    const { name, type, amount } = rateData;
+    const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+    if (!name) {
+      throw new Error('Rate name is required');
+    }
+
+    if (!RATE_TYPES.includes(type)) {
+      throw new Error(`Rate type must be one of ${RATE_TYPES.join(', ')}`);
+    }
+
+    if (!(parseFloat(amount) >= 0)) {
+      throw new Error('Rate amount must be 0 or more');
+    }
+
+    const data = {
+      name,
+      type,
+      amount: roundAmount(amount),
+      baseWeightKg: optionalNumber(rateData.baseWeightKg),
+      perKgAmount: optionalNumber(rateData.perKgAmount),
+      maxWeightKg: optionalNumber(rateData.maxWeightKg),
+      freeThreshold: optionalNumber(rateData.freeThreshold),
+      estimatedDays: rateData.estimatedDays ? parseInt(rateData.estimatedDays, 10) : null,
+      carrier: rateData.carrier || null,
+      serviceCode: rateData.serviceCode || null,
+      isActive: rateData.isActive !== undefined ? Boolean(rateData.isActive) : true
+    };
+
+    if (type === 'WEIGHT_BASED' && !(data.perKgAmount > 0)) {
+      throw new Error('Weight-based rates need a per-kg amount');
+    }
+
+    if (type === 'FREE_OVER_THRESHOLD' && !(data.freeThreshold > 0)) {
+      throw new Error('Free-over-threshold rates need a threshold');
+    }
+
+    if ((data.carrier === null) !== (data.serviceCode === null)) {
+      throw new Error('Carrier and service code must be set together');
+    }
+
+    return data;
+  }
+}
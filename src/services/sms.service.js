@@ -0,0 +1,148 @@
+import redisManager from '../utils/redisClient.js';
+import { smsKeys } from '../utils/redisKeys.js';
+import { getActiveSmsProvider, getSmsProvider } from './sms/index.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How far along a status is; reports arriving out of order never move a message
+// back from a final status, and a message reported delivered stays delivered
+const STATUS_ORDER = ['QUEUED', 'SENT', 'FAILED', 'DELIVERED'];
+const statusRank = (status) => STATUS_ORDER.indexOf(status);
+
+/**
+ * SMS Service
+ * Sends text messages to customers through the configured provider
+ * (SMS_PROVIDER), retrying transient failures within a time budget, and tracks each message's
+ * delivery status from the provider's delivery reports
+ */
+export class SmsService {
+  constructor() {
+    this.MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS, 10) || 3;
+    this.RETRY_DELAY_MS = 500; // doubled after each failed attempt
+    // Attempts and the waits between them all fit in this, so a send made
+    // while answering a request never outlasts the request
+    this.SEND_TIMEOUT_MS = parseInt(process.env.SMS_SEND_TIMEOUT_MS, 10) || 8000;
+    this.STATUS_TTL = 7 * 24 * 60 * 60; // 7 days in seconds
+  }
+
+  /**
+   * Send an SMS
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} message - Message text; must match the DLT template
+   * @param {Object} options - { template, maxAttempts, timeoutMs }; template names
+   *                           the DLT template, read from SMS_DLT_TEMPLATE_<template>;
+   *                           timeoutMs bounds all attempts together
+   * @returns {Object} - Delivery { provider, messageId, status, attempts }
+   */
+  async sendSms(phoneNumber, message, options = {}) {
+    if (!phoneNumber || !message) {
+      throw new Error('Phone number and message are required');
+    }
+
+    const { template = null, maxAttempts = this.MAX_ATTEMPTS, timeoutMs = this.SEND_TIMEOUT_MS } = options;
+    const provider = getActiveSmsProvider();
+    const dltTemplateId = template ? process.env[`SMS_DLT_TEMPLATE_${template}`] || null : null;
+    const deadline = Date.now() + timeoutMs;
+    let attempts = 0;
+    let lastError;
+
+    while (attempts < maxAttempts) {
+      attempts += 1;
+
+      try {
+        const { messageId, status } = await provider.send({
+          to: phoneNumber,
+          message,
+          dltTemplateId,
+          timeoutMs: deadline - Date.now()
+        });
+        const delivery = {
+          provider: provider.name,
+          messageId,
+          status,
+          attempts,
+          template,
+          error: null,
+          updatedAt: new Date().toISOString()
+        };
+
+        await redisManager.set(smsKeys.delivery(messageId), delivery, this.STATUS_TTL);
+
+        return delivery;
+      } catch (error) {
+        lastError = error;
+
+        // A rejected message fails the same way every time
+        if (error.statusCode && error.statusCode < 500) {
+          break;
+        }
+
+        // Stop once the next attempt could no longer finish in time
+        const delay = this.RETRY_DELAY_MS * 2 ** (attempts - 1);
+        if (attempts >= maxAttempts || Date.now() + delay >= deadline) {
+          break;
+        }
+
+        await sleep(delay);
+      }
+    }
+
+    console.error(`SMS to ${phoneNumber} failed after ${attempts} attempt(s):`, lastError.message);
+
+    const error = new Error(`Failed to send SMS after ${attempts} attempt(s): ${lastError.message}`);
+    error.delivery = {
+      provider: provider.name,
+      messageId: null,
+      status: 'FAILED',
+      attempts,
+      template,
+      error: lastError.message
+    };
+    throw error;
+  }
+
+  /**
+   * Latest known delivery status of a message
+   * @param {string} messageId - Provider message ID
+   * @returns {Object|null} - Delivery, or null once it is no longer tracked
+   */
+  async getDeliveryStatus(messageId) {
+    if (!messageId) {
+      return null;
+    }
+
+    return await redisManager.get(smsKeys.delivery(messageId));
+  }
+
+  /**
+   * Apply a provider's delivery report to the messages it covers
+   * @param {string} providerName - Provider the report came from
+   * @param {Object} request - { rawBody, body, headers, query, url }
+   * @returns {Object} - { received, updated }
+   */
+  async handleDeliveryReport(providerName, request) {
+    const provider = getSmsProvider(providerName);
+    const reports = provider.parseDeliveryReport(request);
+    let updated = 0;
+
+    for (const report of reports) {
+      const key = smsKeys.delivery(report.messageId);
+      const delivery = await redisManager.get(key);
+
+      if (!delivery || delivery.provider !== provider.name ||
+          statusRank(report.status) < statusRank(delivery.status)) {
+        continue;
+      }
+
+      await redisManager.set(key, {
+        ...delivery,
+        status: report.status,
+        error: report.error || null,
+        updatedAt: new Date().toISOString()
+      }, this.STATUS_TTL);
+      updated += 1;
+    }
+
+    return { received: reports.length, updated };
+  }
+}
@@ -0,0 +1,70 @@
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_REQUEST, HTTP_INTERNAL_SERVER_ERROR } from "../../httpStatusCode.js";
+import { SinkSmsProvider } from "./sink.provider.js";
+import { Msg91SmsProvider } from "./msg91.provider.js";
+import { TwilioSmsProvider } from "./twilio.provider.js";
+
+/**
+ * SMS provider registry.
+ *
+ * Every provider adapter exposes the same interface:
+ *   name                                                  - recorded with each delivery
+ *   send({ to, message, dltTemplateId, timeoutMs })       -> { messageId, status }
+ *   parseDeliveryReport({ rawBody, body, headers, query, url })
+ *                                                         -> [{ messageId, status, error }]
+ *
+ * dltTemplateId is the TRAI DLT template the message text was registered
+ * under; Indian operators drop messages that don't match one. timeoutMs is
+ * how long the provider call may take. Adapters throw an ApiError with a 5xx
+ * status for failures worth retrying (network errors, provider outages,
+ * throttling) and a 4xx status for rejected messages.
+ */
+const providers = new Map();
+
+// Normalized delivery statuses, in the order a message moves through them
+const SMS_STATUSES = ["QUEUED", "SENT", "DELIVERED", "FAILED"];
+
+/**
+ * Register an SMS provider adapter under its name
+ * @param {Object} provider - SMS provider adapter
+ */
+const registerSmsProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Get an SMS provider adapter by name
+ * @param {String} name - Provider name
+ * @returns {Object} - SMS provider adapter
+ */
+const getSmsProvider = (name) => {
+    const provider = providers.get(name);
+
+    if (!provider) {
+        throw new ApiError(HTTP_BAD_REQUEST, `Unknown SMS provider: ${name}`);
+    }
+
+    return provider;
+};
+
+/**
+ * Provider messages are sent through, from SMS_PROVIDER
+ * There is no default, so a deployment can't fall back to the sink by accident.
+ * @returns {Object} - SMS provider adapter
+ */
+const getActiveSmsProvider = () => {
+    if (!process.env.SMS_PROVIDER) {
+        throw new ApiError(HTTP_INTERNAL_SERVER_ERROR, "SMS_PROVIDER is not configured");
+    }
+
+    return getSmsProvider(process.env.SMS_PROVIDER);
+};
+
+// The sink only keeps messages locally, so production never gets it
+if (process.env.NODE_ENV !== "production") {
+    registerSmsProvider(new SinkSmsProvider());
+}
+registerSmsProvider(new Msg91SmsProvider());
+registerSmsProvider(new TwilioSmsProvider());
+
+export { SMS_STATUSES, registerSmsProvider, getSmsProvider, getActiveSmsProvider };
@@ -0,0 +1,108 @@
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_REQUEST, HTTP_UNAUTHORIZED } from "../../httpStatusCode.js";
+import { signaturesMatch } from "../gateways/gateway.utils.js";
+import { requestProvider, digitsOnly } from "./sms.utils.js";
+
+const SEND_URL = "https://api.msg91.com/api/sendhttp.php";
+
+// Transactional route; promotional routes are blocked on DND numbers
+const TRANSACTIONAL_ROUTE = "4";
+
+// MSG91 delivery report codes mapped onto the normalized statuses
+const REPORT_STATUSES = {
+    1: "DELIVERED",
+    2: "FAILED",
+    8: "SENT",
+    9: "FAILED", // NDNC
+    16: "FAILED", // rejected
+    17: "FAILED", // blocked
+    25: "FAILED", // rejected by DLT scrubbing
+    26: "SENT", // submitted to operator
+};
+
+/**
+ * MSG91 adapter (https://msg91.com).
+ * Sends plain text through the DLT-aware HTTP API with MSG91_AUTH_KEY and the
+ * registered header MSG91_SENDER_ID. Delivery reports are pushed to
+ * /api/sms/webhooks/msg91?token=MSG91_WEBHOOK_TOKEN, as MSG91 doesn't sign them.
+ */
+class Msg91SmsProvider {
+    constructor() {
+        this.name = "msg91";
+        this.authKey = process.env.MSG91_AUTH_KEY || null;
+        this.senderId = process.env.MSG91_SENDER_ID || null;
+        this.webhookToken = process.env.MSG91_WEBHOOK_TOKEN || null;
+    }
+
+    async send({ to, message, dltTemplateId, timeoutMs }) {
+        if (!this.authKey || !this.senderId) {
+            throw new ApiError(HTTP_BAD_REQUEST, "MSG91_AUTH_KEY and MSG91_SENDER_ID must be set to send SMS through MSG91");
+        }
+
+        if (!dltTemplateId) {
+            throw new ApiError(HTTP_BAD_REQUEST, "MSG91 messages need a DLT template id");
+        }
+
+        const mobile = digitsOnly(to);
+        const params = new URLSearchParams({
+            authkey: this.authKey,
+            mobiles: mobile,
+            message,
+            sender: this.senderId,
+            route: TRANSACTIONAL_ROUTE,
+            // Bare 10-digit numbers are Indian
+            country: mobile.length === 10 ? "91" : "0",
+            DLT_TE_ID: dltTemplateId,
+            response: "json",
+        });
+
+        const { body } = await requestProvider("MSG91", `${SEND_URL}?${params}`, {}, timeoutMs);
+
+        if (body?.type !== "success") {
+            throw new ApiError(HTTP_BAD_REQUEST, `MSG91 rejected the message: ${body?.message || body}`);
+        }
+
+        // On success the message field carries the request id reports refer to
+        return { messageId: body.message, status: "QUEUED" };
+    }
+
+    /**
+     * Read a MSG91 delivery report push
+     * The payload is a list of requests, each with a report per number; it
+     * arrives as JSON or as a form field named data holding the JSON.
+     * @param {Object} request - { body, query }
+     * @returns {Array} - [{ messageId, status, error }]
+     */
+    parseDeliveryReport({ body, query }) {
+        if (!this.webhookToken || !signaturesMatch(this.webhookToken, query?.token)) {
+            throw new ApiError(HTTP_UNAUTHORIZED, "Invalid delivery report token");
+        }
+
+        let requests = body?.data ?? body;
+        if (typeof requests === "string") {
+            try {
+                requests = JSON.parse(requests);
+            } catch (error) {
+                throw new ApiError(HTTP_BAD_REQUEST, "Delivery report data is not valid JSON");
+            }
+        }
+
+        if (!Array.isArray(requests)) {
+            throw new ApiError(HTTP_BAD_REQUEST, "Delivery report has no requests");
+        }
+
+        return requests.flatMap((request) =>
+            (request.report || []).map((report) => {
+                const status = REPORT_STATUSES[report.status] || "SENT";
+
+                return {
+                    messageId: request.requestId,
+                    status,
+                    error: status === "FAILED" ? report.desc || `MSG91 status ${report.status}` : null,
+                };
+            })
+        );
+    }
+}
+
+export { Msg91SmsProvider };
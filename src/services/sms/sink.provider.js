@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import fs from "fs";
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_REQUEST, HTTP_SERVICE_UNAVAILABLE } from "../../httpStatusCode.js";
+
+// Messages kept in memory; older ones are dropped first
+const MAX_MESSAGES = 200;
+
+/**
+ * SMS sink for tests and local development.
+ * Nothing leaves the machine: messages are kept in memory and, when
+ * SMS_SINK_FILE is set, appended to that file as JSON lines so another
+ * process (e.g. an end-to-end test) can read the OTPs sent.
+ */
+class SinkSmsProvider {
+    constructor(filePath = process.env.SMS_SINK_FILE || null) {
+        this.name = "sink";
+        this.filePath = filePath;
+        this.messages = [];
+        this.failures = 0;
+    }
+
+    async send({ to, message, dltTemplateId }) {
+        if (this.failures > 0) {
+            this.failures -= 1;
+            throw new ApiError(HTTP_SERVICE_UNAVAILABLE, "SMS sink failure (simulated)");
+        }
+
+        const entry = {
+            messageId: `sink_${crypto.randomUUID()}`,
+            to,
+            message,
+            dltTemplateId: dltTemplateId || null,
+            sentAt: new Date().toISOString(),
+        };
+
+        this.messages.push(entry);
+        if (this.messages.length > MAX_MESSAGES) {
+            this.messages.shift();
+        }
+
+        if (this.filePath) {
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+        }
+
+        return { messageId: entry.messageId, status: "DELIVERED" };
+    }
+
+    parseDeliveryReport() {
+        throw new ApiError(HTTP_BAD_REQUEST, "The SMS sink does not send delivery reports");
+    }
+
+    /**
+     * Messages sent to a number, newest last
+     * @param {String} to - Phone number
+     * @returns {Array} - Sent messages
+     */
+    getMessages(to) {
+        return to ? this.messages.filter((entry) => entry.to === to) : [...this.messages];
+    }
+
+    /**
+     * Make the next sends fail with a retryable error
+     * @param {Number} count - Sends to fail
+     */
+    failNext(count = 1) {
+        this.failures = count;
+    }
+
+    /**
+     * Forget sent messages and pending failures
+     */
+    clear() {
+        this.messages = [];
+        this.failures = 0;
+    }
+}
+
+export { SinkSmsProvider };
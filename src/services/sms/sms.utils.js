@@ -0,0 +1,43 @@
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_GATEWAY, HTTP_BAD_REQUEST } from "../../httpStatusCode.js";
+
+/**
+ * Call a provider's HTTP API
+ * Network errors, throttling and 5xx responses become retryable (502) errors;
+ * any other non-2xx response means the provider rejected the message (400).
+ * @param {String} provider - Provider name, for error messages
+ * @param {String} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {Number} timeoutMs - Time allowed for the request
+ * @returns {Object} - { status, body } where body is parsed JSON or text
+ */
+const requestProvider = async (provider, url, options = {}, timeoutMs = 10000) => {
+    let response;
+
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+        throw new ApiError(HTTP_BAD_GATEWAY, `${provider} request failed: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let body = text;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        // Some endpoints answer in plain text
+    }
+
+    if (!response.ok) {
+        const detail = body?.message || (typeof body === "string" && body) || response.statusText;
+        const statusCode = response.status === 429 || response.status >= 500 ? HTTP_BAD_GATEWAY : HTTP_BAD_REQUEST;
+        throw new ApiError(statusCode, `${provider} rejected the message: ${detail}`);
+    }
+
+    return { status: response.status, body };
+};
+
+// Digits only, so "+91 98765-43210" and "919876543210" compare equal
+const digitsOnly = (phoneNumber) => String(phoneNumber).replace(/\D/g, "");
+
+export { requestProvider, digitsOnly };
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import ApiError from "../../utils/apiError.js";
+import { HTTP_BAD_REQUEST, HTTP_UNAUTHORIZED } from "../../httpStatusCode.js";
+import { signaturesMatch } from "../gateways/gateway.utils.js";
+import { requestProvider, digitsOnly } from "./sms.utils.js";
+
+const API_URL = "https://api.twilio.com/2010-04-01";
+
+// Twilio message statuses mapped onto the normalized statuses
+const MESSAGE_STATUSES = {
+    accepted: "QUEUED",
+    scheduled: "QUEUED",
+    queued: "QUEUED",
+    sending: "QUEUED",
+    sent: "SENT",
+    delivered: "DELIVERED",
+    undelivered: "FAILED",
+    failed: "FAILED",
+    canceled: "FAILED",
+};
+
+/**
+ * Twilio adapter (https://www.twilio.com).
+ * Sends through the Messages API from TWILIO_MESSAGING_SERVICE_SID or
+ * TWILIO_FROM_NUMBER. Twilio matches Indian messages against the DLT
+ * templates registered on the account, so no template id is sent. Status
+ * callbacks go to TWILIO_STATUS_CALLBACK_URL and are verified with the
+ * X-Twilio-Signature header, which is computed over that exact URL.
+ */
+class TwilioSmsProvider {
+    constructor() {
+        this.name = "twilio";
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID || null;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN || null;
+        this.from = process.env.TWILIO_FROM_NUMBER || null;
+        this.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID || null;
+        this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL || null;
+    }
+
+    async send({ to, message, timeoutMs }) {
+        if (!this.accountSid || !this.authToken || !(this.from || this.messagingServiceSid)) {
+            throw new ApiError(
+                HTTP_BAD_REQUEST,
+                "TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and a sender must be set to send SMS through Twilio"
+            );
+        }
+
+        const mobile = digitsOnly(to);
+        const form = new URLSearchParams({
+            // Bare 10-digit numbers are Indian
+            To: `+${mobile.length === 10 ? `91${mobile}` : mobile}`,
+            Body: message,
+            ...(this.messagingServiceSid ? { MessagingServiceSid: this.messagingServiceSid } : { From: this.from }),
+            ...(this.statusCallbackUrl && { StatusCallback: this.statusCallbackUrl }),
+        });
+
+        const { body } = await requestProvider("Twilio", `${API_URL}/Accounts/${this.accountSid}/Messages.json`, {
+            method: "POST",
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString("base64")}`,
+                "Content-Type": "application/x-www-form-urlencoded",
+            },
+            body: form,
+        }, timeoutMs);
+
+        return { messageId: body.sid, status: MESSAGE_STATUSES[body.status] || "QUEUED" };
+    }
+
+    /**
+     * Sign a status callback the way Twilio does: HMAC-SHA1 of the URL
+     * followed by every form field name and value, sorted by name
+     * @param {String} url - Callback URL
+     * @param {Object} params - Form fields
+     * @returns {String} - Base64 signature
+     */
+    sign(url, params = {}) {
+        const payload = Object.keys(params)
+            .sort()
+            .reduce((value, key) => `${value}${key}${params[key]}`, url);
+
+        return crypto.createHmac("sha1", this.authToken).update(payload).digest("base64");
+    }
+
+    /**
+     * Read a Twilio status callback
+     * @param {Object} request - { body, headers, url }; url is used when
+     *                           TWILIO_STATUS_CALLBACK_URL isn't set
+     * @returns {Array} - [{ messageId, status, error }]
+     */
+    parseDeliveryReport({ body, headers, url }) {
+        const signature = headers["x-twilio-signature"];
+
+        if (!this.authToken || !signaturesMatch(this.sign(this.statusCallbackUrl || url, body), signature)) {
+            throw new ApiError(HTTP_UNAUTHORIZED, "Invalid delivery report signature");
+        }
+
+        if (!body?.MessageSid || !body.MessageStatus) {
+            throw new ApiError(HTTP_BAD_REQUEST, "MessageSid and MessageStatus are required");
+        }
+
+        const status = MESSAGE_STATUSES[body.MessageStatus] || "SENT";
+
+        return [{
+            messageId: body.MessageSid,
+            status,
+            error: status === "FAILED" ? `Twilio error ${body.ErrorCode || body.MessageStatus}` : null,
+        }];
+    }
+}
+
+export { TwilioSmsProvider };
@@ -0,0 +1,211 @@
+import { prisma } from '../database/connect.js';
+import { roundAmount, allocate } from '../utils/money.js';
+
+// Case- and whitespace-insensitive comparison for state names
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Tax Service
+ * GST on goods: CGST + SGST when the goods stay in the seller's state, IGST
+ * when they cross a state border. Rates come from the HSN-based TaxRate table.
+ */
+export class TaxService {
+  constructor() {
+    this.SELLER_STATE = process.env.GST_SELLER_STATE || process.env.SHIPPING_ORIGIN_STATE || null;
+    this.DEFAULT_RATE = process.env.GST_DEFAULT_RATE !== undefined && process.env.GST_DEFAULT_RATE !== ''
+      ? parseFloat(process.env.GST_DEFAULT_RATE)
+      : 18;
+  }
+
+  /**
+   * List tax rates (admin)
+   * @param {Object} options - { includeInactive }
+   * @returns {Array} - Tax rates ordered by HSN code
+   */
+  async listRates(options = {}) {
+    return await prisma.taxRate.findMany({
+      where: options.includeInactive ? {} : { isActive: true },
+      orderBy: { hsnCode: 'asc' }
+    });
+  }
+
+  /**
+   * Create a tax rate (admin)
+   * @param {Object} rateData - { hsnCode, rate, description, isActive }
+   * @returns {Object} - Created tax rate
+   */
+  async createRate(rateData) {
+    const data = this.buildRateData(rateData);
+
+    const existing = await prisma.taxRate.findUnique({
+      where: { hsnCode: data.hsnCode }
+    });
+
+    if (existing) {
+      throw new Error(`A tax rate for HSN ${data.hsnCode} already exists`);
+    }
+
+    return await prisma.taxRate.create({ data });
+  }
+
+  /**
+   * Update a tax rate (admin)
+   * @param {String} rateId - Tax rate ID
+   * @param {Object} rateData - Fields to change
+   * @returns {Object} - Updated tax rate
+   */
+  async updateRate(rateId, rateData) {
+    const taxRate = await prisma.taxRate.findUnique({
+      where: { id: rateId }
+    });
+
+    if (!taxRate) {
+      throw new Error('Tax rate not found');
+    }
+
+    const data = this.buildRateData({ ...taxRate, ...rateData });
+
+    if (data.hsnCode !== taxRate.hsnCode) {
+      const existing = await prisma.taxRate.findUnique({
+        where: { hsnCode: data.hsnCode }
+      });
+
+      if (existing) {
+        throw new Error(`A tax rate for HSN ${data.hsnCode} already exists`);
+      }
+    }
+
+    return await prisma.taxRate.update({
+      where: { id: rateId },
+      data
+    });
+  }
+
+  /**
+   * Delete a tax rate (admin)
+   * @param {String} rateId - Tax rate ID
+   */
+  async deleteRate(rateId) {
+    const taxRate = await prisma.taxRate.findUnique({
+      where: { id: rateId }
+    });
+
+    if (!taxRate) {
+      throw new Error('Tax rate not found');
+    }
+
+    await prisma.taxRate.delete({
+      where: { id: rateId }
+    });
+  }
+
+  /**
+   * Calculate GST for a set of lines
+   * Discounts are taken off before tax: `discount` on a line, plus any
+   * order-level `discountTotal` shared across lines by value.
+   * @param {Array} lines - [{ product: { taxable, taxCode }, amount, discount }]
+   * @param {Object} options - { discountTotal, destinationState }; without a
+   *                           destination the supply is treated as intra-state
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Object} - { taxTotal, supplyType, sellerState, placeOfSupply, lines: [breakdown] }
+   */
+  async calculateTax(lines, options = {}, tx = prisma) {
+    const { discountTotal = 0, destinationState = null } = options;
+    const interState = Boolean(
+      destinationState && this.SELLER_STATE && normalize(destinationState) !== normalize(this.SELLER_STATE)
+    );
+
+    const rates = await tx.taxRate.findMany({
+      where: { isActive: true },
+      select: { hsnCode: true, rate: true }
+    });
+
+    const netAmounts = lines.map(line => Math.max(parseFloat(line.amount) - parseFloat(line.discount || 0), 0));
+    const shares = allocate(parseFloat(discountTotal) || 0, netAmounts);
+
+    let taxTotal = 0;
+
+    const breakdown = lines.map((line, index) => {
+      const taxableAmount = roundAmount(Math.max(netAmounts[index] - shares[index], 0));
+      const hsnCode = line.product?.taxCode || null;
+      const rate = line.product?.taxable === false ? 0 : this.findRate(rates, hsnCode);
+
+      const lineTax = {
+        hsnCode,
+        taxableAmount,
+        rate,
+        cgstRate: 0,
+        cgst: 0,
+        sgstRate: 0,
+        sgst: 0,
+        igstRate: 0,
+        igst: 0,
+        totalTax: 0
+      };
+
+      if (interState) {
+        lineTax.igstRate = rate;
+        lineTax.igst = roundAmount(taxableAmount * rate / 100);
+        lineTax.totalTax = lineTax.igst;
+      } else {
+        lineTax.cgstRate = rate / 2;
+        lineTax.sgstRate = rate / 2;
+        lineTax.cgst = roundAmount(taxableAmount * rate / 200);
+        lineTax.sgst = roundAmount(taxableAmount * rate / 200);
+        lineTax.totalTax = roundAmount(lineTax.cgst + lineTax.sgst);
+      }
+
+      taxTotal += lineTax.totalTax;
+
+      return lineTax;
+    });
+
+    return {
+      taxTotal: roundAmount(taxTotal),
+      supplyType: interState ? 'INTER_STATE' : 'INTRA_STATE',
+      sellerState: this.SELLER_STATE,
+      placeOfSupply: destinationState || this.SELLER_STATE,
+      lines: breakdown
+    };
+  }
+
+  /**
+   * GST rate for an HSN code: the longest matching prefix, else GST_DEFAULT_RATE
+   * @private
+   */
+  findRate(rates, hsnCode) {
+    const code = (hsnCode || '').replace(/\s/g, '');
+    let best = null;
+
+    for (const taxRate of rates) {
+      if (code.startsWith(taxRate.hsnCode) && (!best || taxRate.hsnCode.length > best.hsnCode.length)) {
+        best = taxRate;
+      }
+    }
+
+    return best ? parseFloat(best.rate) : this.DEFAULT_RATE;
+  }
+
+  /**
+   * @private
+   */
+  buildRateData(rateData) {
+    const hsnCode = String(rateData.hsnCode || '').replace(/\s/g, '');
+    const rate = parseFloat(rateData.rate);
+
+    if (!/^\d{2,8}$/.test(hsnCode)) {
+      throw new Error('HSN code must be 2 to 8 digits');
+    }
+
+    if (!(rate >= 0 && rate <= 100)) {
+      throw new Error('GST rate must be between 0 and 100');
+    }
+
+    return {
+      hsnCode,
+      rate,
+      description: rateData.description || null,
+      isActive: rateData.isActive !== undefined ? Boolean(rateData.isActive) : true
+    };
+  }
+}
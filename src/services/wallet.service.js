@@ -0,0 +1,384 @@
+import { prisma } from '../database/connect.js';
+import { claimRefund, markRefundCompleted } from './payment.service.js';
+import { roundAmount } from '../utils/money.js';
+
+/**
+ * Wallet Service
+ * Store credit balance and ledger backed by CreditTransaction.
+ * Every change is a ledger entry carrying the balance after it; credit entries
+ * also track their unspent `remaining` so they can expire individually.
+ */
+export class WalletService {
+  constructor() {
+    this.CREDIT_EXPIRY_DAYS = parseInt(process.env.STORE_CREDIT_EXPIRY_DAYS, 10) || null; // null = never
+  }
+
+  /**
+   * Get a user's store credit balance
+   * @param {String} userId - User ID
+   * @param {Object} tx - Prisma client or transaction client
+   * @returns {Number} - Balance
+   */
+  async getBalance(userId, tx = prisma) {
+    const { _sum } = await tx.creditTransaction.aggregate({
+      where: { userId },
+      _sum: { amount: true }
+    });
+
+    return roundAmount(_sum.amount || 0);
+  }
+
+  /**
+   * Get a user's wallet summary
+   * @param {String} userId - User ID
+   * @returns {Object} - Balance and credits that will expire
+   */
+  async getWallet(userId) {
+    const [balance, expiringCredits] = await Promise.all([
+      this.getBalance(userId),
+      prisma.creditTransaction.findMany({
+        where: {
+          userId,
+          remaining: { gt: 0 },
+          expiresAt: { not: null }
+        },
+        orderBy: { expiresAt: 'asc' },
+        select: { id: true, remaining: true, expiresAt: true }
+      })
+    ]);
+
+    return {
+      balance,
+      currency: 'INR',
+      expiringCredits
+    };
+  }
+
+  /**
+   * Get a user's ledger entries, newest first
+   * @param {String} userId - User ID
+   * @param {Object} options - Pagination and type filter
+   * @returns {Object} - Transactions with pagination info
+   */
+  async getTransactions(userId, options = {}) {
+    const { page = 1, limit = 20, type } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { userId };
+    if (type) {
+      where.type = type;
+    }
+
+    const [transactions, totalCount] = await Promise.all([
+      prisma.creditTransaction.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.creditTransaction.count({ where })
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Add store credit
+   * @param {String} userId - User ID
+   * @param {Number} amount - Amount to add
+   * @param {Object} entry - { type, description, referenceId, expiresAt }
+   * @param {Object} tx - Transaction client (a new transaction is opened if omitted)
+   * @returns {Object} - Ledger entry
+   */
+  async credit(userId, amount, entry, tx) {
+    const creditAmount = roundAmount(amount);
+
+    if (!(creditAmount > 0)) {
+      throw new Error('Credit amount must be greater than 0');
+    }
+
+    return await this.runInTransaction(tx, async (tx) => {
+      await this.lockWallet(userId, tx);
+      const balance = await this.getBalance(userId, tx);
+
+      return await tx.creditTransaction.create({
+        data: {
+          userId,
+          amount: creditAmount,
+          type: entry.type,
+          description: entry.description,
+          referenceId: entry.referenceId || null,
+          balance: roundAmount(balance + creditAmount),
+          remaining: creditAmount,
+          expiresAt: entry.expiresAt !== undefined ? entry.expiresAt : this.getDefaultExpiry()
+        }
+      });
+    });
+  }
+
+  /**
+   * Spend store credit
+   * Draws down the credits that expire soonest first.
+   * @param {String} userId - User ID
+   * @param {Number} amount - Amount to spend
+   * @param {Object} entry - { type, description, referenceId }
+   * @param {Object} tx - Transaction client (a new transaction is opened if omitted)
+   * @returns {Object} - Ledger entry
+   */
+  async debit(userId, amount, entry, tx) {
+    const debitAmount = roundAmount(amount);
+
+    if (!(debitAmount > 0)) {
+      throw new Error('Debit amount must be greater than 0');
+    }
+
+    return await this.runInTransaction(tx, async (tx) => {
+      await this.lockWallet(userId, tx);
+      const balance = await this.getBalance(userId, tx);
+
+      if (balance < debitAmount) {
+        throw new Error(`Insufficient store credit: only ₹${balance.toFixed(2)} available`);
+      }
+
+      await this.consumeCredits(userId, debitAmount, tx);
+
+      return await tx.creditTransaction.create({
+        data: {
+          userId,
+          amount: -debitAmount,
+          type: entry.type,
+          description: entry.description,
+          referenceId: entry.referenceId || null,
+          balance: roundAmount(balance - debitAmount)
+        }
+      });
+    });
+  }
+
+  /**
+   * Refund part of an order to the customer's store credit
+   * @param {Object} order - Order (id, userId, orderNumber)
+   * @param {Number} amount - Amount to refund
+   * @param {String} reason - Refund reason
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Object} - Completed refund record
+   */
+  async refundOrder(order, amount, reason, tx) {
+    const refund = await tx.refund.create({
+      data: {
+        orderId: order.id,
+        amount,
+        reason,
+        status: 'PENDING',
+        notes: 'Refunded to store credit'
+      }
+    });
+
+    return await this.creditRefund(refund, order, tx);
+  }
+
+  /**
+   * Pay a pending refund out as store credit
+   * @param {Object} refund - Pending refund
+   * @param {Object} order - Order (userId, orderNumber)
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Object} - Completed refund record
+   */
+  async creditRefund(refund, order, tx) {
+    // Claim the refund first so a concurrent approval can't pay it out twice
+    await claimRefund(refund.id, tx);
+    await markRefundCompleted(refund.id, null, tx);
+
+    const creditEntry = await this.credit(order.userId, refund.amount, {
+      type: 'REFUND',
+      description: `Refund for order ${order.orderNumber}`,
+      referenceId: refund.id
+    }, tx);
+
+    return await tx.refund.update({
+      where: { id: refund.id },
+      data: { transactionId: creditEntry.id }
+    });
+  }
+
+  /**
+   * Manually adjust a user's balance (admin)
+   * @param {String} userId - User ID
+   * @param {Number} amount - Positive to add credit, negative to remove it
+   * @param {Object} adjustment - { description, expiresAt }
+   * @param {String} adminId - Admin making the adjustment
+   * @returns {Object} - Ledger entry
+   */
+  async adjustBalance(userId, amount, adjustment, adminId) {
+    const { description, expiresAt } = adjustment;
+    const adjustAmount = roundAmount(amount);
+
+    if (!adjustAmount) {
+      throw new Error('Adjustment amount must be a non-zero number');
+    }
+
+    if (!description) {
+      throw new Error('Adjustment description is required');
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new Error('Expiry date must be in the future');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const entry = {
+      type: 'MANUAL_ADJUSTMENT',
+      description,
+      referenceId: adminId
+    };
+
+    if (adjustAmount > 0) {
+      return await this.credit(userId, adjustAmount, {
+        ...entry,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+    }
+
+    return await this.debit(userId, -adjustAmount, entry);
+  }
+
+  /**
+   * Expire the unspent part of credits past their expiry date
+   * @param {Number} batchSize - Maximum number of credits to expire in one run
+   * @returns {Number} - Number of credits expired
+   */
+  async expireCredits(batchSize = 100) {
+    const now = new Date();
+
+    const expiredCredits = await prisma.creditTransaction.findMany({
+      where: {
+        remaining: { gt: 0 },
+        expiresAt: { lte: now }
+      },
+      select: { id: true, userId: true },
+      orderBy: { expiresAt: 'asc' },
+      take: batchSize
+    });
+
+    let expiredCount = 0;
+
+    for (const { id, userId } of expiredCredits) {
+      const expired = await prisma.$transaction(async (tx) => {
+        await this.lockWallet(userId, tx);
+
+        // Re-read under the lock; a purchase may have spent it meanwhile
+        const creditEntry = await tx.creditTransaction.findUnique({ where: { id } });
+        const remaining = roundAmount(creditEntry?.remaining || 0);
+
+        if (remaining <= 0) {
+          return false;
+        }
+
+        const balance = await this.getBalance(userId, tx);
+
+        await tx.creditTransaction.update({
+          where: { id },
+          data: { remaining: 0 }
+        });
+
+        await tx.creditTransaction.create({
+          data: {
+            userId,
+            amount: -remaining,
+            type: 'EXPIRY',
+            description: 'Store credit expired',
+            referenceId: id,
+            balance: roundAmount(balance - remaining)
+          }
+        });
+
+        return true;
+      });
+
+      if (expired) {
+        expiredCount++;
+      }
+    }
+
+    return expiredCount;
+  }
+
+  /**
+   * Draw down unspent credits, soonest-expiring first and never-expiring last
+   * @private
+   */
+  async consumeCredits(userId, amount, tx) {
+    const credits = await tx.creditTransaction.findMany({
+      where: { userId, remaining: { gt: 0 } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    credits.sort((a, b) => {
+      if (!a.expiresAt || !b.expiresAt) {
+        return (a.expiresAt ? 0 : 1) - (b.expiresAt ? 0 : 1);
+      }
+      return a.expiresAt - b.expiresAt;
+    });
+
+    let toConsume = amount;
+
+    for (const creditEntry of credits) {
+      if (toConsume <= 0) {
+        break;
+      }
+
+      const used = Math.min(roundAmount(creditEntry.remaining), toConsume);
+
+      await tx.creditTransaction.update({
+        where: { id: creditEntry.id },
+        data: { remaining: roundAmount(parseFloat(creditEntry.remaining) - used) }
+      });
+
+      toConsume = roundAmount(toConsume - used);
+    }
+  }
+
+  /**
+   * Serialize ledger writes for a user by locking their row until the transaction ends
+   * @private
+   */
+  async lockWallet(userId, tx) {
+    await tx.$queryRaw`SELECT id FROM User WHERE id = ${userId} FOR UPDATE`;
+  }
+
+  /**
+   * Run a callback in the given transaction, or in a new one
+   * @private
+   */
+  async runInTransaction(tx, callback) {
+    return tx ? await callback(tx) : await prisma.$transaction(callback);
+  }
+
+  /**
+   * Expiry date for new credits, if STORE_CREDIT_EXPIRY_DAYS is set
+   * @private
+   */
+  getDefaultExpiry() {
+    if (!this.CREDIT_EXPIRY_DAYS) {
+      return null;
+    }
+
+    return new Date(Date.now() + this.CREDIT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  }
+}
@@ -0,0 +1,18 @@
+import crypto from 'crypto';
+
+/**
+ * Generated coupon codes
+ */
+
+// Unambiguous characters for generated coupon codes (no 0/O or 1/I)
+export const DEFAULT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random coupon code
+ * @param {Object} options - { prefix, length, alphabet }
+ * @returns {String} - Prefix followed by length random characters of the alphabet
+ */
+export const generateCouponCode = ({ prefix = '', length = 10, alphabet = DEFAULT_CODE_ALPHABET } = {}) => {
+  const suffix = Array.from({ length }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+  return `${prefix}${suffix}`;
+};
@@ -0,0 +1,91 @@
+/**
+ * Cron expressions
+ * Standard five-field expressions (minute hour day-of-month month day-of-week)
+ * with an optional leading seconds field. Fields accept *, lists (1,15),
+ * ranges (1-5) and steps (*\/10, 0-30/5). Times are the server's local time.
+ */
+
+// [min, max] of each field, seconds first
+const FIELD_RANGES = [
+  [0, 59], // second
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 7] // day of week (0 and 7 are Sunday)
+];
+
+const parseField = (field, [min, max], expression) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      [start, end] = range.split('-').map(value => parseInt(value, 10));
+      if (end === undefined) {
+        // "5/15" means from 5 to the end of the range
+        end = stepText === undefined ? start : max;
+      }
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron expression "${expression}": bad field "${field}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - Cron expression
+ * @returns {Object} - { expression, hasSeconds, matches(date) }
+ */
+export const parseCron = (expression) => {
+  const fields = expression.trim().split(/\s+/);
+
+  if (fields.length !== 5 && fields.length !== 6) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 or 6 fields`);
+  }
+
+  const hasSeconds = fields.length === 6;
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = (hasSeconds ? fields : ['0', ...fields])
+    .map((field, index) => parseField(field, FIELD_RANGES[index], expression));
+
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  // As in cron, a restricted day of month and day of week match either one
+  const anyDayOfMonth = (hasSeconds ? fields[3] : fields[2]) === '*';
+  const anyDayOfWeek = (hasSeconds ? fields[5] : fields[4]) === '*';
+
+  const matchesDay = (date) => {
+    const domMatch = dayOfMonth.has(date.getDate());
+    const dowMatch = dayOfWeek.has(date.getDay());
+
+    if (anyDayOfMonth || anyDayOfWeek) {
+      return domMatch && dowMatch;
+    }
+
+    return domMatch || dowMatch;
+  };
+
+  return {
+    expression,
+    hasSeconds,
+    matches: (date) => second.has(date.getSeconds()) &&
+      minute.has(date.getMinutes()) &&
+      hour.has(date.getHours()) &&
+      month.has(date.getMonth() + 1) &&
+      matchesDay(date)
+  };
+};
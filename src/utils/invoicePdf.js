@@ -0,0 +1,191 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Invoice PDF rendering
+ * Lays out a stored tax invoice or credit note snapshot on an A4 page
+ */
+
+const MARGIN = 40;
+const PAGE_WIDTH = 595.28; // A4 in points
+
+// Standard PDF fonts have no rupee sign
+const money = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+const formatAddress = (address) => [
+  address.line1,
+  address.line2,
+  `${address.city}, ${address.state} ${address.postalCode}`,
+  address.country,
+  address.phoneNumber ? `Phone: ${address.phoneNumber}` : null
+].filter(Boolean).join('\n');
+
+// Column layout of the line table: [header, width, alignment]
+const lineColumns = (interState) => [
+  ['Item', 120, 'left'],
+  ['HSN', 45, 'left'],
+  ['Qty', 25, 'right'],
+  ['Rate', 50, 'right'],
+  ['Discount', 45, 'right'],
+  ['Taxable', 55, 'right'],
+  ...(interState
+    ? [['IGST', 60, 'right']]
+    : [['CGST', 60, 'right'], ['SGST', 60, 'right']]),
+  ['Total', interState ? 115 : 55, 'right']
+].map(([header, width, align]) => ({ header, width, align }));
+
+const lineCells = (line, interState) => [
+  line.sku ? `${line.name}\nSKU: ${line.sku}` : line.name,
+  line.hsnCode || '-',
+  String(line.quantity),
+  Number(line.unitPrice).toFixed(2),
+  Number(line.discount).toFixed(2),
+  Number(line.taxableAmount).toFixed(2),
+  ...(interState
+    ? [`${Number(line.igst).toFixed(2)} @${line.igstRate}%`]
+    : [`${Number(line.cgst).toFixed(2)} @${line.cgstRate}%`, `${Number(line.sgst).toFixed(2)} @${line.sgstRate}%`]),
+  Number(line.total).toFixed(2)
+];
+
+const drawRow = (doc, columns, cells, y, options = {}) => {
+  let x = MARGIN;
+  let height = 0;
+
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+  columns.forEach((column, index) => {
+    doc.text(cells[index], x + 2, y, { width: column.width - 4, align: column.align });
+    height = Math.max(height, doc.heightOfString(cells[index], { width: column.width - 4 }));
+    x += column.width;
+  });
+
+  return y + height + 6;
+};
+
+/**
+ * Render an invoice or credit note
+ * @param {Object} invoice - Invoice record with its metadata snapshot
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const data = invoice.metadata;
+  const isCreditNote = invoice.type === 'CREDIT_NOTE';
+  const interState = data.supplyType === 'INTER_STATE';
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+  // Seller and document details
+  doc.font('Helvetica-Bold').fontSize(16).text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'right' });
+  doc.moveUp();
+  doc.fontSize(12).text(data.seller.name || '', MARGIN);
+  doc.font('Helvetica').fontSize(9);
+  if (data.seller.address) {
+    doc.text(data.seller.address, { width: contentWidth / 2 });
+  }
+  if (data.seller.state) {
+    doc.text(`State: ${data.seller.state}`);
+  }
+  doc.text(`GSTIN: ${data.seller.gstin || '-'}`);
+
+  const detailsTop = doc.y + 10;
+  const details = [
+    [isCreditNote ? 'Credit note no.' : 'Invoice no.', invoice.number],
+    ['Date', formatDate(invoice.issuedAt)],
+    ...(isCreditNote ? [['Against invoice', `${data.invoiceNumber} (${formatDate(data.invoiceDate)})`]] : []),
+    ['Order no.', data.orderNumber],
+    ['Order date', formatDate(data.orderDate)],
+    ['Place of supply', data.placeOfSupply || '-'],
+    ...(isCreditNote && data.reason ? [['Reason', data.reason]] : [])
+  ];
+
+  doc.y = detailsTop;
+  for (const [label, value] of details) {
+    doc.font('Helvetica-Bold').text(`${label}: `, MARGIN, doc.y, { continued: true });
+    doc.font('Helvetica').text(value);
+  }
+
+  // Addresses
+  const addressTop = doc.y + 12;
+  const halfWidth = contentWidth / 2 - 10;
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Bill to', MARGIN, addressTop);
+  doc.font('Helvetica').text(
+    [data.customer?.name, formatAddress(data.billingAddress)].filter(Boolean).join('\n'),
+    { width: halfWidth }
+  );
+  const billBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Ship to', MARGIN + contentWidth / 2, addressTop);
+  doc.font('Helvetica').text(
+    [data.customer?.name, formatAddress(data.shippingAddress)].filter(Boolean).join('\n'),
+    { width: halfWidth }
+  );
+
+  // Line items
+  const columns = lineColumns(interState);
+  let y = Math.max(billBottom, doc.y) + 16;
+
+  y = drawRow(doc, columns, columns.map(column => column.header), y, { bold: true });
+  doc.moveTo(MARGIN, y - 3).lineTo(MARGIN + contentWidth, y - 3).stroke();
+
+  for (const line of data.lines) {
+    if (y > 760) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y = drawRow(doc, columns, lineCells(line, interState), y);
+  }
+
+  doc.moveTo(MARGIN, y - 3).lineTo(MARGIN + contentWidth, y - 3).stroke();
+
+  // Totals
+  const totals = [
+    ['Taxable value', money(invoice.taxableAmount)],
+    ...(interState
+      ? [['IGST', money(invoice.taxTotal)]]
+      : [
+        ['CGST', money(data.lines.reduce((sum, line) => sum + line.cgst, 0))],
+        ['SGST', money(data.lines.reduce((sum, line) => sum + line.sgst, 0))]
+      ]),
+    ...(data.shipping ? [['Shipping', money(data.shipping)]] : []),
+    [isCreditNote ? 'Total credit' : 'Invoice total', money(invoice.total)]
+  ];
+
+  doc.y = y + 6;
+  for (const [label, value] of totals) {
+    const rowY = doc.y;
+    doc.font(label === totals[totals.length - 1][0] ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, MARGIN + contentWidth - 220, rowY, { width: 120 });
+    doc.text(value, MARGIN + contentWidth - 100, rowY, { width: 100, align: 'right' });
+  }
+
+  if (data.coupons?.length) {
+    doc.moveDown().font('Helvetica-Bold').text('Coupon discounts (included in the discount column)', MARGIN);
+    doc.font('Helvetica');
+    for (const coupon of data.coupons) {
+      doc.text(`${coupon.code}: ${money(coupon.discountAmount)}`);
+    }
+  }
+
+  doc.moveDown(2).fontSize(8).text(
+    interState
+      ? 'Inter-state supply: IGST charged.'
+      : 'Intra-state supply: CGST and SGST charged.',
+    MARGIN
+  );
+  doc.text('This is a computer-generated document and does not require a signature.');
+
+  doc.end();
+});
@@ -0,0 +1,35 @@
+/**
+ * Money helpers. Amounts are rupees, kept to the paisa.
+ */
+
+/**
+ * Round a money amount to paise
+ * @param {Number|String} amount - Amount, also as the Decimal or string Prisma returns
+ * @returns {Number} - Rounded amount
+ */
+export const roundAmount = (amount) => Math.round(parseFloat(amount) * 100) / 100;
+
+/**
+ * Split an amount across lines in proportion to their values, to the paisa,
+ * never giving a line more than its value
+ * @param {Number} amount - Amount to split; no more than the values' total is given out
+ * @param {Array<Number>} values - Line values
+ * @returns {Array<Number>} - Each line's share, in the order of values
+ */
+export const allocate = (amount, values) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  if (!(amount > 0) || !(total > 0)) {
+    return values.map(() => 0);
+  }
+
+  let remaining = roundAmount(Math.min(amount, total));
+
+  return values.map((value, index) => {
+    const share = index === values.length - 1
+      ? Math.min(remaining, roundAmount(value))
+      : Math.min(roundAmount(remaining * value / values.slice(index).reduce((sum, rest) => sum + rest, 0)), value);
+    remaining = roundAmount(remaining - share);
+    return share;
+  });
+};
@@ -0,0 +1,150 @@
+import { formatCurrency } from './orderUtils.js';
+
+/**
+ * Order notification templates
+ * Each template turns an order and event details into an email (subject,
+ * text, html) and a short SMS text.
+ */
+
+const orderUrl = (order) => `${process.env.FRONTEND_URL}/orders/${order.id}`;
+
+const button = (url, label) => `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${url}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">${label}</a>
+        </div>`;
+
+// Wrap paragraphs in the layout used by the other Cladily emails
+const layout = (heading, firstName, paragraphs, action) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        <p>Hello ${firstName},</p>
+        ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n        ')}
+        ${action ? button(action.url, action.label) : ''}
+        <p>Best regards,<br>The Cladily Team</p>
+      </div>
+    `;
+
+const plainText = (firstName, paragraphs, action) => [
+  `Hello ${firstName},`,
+  ...paragraphs,
+  ...(action ? [`${action.label}: ${action.url}`] : []),
+  'Best regards,\nThe Cladily Team'
+].join('\n\n');
+
+const trackingLine = (fulfillment) => {
+  if (!fulfillment?.trackingNumber) {
+    return null;
+  }
+
+  const carrier = fulfillment.carrierName ? ` with ${fulfillment.carrierName}` : '';
+  return `Tracking number${carrier}: ${fulfillment.trackingNumber}`;
+};
+
+const TEMPLATES = {
+  ORDER_PLACED: ({ order }) => ({
+    subject: `Order Confirmation #${order.orderNumber}`,
+    heading: 'Thank you for your order!',
+    paragraphs: [
+      `Your order #${order.orderNumber} for ${formatCurrency(order.total, order.currency)} has been received and is being processed.`
+    ],
+    action: { url: orderUrl(order), label: 'View Order Details' },
+    sms: `Cladily: Order #${order.orderNumber} for ${formatCurrency(order.total, order.currency)} received. We'll let you know when it ships.`
+  }),
+
+  PAYMENT_FAILED: ({ order, reason }) => ({
+    subject: `Payment failed for order #${order.orderNumber}`,
+    heading: 'Your payment did not go through',
+    paragraphs: [
+      `We couldn't collect payment for order #${order.orderNumber}${reason ? ` (${reason})` : ''}.`,
+      'Your order is still waiting for payment. Please try paying again from your order page.'
+    ],
+    action: { url: orderUrl(order), label: 'Retry Payment' },
+    sms: `Cladily: Payment for order #${order.orderNumber} failed. Please retry from your order page.`
+  }),
+
+  ORDER_SHIPPED: ({ order, fulfillment }) => ({
+    subject: `Your order #${order.orderNumber} has shipped`,
+    heading: 'Your order is on its way',
+    paragraphs: [
+      `Items from order #${order.orderNumber} have shipped.`,
+      trackingLine(fulfillment),
+      fulfillment?.estimatedDelivery
+        ? `Estimated delivery: ${new Date(fulfillment.estimatedDelivery).toLocaleDateString('en-IN')}`
+        : null
+    ].filter(Boolean),
+    action: fulfillment?.trackingUrl
+      ? { url: fulfillment.trackingUrl, label: 'Track Shipment' }
+      : { url: orderUrl(order), label: 'View Order Details' },
+    sms: `Cladily: Order #${order.orderNumber} has shipped.${fulfillment?.trackingUrl ? ` Track it: ${fulfillment.trackingUrl}` : ''}`
+  }),
+
+  OUT_FOR_DELIVERY: ({ order, fulfillment }) => ({
+    subject: `Your order #${order.orderNumber} is out for delivery`,
+    heading: 'Arriving today',
+    paragraphs: [
+      `A shipment from order #${order.orderNumber} is out for delivery and should reach you today.`,
+      trackingLine(fulfillment)
+    ].filter(Boolean),
+    action: fulfillment?.trackingUrl
+      ? { url: fulfillment.trackingUrl, label: 'Track Shipment' }
+      : null,
+    sms: `Cladily: Order #${order.orderNumber} is out for delivery today.`
+  }),
+
+  ORDER_DELIVERED: ({ order }) => ({
+    subject: `Your order #${order.orderNumber} has been delivered`,
+    heading: 'Delivered!',
+    paragraphs: [
+      `Order #${order.orderNumber} has been delivered. We hope you love it.`,
+      'If something isn\'t right, you can request a return from your order page.'
+    ],
+    action: { url: orderUrl(order), label: 'View Order Details' },
+    sms: `Cladily: Order #${order.orderNumber} has been delivered. Enjoy!`
+  }),
+
+  ORDER_CANCELED: ({ order, reason }) => ({
+    subject: `Your order #${order.orderNumber} has been canceled`,
+    heading: 'Order canceled',
+    paragraphs: [
+      `Order #${order.orderNumber} has been canceled${reason ? `: ${reason}` : '.'}`,
+      'Any amount you paid will be refunded to your original payment method or store credit.'
+    ],
+    action: { url: orderUrl(order), label: 'View Order Details' },
+    sms: `Cladily: Order #${order.orderNumber} has been canceled. Any payment will be refunded.`
+  }),
+
+  REFUND_ISSUED: ({ order, amount }) => ({
+    subject: `Refund issued for order #${order.orderNumber}`,
+    heading: 'Your refund is on its way',
+    paragraphs: [
+      `We've refunded ${formatCurrency(amount, order.currency)} for order #${order.orderNumber}.`,
+      'Bank and card refunds can take 5-7 working days to show up; store credit is available right away.'
+    ],
+    action: { url: orderUrl(order), label: 'View Order Details' },
+    sms: `Cladily: Refund of ${formatCurrency(amount, order.currency)} issued for order #${order.orderNumber}.`
+  })
+};
+
+/**
+ * Render an order notification
+ * @param {String} event - NotificationEvent
+ * @param {Object} data - { order, firstName, ...event details }
+ * @returns {Object} - { subject, text, html, sms }
+ */
+export const renderOrderNotification = (event, data) => {
+  const template = TEMPLATES[event];
+
+  if (!template) {
+    throw new Error(`No notification template for ${event}`);
+  }
+
+  const { subject, heading, paragraphs, action, sms } = template(data);
+  const firstName = data.firstName || 'there';
+
+  return {
+    subject,
+    text: plainText(firstName, paragraphs, action),
+    html: layout(heading, firstName, paragraphs, action),
+    sms
+  };
+};
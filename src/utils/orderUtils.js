@@ -42,4 +42,28 @@ export const formatCurrency = (amount, currency = 'INR') => {
     style: 'currency',
     currency: currency
   }).format(amount);
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Amount the customer paid for an order line: its taxable value plus GST
+ * when a tax breakdown is stored, otherwise the line total
+ * @param {Object} orderItem - Order item
+ * @returns {Number} - Amount paid for the line
+ */
+export const getOrderItemPaidAmount = (orderItem) => {
+  const tax = orderItem.metadata?.tax;
+
+  if (!tax) {
+    return parseFloat(orderItem.total) - parseFloat(orderItem.discount || 0);
+  }
+
+  return Math.round((tax.taxableAmount + tax.totalTax) * 100) / 100;
+};
+
+/**
+ * Check whether an order item has been canceled
+ * Order items have no status column; cancellation is kept in their metadata.
+ * @param {Object} orderItem - Order item
+ * @returns {Boolean} - Whether the item is canceled
+ */
+export const isItemCanceled = (orderItem) => orderItem.metadata?.status === 'CANCELED';
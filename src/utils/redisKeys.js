@@ -21,6 +21,9 @@ const NAMESPACE = {
   ORDER: 'order',
   SESSION: 'session',
   OTP: 'otp',
+  SMS: 'sms',
+  JOB: 'job',
+  SCHEDULER: 'scheduler',
   TOKEN: 'token',
   REVIEW: 'review',
   CATALOG: 'catalog',
@@ -87,6 +90,7 @@ const productKeys = {
 const categoryKeys = {
   detail: (categoryId) => generateKey(NAMESPACE.CATEGORY, 'detail', categoryId),
   list: () => generateKey(NAMESPACE.CATEGORY, 'list'),
+  hierarchy: () => generateKey(NAMESPACE.CATEGORY, 'hierarchy'),
   products: (categoryId, params) => generateKey(NAMESPACE.CATEGORY, 'products', { categoryId, ...params }),
 };
 
@@ -115,6 +119,32 @@ const otpKeys = {
   email: (email) => generateKey(NAMESPACE.OTP, 'email', email),
 };
 
+/**
+ * Generate SMS delivery tracking keys
+ */
+const smsKeys = {
+  delivery: (messageId) => generateKey(NAMESPACE.SMS, 'delivery', messageId),
+};
+
+/**
+ * Generate background job queue keys
+ */
+const jobKeys = {
+  data: (jobId) => generateKey(NAMESPACE.JOB, 'data', jobId),
+  waiting: () => generateKey(NAMESPACE.JOB, 'waiting'),
+  delayed: () => generateKey(NAMESPACE.JOB, 'delayed'),
+  active: () => generateKey(NAMESPACE.JOB, 'active'),
+  dead: () => generateKey(NAMESPACE.JOB, 'dead'),
+};
+
+/**
+ * Generate scheduled task lock keys
+ */
+const schedulerKeys = {
+  lock: (taskName) => generateKey(NAMESPACE.SCHEDULER, 'lock', taskName),
+  run: (taskName, scheduledAt) => generateKey(NAMESPACE.SCHEDULER, 'run', { task: taskName, at: scheduledAt }),
+};
+
 /**
  * Generate authentication-related cache keys
  */
@@ -186,6 +216,9 @@ export {
   cartKeys,
   orderKeys,
   otpKeys,
+  smsKeys,
+  jobKeys,
+  schedulerKeys,
   authKeys,
   searchKeys,
   salesKeys,
@@ -0,0 +1,28 @@
+import ApiError from "./apiError.js";
+import { HTTP_BAD_REQUEST, HTTP_FORBIDDEN, HTTP_NOT_FOUND } from "../httpStatusCode.js";
+
+/**
+ * Map a service error onto an HTTP error
+ * Services throw plain Errors; the message says whether something was not
+ * found or not allowed, and anything else is a bad request.
+ * @param {Error} error - Error thrown by a service
+ * @param {String} fallbackMessage - Message to use when the error has none
+ * @returns {ApiError} - HTTP error to throw from the controller
+ */
+const toApiError = (error, fallbackMessage) => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    if (error.message?.includes("not found")) {
+        return new ApiError(HTTP_NOT_FOUND, error.message);
+    }
+
+    if (error.message?.includes("not authorized")) {
+        return new ApiError(HTTP_FORBIDDEN, error.message);
+    }
+
+    return new ApiError(HTTP_BAD_REQUEST, error.message || fallbackMessage);
+};
+
+export default toApiError;
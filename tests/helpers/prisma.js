@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Build a Prisma client double for service tests.
+ * prisma.<model>.<method> is a jest mock created on first use (resolving to null
+ * unless a test overrides it), and $transaction runs its callback against the
+ * same client so code under test sees one set of mocks.
+ * @returns {Object} - Prisma client double
+ */
+export const createPrismaMock = () => {
+  const models = new Map();
+
+  const modelDouble = () =>
+    new Proxy(
+      {},
+      {
+        get(target, method) {
+          if (typeof method !== 'string' || method === 'then') {
+            return undefined;
+          }
+
+          if (!(method in target)) {
+            target[method] = jest.fn(async () => null);
+          }
+
+          return target[method];
+        },
+      }
+    );
+
+  const client = {
+    $queryRaw: jest.fn(async () => []),
+    $executeRaw: jest.fn(async () => 0),
+    $connect: jest.fn(async () => {}),
+    $disconnect: jest.fn(async () => {}),
+  };
+
+  const prisma = new Proxy(client, {
+    get(target, prop) {
+      if (prop in target) {
+        return target[prop];
+      }
+
+      if (typeof prop !== 'string' || prop === 'then') {
+        return undefined;
+      }
+
+      if (!models.has(prop)) {
+        models.set(prop, modelDouble());
+      }
+
+      return models.get(prop);
+    },
+  });
+
+  client.$transaction = jest.fn(async (work) =>
+    typeof work === 'function' ? work(prisma) : Promise.all(work)
+  );
+
+  return prisma;
+};
+
+/**
+ * Replace the database connection module (and the ungenerated Prisma client)
+ * with a double. Must run before the code under test is imported.
+ * @param {Object} prisma - Client double from createPrismaMock
+ */
+export const mockDatabase = (prisma) => {
+  jest.unstable_mockModule('@prisma/client', () => ({
+    PrismaClient: jest.fn(() => prisma),
+    Prisma: { DbNull: 'DbNull', JsonNull: 'JsonNull' },
+  }));
+
+  jest.unstable_mockModule('../../src/database/connect.js', () => ({
+    prisma,
+    default: jest.fn(async () => {}),
+    disconnect: jest.fn(async () => {}),
+  }));
+};
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const { CampaignService } = await import('../../src/services/campaign.service.js');
+const { DEFAULT_CODE_ALPHABET, generateCouponCode } = await import('../../src/utils/couponCode.js');
+
+const campaignService = new CampaignService();
+
+// Just enough of the Coupon table for unique codes
+let coupons;
+
+const template = (overrides = {}) => ({
+  id: 'template-1',
+  name: 'Creator drop',
+  description: null,
+  type: 'PERCENTAGE',
+  value: '15.00',
+  applicabilityScope: 'SPECIFIC_PRODUCTS',
+  minimumOrderAmount: null,
+  maximumDiscountAmount: null,
+  isStackable: false,
+  isAutomaticallyApplied: false,
+  priority: 0,
+  rules: null,
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  endDate: null,
+  deletedAt: null,
+  campaignId: null,
+  products: [{ productId: 'product-1' }],
+  categories: [],
+  ...overrides,
+});
+
+const takeCode = (code) => coupons.set(code, { id: `other-${code}`, code });
+
+const campaignCodes = () => [...coupons.values()].filter((coupon) => coupon.campaignId === 'campaign-1');
+
+const createCampaign = (data = {}) =>
+  campaignService.createCampaign({ name: 'Creator drop', templateCouponId: 'template-1', count: 3, ...data }, 'admin-1');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  coupons = new Map();
+
+  prisma.coupon.findUnique.mockResolvedValue(template());
+  prisma.campaign.create.mockImplementation(async ({ data }) => ({ id: 'campaign-1', ...data }));
+  prisma.coupon.findMany.mockImplementation(async ({ where }) => {
+    const rows = [...coupons.values()];
+    return where.code
+      ? rows.filter((row) => where.code.in.includes(row.code))
+      : rows.filter((row) => where.id.in.includes(row.id));
+  });
+  prisma.coupon.createMany.mockImplementation(async ({ data }) => {
+    const fresh = data.filter((row) => !coupons.has(row.code));
+    fresh.forEach((row) => coupons.set(row.code, row));
+    return { count: fresh.length };
+  });
+});
+
+describe('generateCouponCode', () => {
+  it('draws the length asked for from the alphabet after the prefix', () => {
+    const code = generateCouponCode({ prefix: 'ASHA-', length: 12 });
+
+    expect(code).toMatch(new RegExp(`^ASHA-[${DEFAULT_CODE_ALPHABET}]{12}$`));
+  });
+
+  it('leaves out characters that are easy to misread', () => {
+    expect(DEFAULT_CODE_ALPHABET).not.toMatch(/[0O1I]/);
+  });
+});
+
+describe('CampaignService code format', () => {
+  it('upper-cases the prefix and drops repeated alphabet characters', async () => {
+    const campaign = await createCampaign({ prefix: 'asha-', length: 6, alphabet: 'abcabc123' });
+
+    expect(campaign).toMatchObject({ codePrefix: 'ASHA-', codeLength: 6, codeAlphabet: 'ABC123', generated: 3 });
+    expect(campaignCodes().every(({ code }) => /^ASHA-[ABC123]{6}$/.test(code))).toBe(true);
+  });
+
+  it('refuses a format that can\'t be printed or typed', async () => {
+    await expect(createCampaign({ prefix: 'ASHA 10' })).rejects.toThrow(
+      'Prefix can have up to 20 letters, digits and dashes'
+    );
+    await expect(createCampaign({ length: 3 })).rejects.toThrow('Length must be between 4 and 32');
+    await expect(createCampaign({ alphabet: 'aaaa' })).rejects.toThrow(
+      'Alphabet needs at least 2 different letters or digits'
+    );
+    expect(prisma.campaign.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses more codes than the format leaves room for', async () => {
+    // 2^8 = 256 possible codes, short of 100 per code asked for
+    await expect(createCampaign({ alphabet: 'AB', length: 8 })).rejects.toThrow(
+      'Too few possible codes for that many; use longer codes or a larger alphabet'
+    );
+  });
+});
+
+describe('CampaignService code collisions', () => {
+  it('copies the template into single-use codes with its scope', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(template({ startDate: new Date('2099-01-01T00:00:00Z') }));
+
+    await createCampaign();
+
+    expect(campaignCodes()).toHaveLength(3);
+    expect(campaignCodes()[0]).toMatchObject({ maxUsageCount: 1, isOneTimeUse: true, status: 'SCHEDULED' });
+    expect(prisma.couponProduct.createMany).toHaveBeenCalledWith({
+      data: campaignCodes().map(({ id }) => ({ couponId: id, productId: 'product-1' })),
+    });
+  });
+
+  it('draws again codes another coupon already has', async () => {
+    prisma.coupon.findMany.mockImplementationOnce(async ({ where }) => {
+      // The first two codes drawn turn out to be taken
+      where.code.in.slice(0, 2).forEach(takeCode);
+      return where.code.in.slice(0, 2).map((code) => ({ code }));
+    });
+
+    await expect(createCampaign()).resolves.toMatchObject({ generated: 3 });
+    expect(campaignCodes()).toHaveLength(3);
+    expect(prisma.coupon.createMany).toHaveBeenCalledTimes(2);
+  });
+
+  it('draws again a code taken between the check and the insert', async () => {
+    prisma.coupon.createMany.mockImplementationOnce(async ({ data }) => {
+      takeCode(data[0].code);
+      data.slice(1).forEach((row) => coupons.set(row.code, row));
+      return { count: data.length - 1 };
+    });
+
+    await expect(createCampaign()).resolves.toMatchObject({ generated: 3 });
+    expect(campaignCodes()).toHaveLength(3);
+    // Scope lists are only written for the codes that were inserted
+    expect(prisma.couponProduct.createMany.mock.calls[0][0].data).toHaveLength(2);
+  });
+
+  it('gives up when batch after batch is already taken', async () => {
+    prisma.coupon.findMany.mockImplementation(async ({ where }) =>
+      where.code ? where.code.in.map((code) => ({ code })) : []
+    );
+
+    await expect(createCampaign()).rejects.toThrow(
+      'Only 0 unique codes could be generated; use longer codes or a larger alphabet'
+    );
+    expect(prisma.$transaction).toHaveBeenCalledTimes(3);
+  });
+});
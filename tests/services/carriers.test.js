@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+
+const ORIGINAL_ENV = { ...process.env };
+
+// Import the carrier registry fresh so its module-level registration sees the env
+const loadCarriers = async (env) => {
+  process.env = { ...ORIGINAL_ENV, ...env };
+  jest.resetModules();
+  return await import('../../src/services/carriers/index.js');
+};
+
+const trackingEvent = Buffer.from(
+  JSON.stringify({
+    id: 'evt_1',
+    trackingNumber: 'FAKE123',
+    status: 'DELIVERED',
+    occurredAt: '2026-10-19T10:00:00.000Z',
+  })
+);
+
+const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+describe('carrier registry', () => {
+  it('does not register the fake carrier in production', async () => {
+    const { getCarrier } = await loadCarriers({ NODE_ENV: 'production', SHIPPING_CARRIERS: 'fake' });
+
+    expect(() => getCarrier('fake')).toThrow('Unknown shipping carrier: fake');
+  });
+
+  it('registers the fake carrier outside production', async () => {
+    const { getCarrier } = await loadCarriers({ NODE_ENV: 'development' });
+
+    expect(getCarrier('fake').name).toBe('fake');
+  });
+
+  it('enables no carriers when SHIPPING_CARRIERS is unset', async () => {
+    const { getEnabledCarriers } = await loadCarriers({ NODE_ENV: 'test', SHIPPING_CARRIERS: '' });
+
+    expect(getEnabledCarriers()).toEqual([]);
+  });
+
+  it('enables the carriers listed in SHIPPING_CARRIERS', async () => {
+    const { getEnabledCarriers } = await loadCarriers({ NODE_ENV: 'test', SHIPPING_CARRIERS: ' fake ' });
+
+    expect(getEnabledCarriers().map((carrier) => carrier.name)).toEqual(['fake']);
+  });
+});
+
+describe('fake carrier webhooks', () => {
+  it('refuses every webhook when FAKE_CARRIER_SECRET is not configured', async () => {
+    const { getCarrier } = await loadCarriers({ NODE_ENV: 'test', FAKE_CARRIER_SECRET: '' });
+
+    expect(() =>
+      getCarrier('fake').parseWebhook(trackingEvent, {
+        'x-fake-carrier-signature': sign('fake_carrier_secret', trackingEvent),
+      })
+    ).toThrow('FAKE_CARRIER_SECRET is not configured');
+  });
+
+  it('rejects a webhook signed with another secret', async () => {
+    const { getCarrier } = await loadCarriers({ NODE_ENV: 'test', FAKE_CARRIER_SECRET: 'carrier_secret' });
+
+    expect(() =>
+      getCarrier('fake').parseWebhook(trackingEvent, {
+        'x-fake-carrier-signature': sign('fake_carrier_secret', trackingEvent),
+      })
+    ).toThrow('Invalid webhook signature');
+  });
+
+  it('accepts a webhook signed with FAKE_CARRIER_SECRET', async () => {
+    const { getCarrier } = await loadCarriers({ NODE_ENV: 'test', FAKE_CARRIER_SECRET: 'carrier_secret' });
+
+    const event = getCarrier('fake').parseWebhook(trackingEvent, {
+      'x-fake-carrier-signature': sign('carrier_secret', trackingEvent),
+    });
+
+    expect(event).toMatchObject({ eventId: 'evt_1', trackingNumber: 'FAKE123', status: 'DELIVERED' });
+  });
+});
+
+describe('fake carrier rates', () => {
+  it('prices by weight and charges more outside the origin state', async () => {
+    const { getCarrier } = await loadCarriers({ NODE_ENV: 'test' });
+    const carrier = getCarrier('fake');
+    const parcel = { weightKg: 1.2, declaredValue: 1000 };
+
+    const local = await carrier.getRates({
+      origin: { state: 'Karnataka' },
+      destination: { state: 'Karnataka' },
+      parcel,
+    });
+    const national = await carrier.getRates({
+      origin: { state: 'Karnataka' },
+      destination: { state: 'Kerala' },
+      parcel,
+    });
+
+    expect(local.find((rate) => rate.serviceCode === 'STANDARD').amount).toBe(100);
+    expect(national.find((rate) => rate.serviceCode === 'STANDARD').amount).toBe(150);
+    expect(national.find((rate) => rate.serviceCode === 'EXPRESS').amount).toBe(300);
+  });
+});
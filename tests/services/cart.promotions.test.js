@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+jest.unstable_mockModule('../../src/services/inventory.service.js', () => ({
+  InventoryService: jest.fn(() => ({})),
+}));
+jest.unstable_mockModule('../../src/services/shipping.service.js', () => ({
+  ShippingService: jest.fn(() => ({
+    getCartShipping: jest.fn(async () => ({ shippingTotal: 0, shippingRate: null })),
+  })),
+}));
+jest.unstable_mockModule('../../src/services/tax.service.js', () => ({
+  TaxService: jest.fn(() => ({ calculateTax: jest.fn(async () => ({ taxTotal: 0 })) })),
+}));
+
+const { CartService } = await import('../../src/services/cart.service.js');
+
+const cartService = new CartService();
+
+const promotion = (code, overrides = {}) => ({
+  id: `coupon-${code}`,
+  code,
+  name: `${code} promotion`,
+  type: 'PERCENTAGE',
+  value: '10',
+  applicabilityScope: 'ALL_PRODUCTS',
+  minimumOrderAmount: null,
+  maximumDiscountAmount: null,
+  isAutomaticallyApplied: true,
+  isStackable: true,
+  priority: 1,
+  rules: null,
+  status: 'ACTIVE',
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  endDate: null,
+  deletedAt: null,
+  maxUsageCount: null,
+  usageCount: 0,
+  ...overrides,
+});
+
+const buildCart = (appliedCoupons = [], discount = '0') => ({
+  id: 'cart-1',
+  userId: 'user-1',
+  items: [
+    {
+      id: 'item-1',
+      productId: 'p-shirt',
+      variantId: 'v-shirt',
+      quantity: 1,
+      totalPrice: '1000',
+      discount,
+      discounts: null,
+      product: { categories: [] },
+    },
+  ],
+  appliedCoupons,
+  shippingAddress: null,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.cart.update.mockImplementation(async ({ where }) => ({ id: where.id }));
+  prisma.cartCoupon.deleteMany.mockResolvedValue({ count: 0 });
+});
+
+describe('automatic promotions', () => {
+  it('attaches a running promotion and reports it as added', async () => {
+    prisma.cart.findUnique.mockResolvedValue(buildCart());
+    prisma.coupon.findMany.mockResolvedValue([promotion('AUTO10')]);
+
+    const { promotionChanges } = await cartService.recalculateCartTotals('cart-1');
+
+    expect(promotionChanges).toEqual({
+      added: [{ code: 'AUTO10', name: 'AUTO10 promotion', discountAmount: 100 }],
+      dropped: [],
+    });
+    expect(prisma.cartCoupon.upsert).toHaveBeenCalledWith({
+      where: { cartId_couponId: { cartId: 'cart-1', couponId: 'coupon-AUTO10' } },
+      create: { cartId: 'cart-1', couponId: 'coupon-AUTO10', discountAmount: 100 },
+      update: { discountAmount: 100, skippedReason: null },
+    });
+    expect(prisma.cart.update.mock.calls[0][0].data).toMatchObject({ subtotal: 1000, discountTotal: 100, total: 900 });
+  });
+
+  it('drops a promotion that has ended, with the reason', async () => {
+    const ended = promotion('AUTO10', { endDate: new Date('2026-01-31T00:00:00Z') });
+    prisma.cart.findUnique.mockResolvedValue(
+      buildCart([{ id: 'cc-1', couponId: ended.id, coupon: ended, discountAmount: '100', skippedReason: null }], '100')
+    );
+    prisma.coupon.findMany.mockResolvedValue([]);
+
+    const { promotionChanges } = await cartService.recalculateCartTotals('cart-1');
+
+    expect(promotionChanges).toEqual({
+      added: [],
+      dropped: [{ code: 'AUTO10', name: 'AUTO10 promotion', reason: 'Coupon has expired' }],
+    });
+    expect(prisma.cartCoupon.deleteMany).toHaveBeenCalledWith({
+      where: { cartId: 'cart-1', coupon: { isAutomaticallyApplied: true }, couponId: { notIn: [] } },
+    });
+  });
+
+  it('leaves an up-to-date cart alone when it is read', async () => {
+    const running = promotion('AUTO10');
+    prisma.cart.findUnique.mockResolvedValue(
+      buildCart([{ id: 'cc-1', couponId: running.id, coupon: running, discountAmount: '100', skippedReason: null }], '100')
+    );
+    prisma.coupon.findMany.mockResolvedValue([running]);
+
+    await expect(cartService.refreshPromotions('cart-1')).resolves.toEqual({ added: [], dropped: [] });
+    expect(prisma.cart.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to have an automatic promotion entered as a code', async () => {
+    prisma.cart.findFirst.mockResolvedValue({ ...buildCart(), appliedCoupons: [] });
+    prisma.coupon.findFirst.mockResolvedValue(promotion('AUTO10'));
+
+    await expect(cartService.applyCoupon('user-1', null, 'AUTO10')).rejects.toThrow(
+      'This promotion is applied automatically'
+    );
+    expect(prisma.cartCoupon.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const emailService = { sendCartReminderEmail: jest.fn() };
+
+jest.unstable_mockModule('../../src/services/email.service.js', () => ({
+  EmailService: jest.fn(() => emailService),
+}));
+
+const { CartRecoveryService } = await import('../../src/services/cartRecovery.service.js');
+
+const cartRecoveryService = new CartRecoveryService();
+
+const HOUR = 60 * 60 * 1000;
+
+const buildRecovery = (overrides = {}) => ({
+  id: 'recovery-1',
+  userId: 'user-1',
+  status: 'ACTIVE',
+  remindersSent: 0,
+  lastReminderAt: null,
+  couponId: null,
+  coupon: null,
+  cart: { id: 'cart-1', updatedAt: new Date(Date.now() - 6 * HOUR), items: [{ id: 'item-1' }] },
+  user: { firstName: 'Asha', email: 'asha@example.com', deletedAt: null, communicationSettings: null },
+  ...overrides,
+});
+
+let committed;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  cartRecoveryService.MAX_REMINDERS = 2;
+  cartRecoveryService.COUPON_PERCENT = 10;
+
+  committed = false;
+  prisma.$transaction.mockImplementation(async (fn) => {
+    const result = await fn(prisma);
+    committed = true;
+    return result;
+  });
+  prisma.cartRecovery.findUnique.mockResolvedValue(buildRecovery());
+  prisma.cartRecovery.updateMany.mockResolvedValue({ count: 1 });
+  prisma.coupon.create.mockImplementation(async ({ data }) => ({ id: 'coupon-1', ...data }));
+  emailService.sendCartReminderEmail.mockImplementation(async () => {
+    expect(committed).toBe(true);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CartRecoveryService.sendReminder', () => {
+  it('queues the email once the claim is committed', async () => {
+    await expect(cartRecoveryService.sendReminder('recovery-1')).resolves.toBe(true);
+
+    expect(emailService.sendCartReminderEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'asha@example.com' }),
+      expect.objectContaining({ id: 'cart-1' }),
+      { coupon: null, isLastReminder: false }
+    );
+  });
+
+  it('makes the reminder due again when the email cannot be queued', async () => {
+    emailService.sendCartReminderEmail.mockRejectedValue(new Error('Redis unavailable'));
+
+    await expect(cartRecoveryService.sendReminder('recovery-1')).rejects.toThrow('Redis unavailable');
+
+    expect(prisma.cartRecovery.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'recovery-1', status: 'ACTIVE', remindersSent: 1 },
+      data: { remindersSent: 0, lastReminderAt: null, nextReminderAt: expect.any(Date) },
+    });
+  });
+
+  it('sends nothing when another run claimed the reminder', async () => {
+    prisma.cartRecovery.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(cartRecoveryService.sendReminder('recovery-1')).resolves.toBe(false);
+    expect(emailService.sendCartReminderEmail).not.toHaveBeenCalled();
+  });
+
+  it('offers the coupon made by an earlier attempt at the last reminder', async () => {
+    const coupon = { id: 'coupon-0', code: 'CART-OLD' };
+    prisma.cartRecovery.findUnique.mockResolvedValue(
+      buildRecovery({ remindersSent: 1, couponId: 'coupon-0', coupon })
+    );
+
+    await cartRecoveryService.sendReminder('recovery-1');
+
+    expect(prisma.coupon.create).not.toHaveBeenCalled();
+    expect(emailService.sendCartReminderEmail.mock.calls[0][2]).toEqual({ coupon, isLastReminder: true });
+  });
+
+  it('creates the coupon for a first last-reminder attempt', async () => {
+    prisma.cartRecovery.findUnique.mockResolvedValue(buildRecovery({ remindersSent: 1 }));
+
+    await cartRecoveryService.sendReminder('recovery-1');
+
+    expect(prisma.cartRecovery.update).toHaveBeenCalledWith({
+      where: { id: 'recovery-1' },
+      data: { couponId: 'coupon-1' },
+    });
+    expect(emailService.sendCartReminderEmail.mock.calls[0][2]).toMatchObject({
+      coupon: { id: 'coupon-1' },
+      isLastReminder: true,
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const { CouponService } = await import('../../src/services/coupon.service.js');
+
+const couponService = new CouponService();
+
+const buildCoupon = (overrides = {}) => ({
+  id: 'coupon-1',
+  code: 'CART-ABC123',
+  type: 'PERCENTAGE',
+  value: '10.00',
+  status: 'ACTIVE',
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  endDate: null,
+  deletedAt: null,
+  isOneTimeUse: false,
+  customerUsageLimit: null,
+  maxUsageCount: null,
+  usageCount: 0,
+  minimumOrderAmount: null,
+  userId: null,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.orderCoupon.count.mockResolvedValue(0);
+  prisma.coupon.update.mockResolvedValue({});
+});
+
+describe('personal coupons', () => {
+  it('keeps them out of the public coupon list', async () => {
+    prisma.coupon.findMany.mockResolvedValue([]);
+    prisma.coupon.count.mockResolvedValue(0);
+
+    await couponService.getCoupons(1, 10);
+
+    expect(prisma.coupon.findMany.mock.calls[0][0].where).toMatchObject({ userId: null, campaignId: null });
+    expect(prisma.coupon.count.mock.calls[0][0].where).toMatchObject({ userId: null });
+  });
+
+  it('redeems a coupon for the customer it was issued to', async () => {
+    const coupon = buildCoupon({ userId: 'user-1' });
+    prisma.coupon.findUnique.mockResolvedValue(coupon);
+
+    await couponService.reserveRedemptions([coupon], 'user-1', prisma);
+
+    expect(prisma.coupon.update).toHaveBeenCalledWith({
+      where: { id: 'coupon-1' },
+      data: { usageCount: { increment: 1 } },
+    });
+  });
+
+  it('refuses to redeem a coupon issued to another customer', async () => {
+    const coupon = buildCoupon({ userId: 'user-1' });
+    prisma.coupon.findUnique.mockResolvedValue(coupon);
+
+    await expect(couponService.reserveRedemptions([coupon], 'user-2', prisma)).rejects.toThrow(
+      'Coupon CART-ABC123 is not available to you'
+    );
+    expect(prisma.coupon.update).not.toHaveBeenCalled();
+  });
+
+  it('treats another customer\'s coupon as unknown when applied', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(buildCoupon({ userId: 'user-1' }));
+
+    await expect(couponService.applyCoupon('CART-ABC123', 500, 'user-2')).rejects.toThrow('Coupon not found');
+  });
+});
+
+describe('reserveRedemptions limits', () => {
+  it('locks each coupon once, in ID order, before reading it', async () => {
+    const first = buildCoupon({ id: 'coupon-a', code: 'A' });
+    const second = buildCoupon({ id: 'coupon-b', code: 'B' });
+    prisma.coupon.findUnique.mockImplementation(async ({ where }) => (where.id === 'coupon-a' ? first : second));
+
+    await couponService.reserveRedemptions([second, first, second], 'user-1', prisma);
+
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(2);
+    expect(prisma.$queryRaw.mock.calls.map(([, id]) => id)).toEqual(['coupon-a', 'coupon-b']);
+    expect(prisma.coupon.update).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses a coupon that has reached its limit across all customers', async () => {
+    const coupon = buildCoupon({ maxUsageCount: 100, usageCount: 100 });
+    prisma.coupon.findUnique.mockResolvedValue(coupon);
+
+    await expect(couponService.reserveRedemptions([coupon], 'user-1', prisma)).rejects.toThrow(
+      'Coupon has reached its usage limit: CART-ABC123'
+    );
+    expect(prisma.coupon.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses a one-time coupon the customer has already used', async () => {
+    const coupon = buildCoupon({ isOneTimeUse: true });
+    prisma.coupon.findUnique.mockResolvedValue(coupon);
+    prisma.orderCoupon.count.mockResolvedValue(1);
+
+    await expect(couponService.reserveRedemptions([coupon], 'user-1', prisma)).rejects.toThrow(
+      'Coupon CART-ABC123 can only be used once per customer'
+    );
+    expect(prisma.orderCoupon.count).toHaveBeenCalledWith({
+      where: { couponId: 'coupon-1', releasedAt: null, order: { userId: 'user-1' } },
+    });
+  });
+
+  it('refuses a coupon past its per-customer limit', async () => {
+    const coupon = buildCoupon({ customerUsageLimit: 2 });
+    prisma.coupon.findUnique.mockResolvedValue(coupon);
+    prisma.orderCoupon.count.mockResolvedValue(2);
+
+    await expect(couponService.reserveRedemptions([coupon], 'user-1', prisma)).rejects.toThrow(
+      'You have reached the usage limit (2) for coupon CART-ABC123'
+    );
+  });
+});
+
+describe('releaseRedemptions', () => {
+  it('gives back each use of a canceled order once', async () => {
+    prisma.orderCoupon.findMany.mockResolvedValue([
+      { id: 'redemption-1', couponId: 'coupon-1' },
+      { id: 'redemption-2', couponId: 'coupon-2' },
+    ]);
+    // The second redemption was released by a concurrent run
+    prisma.orderCoupon.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    await expect(couponService.releaseRedemptions('order-1', prisma)).resolves.toBe(1);
+    expect(prisma.coupon.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.coupon.updateMany).toHaveBeenCalledWith({
+      where: { id: 'coupon-1', usageCount: { gt: 0 } },
+      data: { usageCount: { decrement: 1 } },
+    });
+  });
+});
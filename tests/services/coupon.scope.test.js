@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const { CouponService } = await import('../../src/services/coupon.service.js');
+const { PromotionService } = await import('../../src/services/promotion.service.js');
+
+const couponService = new CouponService();
+const promotionService = new PromotionService();
+
+// Clothing > Men > Shirts, and a separate Menswear category whose ID starts the same as Clothing's
+const categories = {
+  clothing: { id: 'cat-1', path: '/' },
+  men: { id: 'cat-2', path: '/cat-1/' },
+  shirts: { id: 'cat-3', path: '/cat-1/cat-2/' },
+  menswear: { id: 'cat-10', path: '/' },
+};
+
+const line = (...lineCategories) => ({ productId: 'product-1', categories: lineCategories });
+
+const categoryCoupon = (...categoryIds) => ({
+  applicabilityScope: 'SPECIFIC_CATEGORIES',
+  categories: categoryIds.map((categoryId) => ({ categoryId })),
+});
+
+const newCoupon = (overrides = {}) => ({
+  code: 'SHIRTS10',
+  name: 'Shirts 10%',
+  type: 'PERCENTAGE',
+  value: 10,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.category.findMany.mockImplementation(async ({ where }) =>
+    Object.values(categories).filter((category) => where.id.in.includes(category.id)).map(({ id }) => ({ id }))
+  );
+  prisma.product.findMany.mockImplementation(async ({ where }) =>
+    where.id.in.filter((id) => id.startsWith('product-')).map((id) => ({ id }))
+  );
+  prisma.coupon.create.mockImplementation(async ({ data }) => ({ id: 'coupon-1', ...data }));
+  prisma.coupon.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+});
+
+describe('PromotionService.isEligible', () => {
+  it('covers a category and its subcategories at any depth', () => {
+    const coupon = categoryCoupon('cat-1');
+
+    expect(promotionService.isEligible(coupon, line(categories.clothing))).toBe(true);
+    expect(promotionService.isEligible(coupon, line(categories.men))).toBe(true);
+    expect(promotionService.isEligible(coupon, line(categories.shirts))).toBe(true);
+  });
+
+  it('does not cover a parent, or a category whose ID only starts the same', () => {
+    const coupon = categoryCoupon('cat-2');
+
+    expect(promotionService.isEligible(coupon, line(categories.clothing))).toBe(false);
+    expect(promotionService.isEligible(categoryCoupon('cat-1'), line(categories.menswear))).toBe(false);
+  });
+
+  it('matches a product in any one of its categories', () => {
+    expect(promotionService.isEligible(categoryCoupon('cat-3'), line(categories.menswear, categories.shirts))).toBe(true);
+    expect(promotionService.isEligible(categoryCoupon('cat-3'), line())).toBe(false);
+  });
+
+  it('matches nothing for scopes without anything to match against', () => {
+    expect(promotionService.isEligible({ applicabilityScope: 'SPECIFIC_PRODUCTS' }, line())).toBe(false);
+    expect(promotionService.isEligible({ applicabilityScope: 'SPECIFIC_COLLECTIONS' }, line())).toBe(false);
+  });
+
+  it('discounts only the cart lines under the coupon\'s categories', () => {
+    const cartLine = (id, category) => ({
+      id,
+      productId: `product-${id}`,
+      variantId: null,
+      quantity: 1,
+      totalPrice: '1000',
+      product: { categories: [{ category }] },
+    });
+
+    const result = promotionService.evaluate(
+      [cartLine('shirt', categories.shirts), cartLine('kurta', categories.menswear)],
+      [{
+        ...categoryCoupon('cat-2'),
+        id: 'coupon-1',
+        code: 'MEN10',
+        type: 'PERCENTAGE',
+        value: '10',
+        priority: 1,
+        isStackable: true,
+        status: 'ACTIVE',
+        startDate: new Date('2026-01-01T00:00:00Z'),
+        endDate: null,
+        deletedAt: null,
+        maxUsageCount: null,
+      }]
+    );
+
+    expect(result.lines.map(({ itemId, discount }) => [itemId, discount])).toEqual([['shirt', 100], ['kurta', 0]]);
+  });
+});
+
+describe('CouponService scope lists', () => {
+  it('stores only the list the scope uses', async () => {
+    const coupon = await couponService.createCoupon(newCoupon({
+      applicabilityScope: 'SPECIFIC_CATEGORIES',
+      applicableCategoryIds: 'cat-3, cat-3,cat-2',
+      applicableProductIds: ['product-1'],
+    }), 'admin-1');
+
+    expect(coupon.categories).toEqual({ create: [{ categoryId: 'cat-3' }, { categoryId: 'cat-2' }] });
+    expect(coupon.products).toEqual({ create: [] });
+  });
+
+  it('refuses a scope with an empty list, unknown IDs or no way to match', async () => {
+    await expect(
+      couponService.createCoupon(newCoupon({ applicabilityScope: 'SPECIFIC_CATEGORIES' }), 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 400, message: 'A SPECIFIC_CATEGORIES coupon needs at least one category' });
+    await expect(
+      couponService.createCoupon(newCoupon({
+        applicabilityScope: 'SPECIFIC_CATEGORIES',
+        applicableCategoryIds: ['cat-3', 'cat-404'],
+      }), 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Unknown category IDs: cat-404' });
+    await expect(
+      couponService.createCoupon(newCoupon({ applicabilityScope: 'SPECIFIC_COLLECTIONS' }), 'admin-1')
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.coupon.create).not.toHaveBeenCalled();
+  });
+
+  it('adds categories only to a category-scoped coupon', async () => {
+    prisma.coupon.findUnique.mockResolvedValue({ id: 'coupon-1', applicabilityScope: 'SPECIFIC_PRODUCTS' });
+
+    await expect(couponService.addCouponCategories('coupon-1', ['cat-1'])).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Only SPECIFIC_CATEGORIES coupons have a category list',
+    });
+  });
+
+  it('keeps the last category of a category-scoped coupon', async () => {
+    prisma.coupon.findUnique.mockResolvedValue({
+      id: 'coupon-1',
+      applicabilityScope: 'SPECIFIC_CATEGORIES',
+      products: [],
+      categories: [{ categoryId: 'cat-1' }],
+    });
+
+    await expect(couponService.removeCouponCategory('coupon-1', 'cat-1')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'A SPECIFIC_CATEGORIES coupon needs at least one category; change its scope instead',
+    });
+    expect(prisma.coupon.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const shippingService = { purchaseLabel: jest.fn() };
+const orderStatusService = { transition: jest.fn() };
+const notificationService = { notifyOrder: jest.fn() };
+
+jest.unstable_mockModule('../../src/services/shipping.service.js', () => ({
+  ShippingService: jest.fn(() => shippingService),
+}));
+jest.unstable_mockModule('../../src/services/orderStatus.service.js', () => ({
+  ORDER_ACTORS: { CUSTOMER: 'CUSTOMER', ADMIN: 'ADMIN', SYSTEM: 'SYSTEM' },
+  OrderStatusService: jest.fn(() => orderStatusService),
+}));
+jest.unstable_mockModule('../../src/services/notification.service.js', () => ({
+  NotificationService: jest.fn(() => notificationService),
+}));
+
+const { FulfillmentService } = await import('../../src/services/fulfillment.service.js');
+
+const fulfillmentService = new FulfillmentService();
+
+const item = (id, quantity, shipped = [], metadata = null) => ({
+  id,
+  name: `Item ${id}`,
+  quantity,
+  metadata,
+  fulfillmentItems: shipped.map((shippedQuantity) => ({ quantity: shippedQuantity })),
+});
+
+const buildOrder = (items, overrides = {}) => ({
+  id: 'order-1',
+  userId: 'user-1',
+  status: 'PROCESSING',
+  fulfillmentStatus: 'UNFULFILLED',
+  items,
+  fulfillments: [],
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.fulfillment.create.mockImplementation(async ({ data }) => ({
+    id: 'fulfillment-1',
+    ...data,
+    items: data.items.create,
+  }));
+});
+
+describe('FulfillmentService.createFulfillment', () => {
+  it('ships every unit still to ship when no items are given', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([
+      item('item-1', 3, [1]),
+      item('item-2', 1, [1]),
+      item('item-3', 2, [], { status: 'CANCELED' }),
+    ]));
+
+    const fulfillment = await fulfillmentService.createFulfillment('order-1', { trackingNumber: 'AWB1' });
+
+    expect(fulfillment.items).toEqual([{ orderItemId: 'item-1', quantity: 2 }]);
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe('order-1');
+    expect(notificationService.notifyOrder).toHaveBeenCalledWith(
+      'ORDER_SHIPPED',
+      'order-1',
+      expect.objectContaining({ referenceId: 'fulfillment-1' }),
+      prisma
+    );
+  });
+
+  it('refuses more units than are left to ship', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([item('item-1', 3, [2])]));
+
+    await expect(
+      fulfillmentService.createFulfillment('order-1', { items: [{ orderItemId: 'item-1', quantity: 2 }] })
+    ).rejects.toThrow('Only 1 unit(s) of Item item-1 are left to ship');
+    expect(prisma.fulfillment.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses an order that is not being processed', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([item('item-1', 1)], { status: 'PENDING' }));
+
+    await expect(fulfillmentService.createFulfillment('order-1', {})).rejects.toThrow(
+      'Cannot ship an order in PENDING status'
+    );
+  });
+
+  it('buys the label only after the shipment is committed, and reports a failure', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([item('item-1', 1)]));
+    shippingService.purchaseLabel.mockRejectedValue(new Error('Carrier down'));
+
+    await expect(
+      fulfillmentService.createFulfillment('order-1', { buyLabel: true, carrier: 'fake' })
+    ).rejects.toThrow('Fulfillment fulfillment-1 was created but buying its label failed: Carrier down');
+    expect(prisma.$transaction.mock.invocationCallOrder[0]).toBeLessThan(
+      shippingService.purchaseLabel.mock.invocationCallOrder[0]
+    );
+    expect(notificationService.notifyOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('FulfillmentService.syncFulfillmentStatus', () => {
+  it('marks a partly shipped order PARTIALLY_FULFILLED', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([item('item-1', 2, [1])]));
+
+    await expect(fulfillmentService.syncFulfillmentStatus('order-1')).resolves.toBe('PARTIALLY_FULFILLED');
+    expect(prisma.order.update).toHaveBeenCalledWith({
+      where: { id: 'order-1' },
+      data: { fulfillmentStatus: 'PARTIALLY_FULFILLED' },
+    });
+    expect(orderStatusService.transition).not.toHaveBeenCalled();
+  });
+
+  it('ships the order once its last live unit is shipped', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([
+      item('item-1', 2, [1, 1]),
+      item('item-2', 1, [], { status: 'CANCELED' }),
+    ]));
+
+    await expect(fulfillmentService.syncFulfillmentStatus('order-1')).resolves.toBe('FULFILLED');
+    expect(orderStatusService.transition).toHaveBeenCalledWith(
+      'order-1',
+      'SHIPPED',
+      expect.objectContaining({ actor: 'SYSTEM' }),
+      prisma
+    );
+  });
+
+  it('leaves a returned order\'s status alone', async () => {
+    prisma.order.findUnique.mockResolvedValue(
+      buildOrder([item('item-1', 1, [1])], { fulfillmentStatus: 'RETURNED', status: 'DELIVERED' })
+    );
+
+    await expect(fulfillmentService.syncFulfillmentStatus('order-1')).resolves.toBe('RETURNED');
+    expect(prisma.order.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('FulfillmentService.getTracking', () => {
+  it('refuses another customer\'s order', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder([item('item-1', 1)]));
+
+    await expect(fulfillmentService.getTracking('order-1', 'user-2')).rejects.toThrow(
+      'You are not authorized to view this order'
+    );
+  });
+});
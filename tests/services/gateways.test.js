@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+
+const ORIGINAL_ENV = { ...process.env };
+
+jest.unstable_mockModule('../../src/config/razorpay.js', () => ({ default: {} }));
+
+// Import the gateway registry fresh so its module-level registration sees the env
+const loadGateways = async (env) => {
+  process.env = { ...ORIGINAL_ENV, ...env };
+  jest.resetModules();
+  return await import('../../src/services/gateways/index.js');
+};
+
+const sign = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+const capturedEvent = Buffer.from(
+  JSON.stringify({
+    id: 'evt_1',
+    type: 'payment.captured',
+    payment: { transactionId: 'mock_pay_1', intentId: 'mock_order_1', amount: 499 },
+  })
+);
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+describe('payment gateway registry', () => {
+  it.each(['production', 'staging', undefined])('has no mock gateway when NODE_ENV is %s', async (nodeEnv) => {
+    const { getGateway } = await loadGateways({ NODE_ENV: nodeEnv });
+
+    expect(() => getGateway('mock')).toThrow('Unknown payment gateway: mock');
+    expect(getGateway('razorpay').name).toBe('razorpay');
+  });
+
+  it.each(['test', 'development'])('registers the mock gateway when NODE_ENV is %s', async (nodeEnv) => {
+    const { getGateway } = await loadGateways({ NODE_ENV: nodeEnv });
+
+    expect(getGateway('mock').name).toBe('mock');
+  });
+
+  it('routes online methods through PAYMENT_GATEWAY_OVERRIDE', async () => {
+    const { getGatewayForMethod } = await loadGateways({
+      NODE_ENV: 'test',
+      PAYMENT_GATEWAY_OVERRIDE: 'mock',
+    });
+
+    expect(getGatewayForMethod('CREDIT_CARD').name).toBe('mock');
+    expect(() => getGatewayForMethod('COD')).toThrow('COD payments are not supported online');
+  });
+});
+
+describe('mock gateway signatures', () => {
+  it('refuses webhooks and checkouts when MOCK_GATEWAY_SECRET is not configured', async () => {
+    const { getGateway } = await loadGateways({ NODE_ENV: 'test', MOCK_GATEWAY_SECRET: '' });
+    const gateway = getGateway('mock');
+
+    expect(() =>
+      gateway.parseWebhook(capturedEvent, {
+        'x-mock-signature': sign('mock_gateway_secret', capturedEvent),
+      })
+    ).toThrow('MOCK_GATEWAY_SECRET is not configured');
+    expect(() =>
+      gateway.verifyCheckoutSignature({
+        intentId: 'mock_order_1',
+        transactionId: 'mock_pay_1',
+        signature: sign('mock_gateway_secret', 'mock_order_1|mock_pay_1'),
+      })
+    ).toThrow('MOCK_GATEWAY_SECRET is not configured');
+  });
+
+  it('rejects a webhook signed with another secret', async () => {
+    const { getGateway } = await loadGateways({ NODE_ENV: 'test', MOCK_GATEWAY_SECRET: 'gateway_secret' });
+
+    expect(() =>
+      getGateway('mock').parseWebhook(capturedEvent, {
+        'x-mock-signature': sign('mock_gateway_secret', capturedEvent),
+      })
+    ).toThrow('Invalid webhook signature');
+  });
+
+  it('accepts webhooks and checkouts signed with MOCK_GATEWAY_SECRET', async () => {
+    const { getGateway } = await loadGateways({ NODE_ENV: 'test', MOCK_GATEWAY_SECRET: 'gateway_secret' });
+    const gateway = getGateway('mock');
+
+    const event = gateway.parseWebhook(capturedEvent, {
+      'x-mock-signature': sign('gateway_secret', capturedEvent),
+    });
+
+    expect(event).toMatchObject({
+      eventId: 'evt_1',
+      type: 'payment.captured',
+      payment: { transactionId: 'mock_pay_1', amount: 499 },
+    });
+    expect(
+      gateway.verifyCheckoutSignature({
+        intentId: 'mock_order_1',
+        transactionId: 'mock_pay_1',
+        signature: sign('gateway_secret', 'mock_order_1|mock_pay_1'),
+      })
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+jest.unstable_mockModule('../../src/services/product.service.js', () => ({
+  ProductService: jest.fn(() => ({ updateProductStatusBasedOnInventory: jest.fn() })),
+}));
+
+const { InventoryService } = await import('../../src/services/inventory.service.js');
+
+const inventoryService = new InventoryService();
+
+// Just enough of the StockReservation and ProductVariant tables for holds
+let holds;
+let stock;
+
+const addHold = (hold) => {
+  holds.set(hold.id, { cartId: 'cart-1', productId: 'product-1', expiresAt: new Date(Date.now() + 60000), ...hold });
+};
+
+const line = (variantId, quantity) => ({ productId: 'product-1', variantId, quantity, name: `Kurta ${variantId}` });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  holds = new Map();
+  stock = new Map([['variant-m', 5], ['variant-l', 5]]);
+
+  prisma.stockReservation.findUnique.mockImplementation(async ({ where }) => {
+    const { cartId, variantId } = where.cartId_variantId;
+    return [...holds.values()].find((h) => h.cartId === cartId && h.variantId === variantId) || null;
+  });
+  prisma.stockReservation.findMany.mockImplementation(async ({ where }) =>
+    [...holds.values()].filter((h) => h.cartId === where.cartId)
+  );
+  prisma.stockReservation.deleteMany.mockImplementation(async ({ where }) => {
+    const hold = holds.get(where.id);
+    if (!hold || (where.expiresAt && hold.expiresAt > where.expiresAt.lte)) return { count: 0 };
+    holds.delete(where.id);
+    return { count: 1 };
+  });
+  prisma.stockReservation.create.mockImplementation(async ({ data }) => {
+    const hold = { id: `hold-${data.variantId}`, ...data };
+    holds.set(hold.id, hold);
+    return hold;
+  });
+  prisma.productVariant.updateMany.mockImplementation(async ({ where, data }) => {
+    if (stock.get(where.id) < where.inventoryQuantity.gte) return { count: 0 };
+    stock.set(where.id, stock.get(where.id) - data.inventoryQuantity.decrement);
+    return { count: 1 };
+  });
+  prisma.productVariant.update.mockImplementation(async ({ where, data }) => {
+    stock.set(where.id, stock.get(where.id) + data.inventoryQuantity.increment);
+  });
+  prisma.productVariant.findUnique.mockImplementation(async ({ where }) => ({
+    inventoryQuantity: stock.get(where.id),
+    backorder: false,
+    deletedAt: null,
+  }));
+});
+
+describe('holdStock', () => {
+  it('takes the quantity out of stock and holds it for the hold duration', async () => {
+    const before = Date.now();
+
+    const hold = await inventoryService.holdStock('cart-1', line('variant-m', 2));
+
+    expect(stock.get('variant-m')).toBe(3);
+    expect(hold).toMatchObject({ cartId: 'cart-1', variantId: 'variant-m', quantity: 2 });
+    expect(hold.expiresAt.getTime()).toBeGreaterThanOrEqual(before + inventoryService.HOLD_DURATION);
+  });
+
+  it('moves only the difference when a hold is resized', async () => {
+    addHold({ id: 'hold-1', variantId: 'variant-m', quantity: 3 });
+    stock.set('variant-m', 2);
+
+    await inventoryService.holdStock('cart-1', line('variant-m', 1));
+
+    expect(stock.get('variant-m')).toBe(4);
+    expect([...holds.values()]).toEqual([expect.objectContaining({ variantId: 'variant-m', quantity: 1 })]);
+  });
+
+  it('refuses more than is in stock and holds nothing', async () => {
+    stock.set('variant-m', 1);
+
+    await expect(inventoryService.holdStock('cart-1', line('variant-m', 2))).rejects.toThrow(
+      'Insufficient stock for Kurta variant-m: only 1 units available'
+    );
+    expect(holds.size).toBe(0);
+    expect(stock.get('variant-m')).toBe(1);
+  });
+
+  it('gives the stock back and drops the hold at quantity 0', async () => {
+    addHold({ id: 'hold-1', variantId: 'variant-m', quantity: 2 });
+
+    await expect(inventoryService.holdStock('cart-1', line('variant-m', 0))).resolves.toBeNull();
+
+    expect(stock.get('variant-m')).toBe(7);
+    expect(holds.size).toBe(0);
+  });
+
+  it('does not count a hold a concurrent sweep released first', async () => {
+    addHold({ id: 'hold-1', variantId: 'variant-m', quantity: 2 });
+    // The sweep deletes the hold and gives its 2 units back between our read and delete
+    prisma.stockReservation.deleteMany.mockImplementationOnce(async ({ where }) => {
+      holds.delete(where.id);
+      stock.set('variant-m', stock.get('variant-m') + 2);
+      return { count: 0 };
+    });
+
+    await inventoryService.holdStock('cart-1', line('variant-m', 2));
+
+    // So the 2 units are taken again rather than counted as still held
+    expect(stock.get('variant-m')).toBe(5);
+    expect([...holds.values()]).toEqual([expect.objectContaining({ variantId: 'variant-m', quantity: 2 })]);
+  });
+});
+
+describe('releaseExpiredHolds', () => {
+  it('gives back the stock of holds that are still expired', async () => {
+    const expired = new Date(Date.now() - 1000);
+    addHold({ id: 'hold-1', variantId: 'variant-m', quantity: 2, expiresAt: expired });
+    addHold({ id: 'hold-2', variantId: 'variant-l', quantity: 1, expiresAt: expired });
+    prisma.stockReservation.findMany.mockResolvedValueOnce([...holds.values()]);
+    // The customer touched the second cart after the sweep read it
+    holds.get('hold-2').expiresAt = new Date(Date.now() + 60000);
+
+    await expect(inventoryService.releaseExpiredHolds()).resolves.toBe(1);
+
+    expect(stock.get('variant-m')).toBe(7);
+    expect(stock.get('variant-l')).toBe(5);
+    expect([...holds.keys()]).toEqual(['hold-2']);
+  });
+});
+
+describe('commitCartHolds', () => {
+  it('claims each line\'s hold and reserves or releases only the difference', async () => {
+    addHold({ id: 'hold-m', variantId: 'variant-m', quantity: 2 });
+    addHold({ id: 'hold-l', variantId: 'variant-l', quantity: 3 });
+
+    await inventoryService.commitCartHolds('cart-1', [line('variant-m', 3), line('variant-l', 1)]);
+
+    expect(stock.get('variant-m')).toBe(4);
+    expect(stock.get('variant-l')).toBe(7);
+    expect(holds.size).toBe(0);
+  });
+
+  it('releases holds on variants no longer in the cart', async () => {
+    addHold({ id: 'hold-m', variantId: 'variant-m', quantity: 2 });
+    addHold({ id: 'hold-l', variantId: 'variant-l', quantity: 1 });
+
+    await inventoryService.commitCartHolds('cart-1', [line('variant-m', 2)]);
+
+    expect(stock.get('variant-m')).toBe(5);
+    expect(stock.get('variant-l')).toBe(6);
+    expect(holds.size).toBe(0);
+  });
+
+  it('fails the checkout when a line without a hold is short', async () => {
+    stock.set('variant-l', 0);
+
+    await expect(
+      inventoryService.commitCartHolds('cart-1', [line('variant-l', 1)])
+    ).rejects.toThrow('Insufficient stock for Kurta variant-l');
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const emailService = { sendEmail: jest.fn() };
+const smsService = { sendSms: jest.fn() };
+
+jest.unstable_mockModule('../../src/services/email.service.js', () => ({
+  EmailService: jest.fn(() => emailService),
+}));
+jest.unstable_mockModule('../../src/services/sms.service.js', () => ({
+  SmsService: jest.fn(() => smsService),
+}));
+
+const { NotificationService } = await import('../../src/services/notification.service.js');
+
+const notificationService = new NotificationService();
+
+const notification = {
+  id: 'notification-1',
+  channel: 'EMAIL',
+  event: 'ORDER_SHIPPED',
+  recipient: 'asha@example.com',
+  subject: 'Shipped',
+  body: 'Your order has shipped',
+  html: null,
+  attempts: 0,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+  prisma.notification.findMany.mockResolvedValue([{ id: 'notification-1' }]);
+  prisma.notification.findUnique.mockResolvedValue(notification);
+  prisma.notification.update.mockImplementation(async ({ data }) => ({ ...notification, ...data }));
+});
+
+describe('NotificationService.dispatchPending', () => {
+  it('queues again notifications whose sending worker never finished', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+
+    try {
+      await notificationService.dispatchPending();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    const [requeue] = prisma.notification.updateMany.mock.calls[0];
+    expect(requeue).toEqual({
+      where: {
+        status: 'SENDING',
+        OR: [{ claimedAt: null }, { claimedAt: { lt: new Date('2026-10-19T11:50:00Z') } }],
+      },
+      data: expect.objectContaining({ status: 'PENDING', claimedAt: null }),
+    });
+    expect(prisma.notification.updateMany.mock.invocationCallOrder[0]).toBeLessThan(
+      prisma.notification.findMany.mock.invocationCallOrder[0]
+    );
+  });
+
+  it('stamps the claim and clears it once the attempt is recorded', async () => {
+    await expect(notificationService.dispatchPending()).resolves.toEqual({ sent: 1, failed: 0 });
+
+    expect(prisma.notification.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'notification-1', status: 'PENDING' },
+      data: { status: 'SENDING', claimedAt: expect.any(Date) },
+    });
+    expect(prisma.notification.update.mock.calls[0][0].data).toMatchObject({
+      status: 'SENT',
+      attempts: 1,
+      claimedAt: null,
+    });
+  });
+
+  it('releases the claim when the attempt fails', async () => {
+    emailService.sendEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+    await expect(notificationService.dispatchPending()).resolves.toEqual({ sent: 0, failed: 1 });
+    expect(prisma.notification.update.mock.calls[0][0].data).toMatchObject({
+      status: 'PENDING',
+      claimedAt: null,
+      lastError: 'SMTP unavailable',
+    });
+  });
+});
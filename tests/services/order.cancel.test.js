@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const inventoryService = { releaseStock: jest.fn() };
+const fulfillmentService = { syncFulfillmentStatus: jest.fn() };
+const orderStatusService = { transition: jest.fn(), recordHistory: jest.fn() };
+
+const serviceDouble = (name, methods) =>
+  jest.unstable_mockModule(`../../src/services/${name}`, () => methods);
+
+jest.unstable_mockModule('../../src/config/razorpay.js', () => ({ default: {} }));
+serviceDouble('inventory.service.js', { InventoryService: jest.fn(() => inventoryService) });
+serviceDouble('wallet.service.js', { WalletService: jest.fn(() => ({})) });
+serviceDouble('return.service.js', { ReturnService: jest.fn(() => ({})) });
+serviceDouble('fulfillment.service.js', { FulfillmentService: jest.fn(() => fulfillmentService) });
+serviceDouble('tax.service.js', { TaxService: jest.fn(() => ({})) });
+serviceDouble('orderStatus.service.js', {
+  ORDER_ACTORS: { CUSTOMER: 'CUSTOMER', ADMIN: 'ADMIN', SYSTEM: 'SYSTEM' },
+  registerOrderStatusHook: jest.fn(),
+  OrderStatusService: jest.fn(() => orderStatusService),
+});
+serviceDouble('notification.service.js', { NotificationService: jest.fn(() => ({})) });
+serviceDouble('cartRecovery.service.js', { CartRecoveryService: jest.fn(() => ({})) });
+serviceDouble('coupon.service.js', { CouponService: jest.fn(() => ({})) });
+serviceDouble('payment.service.js', {
+  createPaymentOrder: jest.fn(),
+  verifyPayment: jest.fn(),
+  syncOrderPaymentStatus: jest.fn(),
+});
+
+const { OrderService } = await import('../../src/services/order.service.js');
+
+const orderService = new OrderService();
+
+const item = (id, total) => ({ id, total, discount: '0.00', metadata: null, fulfillmentItems: [] });
+
+const buildOrder = (overrides = {}) => ({
+  id: 'order-1',
+  userId: 'user-1',
+  status: 'PROCESSING',
+  items: [item('item-1', '600.00'), item('item-2', '400.00')],
+  payments: [{ id: 'payment-1', amount: '1000.00', status: 'PAID' }],
+  refunds: [],
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.refund.create.mockImplementation(async ({ data }) => ({ id: 'refund-1', ...data }));
+  prisma.orderItem.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+});
+
+describe('OrderService.cancelOrderItems', () => {
+  it('locks the order before reading its items', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder());
+
+    await orderService.cancelOrderItems('order-1', ['item-1'], 'user-1', 'Changed my mind');
+
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe('order-1');
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(
+      prisma.order.findUnique.mock.invocationCallOrder[0]
+    );
+    expect(prisma.order.findUnique.mock.calls[0][0].include).toMatchObject({ payments: true, refunds: true });
+  });
+
+  it('refuses an item a concurrent cancellation already canceled', async () => {
+    const order = buildOrder();
+    order.items[0].metadata = { status: 'CANCELED' };
+    prisma.order.findUnique.mockResolvedValue(order);
+
+    await expect(orderService.cancelOrderItems('order-1', ['item-1'], 'user-1')).rejects.toThrow(
+      'Item item-1 is already canceled'
+    );
+    expect(prisma.refund.create).not.toHaveBeenCalled();
+    expect(inventoryService.releaseStock).not.toHaveBeenCalled();
+  });
+
+  it('refunds the items\' share when it was captured', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder());
+
+    const result = await orderService.cancelOrderItems('order-1', ['item-1'], 'user-1');
+
+    expect(result.totalRefundAmount).toBe(600);
+    expect(prisma.refund.create.mock.calls[0][0].data).toMatchObject({ orderId: 'order-1', amount: 600 });
+    expect(fulfillmentService.syncFulfillmentStatus).toHaveBeenCalledWith('order-1', prisma);
+  });
+
+  it('refunds no more than was captured and not yet refunded', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder({
+      payments: [
+        { id: 'payment-1', amount: '500.00', status: 'PAID' },
+        { id: 'payment-2', amount: '500.00', status: 'PENDING' },
+      ],
+      refunds: [
+        { id: 'refund-0', amount: '100.00', status: 'REFUNDED' },
+        { id: 'refund-x', amount: '300.00', status: 'FAILED' },
+      ],
+    }));
+
+    const result = await orderService.cancelOrderItems('order-1', ['item-1'], 'user-1');
+
+    expect(result.totalRefundAmount).toBe(400);
+    expect(prisma.refund.create.mock.calls[0][0].data.amount).toBe(400);
+  });
+
+  it('creates no refund when nothing has been captured', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder({
+      payments: [{ id: 'payment-1', amount: '1000.00', status: 'PENDING' }],
+    }));
+
+    const result = await orderService.cancelOrderItems('order-1', ['item-1'], 'user-1');
+
+    expect(result).toMatchObject({ refund: null, totalRefundAmount: 0 });
+    expect(prisma.refund.create).not.toHaveBeenCalled();
+    expect(result.updatedItems[0].metadata).toMatchObject({ status: 'CANCELED', refundId: undefined });
+  });
+
+  it('cancels the whole order once its last item is canceled', async () => {
+    const order = buildOrder();
+    order.items[1].metadata = { status: 'CANCELED' };
+    prisma.order.findUnique.mockResolvedValue(order);
+
+    await orderService.cancelOrderItems('order-1', ['item-1'], 'admin-1', null, true);
+
+    expect(orderStatusService.transition).toHaveBeenCalledWith(
+      'order-1',
+      'CANCELED',
+      expect.objectContaining({ actor: 'ADMIN', userId: 'admin-1' }),
+      prisma
+    );
+  });
+});
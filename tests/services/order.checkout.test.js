@@ -0,0 +1,219 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const createPaymentOrder = jest.fn();
+const couponService = { reserveRedemptions: jest.fn(), releaseRedemptions: jest.fn() };
+const inventoryService = { commitCartHolds: jest.fn(), releaseStock: jest.fn() };
+const cartService = { refreshPromotions: jest.fn() };
+
+const serviceDouble = (name, methods) =>
+  jest.unstable_mockModule(`../../src/services/${name}`, () => methods);
+
+jest.unstable_mockModule('../../src/config/razorpay.js', () => ({ default: {} }));
+serviceDouble('inventory.service.js', { InventoryService: jest.fn(() => inventoryService) });
+serviceDouble('wallet.service.js', { WalletService: jest.fn(() => ({})) });
+serviceDouble('return.service.js', { ReturnService: jest.fn(() => ({})) });
+serviceDouble('fulfillment.service.js', { FulfillmentService: jest.fn(() => ({})) });
+serviceDouble('tax.service.js', {
+  TaxService: jest.fn(() => ({
+    calculateTax: jest.fn(async (lines) => ({
+      taxTotal: 0,
+      lines: lines.map(() => ({})),
+      supplyType: 'INTRA_STATE',
+      sellerState: 'Karnataka',
+      placeOfSupply: 'Karnataka',
+    })),
+  })),
+});
+serviceDouble('orderStatus.service.js', {
+  ORDER_ACTORS: { CUSTOMER: 'CUSTOMER', ADMIN: 'ADMIN', SYSTEM: 'SYSTEM' },
+  registerOrderStatusHook: jest.fn(),
+  OrderStatusService: jest.fn(() => ({ recordHistory: jest.fn() })),
+});
+serviceDouble('notification.service.js', {
+  NotificationService: jest.fn(() => ({ notifyOrder: jest.fn() })),
+});
+serviceDouble('cartRecovery.service.js', {
+  CartRecoveryService: jest.fn(() => ({ markRecovered: jest.fn() })),
+});
+serviceDouble('coupon.service.js', { CouponService: jest.fn(() => couponService) });
+serviceDouble('cart.service.js', { CartService: jest.fn(() => cartService) });
+serviceDouble('payment.service.js', {
+  createPaymentOrder,
+  verifyPayment: jest.fn(),
+  syncOrderPaymentStatus: jest.fn(async () => 'PENDING'),
+});
+
+const { OrderService } = await import('../../src/services/order.service.js');
+
+const orderService = new OrderService();
+
+const cart = {
+  id: 'cart-1',
+  shippingAddressId: 'address-1',
+  shippingRate: { carrier: 'fake', serviceCode: 'STANDARD', estimatedDays: 3 },
+  subtotal: '1000.00',
+  discountTotal: '0.00',
+  shippingTotal: '50.00',
+  total: '1050.00',
+  items: [
+    {
+      productId: 'product-1',
+      variantId: 'variant-1',
+      quantity: 1,
+      price: '1000.00',
+      totalPrice: '1000.00',
+      discount: '0.00',
+      product: { name: 'Kurta', sku: 'KURTA' },
+      variant: { name: 'M', sku: 'KURTA-M' },
+    },
+  ],
+  appliedCoupons: [],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.user.findUnique.mockResolvedValue({
+    id: 'user-1',
+    email: 'asha@example.com',
+    phoneNumber: '9999999999',
+    emailVerified: true,
+    phoneVerified: true,
+  });
+  prisma.cart.findUnique.mockResolvedValue(cart);
+  cartService.refreshPromotions.mockResolvedValue({ added: [], dropped: [] });
+  prisma.address.findUnique.mockResolvedValue({ id: 'address-1', state: 'Karnataka' });
+  prisma.order.create.mockImplementation(async ({ data }) => ({
+    id: 'order-1',
+    ...data,
+    items: [],
+    coupons: [],
+  }));
+  prisma.payment.create.mockImplementation(async ({ data }) => ({ id: 'payment-1', ...data }));
+});
+
+describe('OrderService.createOrder', () => {
+  it('returns the gateway payment order for an online tender', async () => {
+    createPaymentOrder.mockResolvedValue({ gateway: 'razorpay', intentId: 'order_rzp_1' });
+
+    const result = await orderService.createOrder('user-1', {
+      shippingAddressId: 'address-1',
+      paymentMethod: 'CREDIT_CARD',
+    });
+
+    expect(result.order.total).toBe(1050);
+    expect(result.payment).toMatchObject({ method: 'CREDIT_CARD', status: 'PENDING', amount: 1050 });
+    expect(createPaymentOrder).toHaveBeenCalledWith('payment-1');
+    expect(result.paymentOrder).toEqual({ gateway: 'razorpay', intentId: 'order_rzp_1' });
+  });
+
+  it('keeps the committed order when the gateway cannot start the payment', async () => {
+    createPaymentOrder.mockRejectedValue(new Error('Payment order creation failed: gateway down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await orderService.createOrder('user-1', {
+      shippingAddressId: 'address-1',
+      paymentMethod: 'CREDIT_CARD',
+    });
+
+    expect(result.order.id).toBe('order-1');
+    expect(result.paymentOrder).toBeNull();
+    expect(result.paymentError).toBe('Payment order creation failed: gateway down');
+    expect(inventoryService.commitCartHolds).toHaveBeenCalled();
+  });
+
+  it('takes the coupons\' uses before committing stock', async () => {
+    createPaymentOrder.mockResolvedValue({});
+
+    await orderService.createOrder('user-1', { shippingAddressId: 'address-1', paymentMethod: 'CREDIT_CARD' });
+
+    expect(couponService.reserveRedemptions.mock.invocationCallOrder[0]).toBeLessThan(
+      inventoryService.commitCartHolds.mock.invocationCallOrder[0]
+    );
+  });
+
+  it('rejects a cart priced for another address', async () => {
+    await expect(
+      orderService.createOrder('user-1', { shippingAddressId: 'address-2', paymentMethod: 'CREDIT_CARD' })
+    ).rejects.toThrow('Shipping was priced for a different address');
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('brings the cart\'s promotions up to date before pricing the order', async () => {
+    createPaymentOrder.mockResolvedValue({});
+
+    await orderService.createOrder('user-1', { shippingAddressId: 'address-1', paymentMethod: 'CREDIT_CARD' });
+
+    expect(cartService.refreshPromotions).toHaveBeenCalledWith('cart-1');
+    expect(cartService.refreshPromotions.mock.invocationCallOrder[0]).toBeLessThan(
+      prisma.cart.findUnique.mock.invocationCallOrder[1]
+    );
+  });
+
+  it('rejects the checkout when a promotion ended since the cart was priced', async () => {
+    prisma.cart.findUnique
+      .mockResolvedValueOnce(cart)
+      .mockResolvedValueOnce({ ...cart, discountTotal: '0.00', total: '1150.00' });
+    cartService.refreshPromotions.mockResolvedValue({ added: [], dropped: [{ code: 'FESTIVE100' }] });
+
+    await expect(
+      orderService.createOrder('user-1', { shippingAddressId: 'address-1', paymentMethod: 'CREDIT_CARD' })
+    ).rejects.toThrow('Your cart\'s discounts have changed');
+    expect(couponService.reserveRedemptions).not.toHaveBeenCalled();
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects the checkout when the refreshed total differs', async () => {
+    prisma.cart.findUnique
+      .mockResolvedValueOnce(cart)
+      .mockResolvedValueOnce({ ...cart, discountTotal: '50.00', total: '1000.00' });
+
+    await expect(
+      orderService.createOrder('user-1', { shippingAddressId: 'address-1', paymentMethod: 'CREDIT_CARD' })
+    ).rejects.toThrow('Your cart\'s discounts have changed');
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('OrderService.createOrderPaymentIntent', () => {
+  const order = (payments) => ({ id: 'order-1', userId: 'user-1', status: 'PENDING', payments });
+
+  it('starts a failed online payment again', async () => {
+    prisma.order.findUnique.mockResolvedValue(
+      order([{ id: 'payment-1', method: 'CREDIT_CARD', status: 'FAILED' }])
+    );
+    createPaymentOrder.mockResolvedValue({ gateway: 'razorpay', intentId: 'order_rzp_2' });
+
+    const paymentOrder = await orderService.createOrderPaymentIntent('order-1', 'user-1');
+
+    expect(prisma.payment.update).toHaveBeenCalledWith({
+      where: { id: 'payment-1' },
+      data: { status: 'PENDING', errorMessage: null },
+    });
+    expect(createPaymentOrder).toHaveBeenCalledWith('payment-1');
+    expect(paymentOrder.intentId).toBe('order_rzp_2');
+  });
+
+  it('refuses another customer\'s order', async () => {
+    prisma.order.findUnique.mockResolvedValue({ ...order([]), userId: 'user-2' });
+
+    await expect(orderService.createOrderPaymentIntent('order-1', 'user-1')).rejects.toThrow(
+      'You are not authorized to pay for this order'
+    );
+  });
+
+  it('refuses an order with nothing left to pay online', async () => {
+    prisma.order.findUnique.mockResolvedValue(
+      order([{ id: 'payment-1', method: 'CREDIT_CARD', status: 'PAID' }])
+    );
+
+    await expect(orderService.createOrderPaymentIntent('order-1', 'user-1')).rejects.toThrow(
+      'This order has no online payment awaiting completion'
+    );
+    expect(createPaymentOrder).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const { OrderStatusService, registerOrderStatusHook } = await import('../../src/services/orderStatus.service.js');
+
+const orderStatusService = new OrderStatusService();
+
+const order = (status, fulfillmentStatus = 'UNFULFILLED') => ({ id: 'order-1', status, fulfillmentStatus });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.order.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+  prisma.orderStatusHistory.create.mockImplementation(async ({ data }) => ({ id: 'history-1', ...data }));
+});
+
+describe('OrderStatusService.assertTransition', () => {
+  it('refuses a transition the state machine does not have', () => {
+    expect(() => orderStatusService.assertTransition(order('DELIVERED'), 'PENDING', 'ADMIN')).toThrow(
+      'Invalid status transition from DELIVERED to PENDING'
+    );
+  });
+
+  it('refuses an actor the transition does not allow', () => {
+    expect(() => orderStatusService.assertTransition(order('SHIPPED'), 'DELIVERED', 'CUSTOMER')).toThrow(
+      'You are not authorized to move an order from SHIPPED to DELIVERED'
+    );
+    expect(() => orderStatusService.assertTransition(order('PROCESSING'), 'ON_HOLD', 'SYSTEM')).toThrow(
+      'You are not authorized to move an order from PROCESSING to ON_HOLD'
+    );
+  });
+
+  it('lets a customer cancel only while nothing has shipped', () => {
+    expect(() => orderStatusService.assertTransition(order('PROCESSING'), 'CANCELED', 'CUSTOMER')).not.toThrow();
+    expect(() =>
+      orderStatusService.assertTransition(order('PROCESSING', 'PARTIALLY_FULFILLED'), 'CANCELED', 'CUSTOMER')
+    ).toThrow('Cannot cancel an order that has already been partly shipped; cancel the unshipped items instead');
+  });
+
+  it('marks an order shipped only once every item is fulfilled', () => {
+    expect(() =>
+      orderStatusService.assertTransition(order('PROCESSING', 'PARTIALLY_FULFILLED'), 'SHIPPED', 'ADMIN')
+    ).toThrow('Create fulfillments for all items before marking the order as shipped');
+    expect(() =>
+      orderStatusService.assertTransition(order('PROCESSING', 'FULFILLED'), 'SHIPPED', 'ADMIN')
+    ).not.toThrow();
+  });
+});
+
+describe('OrderStatusService.getAllowedTransitions', () => {
+  it('lists only the statuses the actor may move to', () => {
+    expect(orderStatusService.getAllowedTransitions('PROCESSING', 'CUSTOMER')).toEqual(['CANCELED']);
+    expect(orderStatusService.getAllowedTransitions('PROCESSING', 'ADMIN')).toEqual(['SHIPPED', 'ON_HOLD', 'CANCELED']);
+    expect(orderStatusService.getAllowedTransitions('REFUNDED', 'ADMIN')).toEqual([]);
+  });
+});
+
+describe('OrderStatusService.transition', () => {
+  it('locks the order, writes the status and records who moved it', async () => {
+    prisma.order.findUnique.mockResolvedValue(order('PENDING'));
+
+    const { order: updated, history } = await orderStatusService.transition(
+      'order-1',
+      'CANCELED',
+      { actor: 'CUSTOMER', userId: 'user-1', note: 'Changed my mind' }
+    );
+
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe('order-1');
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(
+      prisma.order.findUnique.mock.invocationCallOrder[0]
+    );
+    expect(updated).toMatchObject({ status: 'CANCELED', cancelReason: 'Changed my mind', canceledAt: expect.any(Date) });
+    expect(history).toMatchObject({
+      orderId: 'order-1',
+      fromStatus: 'PENDING',
+      toStatus: 'CANCELED',
+      actor: 'CUSTOMER',
+      changedById: 'user-1',
+    });
+  });
+
+  it('writes nothing when the transition is refused', async () => {
+    prisma.order.findUnique.mockResolvedValue(order('SHIPPED'));
+
+    await expect(orderStatusService.transition('order-1', 'CANCELED', { actor: 'ADMIN' })).rejects.toThrow(
+      'Invalid status transition from SHIPPED to CANCELED'
+    );
+    expect(prisma.order.update).not.toHaveBeenCalled();
+    expect(prisma.orderStatusHistory.create).not.toHaveBeenCalled();
+  });
+
+  it('runs only the hooks that match and returns their results', async () => {
+    const onDelivered = jest.fn(async () => 'review requested');
+    const onCanceled = jest.fn();
+    registerOrderStatusHook('test:delivered', { from: 'SHIPPED', to: 'DELIVERED' }, onDelivered);
+    registerOrderStatusHook('test:canceled', { to: 'CANCELED' }, onCanceled);
+    prisma.order.findUnique.mockResolvedValue(order('SHIPPED', 'FULFILLED'));
+
+    const { effects, order: updated } = await orderStatusService.transition('order-1', 'DELIVERED');
+
+    expect(updated.completedAt).toEqual(expect.any(Date));
+    expect(effects).toEqual({ 'test:delivered': 'review requested' });
+    expect(onDelivered).toHaveBeenCalledWith(expect.objectContaining({ from: 'SHIPPED', to: 'DELIVERED', actor: 'SYSTEM' }));
+    expect(onCanceled).not.toHaveBeenCalled();
+  });
+
+  it('fails the transition when a hook throws', async () => {
+    registerOrderStatusHook('test:delivered', { to: 'DELIVERED' }, async () => {
+      throw new Error('Review service down');
+    });
+    prisma.order.findUnique.mockResolvedValue(order('SHIPPED', 'FULFILLED'));
+
+    await expect(orderStatusService.transition('order-1', 'DELIVERED')).rejects.toThrow('Review service down');
+  });
+});
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+// Just enough of Redis for the OTP records
+const store = new Map();
+const redisManager = {
+  get: jest.fn(async (key) => store.get(key) ?? null),
+  set: jest.fn(async (key, value) => {
+    store.set(key, structuredClone(value));
+  }),
+  del: jest.fn(async (key) => {
+    store.delete(key);
+  }),
+};
+
+const smsService = {
+  sendSms: jest.fn(async () => ({ messageId: 'msg-1', status: 'SENT', attempts: 1, updatedAt: '2026-10-19T10:00:00Z' })),
+  getDeliveryStatus: jest.fn(async () => ({ messageId: 'msg-1', status: 'DELIVERED', attempts: 1, updatedAt: '2026-10-19T10:00:05Z' })),
+};
+
+jest.unstable_mockModule('../../src/utils/redisClient.js', () => ({ default: redisManager }));
+jest.unstable_mockModule('../../src/services/auth.service.js', () => ({ AuthService: jest.fn(() => ({})) }));
+jest.unstable_mockModule('../../src/services/sms.service.js', () => ({ SmsService: jest.fn(() => smsService) }));
+jest.unstable_mockModule('../../src/utils/tokenGenerator.js', () => ({ generateTokens: jest.fn() }));
+
+const { OtpService } = await import('../../src/services/otp.service.js');
+
+const otpService = new OtpService();
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', phoneNumber: '9999999999' });
+});
+
+describe('OTP delivery status', () => {
+  it('is returned to the caller holding the request ID', async () => {
+    const { requestId } = await otpService.requestOtpLogin('9999999999');
+
+    await expect(otpService.getOtpDeliveryStatus('9999999999', requestId)).resolves.toMatchObject({
+      messageId: 'msg-1',
+      status: 'DELIVERED',
+    });
+  });
+
+  it('is withheld for a phone number without the matching request ID', async () => {
+    await otpService.requestOtpLogin('9999999999');
+
+    await expect(otpService.getOtpDeliveryStatus('9999999999', 'f'.repeat(32))).resolves.toBeNull();
+    await expect(otpService.getOtpDeliveryStatus('9999999999', 'short')).resolves.toBeNull();
+    expect(smsService.getDeliveryStatus).not.toHaveBeenCalled();
+  });
+
+  it('requires a request ID', async () => {
+    await expect(otpService.getOtpDeliveryStatus('9999999999')).rejects.toThrow(
+      'Phone number and request ID are required'
+    );
+  });
+});
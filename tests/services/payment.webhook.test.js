@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const invoiceService = { getOrCreateInvoice: jest.fn(), createCreditNote: jest.fn() };
+const notificationService = { notifyOrder: jest.fn() };
+
+jest.unstable_mockModule('../../src/config/razorpay.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../src/services/invoice.service.js', () => ({
+  InvoiceService: jest.fn(() => invoiceService),
+}));
+jest.unstable_mockModule('../../src/services/notification.service.js', () => ({
+  NotificationService: jest.fn(() => notificationService),
+}));
+
+const { handleGatewayWebhook } = await import('../../src/services/payment.service.js');
+
+const sign = (body) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+
+const capturedEvent = (amountInPaise) =>
+  Buffer.from(
+    JSON.stringify({
+      entity: 'event',
+      event: 'payment.captured',
+      payload: {
+        payment: {
+          entity: {
+            id: 'pay_1',
+            order_id: 'order_rzp_1',
+            amount: amountInPaise,
+            currency: 'INR',
+            status: 'captured',
+            method: 'upi',
+          },
+        },
+      },
+    })
+  );
+
+const deliver = (body, { signature = sign(body), eventId = 'evt_1' } = {}) =>
+  handleGatewayWebhook('razorpay', body, {
+    'x-razorpay-signature': signature,
+    'x-razorpay-event-id': eventId,
+  });
+
+describe('handleGatewayWebhook (razorpay)', () => {
+  let payment;
+  let order;
+  let seenEvents;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    payment = {
+      id: 'payment-1',
+      orderId: 'order-1',
+      amount: '499.00',
+      status: 'PENDING',
+      paymentGateway: 'razorpay',
+      metadata: { intentId: 'order_rzp_1' },
+    };
+    order = { id: 'order-1', total: '499.00', paymentStatus: 'PENDING', refunds: [] };
+    seenEvents = new Set();
+
+    prisma.webhookEvent.create.mockImplementation(async ({ data }) => {
+      const key = `${data.provider}:${data.eventId}`;
+      if (seenEvents.has(key)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      seenEvents.add(key);
+      return data;
+    });
+    prisma.payment.findFirst.mockImplementation(async ({ where }) =>
+      where.transactionId === 'pay_1' || where.metadata?.equals === 'order_rzp_1' ? payment : null
+    );
+    prisma.payment.update.mockImplementation(async ({ data }) => {
+      payment = { ...payment, ...data };
+      return payment;
+    });
+    prisma.order.findUnique.mockImplementation(async () => ({ ...order, payments: [payment] }));
+    prisma.order.update.mockImplementation(async ({ data }) => {
+      order = { ...order, ...data };
+      return order;
+    });
+  });
+
+  it('marks the payment paid for a correctly signed capture', async () => {
+    const result = await deliver(capturedEvent(49900));
+
+    expect(result).toEqual({ status: 'processed', event: 'payment.captured' });
+    expect(payment.status).toBe('PAID');
+    expect(payment.transactionId).toBe('pay_1');
+    expect(order.paymentStatus).toBe('PAID');
+    expect(invoiceService.getOrCreateInvoice).toHaveBeenCalledWith('order-1', prisma);
+  });
+
+  it('rejects a delivery with a bad signature without touching the database', async () => {
+    const body = capturedEvent(49900);
+
+    await expect(deliver(body, { signature: 'f'.repeat(64) })).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(prisma.webhookEvent.create).not.toHaveBeenCalled();
+    expect(payment.status).toBe('PENDING');
+  });
+
+  it('treats a replayed event as a duplicate', async () => {
+    const body = capturedEvent(49900);
+
+    await deliver(body);
+    prisma.payment.update.mockClear();
+
+    const replay = await deliver(body);
+
+    expect(replay).toEqual({ status: 'duplicate', event: 'payment.captured' });
+    expect(prisma.payment.update).not.toHaveBeenCalled();
+  });
+
+  it('does not accept a capture for a different amount', async () => {
+    const result = await deliver(capturedEvent(100));
+
+    expect(result).toEqual({ status: 'mismatch', event: 'payment.captured' });
+    expect(payment.status).toBe('PENDING');
+    expect(payment.errorMessage).toMatch(/does not match/);
+    expect(order.paymentStatus).toBe('PENDING');
+    expect(invoiceService.getOrCreateInvoice).not.toHaveBeenCalled();
+  });
+});
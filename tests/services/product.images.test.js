@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const cloudinaryService = { uploadImageData: jest.fn(), deleteImage: jest.fn() };
+const jobQueue = { enqueue: jest.fn() };
+
+jest.unstable_mockModule('../../src/services/cloudinary.service.js', () => ({ default: cloudinaryService }));
+jest.unstable_mockModule('../../src/services/jobQueue.service.js', () => ({
+  JobQueueService: jest.fn(() => jobQueue),
+  JOB_TYPES: { PROCESS_PRODUCT_IMAGES: 'image.processProduct' },
+}));
+
+const { ProductService } = await import('../../src/services/product.service.js');
+
+const productService = new ProductService();
+
+let tmpDir;
+
+// A multer temp file, as the upload middleware leaves it on disk
+const uploadedFile = (name) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, `contents of ${name}`);
+  return { path: filePath, originalname: name, mimetype: 'image/png' };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-images-'));
+
+  let uploadCount = 0;
+  prisma.product.create.mockResolvedValue({ id: 'product-1' });
+  prisma.product.findUnique.mockResolvedValue({ id: 'product-1', images: [] });
+  prisma.productImageUpload.create.mockImplementation(async () => ({ id: `upload-${++uploadCount}` }));
+  prisma.productImageUpload.updateMany.mockResolvedValue({ count: 1 });
+  jobQueue.enqueue.mockResolvedValue({ id: 'job-1' });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('createProduct', () => {
+  const productData = { name: 'Linen shirt', slug: 'linen-shirt', description: 'Shirt', price: '999' };
+
+  it('stores the image files in the database and queues them by upload ID', async () => {
+    const file = uploadedFile('front.png');
+
+    await productService.createProduct(productData, 'admin-1', [file]);
+
+    const { data } = prisma.productImageUpload.create.mock.calls[0][0];
+    expect(data).toMatchObject({ productId: 'product-1', fileName: 'front.png', mimeType: 'image/png', position: 0 });
+    expect(data.data.toString()).toBe('contents of front.png');
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('image.processProduct', {
+      productId: 'product-1',
+      uploadIds: ['upload-1'],
+    });
+    expect(prisma.productImageUpload.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['upload-1'] } },
+      data: { queuedAt: expect.any(Date) },
+    });
+    expect(fs.existsSync(file.path)).toBe(false);
+  });
+
+  it('returns the saved product when its images cannot be queued', async () => {
+    jobQueue.enqueue.mockRejectedValue(new Error('Redis unavailable'));
+
+    const product = await productService.createProduct(productData, 'admin-1', [uploadedFile('front.png')]);
+
+    expect(product).toEqual({ id: 'product-1', images: [] });
+    expect(prisma.productImageUpload.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('queuePendingProductImages', () => {
+  it('queues unqueued uploads, one job per product', async () => {
+    prisma.productImageUpload.findMany.mockResolvedValue([
+      { id: 'upload-1', productId: 'product-1' },
+      { id: 'upload-2', productId: 'product-2' },
+      { id: 'upload-3', productId: 'product-1' },
+    ]);
+
+    await expect(productService.queuePendingProductImages()).resolves.toEqual({ queued: 3 });
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('image.processProduct', {
+      productId: 'product-1',
+      uploadIds: ['upload-1', 'upload-3'],
+    });
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('image.processProduct', {
+      productId: 'product-2',
+      uploadIds: ['upload-2'],
+    });
+  });
+});
+
+describe('processProductImages', () => {
+  const upload = {
+    id: 'upload-1',
+    productId: 'product-1',
+    data: Buffer.from('image'),
+    mimeType: 'image/png',
+    altText: 'Linen shirt',
+    position: 0,
+    productImageId: null,
+  };
+
+  beforeEach(() => {
+    prisma.product.findUnique.mockResolvedValue({ id: 'product-1', featuredImageUrl: null });
+    cloudinaryService.uploadImageData.mockResolvedValue({ public_id: 'products/abc', url: 'https://img/abc.png' });
+    prisma.productImage.create.mockResolvedValue({ id: 'image-1', url: 'https://img/abc.png' });
+  });
+
+  it('uploads the stored file, creates the image and clears the file', async () => {
+    prisma.productImageUpload.findUnique
+      .mockResolvedValueOnce(upload)
+      .mockResolvedValueOnce({ productImageId: null });
+
+    await expect(
+      productService.processProductImages({ productId: 'product-1', uploadIds: ['upload-1'] })
+    ).resolves.toEqual({ uploaded: 1 });
+
+    expect(cloudinaryService.uploadImageData).toHaveBeenCalledWith(upload.data, 'image/png');
+    expect(prisma.productImageUpload.update).toHaveBeenCalledWith({
+      where: { id: 'upload-1' },
+      data: { productImageId: 'image-1', data: null, uploadedAt: expect.any(Date) },
+    });
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: 'product-1' },
+      data: { featuredImageUrl: 'https://img/abc.png' },
+    });
+  });
+
+  it('skips uploads an earlier attempt already turned into images', async () => {
+    prisma.productImageUpload.findUnique.mockResolvedValueOnce({ ...upload, productImageId: 'image-1' });
+
+    await expect(
+      productService.processProductImages({ productId: 'product-1', uploadIds: ['upload-1'] })
+    ).resolves.toEqual({ uploaded: 0 });
+    expect(cloudinaryService.uploadImageData).not.toHaveBeenCalled();
+  });
+
+  it('fails the job when an upload is missing', async () => {
+    prisma.productImageUpload.findUnique.mockResolvedValueOnce(null);
+
+    await expect(
+      productService.processProductImages({ productId: 'product-1', uploadIds: ['upload-1'] })
+    ).rejects.toThrow('Image upload upload-1 not found');
+  });
+
+  it('removes its copy from Cloudinary when another run created the image first', async () => {
+    prisma.productImageUpload.findUnique
+      .mockResolvedValueOnce(upload)
+      .mockResolvedValueOnce({ productImageId: 'image-2' });
+
+    await expect(
+      productService.processProductImages({ productId: 'product-1', uploadIds: ['upload-1'] })
+    ).resolves.toEqual({ uploaded: 0 });
+    expect(prisma.productImage.create).not.toHaveBeenCalled();
+    expect(cloudinaryService.deleteImage).toHaveBeenCalledWith('products/abc');
+  });
+});
@@ -0,0 +1,161 @@
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const { PromotionService } = await import('../../src/services/promotion.service.js');
+
+const promotionService = new PromotionService();
+
+const item = (id, productId, quantity, unitPrice) => ({
+  id,
+  productId,
+  variantId: null,
+  quantity,
+  totalPrice: String(quantity * unitPrice),
+});
+
+const coupon = (code, overrides = {}) => ({
+  id: `coupon-${code}`,
+  code,
+  type: 'PERCENTAGE',
+  value: '10',
+  applicabilityScope: 'ALL_PRODUCTS',
+  minimumOrderAmount: null,
+  maximumDiscountAmount: null,
+  isStackable: true,
+  priority: 1,
+  rules: null,
+  status: 'ACTIVE',
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  endDate: null,
+  deletedAt: null,
+  maxUsageCount: null,
+  usageCount: 0,
+  ...overrides,
+});
+
+const discountsOf = (result) => Object.fromEntries(result.lines.map(line => [line.itemId, line.discount]));
+
+describe('promotion types', () => {
+  it('makes the cheapest units free on buy X get Y', () => {
+    const items = [item('shirt', 'p-shirt', 2, 500), item('socks', 'p-socks', 1, 200)];
+    const result = promotionService.evaluate(items, [
+      coupon('B2G1', { type: 'BUY_X_GET_Y', value: '100', rules: { buyQuantity: 2, getQuantity: 1 } }),
+    ]);
+
+    expect(discountsOf(result)).toEqual({ shirt: 0, socks: 200 });
+  });
+
+  it('skips buy X get Y when there are too few units', () => {
+    const result = promotionService.evaluate([item('shirt', 'p-shirt', 2, 500)], [
+      coupon('B2G1', { type: 'BUY_X_GET_Y', value: '100', rules: { buyQuantity: 2, getQuantity: 1 } }),
+    ]);
+
+    expect(result.applied).toEqual([]);
+    expect(result.skipped[0].reason).toBe('The items in the cart don\'t qualify');
+  });
+
+  it('gives the highest tier the cart reaches', () => {
+    const result = promotionService.evaluate([item('shirt', 'p-shirt', 3, 1000)], [
+      coupon('TIERS', {
+        type: 'TIERED_SPEND',
+        rules: { tiers: [{ minAmount: 1000, percent: 5 }, { minAmount: 2500, amount: 400 }] },
+      }),
+    ]);
+
+    expect(result.discountTotal).toBe(400);
+  });
+
+  it('prices complete bundles at the bundle price', () => {
+    const items = [item('shirt', 'p-shirt', 1, 1200), item('tie', 'p-tie', 1, 800)];
+    const result = promotionService.evaluate(items, [
+      coupon('SET', {
+        type: 'BUNDLE_PRICE',
+        value: '1500',
+        rules: { items: [{ productId: 'p-shirt' }, { productId: 'p-tie' }] },
+      }),
+    ]);
+
+    expect(result.discountTotal).toBe(500);
+    expect(discountsOf(result)).toEqual({ shirt: 300, tie: 200 });
+  });
+
+  it('takes the cheapest unit off once the cart has enough', () => {
+    const items = [item('shirt', 'p-shirt', 2, 500), item('socks', 'p-socks', 1, 200)];
+    const result = promotionService.evaluate(items, [
+      coupon('CHEAP', { type: 'CHEAPEST_FREE', value: '50', rules: { minQuantity: 3 } }),
+    ]);
+
+    expect(discountsOf(result)).toEqual({ shirt: 0, socks: 100 });
+  });
+});
+
+describe('stacking', () => {
+  it('applies coupons by priority, each on what the ones before left', () => {
+    const items = [item('shirt', 'p-shirt', 1, 1000)];
+    const result = promotionService.evaluate(items, [
+      coupon('TENOFF', { priority: 1 }),
+      coupon('FLAT', { type: 'FIXED_AMOUNT', value: '200', priority: 2 }),
+    ]);
+
+    expect(result.applied.map(({ coupon: applied, discountAmount }) => [applied.code, discountAmount])).toEqual([
+      ['FLAT', 200],
+      ['TENOFF', 80],
+    ]);
+    expect(result.discountTotal).toBe(280);
+  });
+
+  it('never takes a line below zero', () => {
+    const items = [item('socks', 'p-socks', 1, 300)];
+    const result = promotionService.evaluate(items, [
+      coupon('BIG', { type: 'FIXED_AMOUNT', value: '500', priority: 2 }),
+      coupon('TENOFF'),
+    ]);
+
+    expect(result.discountTotal).toBe(300);
+    expect(result.skipped.map(({ coupon: skipped }) => skipped.code)).toEqual(['TENOFF']);
+  });
+
+  it('lets a non-stackable coupon shut out the rest only when it is worth more', () => {
+    const items = [item('shirt', 'p-shirt', 1, 1000)];
+    const solo = coupon('SOLO', { value: '30', isStackable: false });
+    const result = promotionService.evaluate(items, [coupon('TENOFF'), solo]);
+
+    expect(result.applied.map(({ coupon: applied }) => applied.code)).toEqual(['SOLO']);
+    expect(result.skipped).toEqual([{ coupon: expect.objectContaining({ code: 'TENOFF' }), reason: 'Can\'t be combined with SOLO' }]);
+  });
+
+  it('shares a coupon\'s cap across the lines it discounts', () => {
+    const items = [item('shirt', 'p-shirt', 1, 3000), item('tie', 'p-tie', 1, 1000)];
+    const result = promotionService.evaluate(items, [
+      coupon('HALF', { value: '50', maximumDiscountAmount: '400' }),
+    ]);
+
+    expect(discountsOf(result)).toEqual({ shirt: 300, tie: 100 });
+  });
+
+  it('only discounts lines within the coupon\'s scope', () => {
+    const items = [item('shirt', 'p-shirt', 1, 1000), item('tie', 'p-tie', 1, 500)];
+    const result = promotionService.evaluate(items, [
+      coupon('TIES', { applicabilityScope: 'SPECIFIC_PRODUCTS', products: [{ productId: 'p-tie' }] }),
+    ]);
+
+    expect(discountsOf(result)).toEqual({ shirt: 0, tie: 50 });
+  });
+});
+
+describe('validatePromotion', () => {
+  it('rejects rules that don\'t fit the type with a 400', () => {
+    expect(() => promotionService.validatePromotion({ type: 'BUY_X_GET_Y', value: '100', rules: { buyQuantity: 2 } }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('accepts a valid tiered promotion', () => {
+    expect(() => promotionService.validatePromotion({
+      type: 'TIERED_SPEND',
+      value: 0,
+      rules: { tiers: [{ minAmount: 1000, percent: 5 }] },
+    })).not.toThrow();
+  });
+});
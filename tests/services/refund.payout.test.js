@@ -0,0 +1,305 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+process.env.MOCK_GATEWAY_SECRET = 'gateway_secret';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+const razorpay = { payouts: { create: jest.fn() } };
+
+jest.unstable_mockModule('../../src/config/razorpay.js', () => ({ default: razorpay }));
+jest.unstable_mockModule('../../src/services/invoice.service.js', () => ({
+  InvoiceService: jest.fn(() => ({ getOrCreateInvoice: jest.fn(), createCreditNote: jest.fn() })),
+}));
+jest.unstable_mockModule('../../src/services/notification.service.js', () => ({
+  NotificationService: jest.fn(() => ({ notifyOrder: jest.fn() })),
+}));
+
+const { processBankRefund, processGatewayRefund, handleGatewayWebhook } = await import(
+  '../../src/services/payment.service.js'
+);
+const { RefundService } = await import('../../src/services/refund.service.js');
+const { getGateway } = await import('../../src/services/gateways/index.js');
+
+const refundService = new RefundService();
+
+const mockGateway = getGateway('mock');
+
+// Just enough of the Order / Payment / Refund tables for the payout flows
+let db;
+
+const matches = (row, where) =>
+  Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === 'object' && 'not' in condition) {
+      return row[field] !== condition.not;
+    }
+
+    if (condition && typeof condition === 'object' && 'in' in condition) {
+      return condition.in.includes(row[field]);
+    }
+
+    return row[field] === condition;
+  });
+
+const loadOrder = (orderId) => ({
+  ...db.orders.get(orderId),
+  payments: db.payments.filter((p) => p.orderId === orderId),
+  refunds: [...db.refunds.values()].filter((r) => r.orderId === orderId),
+  user: { firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com', phoneNumber: '9999999999' },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+
+  db = {
+    orders: new Map([['order-1', {
+        id: 'order-1',
+        orderNumber: 'ORD-1',
+        userId: 'user-1',
+        total: '1000.00',
+        paymentStatus: 'PAID',
+        refundedAmount: 0,
+      }]]),
+    payments: [
+      {
+        id: 'payment-1',
+        orderId: 'order-1',
+        amount: '600.00',
+        status: 'PAID',
+        paymentGateway: 'mock',
+        transactionId: 'mock_pay_1',
+        createdAt: new Date('2026-10-01T10:00:00Z'),
+      },
+      {
+        id: 'payment-2',
+        orderId: 'order-1',
+        amount: '400.00',
+        status: 'PAID',
+        paymentGateway: 'mock',
+        transactionId: 'mock_pay_2',
+        createdAt: new Date('2026-10-01T10:05:00Z'),
+      },
+    ],
+    refunds: new Map(),
+    events: new Set(),
+  };
+
+  prisma.refund.findUnique.mockImplementation(async ({ where, include }) => {
+    const refund = db.refunds.get(where.id);
+    if (!refund) return null;
+    return include?.order ? { ...refund, order: loadOrder(refund.orderId) } : { ...refund };
+  });
+  prisma.refund.findMany.mockImplementation(async ({ where }) =>
+    [...db.refunds.values()].filter((r) => matches(r, where)).map((r) => ({ ...r }))
+  );
+  prisma.payment.findMany.mockImplementation(async ({ where }) => db.payments.filter((p) => matches(p, where)));
+  prisma.refund.findFirst.mockImplementation(async ({ where }) =>
+    [...db.refunds.values()].find((r) => matches(r, where)) || null
+  );
+  prisma.refund.updateMany.mockImplementation(async ({ where, data }) => {
+    const refund = db.refunds.get(where.id);
+    if (!refund || !matches(refund, where)) return { count: 0 };
+    Object.assign(refund, data);
+    return { count: 1 };
+  });
+  prisma.refund.update.mockImplementation(async ({ where, data }) => Object.assign(db.refunds.get(where.id), data));
+  prisma.order.findUnique.mockImplementation(async ({ where }) => loadOrder(where.id));
+  prisma.order.update.mockImplementation(async ({ where, data }) => {
+    const order = db.orders.get(where.id);
+    if (data.refundedAmount?.increment) {
+      order.refundedAmount += data.refundedAmount.increment;
+    } else {
+      Object.assign(order, data);
+    }
+    return order;
+  });
+  prisma.return.updateMany.mockResolvedValue({ count: 0 });
+  prisma.webhookEvent.create.mockImplementation(async ({ data }) => {
+    if (db.events.has(data.eventId)) {
+      throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    }
+    db.events.add(data.eventId);
+    return data;
+  });
+});
+
+const addRefund = (refund) => {
+  db.refunds.set(refund.id, { orderId: 'order-1', status: 'PENDING', transactionId: null, metadata: null, ...refund });
+};
+
+const deliverRefundEvent = (eventId, refund) => {
+  const body = Buffer.from(JSON.stringify({ id: eventId, type: 'refund.processed', refund }));
+  return handleGatewayWebhook('mock', body, { 'x-mock-signature': mockGateway.sign(body) });
+};
+
+describe('processGatewayRefund', () => {
+  it('pays out a refund approved twice at the same time only once', async () => {
+    addRefund({ id: 'refund-1', amount: '300.00' });
+    const gatewayRefund = jest.spyOn(mockGateway, 'refund');
+
+    const results = await Promise.allSettled([
+      processGatewayRefund('refund-1'),
+      processGatewayRefund('refund-1'),
+    ]);
+
+    expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find((r) => r.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    expect(gatewayRefund).toHaveBeenCalledTimes(1);
+    expect(db.refunds.get('refund-1').status).toBe('REFUNDED');
+  });
+
+  it('splits a refund across captured payments, capped at what each still has', async () => {
+    // 500 of the first payment was already refunded
+    addRefund({
+      id: 'refund-old',
+      amount: '500.00',
+      status: 'REFUNDED',
+      metadata: {
+        gatewayRefunds: [{ paymentId: 'payment-1', transactionId: 'rfnd_old', amount: 500, status: 'PROCESSED' }],
+      },
+    });
+    addRefund({ id: 'refund-1', amount: '450.00' });
+    const gatewayRefund = jest.spyOn(mockGateway, 'refund');
+
+    await processGatewayRefund('refund-1');
+
+    expect(gatewayRefund.mock.calls.map(([transactionId, amount]) => [transactionId, amount])).toEqual([
+      ['mock_pay_1', 100],
+      ['mock_pay_2', 350],
+    ]);
+    expect(db.refunds.get('refund-1').status).toBe('REFUNDED');
+    expect(db.refunds.get('refund-1').metadata.gatewayRefunds.map((part) => part.amount)).toEqual([100, 350]);
+  });
+
+  it('refuses a refund larger than the gateway payments can cover', async () => {
+    addRefund({ id: 'refund-1', amount: '1200.00' });
+    const gatewayRefund = jest.spyOn(mockGateway, 'refund');
+
+    await expect(processGatewayRefund('refund-1')).rejects.toThrow('is still refundable');
+    expect(gatewayRefund).not.toHaveBeenCalled();
+    expect(db.refunds.get('refund-1').status).toBe('PENDING');
+  });
+
+  it('leaves the refund PROCESSING until the gateway confirms it', async () => {
+    addRefund({ id: 'refund-1', amount: '700.00' });
+    let next = 0;
+    jest
+      .spyOn(mockGateway, 'refund')
+      .mockImplementation(async () => ({ refundId: `rfnd_${++next}`, status: 'pending' }));
+
+    await processGatewayRefund('refund-1');
+    expect(db.refunds.get('refund-1').status).toBe('PROCESSING');
+
+    await deliverRefundEvent('evt_1', { transactionId: 'rfnd_1', refundId: 'refund-1', paymentTransactionId: 'mock_pay_1' });
+    expect(db.refunds.get('refund-1').status).toBe('PROCESSING');
+
+    await deliverRefundEvent('evt_2', { transactionId: 'rfnd_2', refundId: 'refund-1', paymentTransactionId: 'mock_pay_2' });
+    expect(db.refunds.get('refund-1').status).toBe('REFUNDED');
+    expect(db.orders.get('order-1').refundedAmount).toBe(700);
+  });
+
+  it('hands the refund back when the gateway refuses it', async () => {
+    addRefund({ id: 'refund-1', amount: '300.00' });
+    jest.spyOn(mockGateway, 'refund').mockRejectedValue(new Error('Gateway unavailable'));
+
+    await expect(processGatewayRefund('refund-1')).rejects.toThrow('Gateway refund failed: Gateway unavailable');
+    expect(db.refunds.get('refund-1').status).toBe('PENDING');
+  });
+});
+
+describe('processBankRefund', () => {
+  it('keeps a queued payout PROCESSING so it cannot be approved again', async () => {
+    addRefund({ id: 'refund-1', amount: '300.00' });
+    razorpay.payouts.create.mockResolvedValue({ id: 'pout_1', status: 'queued' });
+
+    await processBankRefund('refund-1', { upiId: 'asha@upi' });
+
+    expect(db.refunds.get('refund-1')).toMatchObject({ status: 'PROCESSING', transactionId: 'pout_1' });
+    await expect(processBankRefund('refund-1', { upiId: 'asha@upi' })).rejects.toThrow('Refund is already processing');
+    expect(razorpay.payouts.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('completes a payout the bank processed straight away', async () => {
+    addRefund({ id: 'refund-1', amount: '300.00' });
+    razorpay.payouts.create.mockResolvedValue({ id: 'pout_1', status: 'processed' });
+
+    await processBankRefund('refund-1', { upiId: 'asha@upi' });
+
+    expect(db.refunds.get('refund-1')).toMatchObject({ status: 'REFUNDED', transactionId: 'pout_1' });
+  });
+});
+
+describe('claiming refunds on one order', () => {
+  it('refuses a refund that, with those already being paid out, exceeds what was captured', async () => {
+    addRefund({ id: 'refund-a', amount: '700.00', status: 'PROCESSING' });
+    addRefund({ id: 'refund-b', amount: '400.00' });
+
+    await expect(processBankRefund('refund-b', { upiId: 'asha@upi' })).rejects.toThrow(
+      'Refund of ₹400.00 exceeds the ₹300.00 still refundable on this order'
+    );
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe('order-1');
+    expect(razorpay.payouts.create).not.toHaveBeenCalled();
+    expect(db.refunds.get('refund-b').status).toBe('PENDING');
+  });
+});
+
+describe('approveRefund on an order paid with store credit and a gateway', () => {
+  beforeEach(() => {
+    db.payments = [
+      {
+        id: 'payment-credit',
+        orderId: 'order-1',
+        amount: '400.00',
+        status: 'PAID',
+        method: 'STORE_CREDIT',
+        paymentGateway: null,
+        transactionId: null,
+        createdAt: new Date('2026-10-01T10:00:00Z'),
+      },
+      {
+        id: 'payment-card',
+        orderId: 'order-1',
+        amount: '600.00',
+        status: 'PAID',
+        method: 'CREDIT_CARD',
+        paymentGateway: 'mock',
+        transactionId: 'mock_pay_card',
+        createdAt: new Date('2026-10-01T10:01:00Z'),
+      },
+    ];
+    jest.spyOn(refundService.walletService, 'credit').mockResolvedValue({ id: 'ledger-1' });
+  });
+
+  it('credits the store-credit share back and sends only the rest to the gateway', async () => {
+    addRefund({ id: 'refund-1', amount: '500.00' });
+    const gatewayRefund = jest.spyOn(mockGateway, 'refund');
+
+    await refundService.approveRefund('refund-1');
+
+    expect(refundService.walletService.credit).toHaveBeenCalledWith(
+      'user-1',
+      200,
+      expect.objectContaining({ type: 'REFUND', referenceId: 'refund-1' }),
+      prisma
+    );
+    expect(gatewayRefund.mock.calls.map(([transactionId, amount]) => [transactionId, amount])).toEqual([
+      ['mock_pay_card', 300],
+    ]);
+    expect(db.refunds.get('refund-1')).toMatchObject({
+      status: 'REFUNDED',
+      metadata: { storeCredit: { amount: 200, transactionId: 'ledger-1' } },
+    });
+  });
+
+  it('credits nothing when the gateway part could not be sent', async () => {
+    addRefund({ id: 'refund-1', amount: '500.00' });
+    jest.spyOn(mockGateway, 'refund').mockRejectedValue(new Error('Gateway unavailable'));
+
+    await expect(refundService.approveRefund('refund-1')).rejects.toThrow('Gateway refund failed');
+    expect(refundService.walletService.credit).not.toHaveBeenCalled();
+    expect(db.refunds.get('refund-1').status).toBe('PENDING');
+    expect(db.refunds.get('refund-1').metadata.storeCredit).toBeUndefined();
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+jest.unstable_mockModule('../../src/services/inventory.service.js', () => ({
+  InventoryService: jest.fn(() => ({})),
+}));
+jest.unstable_mockModule('../../src/services/refund.service.js', () => ({
+  RefundService: jest.fn(() => ({})),
+  REFUND_METHODS: ['ORIGINAL_PAYMENT', 'STORE_CREDIT'],
+}));
+
+const { ReturnService } = await import('../../src/services/return.service.js');
+
+const returnService = new ReturnService();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const returnItem = (quantity, status) => ({ quantity, return: { status } });
+
+const buildOrder = (overrides = {}) => ({
+  id: 'order-1',
+  userId: 'user-1',
+  status: 'DELIVERED',
+  completedAt: null,
+  updatedAt: new Date(),
+  statusHistory: [{ toStatus: 'DELIVERED', createdAt: new Date(Date.now() - 2 * DAY) }],
+  items: [
+    {
+      id: 'item-1',
+      name: 'Kurta',
+      quantity: 3,
+      total: '1500.00',
+      discount: '0.00',
+      metadata: null,
+      returnItems: [],
+    },
+  ],
+  ...overrides,
+});
+
+const request = (items, overrides = {}) =>
+  returnService.requestReturn('user-1', { orderId: 'order-1', reason: 'Too small', items, ...overrides });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  prisma.order.findUnique.mockResolvedValue(buildOrder());
+  prisma.return.create.mockImplementation(async ({ data }) => ({ id: 'return-1', ...data }));
+});
+
+describe('ReturnService.requestReturn', () => {
+  it('locks the order before counting what is still returnable', async () => {
+    await request([{ orderItemId: 'item-1', quantity: 1 }]);
+
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe('order-1');
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(
+      prisma.order.findUnique.mock.invocationCallOrder[0]
+    );
+    expect(prisma.return.create).toHaveBeenCalled();
+  });
+
+  it('refunds the returned units\' share of the item', async () => {
+    const created = await request([{ orderItemId: 'item-1', quantity: 2 }]);
+
+    expect(created.refundAmount).toBe(1000);
+    expect(created.items.create).toEqual([{ orderItemId: 'item-1', quantity: 2, reason: null }]);
+  });
+
+  it('leaves out units covered by returns that were not rejected', async () => {
+    const order = buildOrder();
+    order.items[0].returnItems = [returnItem(2, 'APPROVED'), returnItem(1, 'REJECTED')];
+    prisma.order.findUnique.mockResolvedValue(order);
+
+    await expect(request([{ orderItemId: 'item-1', quantity: 2 }])).rejects.toThrow(
+      'Only 1 unit(s) of Kurta can be returned'
+    );
+
+    const created = await request([{ orderItemId: 'item-1' }]);
+    expect(created.items.create[0].quantity).toBe(1);
+  });
+
+  it('refuses the same item twice in one request', async () => {
+    await expect(
+      request([{ orderItemId: 'item-1', quantity: 1 }, { orderItemId: 'item-1', quantity: 1 }])
+    ).rejects.toThrow('Invalid or duplicate order item');
+    expect(prisma.return.create).not.toHaveBeenCalled();
+  });
+
+  it('runs the window from when the order was marked delivered', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder({
+      statusHistory: [{ toStatus: 'DELIVERED', createdAt: new Date(Date.now() - 8 * DAY) }],
+      // A later edit to the order doesn't reopen the window
+      updatedAt: new Date(),
+    }));
+
+    await expect(request([{ orderItemId: 'item-1', quantity: 1 }])).rejects.toThrow('Return window has expired');
+    expect(prisma.order.findUnique.mock.calls[0][0].include.statusHistory).toMatchObject({
+      where: { toStatus: 'DELIVERED' },
+    });
+  });
+
+  it('refuses an order with no recorded delivery date', async () => {
+    prisma.order.findUnique.mockResolvedValue(buildOrder({ statusHistory: [] }));
+
+    await expect(request([{ orderItemId: 'item-1', quantity: 1 }])).rejects.toThrow('Return window has expired');
+  });
+});
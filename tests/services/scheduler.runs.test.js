@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+
+// Just enough of Redis for run claims and task locks
+const store = new Map();
+const client = {
+  set: jest.fn(async (key, value, options = {}) => {
+    if (options.NX && store.has(key)) return null;
+    store.set(key, value);
+    return 'OK';
+  }),
+  // The release script: delete the lock only if it still holds the token
+  eval: jest.fn(async (script, { keys: [key], arguments: [token] }) => {
+    if (store.get(key) !== token) return 0;
+    store.delete(key);
+    return 1;
+  }),
+};
+const redisManager = { getClient: jest.fn(async () => client) };
+
+jest.unstable_mockModule('../../src/utils/redisClient.js', () => ({ default: redisManager }));
+
+const { SchedulerService } = await import('../../src/services/scheduler.service.js');
+const { parseCron } = await import('../../src/utils/cron.js');
+
+// Local time, as the scheduler reads it; 18 October 2026 is a Sunday
+const at = (day, hour, minute, second = 0) => new Date(2026, 9, day, hour, minute, second);
+
+describe('parseCron', () => {
+  it('matches five-field expressions on the minute', () => {
+    const cron = parseCron('30 3 * * *');
+
+    expect(cron.hasSeconds).toBe(false);
+    expect(cron.matches(at(19, 3, 30))).toBe(true);
+    expect(cron.matches(at(19, 3, 30, 1))).toBe(false);
+    expect(cron.matches(at(19, 4, 30))).toBe(false);
+  });
+
+  it('reads a leading seconds field', () => {
+    const cron = parseCron('*/15 * * * * *');
+
+    expect(cron.hasSeconds).toBe(true);
+    expect([0, 15, 30, 45].every((second) => cron.matches(at(19, 10, 0, second)))).toBe(true);
+    expect(cron.matches(at(19, 10, 0, 10))).toBe(false);
+  });
+
+  it('reads lists, ranges and steps', () => {
+    const cron = parseCron('0,20-30/5,50/5 9-17 * * *');
+    const minutes = Array.from({ length: 60 }, (_, minute) => minute)
+      .filter((minute) => cron.matches(at(19, 12, minute)));
+
+    expect(minutes).toEqual([0, 20, 25, 30, 50, 55]);
+    expect(cron.matches(at(19, 18, 0))).toBe(false);
+  });
+
+  it('treats day of week 7 as Sunday', () => {
+    const cron = parseCron('0 0 * * 7');
+
+    expect(cron.matches(at(18, 0, 0))).toBe(true);
+    expect(cron.matches(at(19, 0, 0))).toBe(false);
+  });
+
+  it('matches either a restricted day of month or day of week', () => {
+    const cron = parseCron('0 0 1 * 1');
+
+    expect(cron.matches(at(19, 0, 0))).toBe(true);
+    expect(cron.matches(new Date(2026, 10, 1))).toBe(true);
+    expect(cron.matches(at(20, 0, 0))).toBe(false);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('Invalid cron expression "* * * *": expected 5 or 6 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid cron expression "60 * * * *": bad field "60"');
+    expect(() => parseCron('10-5 * * * *')).toThrow('bad field "10-5"');
+    expect(() => parseCron('*/0 * * * *')).toThrow('bad field "*/0"');
+    expect(() => parseCron('a * * * *')).toThrow('bad field "a"');
+  });
+});
+
+describe('SchedulerService.runTask', () => {
+  let task;
+  let schedulers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store.clear();
+
+    task = jest.fn(async () => ({ done: 1 }));
+    // Two app instances sharing one Redis
+    schedulers = [new SchedulerService(), new SchedulerService()];
+    schedulers.forEach((scheduler) => scheduler.schedule('sweep', '* * * * *', task));
+  });
+
+  it('runs a scheduled time on only the instance that claims it', async () => {
+    const results = await Promise.all(schedulers.map((scheduler) => scheduler.runTask('sweep', 1000)));
+
+    expect(results).toEqual([{ done: 1 }, null]);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(client.set).toHaveBeenCalledWith(expect.stringContaining('sweep'), '1', { NX: true, EX: 600 });
+  });
+
+  it('skips a run while an earlier one still holds the lock', async () => {
+    let finish;
+    task.mockImplementationOnce(() => new Promise((resolve) => { finish = resolve; }));
+
+    const first = schedulers[0].runTask('sweep', 1000);
+    await new Promise(setImmediate);
+
+    await expect(schedulers[1].runTask('sweep', 1060)).resolves.toBeNull();
+    finish({ done: 2 });
+    await expect(first).resolves.toEqual({ done: 2 });
+
+    await expect(schedulers[1].runTask('sweep', 1120)).resolves.toEqual({ done: 1 });
+  });
+
+  it('releases the lock when the task fails', async () => {
+    task.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(schedulers[0].runTask('sweep', 1000)).rejects.toThrow('Database unavailable');
+    await expect(schedulers[0].runTask('sweep', 1060)).resolves.toEqual({ done: 1 });
+  });
+
+  it('leaves a lock another run took after this one\'s expired', async () => {
+    task.mockImplementationOnce(async () => {
+      // The lock expired and another instance took it
+      const lockKey = [...store.keys()].find((key) => key.includes('lock'));
+      store.set(lockKey, 'other-token');
+      return { done: 1 };
+    });
+
+    await schedulers[0].runTask('sweep', 1000);
+
+    expect([...store.values()]).toContain('other-token');
+  });
+
+  it('refuses a task that was never scheduled', async () => {
+    await expect(schedulers[0].runTask('unknown')).rejects.toThrow('Unknown scheduled task: unknown');
+  });
+});
+
+describe('SchedulerService.tick', () => {
+  it('starts each due task once per second since the last tick, catching up at most a minute', () => {
+    const scheduler = new SchedulerService();
+    scheduler.schedule('every-15s', '*/15 * * * * *', jest.fn());
+    scheduler.schedule('hourly', '0 * * * *', jest.fn());
+    const startRun = jest.spyOn(scheduler, 'startRun').mockImplementation(() => {});
+    const now = at(19, 11, 0, 20);
+    jest.useFakeTimers({ now });
+
+    try {
+      // The event loop stalled for 90 seconds since the last tick
+      scheduler.lastSecond = now.getTime() / 1000 - 90;
+      scheduler.tick();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    const epoch = (date) => date.getTime() / 1000;
+    expect(startRun.mock.calls).toEqual([
+      ['every-15s', epoch(at(19, 10, 59, 30))],
+      ['every-15s', epoch(at(19, 10, 59, 45))],
+      ['every-15s', epoch(at(19, 11, 0, 0))],
+      ['hourly', epoch(at(19, 11, 0, 0))],
+      ['every-15s', epoch(at(19, 11, 0, 15))],
+    ]);
+  });
+});
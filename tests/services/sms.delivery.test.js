@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+
+process.env.SMS_PROVIDER = 'fake';
+
+// Just enough of Redis for the delivery records
+const store = new Map();
+const redisManager = {
+  get: jest.fn(async (key) => store.get(key) ?? null),
+  set: jest.fn(async (key, value) => {
+    store.set(key, structuredClone(value));
+  }),
+};
+
+jest.unstable_mockModule('../../src/utils/redisClient.js', () => ({ default: redisManager }));
+
+const { SmsService } = await import('../../src/services/sms.service.js');
+const { registerSmsProvider } = await import('../../src/services/sms/index.js');
+const { smsKeys } = await import('../../src/utils/redisKeys.js');
+
+const provider = {
+  name: 'fake',
+  send: jest.fn(),
+  parseDeliveryReport: jest.fn(({ body }) => body),
+};
+registerSmsProvider(provider);
+
+const smsService = new SmsService();
+
+const retryable = () => Object.assign(new Error('Provider unavailable'), { statusCode: 503 });
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  smsService.RETRY_DELAY_MS = 20;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendSms', () => {
+  it('retries a transient failure and gives each attempt the time left', async () => {
+    provider.send.mockRejectedValueOnce(retryable()).mockResolvedValueOnce({ messageId: 'msg-1', status: 'QUEUED' });
+
+    const delivery = await smsService.sendSms('9999999999', 'Hello', { timeoutMs: 1000 });
+
+    expect(delivery).toMatchObject({ messageId: 'msg-1', status: 'QUEUED', attempts: 2 });
+    for (const [{ timeoutMs }] of provider.send.mock.calls) {
+      expect(timeoutMs).toBeGreaterThan(0);
+      expect(timeoutMs).toBeLessThanOrEqual(1000);
+    }
+  });
+
+  it('stops retrying once the next attempt would run past the time allowed', async () => {
+    provider.send.mockRejectedValue(retryable());
+    smsService.RETRY_DELAY_MS = 100;
+
+    const error = await smsService.sendSms('9999999999', 'Hello', { maxAttempts: 5, timeoutMs: 250 }).catch((e) => e);
+
+    // Waits of 100ms then 200ms: the second would end past the deadline
+    expect(provider.send).toHaveBeenCalledTimes(2);
+    expect(error.delivery).toMatchObject({ status: 'FAILED', attempts: 2 });
+  });
+
+  it('does not retry a message the provider rejected', async () => {
+    provider.send.mockRejectedValue(Object.assign(new Error('Invalid number'), { statusCode: 400 }));
+
+    await expect(smsService.sendSms('123', 'Hello')).rejects.toThrow('Failed to send SMS after 1 attempt(s)');
+    expect(provider.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('handleDeliveryReport', () => {
+  const track = (status) =>
+    store.set(smsKeys.delivery('msg-1'), { provider: 'fake', messageId: 'msg-1', status, error: null });
+
+  const report = (status) =>
+    smsService.handleDeliveryReport('fake', { body: [{ messageId: 'msg-1', status }] });
+
+  const statusOf = () => store.get(smsKeys.delivery('msg-1')).status;
+
+  it('moves a message forward', async () => {
+    track('QUEUED');
+
+    await expect(report('SENT')).resolves.toEqual({ received: 1, updated: 1 });
+    expect(statusOf()).toBe('SENT');
+  });
+
+  it('never moves a failed message back to an earlier status', async () => {
+    track('FAILED');
+
+    await expect(report('SENT')).resolves.toEqual({ received: 1, updated: 0 });
+    expect(statusOf()).toBe('FAILED');
+  });
+
+  it('keeps a delivered message delivered when a failure report follows', async () => {
+    track('DELIVERED');
+
+    await expect(report('FAILED')).resolves.toEqual({ received: 1, updated: 0 });
+    expect(statusOf()).toBe('DELIVERED');
+  });
+
+  it('lets a delivery report win over an earlier failure', async () => {
+    track('FAILED');
+
+    await report('DELIVERED');
+    expect(statusOf()).toBe('DELIVERED');
+  });
+});
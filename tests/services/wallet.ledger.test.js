@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { createPrismaMock, mockDatabase } from '../helpers/prisma.js';
+
+const prisma = createPrismaMock();
+mockDatabase(prisma);
+
+jest.unstable_mockModule('../../src/services/payment.service.js', () => ({
+  claimRefund: jest.fn(),
+  markRefundCompleted: jest.fn(),
+}));
+
+const { WalletService } = await import('../../src/services/wallet.service.js');
+
+const walletService = new WalletService();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Just enough of the CreditTransaction table for the ledger
+let ledger;
+
+const addCredit = (id, amount, expiresAt = null, createdAt = new Date('2026-10-01T00:00:00Z')) => {
+  ledger.push({ id, userId: 'user-1', amount, remaining: amount, type: 'REFUND', expiresAt, createdAt });
+};
+
+const entry = (id) => ledger.find((row) => row.id === id);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  walletService.CREDIT_EXPIRY_DAYS = null;
+
+  ledger = [];
+
+  prisma.creditTransaction.aggregate.mockImplementation(async ({ where }) => ({
+    _sum: { amount: ledger.filter((row) => row.userId === where.userId).reduce((sum, row) => sum + row.amount, 0) },
+  }));
+  prisma.creditTransaction.findMany.mockImplementation(async ({ where }) =>
+    ledger
+      .filter((row) => (!where.userId || row.userId === where.userId) && row.remaining > 0)
+      .filter((row) => !where.expiresAt?.lte || (row.expiresAt && row.expiresAt <= where.expiresAt.lte))
+      .map((row) => ({ ...row }))
+  );
+  prisma.creditTransaction.findUnique.mockImplementation(async ({ where }) => ({ ...entry(where.id) }));
+  prisma.creditTransaction.update.mockImplementation(async ({ where, data }) => Object.assign(entry(where.id), data));
+  prisma.creditTransaction.create.mockImplementation(async ({ data }) => {
+    const row = { id: `entry-${ledger.length + 1}`, createdAt: new Date(), remaining: 0, expiresAt: null, ...data };
+    ledger.push(row);
+    return row;
+  });
+});
+
+describe('WalletService ledger', () => {
+  it('records each credit with the balance after it', async () => {
+    addCredit('credit-1', 100);
+
+    const created = await walletService.credit('user-1', '50.50', { type: 'REFUND', description: 'Refund' });
+
+    expect(created).toMatchObject({ amount: 50.5, balance: 150.5, remaining: 50.5, expiresAt: null });
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe('user-1');
+  });
+
+  it('gives new credits the configured expiry', async () => {
+    walletService.CREDIT_EXPIRY_DAYS = 30;
+    const before = Date.now();
+
+    const created = await walletService.credit('user-1', 10, { type: 'REFUND', description: 'Refund' });
+
+    expect(created.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 30 * DAY);
+  });
+
+  it('spends the credits that expire soonest first, and never-expiring ones last', async () => {
+    addCredit('forever', 100, null);
+    addCredit('late', 50, new Date(Date.now() + 20 * DAY));
+    addCredit('soon', 30, new Date(Date.now() + 2 * DAY));
+
+    const debit = await walletService.debit('user-1', 60, { type: 'PURCHASE', description: 'Order' });
+
+    expect(debit).toMatchObject({ amount: -60, balance: 120 });
+    expect(entry('soon').remaining).toBe(0);
+    expect(entry('late').remaining).toBe(20);
+    expect(entry('forever').remaining).toBe(100);
+  });
+
+  it('refuses to spend more than the balance', async () => {
+    addCredit('credit-1', 40);
+
+    await expect(
+      walletService.debit('user-1', 40.01, { type: 'PURCHASE', description: 'Order' })
+    ).rejects.toThrow('Insufficient store credit: only ₹40.00 available');
+    expect(entry('credit-1').remaining).toBe(40);
+  });
+});
+
+describe('WalletService.expireCredits', () => {
+  it('takes the unspent part of an expired credit out of the balance', async () => {
+    addCredit('expired', 80, new Date(Date.now() - DAY));
+    addCredit('current', 20, new Date(Date.now() + DAY));
+    entry('expired').remaining = 30;
+
+    await expect(walletService.expireCredits()).resolves.toBe(1);
+
+    expect(entry('expired').remaining).toBe(0);
+    expect(ledger.at(-1)).toMatchObject({ amount: -30, type: 'EXPIRY', referenceId: 'expired', balance: 70 });
+    expect(entry('current').remaining).toBe(20);
+  });
+
+  it('skips a credit spent after the sweep found it', async () => {
+    addCredit('expired', 80, new Date(Date.now() - DAY));
+    prisma.creditTransaction.findMany.mockResolvedValueOnce([{ id: 'expired', userId: 'user-1' }]);
+    entry('expired').remaining = 0;
+
+    await expect(walletService.expireCredits()).resolves.toBe(0);
+    expect(prisma.creditTransaction.create).not.toHaveBeenCalled();
+  });
+});